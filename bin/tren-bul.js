@@ -0,0 +1,689 @@
+#!/usr/bin/env node
+/**
+ * Tren Bileti Bulucu CLI
+ * Runs a watch headlessly (e.g. on a server) with the same search and seat
+ * allocation modules as the web app, printing status and results to the terminal
+ *
+ * Usage:
+ *   tren-bul watch --from "KONYA" --to "ANKARA GAR" --date 2026-11-02 \
+ *       --class ECONOMY --window 07:00-10:00 --hold
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import { CONFIG } from '../src/js/config.js';
+import { stationManager } from '../src/js/stations.js';
+import { SearchManager } from '../src/js/search.js';
+import { seatAllocationManager } from '../src/js/seat_allocation.js';
+import { SEAT_POSITIONS, SEAT_FACING } from '../src/js/seat_preferences.js';
+import { DEFAULT_PASSENGERS, describePassengers } from '../src/js/passengers.js';
+import { notifierRegistry, WebhookNotifier } from '../src/js/notifiers.js';
+import { apiSettings, API_SETTING_KEYS } from '../src/js/api_settings.js';
+import { describeStopShift, formatExtraTime } from '../src/js/nearby_stops.js';
+import { describeTrainFilters, parseTrainList } from '../src/js/train_filters.js';
+import { logger, toJSON, toCSV } from '../src/js/logger.js';
+import { convertDateToAPI, formatMinutes, formatTime, getCurrentTime, getTodayDate, getTomorrowDate } from '../src/js/utils.js';
+
+const STATIONS_FILE = new URL('../data/stations.json', import.meta.url);
+
+const USAGE = `Kullanım: tren-bul watch --from <istasyon> --to <istasyon> [seçenekler]
+
+Seçenekler:
+  --from <istasyon>      Kalkış istasyonu (ad, kod veya ID; Türkçe karakter gerekmez)
+  --to <istasyon>        Varış istasyonu
+  --date <YYYY-MM-DD>    Tarih; birden fazla verilebilir (varsayılan: yarın)
+  --class <sınıf>        ${Object.keys(CONFIG.CABIN_CLASSES).join(', ')}; birden fazla verilebilir (varsayılan: ECONOMY)
+  --window <SS:DD-SS:DD> Kalkış saati aralığı, Türkiye saatiyle (varsayılan: 00:00-23:59); gece yarısını
+                         geçebilir (ör. 22:00-02:00, ertesi günün seferleri de aranır)
+  --arrival-window <SS:DD-SS:DD> Varış saati aralığı
+  --train-type <tip>     Yalnızca bu tren tipleri (${Object.keys(CONFIG.TRAIN_TYPES).join(', ')}); birden fazla verilebilir
+                         (varsayılan: ${CONFIG.DEFAULT_EXCLUDED_TRAIN_TYPES.join(', ')} dışındakiler)
+  --train <no|ad>        Yalnızca bu tren numarası veya adını içeren seferler; birden fazla verilebilir
+  --exclude-train <no|ad> Bu tren numarası veya adını içeren seferleri arama; birden fazla verilebilir
+  --max-duration <dakika> Yolculuğu (aktarmalıda beklemeyle) bundan uzun seferleri arama
+  --no-connections       Aktarmalı yolculukları arama
+  --min-layover <dakika> Aktarmada en az bu kadar bekleme olsun
+  --max-layover <dakika> Aktarmada en fazla bu kadar bekleme olsun
+  --nearby-stops <N>     Seferlerde yer yoksa aynı trende N durağa kadar önce/sonra binip inmeyi de ara (en fazla ${CONFIG.NEARBY_STOPS.MAX_STOPS})
+  --max-price <TL>       Yalnızca bu fiyata kadar olan sınıflardaki yerleri say
+  --alert-price-drop     İzlenen seferlerde fiyat düşünce bildir
+  --passenger <M|F>[:tip] Yolcu cinsiyeti ve tipi (${Object.keys(CONFIG.PASSENGER_TYPES).join(', ')}); her yolcu
+                         için ayrı verilir (varsayılan: tek yetişkin, M:ADULT)
+  --hold                 Yer bulununca koltuğu otomatik tut
+  --keep-holding         Tutulan koltuğu süresi dolmadan bırakıp yeniden tut (alınmışsa en uygun başka koltuğu)
+  --max-hold <dakika>    --keep-holding ile koltuğun en fazla ne kadar tutulacağı (varsayılan: ${CONFIG.DEFAULT_MAX_HOLD_MINUTES})
+  --seat <window|aisle>  Tercih edilen koltuk konumu (cam kenarı / koridor)
+  --facing <forward|backward> Tercih edilen oturma yönü
+  --wagon <N veya N-M>   Tercih edilen vagon (aralığı)
+  --avoid-wc             Tuvalete yakın koltuklardan kaçın
+  --prefer-time <SS:DD>  Birden fazla seferde yer varsa bu saate en yakın olanı tut
+  --interval <saniye>    Temel kontrol aralığı; kalkışa yakınlık, saat ve hatalara göre ayarlanır (varsayılan: ${CONFIG.CHECK_INTERVAL / 1000})
+  --webhook <url>        Olayları bu adrese JSON olarak POST et
+  --log-file <dosya>     Çıkışta olay günlüğünü dosyaya yaz (.csv uzantısıyla CSV, yoksa JSON)
+  --config <dosya>       API ayarlarını JSON dosyasından oku (${Object.keys(API_SETTING_KEYS).join(', ')})
+  -h, --help             Bu yardımı göster
+
+Ortam değişkenleri (--config dosyasını ezer):
+  ${Object.values(API_SETTING_KEYS).join(', ')}
+
+Örnek:
+  tren-bul watch --from "KONYA" --to "ANKARA GAR" --date 2026-11-02 --class ECONOMY --window 07:00-10:00 --hold`;
+
+class UsageError extends Error {}
+
+/**
+ * Prints a line prefixed with the current time
+ * @param {string} message - Message to print
+ */
+function print(message) {
+    console.log(`[${getCurrentTime()}] ${message}`);
+}
+
+/**
+ * Prints a log entry, with its details unless the message already has them
+ * @param {Object} entry - Log entry (see Logger.log)
+ */
+function printLogEntry(entry) {
+    const hasDetails = entry.details && !entry.message.includes(entry.details);
+    print(hasDetails ? `${entry.message}: ${entry.details}` : entry.message);
+}
+
+/**
+ * Writes the kept log entries to a file
+ * @param {string} file - File path; a .csv file gets CSV, anything else JSON
+ */
+async function writeLogFile(file) {
+    const entries = logger.getEntries();
+    await writeFile(file, file.toLowerCase().endsWith('.csv') ? toCSV(entries) : toJSON(entries), 'utf8');
+}
+
+/**
+ * Parses command line arguments
+ * @param {Array<string>} args - Arguments after the node executable and script
+ * @returns {Object} Parsed options ({ command, from, to, date, class, window, arrival-window, train-type, train, exclude-train,
+ *   max-duration, no-connections, min-layover, max-layover, nearby-stops, max-price, alert-price-drop,
+ *   passenger, hold, keep-holding, max-hold, seat, facing, wagon, avoid-wc, prefer-time, interval, webhook, log-file, config, help })
+ * @throws {UsageError} If an unknown option is given
+ */
+function parseOptions(args) {
+    try {
+        const { values, positionals } = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                from: { type: 'string' },
+                to: { type: 'string' },
+                date: { type: 'string', multiple: true },
+                class: { type: 'string', multiple: true },
+                window: { type: 'string', default: '00:00-23:59' },
+                'arrival-window': { type: 'string' },
+                'train-type': { type: 'string', multiple: true },
+                train: { type: 'string', multiple: true },
+                'exclude-train': { type: 'string', multiple: true },
+                'max-duration': { type: 'string' },
+                'no-connections': { type: 'boolean', default: false },
+                'min-layover': { type: 'string' },
+                'max-layover': { type: 'string' },
+                'nearby-stops': { type: 'string' },
+                'max-price': { type: 'string' },
+                'alert-price-drop': { type: 'boolean', default: false },
+                passenger: { type: 'string', multiple: true },
+                hold: { type: 'boolean', default: false },
+                'keep-holding': { type: 'boolean', default: false },
+                'max-hold': { type: 'string' },
+                seat: { type: 'string' },
+                facing: { type: 'string' },
+                wagon: { type: 'string' },
+                'avoid-wc': { type: 'boolean', default: false },
+                'prefer-time': { type: 'string' },
+                interval: { type: 'string' },
+                webhook: { type: 'string' },
+                'log-file': { type: 'string' },
+                config: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+        return { ...values, command: positionals[0] };
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+/**
+ * Loads stations from data/stations.json
+ */
+async function loadStations() {
+    stationManager.setStations(JSON.parse(await readFile(STATIONS_FILE, 'utf8')));
+}
+
+/**
+ * Applies API overrides from the --config file and TCDD_* environment variables
+ * @param {string} [configFile] - JSON file with API settings by CONFIG key
+ * @throws {UsageError} If the file cannot be read or a setting is invalid
+ */
+async function loadApiSettings(configFile) {
+    try {
+        if (configFile) {
+            apiSettings.applyOverrides(JSON.parse(await readFile(configFile, 'utf8')));
+        }
+        apiSettings.loadEnvironment(process.env);
+    } catch (error) {
+        throw new UsageError(`API ayarları okunamadı: ${error.message}`);
+    }
+}
+
+/**
+ * Resolves a station option to a station
+ * @param {string} query - Station name, code or ID
+ * @param {string} optionName - Option name for error messages
+ * @returns {Object} Station object
+ * @throws {UsageError} If the option is missing or no station matches
+ */
+function resolveStationOption(query, optionName) {
+    if (!query) {
+        throw new UsageError(`--${optionName} gerekli`);
+    }
+
+    const station = stationManager.resolveStation(query);
+    if (!station) {
+        throw new UsageError(`"${query}" ile eşleşen istasyon bulunamadı`);
+    }
+    return station;
+}
+
+/**
+ * Validates search dates
+ * @param {Array<string>} [dates] - Dates in YYYY-MM-DD format
+ * @returns {Array<string>} Sorted unique dates in YYYY-MM-DD format
+ * @throws {UsageError} If a date is malformed or in the past
+ */
+function parseDates(dates = [getTomorrowDate()]) {
+    const today = getTodayDate();
+
+    dates.forEach(date => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date))) {
+            throw new UsageError(`Geçersiz tarih: "${date}" (YYYY-MM-DD olmalı)`);
+        }
+        if (date < today) {
+            throw new UsageError(`Geçmiş tarih aranamaz: ${date}`);
+        }
+    });
+
+    return [...new Set(dates)].sort();
+}
+
+/**
+ * Validates cabin classes; accepts repeated and comma separated values
+ * @param {Array<string>} [classes] - Cabin class keys (case-insensitive)
+ * @returns {Array<string>} Cabin class keys
+ * @throws {UsageError} If a class is unknown
+ */
+function parseClasses(classes = ['ECONOMY']) {
+    const keys = classes.flatMap(value => value.split(',')).map(value => value.trim().toUpperCase());
+
+    keys.forEach(key => {
+        if (!CONFIG.CABIN_CLASSES[key]) {
+            throw new UsageError(`Bilinmeyen sınıf: ${key} (${Object.keys(CONFIG.CABIN_CLASSES).join(', ')})`);
+        }
+    });
+
+    return [...new Set(keys)];
+}
+
+/**
+ * Validates a time window; a start after the end is a window past midnight (e.g. 22:00-02:00)
+ * @param {string} window - Time window like "07:00-10:00"
+ * @returns {Object} Window ({ timeStart, timeEnd })
+ * @throws {UsageError} If the window is malformed
+ */
+function parseWindow(window) {
+    const match = window.match(/^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]):([0-5]\d)$/);
+    if (!match) {
+        throw new UsageError(`Geçersiz saat aralığı: "${window}" (SS:DD-SS:DD olmalı)`);
+    }
+
+    const [, startHours, startMinutes, endHours, endMinutes] = match;
+    return { timeStart: `${startHours}:${startMinutes}`, timeEnd: `${endHours}:${endMinutes}` };
+}
+
+/**
+ * Validates the optional arrival time window
+ * @param {string} [window] - Time window like "08:00-12:00"
+ * @returns {Object} Window ({ arrivalTimeStart, arrivalTimeEnd }) or {} if not given
+ * @throws {UsageError} If the window is malformed
+ */
+function parseArrivalWindow(window) {
+    if (window === undefined) {
+        return {};
+    }
+
+    const { timeStart, timeEnd } = parseWindow(window);
+    return { arrivalTimeStart: timeStart, arrivalTimeEnd: timeEnd };
+}
+
+/**
+ * Validates passengers given as "F" or "F:STUDENT" (case-insensitive)
+ * @param {Array<string>} [passengers] - Passenger options
+ * @returns {Array<Object>} Passengers ({ gender, type })
+ * @throws {UsageError} If a passenger is malformed or there are too many
+ */
+function parsePassengers(passengers) {
+    if (!passengers) {
+        return DEFAULT_PASSENGERS;
+    }
+    if (passengers.length > CONFIG.MAX_PASSENGERS) {
+        throw new UsageError(`En fazla ${CONFIG.MAX_PASSENGERS} yolcu verilebilir`);
+    }
+
+    return passengers.map(value => {
+        const [gender, type = 'ADULT'] = value.toUpperCase().split(':');
+        if (!CONFIG.GENDERS[gender] || !CONFIG.PASSENGER_TYPES[type]) {
+            throw new UsageError(`Geçersiz yolcu: "${value}" (M veya F, ardından isteğe bağlı :${Object.keys(CONFIG.PASSENGER_TYPES).join('|')})`);
+        }
+        return { gender, type };
+    });
+}
+
+/**
+ * Validates seat preferences for automatic holding
+ * @param {Object} options - Parsed options
+ * @returns {Object} Seat preferences (same shape as UIManager.getSeatPreferences)
+ * @throws {UsageError} If a preference is invalid
+ */
+function parseSeatPreferences(options) {
+    const choose = (value, allowed, optionName) => {
+        if (value && !allowed.includes(value)) {
+            throw new UsageError(`Geçersiz --${optionName}: "${value}" (${allowed.join(', ')})`);
+        }
+        return value || null;
+    };
+
+    let wagonMin = null;
+    let wagonMax = null;
+    if (options.wagon) {
+        const match = options.wagon.match(/^(\d+)(?:-(\d+))?$/);
+        if (!match || (match[2] && Number(match[1]) > Number(match[2]))) {
+            throw new UsageError(`Geçersiz vagon: "${options.wagon}" (N veya N-M olmalı)`);
+        }
+        wagonMin = Number(match[1]);
+        wagonMax = Number(match[2] || match[1]);
+    }
+
+    const preferredTime = options['prefer-time'] || null;
+    if (preferredTime && !/^\d{2}:\d{2}$/.test(preferredTime)) {
+        throw new UsageError(`Geçersiz saat: "${preferredTime}" (SS:DD olmalı)`);
+    }
+
+    return {
+        position: choose(options.seat, [SEAT_POSITIONS.WINDOW, SEAT_POSITIONS.AISLE], 'seat'),
+        facing: choose(options.facing, Object.values(SEAT_FACING), 'facing'),
+        wagonMin,
+        wagonMax,
+        preferredTime,
+        avoidWc: options['avoid-wc']
+    };
+}
+
+/**
+ * Parses the train type, train number/name and trip duration filters
+ * @param {Object} options - Parsed options
+ * @returns {Object} { excludedTrainTypes, includeTrains, excludeTrains, maxDuration } (excludedTrainTypes is
+ *   undefined without --train-type, maxDuration null without --max-duration)
+ * @throws {UsageError} If a train type or the duration is invalid
+ */
+function parseTrainFilters(options) {
+    let excludedTrainTypes;
+    if (options['train-type']) {
+        const types = options['train-type'].flatMap(value => value.split(',')).map(value => value.trim().toUpperCase());
+        types.forEach(type => {
+            if (!CONFIG.TRAIN_TYPES[type]) {
+                throw new UsageError(`Bilinmeyen tren tipi: ${type} (${Object.keys(CONFIG.TRAIN_TYPES).join(', ')})`);
+            }
+        });
+        excludedTrainTypes = Object.keys(CONFIG.TRAIN_TYPES).filter(type => !types.includes(type));
+    }
+
+    let maxDuration = null;
+    if (options['max-duration'] !== undefined) {
+        maxDuration = Number(options['max-duration']);
+        if (!Number.isInteger(maxDuration) || maxDuration <= 0) {
+            throw new UsageError(`Geçersiz yolculuk süresi: "${options['max-duration']}" (dakika olmalı)`);
+        }
+    }
+
+    return {
+        excludedTrainTypes,
+        includeTrains: (options.train || []).flatMap(parseTrainList),
+        excludeTrains: (options['exclude-train'] || []).flatMap(parseTrainList),
+        maxDuration
+    };
+}
+
+/**
+ * Parses how itineraries with transfers are handled
+ * @param {Object} options - Parsed options
+ * @returns {Object} { excludeConnections, minLayover, maxLayover } (limits are null if not given)
+ * @throws {UsageError} If a layover limit is invalid
+ */
+function parseConnectionOptions(options) {
+    const parseLayover = name => {
+        if (options[name] === undefined) return null;
+
+        const minutes = Number(options[name]);
+        if (!Number.isInteger(minutes) || minutes < 0) {
+            throw new UsageError(`Geçersiz aktarma süresi: "${options[name]}" (dakika olmalı)`);
+        }
+        return minutes;
+    };
+
+    const minLayover = parseLayover('min-layover');
+    const maxLayover = parseLayover('max-layover');
+    if (minLayover !== null && maxLayover !== null && minLayover > maxLayover) {
+        throw new UsageError('--min-layover, --max-layover değerinden büyük olamaz');
+    }
+
+    return { excludeConnections: options['no-connections'], minLayover, maxLayover };
+}
+
+/**
+ * Parses how many stops the boarding and alighting stations may be moved
+ * @param {string} [value] - --nearby-stops value
+ * @returns {number|null} Stops or null if nearby stops are not searched
+ * @throws {UsageError} If the value is invalid
+ */
+function parseNearbyStops(value) {
+    if (value === undefined) {
+        return null;
+    }
+
+    const stops = Number(value);
+    if (!Number.isInteger(stops) || stops < 1 || stops > CONFIG.NEARBY_STOPS.MAX_STOPS) {
+        throw new UsageError(`Geçersiz durak sayısı: "${value}" (1-${CONFIG.NEARBY_STOPS.MAX_STOPS} olmalı)`);
+    }
+    return stops;
+}
+
+/**
+ * Parses the price limit
+ * @param {string} [value] - --max-price value in TL
+ * @returns {number|null} Highest acceptable price or null without a limit
+ * @throws {UsageError} If the price is invalid
+ */
+function parseMaxPrice(value) {
+    if (value === undefined) {
+        return null;
+    }
+
+    const maxPrice = Number(value);
+    if (!(maxPrice > 0)) {
+        throw new UsageError(`Geçersiz fiyat: "${value}" (TL olmalı)`);
+    }
+    return maxPrice;
+}
+
+/**
+ * Parses the "keep holding" mode
+ * @param {Object} options - Parsed options
+ * @returns {Object|null} Hold renewal ({ maxHoldMinutes }) or null without --keep-holding
+ * @throws {UsageError} If the maximum hold time is invalid
+ */
+function parseHoldRenewal(options) {
+    if (!options['keep-holding']) {
+        return null;
+    }
+
+    const maxHoldMinutes = Number(options['max-hold'] ?? CONFIG.DEFAULT_MAX_HOLD_MINUTES);
+    if (!Number.isInteger(maxHoldMinutes) || maxHoldMinutes <= 0) {
+        throw new UsageError(`Geçersiz tutma süresi: "${options['max-hold']}" (dakika olmalı)`);
+    }
+
+    return { maxHoldMinutes };
+}
+
+/**
+ * Builds search parameters in the same shape as UIManager.getSearchParams
+ * @param {Object} options - Parsed options
+ * @returns {Object} Search parameters
+ * @throws {UsageError} If an option is invalid
+ */
+function buildSearchParams(options) {
+    const departureStation = resolveStationOption(options.from, 'from');
+    const arrivalStation = resolveStationOption(options.to, 'to');
+
+    if (departureStation.id === arrivalStation.id) {
+        throw new UsageError('Kalkış ve varış istasyonu aynı olamaz');
+    }
+
+    const dates = parseDates(options.date).map(convertDateToAPI);
+
+    return {
+        departureStationId: departureStation.id,
+        departureStationName: departureStation.name,
+        arrivalStationId: arrivalStation.id,
+        arrivalStationName: arrivalStation.name,
+        departureDate: dates[0],
+        dates,
+        ...parseWindow(options.window),
+        ...parseArrivalWindow(options['arrival-window']),
+        ...parseTrainFilters(options),
+        ...parseConnectionOptions(options),
+        nearbyStops: parseNearbyStops(options['nearby-stops']),
+        selectedCabinClasses: parseClasses(options.class),
+        maxPrice: parseMaxPrice(options['max-price']),
+        alertPriceDrop: options['alert-price-drop'],
+        passengers: parsePassengers(options.passenger),
+        seatPreferences: parseSeatPreferences(options),
+        holdRenewal: parseHoldRenewal(options),
+        holdSeat: options.hold
+    };
+}
+
+/**
+ * Formats the latest results per date for the terminal
+ * @param {Array} dateResults - Latest results per date (see SearchManager.getDateResults)
+ * @returns {string} Results text
+ */
+function formatResults(dateResults) {
+    return dateResults.map(dateResult => {
+        const lines = [`📅 ${dateResult.date}`];
+
+        if (dateResult.trains.length === 0) {
+            lines.push('   Seçili sınıflarda boş koltuklu sefer yok');
+        }
+
+        dateResult.trains.forEach(train => {
+            const cabins = train.cabinClasses
+                .filter(cabin => cabin.isSelected)
+                .map(cabin => {
+                    const availability = cabin.availability === 0 ? 'TÜKENDİ' : `${cabin.availability} koltuk`;
+                    return `${cabin.className}: ${availability}${cabin.price ? ` (${cabin.price} TL)` : ''}` +
+                        (cabin.isWithinPrice ? '' : ' fiyat sınırının üstünde');
+                });
+            lines.push(`   🚆 ${train.name} ${train.departureTime} → ${train.arrivalTime}${train.dayChanged ? ' (+1 gün)' : ''}` +
+                ` | ${cabins.join(', ')}`);
+
+            (train.legs || []).forEach((leg, index) => {
+                lines.push(`      ${index + 1}. ${leg.name}: ${leg.departureStationName} ${leg.departureTime} → ${leg.arrivalStationName} ${leg.arrivalTime}`);
+                const transfer = train.transfers[index];
+                if (transfer) {
+                    lines.push(`      🔄 Aktarma: ${transfer.stationName}, ${formatMinutes(transfer.layover)} bekleme`);
+                }
+            });
+        });
+
+        (dateResult.alternatives || []).forEach(alternative => {
+            const seats = alternative.cabinClasses
+                .filter(cabin => cabin.isSelected && cabin.availability > 0)
+                .map(cabin => `${cabin.className}: ${cabin.availability} koltuk`);
+            lines.push(`   💡 ${alternative.name} ${alternative.departureTime} → ${alternative.arrivalTime}: ` +
+                `${describeStopShift(alternative)}, ${formatExtraTime(alternative.extraMinutes)} | ${seats.join(', ')}`);
+        });
+
+        return lines.join('\n');
+    }).join('\n');
+}
+
+/**
+ * Prints held seats and waits until their lock expires
+ * The seats stay reserved for the user to buy them on the TCDD site meanwhile; in
+ * "keep holding" mode renewals push the expiry back until the maximum hold time
+ */
+async function waitForHoldExpiry() {
+    const seats = seatAllocationManager.getAllocatedSeats();
+    seats.forEach(seat => print(`🎫 ${seatAllocationManager.describeSeat(seat)} (${seat.cabinClassName})`));
+
+    const getExpiresAt = () => Math.min(...seatAllocationManager.getAllocatedSeats().map(seat => seat.expiresAt));
+    const deadlines = seats.map(seat => seatAllocationManager.getHoldDeadline(seat)).filter(Boolean);
+    print(`⏳ Koltuk ${formatTime(getExpiresAt())} saatine kadar tutuluyor` +
+        (deadlines.length > 0 ? ` (en geç ${formatTime(Math.min(...deadlines))} saatine kadar yenilenecek)` : '') +
+        '. TCDD sitesinden satın alın; bırakmak için Ctrl+C.');
+
+    const unsubscribes = [
+        seatAllocationManager.on('renewed', ({ message }) => print(message)),
+        seatAllocationManager.on('renewalFailed', ({ message }) => print(message))
+    ];
+
+    while (seatAllocationManager.hasAllocatedSeat() && getExpiresAt() > Date.now()) {
+        await new Promise(resolve => setTimeout(resolve, getExpiresAt() - Date.now()));
+    }
+    unsubscribes.forEach(unsubscribe => unsubscribe());
+
+    if (seatAllocationManager.hasAllocatedSeat()) {
+        seatAllocationManager.expireAllocation();
+        print('⌛ Koltuk tutma süresi doldu.');
+    }
+}
+
+/**
+ * Runs a watch until seats are found (and the hold, if any, ends), the token is rejected or Ctrl+C
+ * @param {Object} params - Search parameters
+ * @returns {Promise<number>} Exit code
+ */
+function runWatch(params) {
+    const watch = { id: 1, name: `${params.departureStationName} → ${params.arrivalStationName}`, params };
+    const search = new SearchManager(watch);
+
+    let lastStatus = '';
+    let lastResults = '';
+    let lastPacing = '';
+    let found = false;
+
+    search.on('status', ({ message }) => {
+        if (message === lastStatus) return;
+        lastStatus = message;
+        print(message);
+    });
+    search.on('schedule', schedule => {
+        // Only report when the polling pace changes, not on every check
+        const pacing = schedule?.factors.map(({ reason, factor }) => `${reason} ×${Number(factor.toFixed(1))}`).join(', ');
+        if (!schedule || pacing === lastPacing) return;
+        lastPacing = pacing;
+        print(`⏱️ Kontrol temposu: ${pacing || 'normal'} (sonraki kontrol ${Math.round(schedule.delay / 1000)} sn sonra)`);
+    });
+    search.on('results', dateResults => {
+        const text = formatResults(dateResults);
+        if (text !== lastResults) {
+            lastResults = text;
+            console.log(text);
+        }
+    });
+    search.on('found', ({ trainLines }) => {
+        found = true;
+        trainLines.forEach(line => print(`🚆 ${line}`));
+    });
+
+    print(`🚄 ${watch.name} | ${params.dates.join(', ')} | ${params.timeStart}-${params.timeEnd}` +
+        `${params.arrivalTimeStart ? ` (varış ${params.arrivalTimeStart}-${params.arrivalTimeEnd})` : ''} | ` +
+        `${params.selectedCabinClasses.join(', ')} | ${describePassengers(params.passengers)}` +
+        `${params.maxPrice != null ? ` | en çok ${params.maxPrice} TL` : ''}` +
+        describeTrainFilters(params).map(part => ` | ${part}`).join('') +
+        `${params.holdSeat ? ' | koltuk tutulacak' : ''}`);
+
+    return new Promise(resolve => {
+        // Handling of found seats ends with the final results
+        search.on('results', async () => {
+            if (!found) return;
+
+            if (seatAllocationManager.hasAllocatedSeat()) {
+                await waitForHoldExpiry();
+            }
+            resolve(0);
+        });
+
+        search.on('authError', () => {
+            print(`🔑 Yeni token'ı ${API_SETTING_KEYS.AUTH_TOKEN} ortam değişkeni veya --config ile verin.`);
+            resolve(1);
+        });
+
+        process.once('SIGINT', async () => {
+            search.stopSearch();
+
+            if (seatAllocationManager.hasAllocatedSeat()) {
+                print('🔓 Tutulan koltuk serbest bırakılıyor...');
+                const result = await seatAllocationManager.releaseSeat();
+                print(result.success ? `✅ ${result.message}` : `❌ ${result.message}`);
+            }
+            resolve(0);
+        });
+
+        search.startSearch();
+    });
+}
+
+/**
+ * CLI entry point
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+    let logFile = null;
+
+    // Log entries of all modules are printed here, with the time like every other line
+    logger.consoleOutput = false;
+    logger.on('entry', printLogEntry);
+
+    try {
+        const options = parseOptions(process.argv.slice(2));
+        logFile = options['log-file'];
+
+        if (options.help || !options.command) {
+            console.log(USAGE);
+            return options.help ? 0 : 2;
+        }
+        if (options.command !== 'watch') {
+            throw new UsageError(`Bilinmeyen komut: ${options.command}`);
+        }
+
+        if (options.interval) {
+            const seconds = Number(options.interval);
+            if (!(seconds > 0)) {
+                throw new UsageError(`Geçersiz kontrol aralığı: ${options.interval}`);
+            }
+            CONFIG.CHECK_INTERVAL = seconds * 1000;
+        }
+
+        if (options.webhook) {
+            notifierRegistry.register(new WebhookNotifier({ url: options.webhook }));
+        }
+
+        await loadApiSettings(options.config);
+        await loadStations();
+        const exitCode = await runWatch(buildSearchParams(options));
+        await notifierRegistry.flush();
+        return exitCode;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`⚠️ ${error.message}\nKullanım için: tren-bul --help`);
+            return 2;
+        }
+
+        console.error('❌ Hata:', error);
+        return 1;
+    } finally {
+        if (logFile) {
+            await writeLogFile(logFile).catch(error => console.error(`⚠️ Günlük dosyası yazılamadı: ${error.message}`));
+        }
+    }
+}
+
+process.exit(await main());
@@ -1,10 +1,43 @@
 /**
  * API module for TCDD train availability
  * Handles all API communication with the TCDD backend
+ * All calls go through the shared HTTP client and throw HttpError on failure
  */
 
 import { CONFIG } from './config.js';
-import { getRandomDelay, sleep } from './utils.js';
+import { httpClient, ApiAuthError } from './http_client.js';
+import { getPassengers, getPassengerTypeCounts } from './passengers.js';
+import { getExcludedTrainTypes, getTrainTypeCodes } from './train_filters.js';
+import { logger, LOG_CATEGORIES } from './logger.js';
+
+export { ApiAuthError };
+
+/**
+ * Builds the full URL of an API endpoint from the (overridable) base URL and query
+ * @param {string} path - Endpoint path (see CONFIG.API_PATHS)
+ * @returns {string} Endpoint URL
+ */
+export function getApiUrl(path) {
+    return `${CONFIG.API_BASE_URL}${path}${CONFIG.API_QUERY ? `?${CONFIG.API_QUERY}` : ''}`;
+}
+
+/**
+ * Builds the headers the TCDD web client sends
+ * @param {Object} [extraHeaders={}] - Additional headers
+ * @returns {Object} Request headers
+ */
+function getHeaders(extraHeaders = {}) {
+    return {
+        'Accept': 'application/json, text/plain, */*',
+        'Accept-Language': 'tr',
+        'Authorization': CONFIG.AUTH_TOKEN,
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+        'unit-id': CONFIG.UNIT_ID,
+        'Content-Type': 'application/json',
+        'Origin': 'https://ebilet.tcddtasimacilik.gov.tr',
+        ...extraHeaders
+    };
+}
 
 export class TrainAPI {
     constructor() {
@@ -27,66 +60,55 @@ export class TrainAPI {
      * @param {number} params.arrivalStationId - Arrival station ID
      * @param {string} params.arrivalStationName - Arrival station name
      * @param {string} params.departureDate - Departure date (DD-MM-YYYY)
-     * @param {boolean} [skipDelay=false] - Skip anti-bot delay (for first request)
+     * @param {string} [params.returnDate] - Return date (DD-MM-YYYY), adds a reversed return route
+     * @param {Array} [params.passengers] - Passengers (see passengers.js), one adult by default
+     * @param {Array<string>} [params.excludedTrainTypes] - Train types left out (see train_filters.js)
      * @returns {Promise<Object>} API response data
-     * @throws {Error} If the request fails
+     * @throws {HttpError} If the request fails
      */
-    async checkAvailability(params, skipDelay = false) {
+    async checkAvailability(params) {
         // Prevent concurrent requests
         if (this.isLoading) {
-            console.log('⏳ Önceki istek devam ediyor, atlıyorum...');
+            logger.info(LOG_CATEGORIES.API, '⏳ Önceki istek devam ediyor, atlıyorum...');
             return null;
         }
 
         try {
             this.isLoading = true;
 
-            // Anti-bot protection: random delay (skip for first request)
-            if (!skipDelay) {
-                const randomDelay = getRandomDelay(
-                    CONFIG.MIN_ANTI_BOT_DELAY,
-                    CONFIG.MAX_ANTI_BOT_DELAY
-                );
-                await sleep(randomDelay);
+            const searchRoutes = [{
+                departureStationId: params.departureStationId,
+                departureStationName: params.departureStationName,
+                arrivalStationId: params.arrivalStationId,
+                arrivalStationName: params.arrivalStationName,
+                departureDate: `${params.departureDate} 00:00:00`
+            }];
+
+            // Round trip: the return route comes back as trainLegs[1]
+            if (params.returnDate) {
+                searchRoutes.push({
+                    departureStationId: params.arrivalStationId,
+                    departureStationName: params.arrivalStationName,
+                    arrivalStationId: params.departureStationId,
+                    arrivalStationName: params.departureStationName,
+                    departureDate: `${params.returnDate} 00:00:00`
+                });
             }
 
             const requestBody = {
-                searchRoutes: [{
-                    departureStationId: params.departureStationId,
-                    departureStationName: params.departureStationName,
-                    arrivalStationId: params.arrivalStationId,
-                    arrivalStationName: params.arrivalStationName,
-                    departureDate: `${params.departureDate} 00:00:00`
-                }],
-                passengerTypeCounts: [{ id: 0, count: 1 }],
+                searchRoutes: searchRoutes,
+                passengerTypeCounts: getPassengerTypeCounts(getPassengers(params)),
                 searchReservation: false,
                 searchType: 'DOMESTIC',
-                blTrainTypes: ['TURISTIK_TREN']
+                blTrainTypes: getTrainTypeCodes(getExcludedTrainTypes(params))
             };
 
-            const response = await fetch(CONFIG.API_URL, {
-                method: 'POST',
-                headers: {
-                    'Accept': 'application/json, text/plain, */*',
-                    'Accept-Language': 'tr',
-                    'Authorization': CONFIG.AUTH_TOKEN,
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-                    'unit-id': '3895',
-                    'Content-Type': 'application/json',
-                    'Origin': 'https://ebilet.tcddtasimacilik.gov.tr'
-                },
-                body: JSON.stringify(requestBody)
+            return await httpClient.postJson(getApiUrl(CONFIG.API_PATHS.AVAILABILITY), requestBody, {
+                headers: getHeaders()
             });
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: API request failed`);
-            }
-
-            const data = await response.json();
-            return data;
-
         } catch (error) {
-            console.error('API Error:', error);
+            logger.error(LOG_CATEGORIES.API, `API hatası: ${error.message}`, { details: error });
             throw error;
         } finally {
             this.isLoading = false;
@@ -98,142 +120,68 @@ export class TrainAPI {
      * @param {number} trainId - Train ID
      * @param {number} fromStationId - Departure station ID
      * @param {number} toStationId - Arrival station ID
+     * @param {number} [legIndex=0] - Leg index in the availability search (1 = return leg)
      * @returns {Promise<Object>} Seat map data
+     * @throws {HttpError} If the request fails
      */
-    async checkSeatMap(trainId, fromStationId, toStationId) {
-        try {
-            const requestBody = {
-                fromStationId: fromStationId,
-                toStationId: toStationId,
-                trainId: trainId,
-                legIndex: 0 // Assuming legIndex 0 for now as per curl example
-            };
-
-            const response = await fetch(CONFIG.SEAT_MAP_API_URL, {
-                method: 'POST',
-                headers: {
-                    'Accept': 'application/json, text/plain, */*',
-                    'Accept-Language': 'tr',
-                    'Authorization': CONFIG.AUTH_TOKEN,
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-                    'unit-id': '3895',
-                    'Content-Type': 'application/json',
-                    'Origin': 'https://ebilet.tcddtasimacilik.gov.tr'
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                // If there's an error, try to parse JSON error message if possible
-                try {
-                    const errorData = await response.json();
-                    console.error('Seat Map API Error:', errorData);
-                } catch (e) {
-                    // Ignore JSON parse error
-                }
-                throw new Error(`HTTP ${response.status}: Seat map request failed`);
-            }
-
-            return await response.json();
-
-        } catch (error) {
-            console.error('checkSeatMap Error:', error);
-            return null; // Return null on error so flow can continue or be handled gracefully
-        }
+    async checkSeatMap(trainId, fromStationId, toStationId, legIndex = 0) {
+        const requestBody = {
+            fromStationId: fromStationId,
+            toStationId: toStationId,
+            trainId: trainId,
+            legIndex: legIndex
+        };
+
+        return httpClient.postJson(getApiUrl(CONFIG.API_PATHS.SEAT_MAP), requestBody, {
+            headers: getHeaders()
+        });
     }
 
     /**
      * Allocates a specific seat
+     * Not retried after network or server errors: the seat may already be held by the first attempt
      * @param {Object} seatData - Seat allocation data
      * @returns {Promise<Object>} Allocation result
+     * @throws {HttpError} If the request fails
      */
     async allocateSeat(seatData) {
-        try {
-            const requestBody = {
-                trainCarId: seatData.trainCarId,
-                fromStationId: seatData.fromStationId,
-                toStationId: seatData.toStationId,
-                gender: seatData.gender || 'M',
-                seatNumber: seatData.seatNumber,
-                passengerTypeId: seatData.passengerTypeId || 0,
-                totalPassengerCount: seatData.totalPassengerCount || 1,
-                fareFamilyId: seatData.fareFamilyId || 0
-            };
-
-            const response = await fetch(CONFIG.ALLOCATE_SEAT_API_URL, {
-                method: 'POST',
-                headers: {
-                    'Accept': 'application/json, text/plain, */*',
-                    'Accept-Language': 'tr',
-                    'Authorization': CONFIG.AUTH_TOKEN,
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-                    'unit-id': '3895',
-                    'Content-Type': 'application/json',
-                    'Origin': 'https://ebilet.tcddtasimacilik.gov.tr',
-                    'Priority': 'u=0'
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                try {
-                    const errorData = await response.json();
-                    console.error('Allocate Seat API Error:', errorData);
-                } catch (e) {}
-                throw new Error(`HTTP ${response.status}: Allocation request failed`);
-            }
-
-            return await response.json();
-
-        } catch (error) {
-            console.error('allocateSeat Error:', error);
-            return null;
-        }
+        const requestBody = {
+            trainCarId: seatData.trainCarId,
+            fromStationId: seatData.fromStationId,
+            toStationId: seatData.toStationId,
+            gender: seatData.gender || 'M',
+            seatNumber: seatData.seatNumber,
+            passengerTypeId: seatData.passengerTypeId || 0,
+            totalPassengerCount: seatData.totalPassengerCount || 1,
+            fareFamilyId: seatData.fareFamilyId || 0
+        };
+
+        return httpClient.postJson(getApiUrl(CONFIG.API_PATHS.ALLOCATE_SEAT), requestBody, {
+            headers: getHeaders({ 'Priority': 'u=0' }),
+            idempotent: false
+        });
     }
 
     /**
      * Releases an allocated seat
      * @param {Object} allocationData - Deallocation data
      * @returns {Promise<Object>} Deallocation result
+     * @throws {HttpError} If the request fails
      */
     async deallocateSeat(allocationData) {
-        try {
-            const requestBody = {
-                trainCarId: allocationData.trainCarId,
-                allocationId: allocationData.allocationId,
-                seatNumber: allocationData.seatNumber
-            };
-
-            const response = await fetch(CONFIG.DEALLOCATE_SEAT_API_URL, {
-                method: 'POST',
-                headers: {
-                    'Accept': 'application/json, text/plain, */*',
-                    'Accept-Language': 'tr',
-                    'Authorization': CONFIG.AUTH_TOKEN,
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-                    'unit-id': '3895',
-                    'Content-Type': 'application/json',
-                    'Origin': 'https://ebilet.tcddtasimacilik.gov.tr'
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                try {
-                    const errorData = await response.json();
-                    console.error('Deallocate Seat API Error:', errorData);
-                } catch (e) {}
-                throw new Error(`HTTP ${response.status}: Deallocation request failed`);
-            }
-
-            // Deallocate API might return 200 OK with empty body or some JSON
-            // We just return success if status is OK
-            return { success: true };
-
-        } catch (error) {
-            console.error('deallocateSeat Error:', error);
-            throw error;
-        }
+        const requestBody = {
+            trainCarId: allocationData.trainCarId,
+            allocationId: allocationData.allocationId,
+            seatNumber: allocationData.seatNumber
+        };
+
+        // Deallocate API might return 200 OK with empty body or some JSON
+        // We just return success if status is OK
+        await httpClient.postJson(getApiUrl(CONFIG.API_PATHS.DEALLOCATE_SEAT), requestBody, {
+            headers: getHeaders(),
+            parseJson: false
+        });
+        return { success: true };
     }
 }
 
@@ -0,0 +1,161 @@
+/**
+ * API settings module
+ * Overrides the API base URL, query, auth token and unit-id at runtime,
+ * so a rotated token does not require a code change
+ *
+ * Sources, later ones win:
+ * - browser: CONFIG defaults < config.overrides.json (site-wide) < settings panel (saved in localStorage)
+ * - CLI: CONFIG defaults < --config file < TCDD_* environment variables
+ */
+
+import { CONFIG } from './config.js';
+import { storage } from './storage.js';
+import { logger, LOG_CATEGORIES } from './logger.js';
+
+// Overridable CONFIG keys and their environment variable names (CLI)
+export const API_SETTING_KEYS = {
+    API_BASE_URL: 'TCDD_API_BASE_URL',
+    API_QUERY: 'TCDD_API_QUERY',
+    AUTH_TOKEN: 'TCDD_AUTH_TOKEN',
+    UNIT_ID: 'TCDD_UNIT_ID'
+};
+
+export class ApiSettingsManager {
+    constructor() {
+        this.defaults = this.getSettings(); // Values shipped in CONFIG
+        this.fileOverrides = {}; // Values from config.overrides.json
+    }
+
+    /**
+     * Gets the API settings currently in effect
+     * @returns {Object} Settings ({ API_BASE_URL, API_QUERY, AUTH_TOKEN, UNIT_ID })
+     */
+    getSettings() {
+        return Object.fromEntries(Object.keys(API_SETTING_KEYS).map(key => [key, CONFIG[key]]));
+    }
+
+    /**
+     * Gets the settings the app uses without user overrides (CONFIG plus overrides file)
+     * @returns {Object} Settings
+     */
+    getDefaults() {
+        return { ...this.defaults, ...this.fileOverrides };
+    }
+
+    /**
+     * Validates and normalizes overrides; unknown keys and empty values are dropped
+     * @param {Object} overrides - Setting values by CONFIG key
+     * @returns {Object} Normalized overrides
+     * @throws {Error} If the base URL is not an http(s) URL
+     */
+    normalize(overrides) {
+        const normalized = {};
+
+        Object.entries(overrides || {}).forEach(([key, value]) => {
+            if (!(key in API_SETTING_KEYS)) {
+                logger.warning(LOG_CATEGORIES.API, `Bilinmeyen API ayarı yok sayıldı: ${key}`);
+                return;
+            }
+            if (typeof value !== 'string' || !value.trim()) return;
+
+            normalized[key] = value.trim();
+        });
+
+        if (normalized.API_BASE_URL) {
+            if (!/^https?:\/\/[^\s/]+/i.test(normalized.API_BASE_URL)) {
+                throw new Error(`Geçersiz API adresi: ${normalized.API_BASE_URL}`);
+            }
+            normalized.API_BASE_URL = normalized.API_BASE_URL.replace(/\/+$/, '');
+        }
+        if (normalized.API_QUERY) {
+            normalized.API_QUERY = normalized.API_QUERY.replace(/^\?/, '');
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Applies overrides to CONFIG
+     * @param {Object} overrides - Setting values by CONFIG key
+     * @returns {Object} Applied (normalized) overrides
+     * @throws {Error} If an override is invalid
+     */
+    applyOverrides(overrides) {
+        const normalized = this.normalize(overrides);
+        Object.assign(CONFIG, normalized);
+        return normalized;
+    }
+
+    /**
+     * Loads site-wide overrides from config.overrides.json, if the site has one
+     * @param {string} [path=CONFIG.CONFIG_OVERRIDES_PATH] - Overrides file URL
+     */
+    async loadOverridesFile(path = CONFIG.CONFIG_OVERRIDES_PATH) {
+        try {
+            const response = await fetch(path, { cache: 'no-store' });
+            if (!response.ok) return; // The file is optional
+
+            this.fileOverrides = this.applyOverrides(await response.json());
+            if (Object.keys(this.fileOverrides).length > 0) {
+                logger.info(LOG_CATEGORIES.API, `⚙️ API ayarları ${path} dosyasından yüklendi`);
+            }
+        } catch (error) {
+            logger.warning(LOG_CATEGORIES.API, 'API ayar dosyası okunamadı', { details: error });
+        }
+    }
+
+    /**
+     * Applies settings saved from the settings panel
+     */
+    loadSaved() {
+        try {
+            this.applyOverrides(storage.get(CONFIG.STORAGE_KEYS.API_SETTINGS, {}));
+        } catch (error) {
+            logger.warning(LOG_CATEGORIES.API, 'Kayıtlı API ayarları geçersiz, yok sayıldı', { details: error });
+        }
+    }
+
+    /**
+     * Applies overrides from TCDD_* environment variables (CLI)
+     * @param {Object} env - Environment variables (process.env)
+     */
+    loadEnvironment(env) {
+        const overrides = {};
+        Object.entries(API_SETTING_KEYS).forEach(([key, variable]) => {
+            if (env[variable]) overrides[key] = env[variable];
+        });
+        this.applyOverrides(overrides);
+    }
+
+    /**
+     * Saves and applies settings from the settings panel
+     * Values equal to the defaults are not stored, so later default changes still apply
+     * @param {Object} settings - Setting values by CONFIG key
+     * @returns {Object} Settings in effect
+     * @throws {Error} If a setting is invalid
+     */
+    save(settings) {
+        const normalized = this.normalize(settings);
+        const defaults = this.getDefaults();
+        const overrides = Object.fromEntries(
+            Object.entries(normalized).filter(([key, value]) => value !== defaults[key])
+        );
+
+        Object.assign(CONFIG, defaults, overrides);
+        storage.set(CONFIG.STORAGE_KEYS.API_SETTINGS, overrides);
+        return this.getSettings();
+    }
+
+    /**
+     * Removes settings saved from the settings panel and goes back to the defaults
+     * @returns {Object} Settings in effect
+     */
+    reset() {
+        storage.remove(CONFIG.STORAGE_KEYS.API_SETTINGS);
+        Object.assign(CONFIG, this.getDefaults());
+        return this.getSettings();
+    }
+}
+
+// Export singleton instance
+export const apiSettings = new ApiSettingsManager();
@@ -0,0 +1,332 @@
+/**
+ * Availability history module
+ * Keeps the seat count and price of every train and cabin class seen by a check in IndexedDB,
+ * and derives from it how long seats stayed available, at which hours they usually
+ * free up on a route (the best times to watch it) and how prices moved
+ */
+
+import { CONFIG } from './config.js';
+import { getMinutesOfDay } from './utils.js';
+import { logger, LOG_CATEGORIES } from './logger.js';
+
+const SAMPLES_STORE = 'samples';
+const ROUTES_STORE = 'routes';
+
+/**
+ * Builds the key of a route
+ * @param {number} departureStationId - Departure station ID
+ * @param {number} arrivalStationId - Arrival station ID
+ * @returns {string} Route key like "796-98"
+ */
+export function getRouteKey(departureStationId, arrivalStationId) {
+    return `${departureStationId}-${arrivalStationId}`;
+}
+
+/**
+ * Turns the trains of a check into history samples, one per train and cabin class
+ * @param {Object} check - Checked leg
+ * @param {Object} check.route - Route ({ departureStationId, departureStationName, arrivalStationId, arrivalStationName })
+ * @param {string} check.date - Travel date (DD-MM-YYYY)
+ * @param {Array} check.trains - All trains of the leg (see SearchManager.processTrainAvailability)
+ * @param {number} check.checkedAt - Time of the check (ms)
+ * @returns {Array<Object>} Samples ({ routeKey, date, trainId, trainName, departureTime, classKey, className, seats,
+ *   price, checkedAt })
+ */
+export function createSamples({ route, date, trains, checkedAt }) {
+    const routeKey = getRouteKey(route.departureStationId, route.arrivalStationId);
+
+    return trains.flatMap(train => train.cabinClasses.map(cabin => ({
+        routeKey,
+        date,
+        trainId: train.trainId,
+        trainName: train.name,
+        departureTime: train.departureTime,
+        classKey: cabin.classKey,
+        className: cabin.className,
+        seats: cabin.availability,
+        price: cabin.price ?? null,
+        checkedAt
+    })));
+}
+
+/**
+ * Groups samples into one time series per travel date, train and cabin class
+ * @param {Array<Object>} samples - Samples of a route
+ * @returns {Array<Object>} Series ({ key, date, trainId, trainName, departureTime, classKey, className, points })
+ *   by date and departure time; points ({ checkedAt, seats, price }) are oldest first
+ */
+export function groupSeries(samples) {
+    const seriesByKey = new Map();
+
+    [...samples].sort((a, b) => a.checkedAt - b.checkedAt).forEach(sample => {
+        const key = `${sample.date}|${sample.trainId}|${sample.classKey}`;
+        if (!seriesByKey.has(key)) {
+            const { date, trainId, trainName, departureTime, classKey, className } = sample;
+            seriesByKey.set(key, { key, date, trainId, trainName, departureTime, classKey, className, points: [] });
+        }
+        seriesByKey.get(key).points.push({ checkedAt: sample.checkedAt, seats: sample.seats, price: sample.price ?? null });
+    });
+
+    // DD-MM-YYYY dates sort by their reversed parts
+    const sortKey = series => `${series.date.split('-').reverse().join('')} ${series.departureTime} ${series.classKey}`;
+    return [...seriesByKey.values()].sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+}
+
+/**
+ * Finds the periods in which a series had free seats
+ * A period ends at the first check without seats; a gap longer than HISTORY.MAX_SAMPLE_GAP
+ * between two checks (nobody was watching) ends it at the last check that saw seats.
+ * @param {Object} series - Series (see groupSeries)
+ * @returns {Array<Object>} Windows ({ ...series info, start, end, duration, maxSeats, freedUp, isOpen }):
+ *   freedUp is true if an earlier check saw no seats (the start is when seats freed up),
+ *   isOpen if the seats were still free at the last check
+ */
+export function findAvailabilityWindows(series) {
+    const { points, ...info } = series;
+    const windows = [];
+    let current = null;
+    let previous = null;
+
+    const close = (end, isOpen) => {
+        windows.push({ ...info, ...current, end, duration: end - current.start, isOpen });
+        current = null;
+    };
+
+    points.forEach(point => {
+        const isGap = previous && point.checkedAt - previous.checkedAt > CONFIG.HISTORY.MAX_SAMPLE_GAP;
+
+        if (current && isGap) {
+            close(previous.checkedAt, false);
+        }
+
+        if (point.seats > 0) {
+            if (current) {
+                current.maxSeats = Math.max(current.maxSeats, point.seats);
+            } else {
+                current = {
+                    start: point.checkedAt,
+                    maxSeats: point.seats,
+                    freedUp: Boolean(previous && !isGap && previous.seats === 0)
+                };
+            }
+        } else if (current) {
+            close(point.checkedAt, false);
+        }
+
+        previous = point;
+    });
+
+    if (current) {
+        close(previous.checkedAt, true);
+    }
+
+    return windows;
+}
+
+/**
+ * Counts at which hours of the day seats freed up
+ * @param {Array<Object>} windows - Availability windows (see findAvailabilityWindows)
+ * @returns {Array<number>} 24 counts, index = hour in Turkey
+ */
+export function getFreeUpHours(windows) {
+    const hours = new Array(24).fill(0);
+    windows
+        .filter(window => window.freedUp)
+        .forEach(window => hours[Math.floor(getMinutesOfDay(window.start) / 60)]++);
+    return hours;
+}
+
+/**
+ * Finds the checks at which the price of a series changed
+ * Checks without a known price are skipped, so a price is compared with the last known one
+ * @param {Object} series - Series (see groupSeries)
+ * @returns {Array<Object>} Changes ({ ...series info, checkedAt, previousPrice, price }), oldest first
+ */
+export function findPriceChanges(series) {
+    const { points, ...info } = series;
+    const changes = [];
+    let previousPrice = null;
+
+    points.forEach(point => {
+        if (point.price == null) return;
+
+        if (previousPrice !== null && point.price !== previousPrice) {
+            changes.push({ ...info, checkedAt: point.checkedAt, previousPrice, price: point.price });
+        }
+        previousPrice = point.price;
+    });
+
+    return changes;
+}
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Waits until a transaction is committed
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+class AvailabilityHistory {
+    constructor() {
+        this.dbPromise = null; // Opened once, on first use
+        this.lastStored = new Map(); // Series key -> last stored sample, to skip unchanged counts
+    }
+
+    /**
+     * Checks if IndexedDB can be used (not available outside browsers)
+     * @returns {boolean} True if history can be recorded
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Opens the history database, creating its stores on first use and dropping old samples
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(CONFIG.HISTORY.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const samples = db.createObjectStore(SAMPLES_STORE, { autoIncrement: true });
+                samples.createIndex('routeKey', 'routeKey');
+                samples.createIndex('checkedAt', 'checkedAt');
+                db.createObjectStore(ROUTES_STORE, { keyPath: 'routeKey' });
+            };
+
+            this.dbPromise = promisifyRequest(request).then(async db => {
+                await this.prune(db);
+                return db;
+            });
+            this.dbPromise.catch(() => {
+                this.dbPromise = null; // Try again next time
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Checks whether a sample adds to the history
+     * Unchanged seat counts and prices are stored only every HISTORY.SAMPLE_INTERVAL, which
+     * keeps the database small while still telling a quiet series from one nobody watched
+     * @param {Object} sample - Sample
+     * @returns {boolean} True if the sample should be stored
+     */
+    shouldStore(sample) {
+        const key = `${sample.routeKey}|${sample.date}|${sample.trainId}|${sample.classKey}`;
+        const last = this.lastStored.get(key);
+        if (last && last.seats === sample.seats && last.price === sample.price && sample.checkedAt - last.checkedAt < CONFIG.HISTORY.SAMPLE_INTERVAL) {
+            return false;
+        }
+
+        this.lastStored.set(key, sample);
+        return true;
+    }
+
+    /**
+     * Records the trains of a checked leg
+     * Failures are only logged: history must never get in the way of the search
+     * @param {Object} check - Checked leg (see createSamples)
+     */
+    async record(check) {
+        if (!this.isAvailable()) return;
+
+        try {
+            const samples = createSamples(check).filter(sample => this.shouldStore(sample));
+            if (samples.length === 0) return;
+
+            const db = await this.open();
+            const transaction = db.transaction([SAMPLES_STORE, ROUTES_STORE], 'readwrite');
+            const samplesStore = transaction.objectStore(SAMPLES_STORE);
+            samples.forEach(sample => samplesStore.add(sample));
+            transaction.objectStore(ROUTES_STORE).put({
+                ...check.route,
+                routeKey: samples[0].routeKey,
+                lastCheckedAt: check.checkedAt
+            });
+            await transactionDone(transaction);
+        } catch (error) {
+            logger.error(LOG_CATEGORIES.SEARCH, 'Yer geçmişi kaydedilemedi', { details: error });
+        }
+    }
+
+    /**
+     * Gets the routes with recorded history, most recently checked first
+     * @returns {Promise<Array<Object>>} Routes ({ routeKey, departureStationName, arrivalStationName, ... })
+     */
+    async getRoutes() {
+        if (!this.isAvailable()) return [];
+
+        const db = await this.open();
+        const routes = await promisifyRequest(db.transaction(ROUTES_STORE).objectStore(ROUTES_STORE).getAll());
+        return routes.sort((a, b) => b.lastCheckedAt - a.lastCheckedAt);
+    }
+
+    /**
+     * Gets all samples of a route
+     * @param {string} routeKey - Route key (see getRouteKey)
+     * @returns {Promise<Array<Object>>} Samples
+     */
+    async getSamples(routeKey) {
+        if (!this.isAvailable()) return [];
+
+        const db = await this.open();
+        const index = db.transaction(SAMPLES_STORE).objectStore(SAMPLES_STORE).index('routeKey');
+        return promisifyRequest(index.getAll(routeKey));
+    }
+
+    /**
+     * Deletes samples older than HISTORY.RETENTION_DAYS
+     * @param {IDBDatabase} db - Database
+     */
+    async prune(db) {
+        const cutoff = Date.now() - CONFIG.HISTORY.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const transaction = db.transaction(SAMPLES_STORE, 'readwrite');
+        const request = transaction.objectStore(SAMPLES_STORE).index('checkedAt').openCursor(IDBKeyRange.upperBound(cutoff));
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Deletes all recorded history
+     */
+    async clear() {
+        if (!this.isAvailable()) return;
+
+        const db = await this.open();
+        const transaction = db.transaction([SAMPLES_STORE, ROUTES_STORE], 'readwrite');
+        transaction.objectStore(SAMPLES_STORE).clear();
+        transaction.objectStore(ROUTES_STORE).clear();
+        await transactionDone(transaction);
+        this.lastStored.clear();
+    }
+}
+
+// Export singleton instance
+export const availabilityHistory = new AvailabilityHistory();
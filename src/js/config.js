@@ -4,28 +4,121 @@
 
 export const CONFIG = {
     // API Configuration
-    API_URL: 'https://web-api-prod-ytp.tcddtasimacilik.gov.tr/tms/train/train-availability?environment=dev&userId=1',
-    SEAT_MAP_API_URL: 'https://web-api-prod-ytp.tcddtasimacilik.gov.tr/tms/seat-maps/load-by-train-id?environment=dev&userId=1',
-    ALLOCATE_SEAT_API_URL: 'https://web-api-prod-ytp.tcddtasimacilik.gov.tr/tms/inventory/select-seat?environment=dev&userId=1',
-    DEALLOCATE_SEAT_API_URL: 'https://web-api-prod-ytp.tcddtasimacilik.gov.tr/tms/inventory/release-seat?environment=dev&userId=1',
+    // Base URL, query, token and unit-id can be overridden at runtime (see api_settings.js)
+    API_BASE_URL: 'https://web-api-prod-ytp.tcddtasimacilik.gov.tr',
+    API_QUERY: 'environment=dev&userId=1',
+    API_PATHS: {
+        AVAILABILITY: '/tms/train/train-availability',
+        SEAT_MAP: '/tms/seat-maps/load-by-train-id',
+        ALLOCATE_SEAT: '/tms/inventory/select-seat',
+        DEALLOCATE_SEAT: '/tms/inventory/release-seat'
+    },
+    UNIT_ID: '3895',
+
+    // Train times are Turkish local times, whatever the time zone of the browser or server is
+    TIME_ZONE: 'Europe/Istanbul',
     
     // TCDD's hardcoded JWT token (Static token used since 2024)
     // NOTE: "Bearer" prefix is NOT used! Token is sent directly.
     AUTH_TOKEN: 'eyJhbGciOiJSUzI1NiIsInR5cCIgOiAiSldUIiwia2lkIiA6ICJlVFFicDhDMmpiakp1cnUzQVk2a0ZnV196U29MQXZIMmJ5bTJ2OUg5THhRIn0.eyJleHAiOjE3MjEzODQ0NzAsImlhdCI6MTcyMTM4NDQxMCwianRpIjoiYWFlNjVkNzgtNmRkZS00ZGY4LWEwZWYtYjRkNzZiYjZlODNjIiwiaXNzIjoiaHR0cDovL3l0cC1wcm9kLW1hc3RlcjEudGNkZHRhc2ltYWNpbGlrLmdvdi50cjo4MDgwL3JlYWxtcy9tYXN0ZXIiLCJhdWQiOiJhY2NvdW50Iiwic3ViIjoiMDAzNDI3MmMtNTc2Yi00OTBlLWJhOTgtNTFkMzc1NWNhYjA3IiwidHlwIjoiQmVhcmVyIiwiYXpwIjoidG1zIiwic2Vzc2lvbl9zdGF0ZSI6IjAwYzM4NTJiLTg1YjEtNDMxNS04OGIwLWQ0MWMxMTcyYzA0MSIsImFjciI6IjEiLCJyZWFsbV9hY2Nlc3MiOnsicm9sZXMiOlsiZGVmYXVsdC1yb2xlcy1tYXN0ZXIiLCJvZmZsaW5lX2FjY2VzcyIsInVtYV9hdXRob3JpemF0aW9uIl19LCJyZXNvdXJjZV9hY2Nlc3MiOnsiYWNjb3VudCI6eyJyb2xlcyI6WyJtYW5hZ2UtYWNjb3VudCIsIm1hbmFnZS1hY2NvdW50LWxpbmtzIiwidmlldy1wcm9maWxlIl19fSwic2NvcGUiOiJvcGVuaWQgZW1haWwgcHJvZmlsZSIsInNpZCI6IjAwYzM4NTJiLTg1YjEtNDMxNS04OGIwLWQ0MWMxMTcyYzA0MSIsImVtYWlsX3ZlcmlmaWVkIjpmYWxzZSwicHJlZmVycmVkX3VzZXJuYW1lIjoid2ViIiwiZ2l2ZW5fbmFtZSI6IiIsImZhbWlseV9uYW1lIjoiIn0.AIW_4Qws2wfwxyVg8dgHRT9jB3qNavob2C4mEQIQGl3urzW2jALPx-e51ZwHUb-TXB-X2RPHakonxKnWG6tDIP5aKhiidzXDcr6pDDoYU5DnQhMg1kywyOaMXsjLFjuYN5PAyGUMh6YSOVsg1PzNh-5GrJF44pS47JnB9zk03Pr08napjsZPoRB-5N4GQ49cnx7ePC82Y7YIc-gTew2baqKQPz9_v381Gbm2V38PZDH9KldlcWut7kqQYJFMJ7dkM_entPJn9lFk7R5h5j_06OlQEpWRMQTn9SQ1AYxxmZxBu5XYMKDkn4rzIIVCkdTPJNCt5PvjENjClKFeUA1DOg',
     
     // Timing Configuration
-    CHECK_INTERVAL: 5000, // Check interval in milliseconds
-    MIN_ANTI_BOT_DELAY: 3000, // Minimum delay for anti-bot protection (ms)
-    MAX_ANTI_BOT_DELAY: 8000, // Maximum delay for anti-bot protection (ms)
+    CHECK_INTERVAL: 5000, // Base check interval in milliseconds, scaled by the polling policy
+    MIN_ANTI_BOT_DELAY: 3000, // Minimum random delay added to every check interval (ms)
+    MAX_ANTI_BOT_DELAY: 8000, // Maximum random delay added to every check interval (ms)
+    HOLD_EXPIRY_WARNING: 2 * 60 * 1000, // Send "hold expiring" notification this long before lock expiry (ms)
+    HOLD_RENEWAL_LEAD: 45 * 1000, // "Keep holding" releases and re-holds a seat this long before lock expiry (ms)
+    DEFAULT_MAX_HOLD_MINUTES: 60, // Default limit of the total time a seat is kept held by renewals (minutes)
+    MAX_CHECK_INTERVAL: 5 * 60 * 1000, // Slowest check interval, e.g. after repeated failures (ms)
+    
+    // Adaptive polling (see polling.js): CHECK_INTERVAL is multiplied by every matching factor
+    POLLING: {
+        // Closeness of the nearest departure; first tier whose limit is not exceeded applies
+        PROXIMITY_TIERS: [
+            { withinHours: 24, factor: 0.6, label: 'kalkışa 1 günden az' },
+            { withinHours: 3 * 24, factor: 1, label: 'kalkışa 3 günden az' },
+            { withinHours: 7 * 24, factor: 2, label: 'kalkışa 1 haftadan az' },
+            { withinHours: Infinity, factor: 4, label: 'kalkışa 1 haftadan fazla' }
+        ],
+        // Local time windows [start, end); unpaid reservations are released around midnight
+        HOUR_WINDOWS: [
+            { start: '23:45', end: '24:00', factor: 0.5, label: 'rezervasyon iptal saati' },
+            { start: '00:00', end: '00:30', factor: 0.5, label: 'rezervasyon iptal saati' },
+            { start: '02:00', end: '06:00', factor: 3, label: 'gece' }
+        ],
+        ERROR_WINDOW: 10, // Number of recent checks the error rate is calculated over
+        ERROR_RATE_FACTOR: 3 // Error factor is 1 + error rate × this (4× when all recent checks failed)
+    },
+    
+    // HTTP retries (see http_client.js)
+    HTTP_MAX_RETRIES: 2, // Retries of a failed request (network, 5xx, 429, bad JSON)
+    HTTP_RETRY_BASE_DELAY: 1000, // First backoff delay, doubled on each retry (ms)
+    HTTP_MAX_RETRY_DELAY: 30 * 1000, // Longest wait before a retry; a longer Retry-After is left to the search loop (ms)
+    
+    // Seat preferences for automatic holding (see seat_preferences.js)
+    SEAT_PREFERENCE_WEIGHTS: {
+        POSITION: 4, // Window or aisle
+        WAGON: 3, // Preferred wagon range
+        FACING: 2, // Facing direction
+        AVOID_WC: 1 // Away from the WC
+    },
+    WC_NEAR_DISTANCE: 1, // Seats this many columns or closer to a WC count as near it
+    
+    // Passengers (see passengers.js)
+    MAX_PASSENGERS: 6, // Most passengers a single search holds seats for
+    
+    // Availability history (see availability_history.js)
+    HISTORY: {
+        DB_NAME: 'trenBiletBulucu', // IndexedDB database
+        RETENTION_DAYS: 30, // Samples older than this are deleted
+        SAMPLE_INTERVAL: 5 * 60 * 1000, // An unchanged seat count is stored again after this long (ms)
+        MAX_SAMPLE_GAP: 15 * 60 * 1000 // Checks further apart than this end an availability window (ms)
+    },
+
+    // Nearby stops (see nearby_stops.js): other boarding/alighting stations tried on sold out trains
+    NEARBY_STOPS: {
+        MAX_STOPS: 3, // Most stops a boarding or alighting station may be moved
+        MAX_QUERIES: 3 // Extra availability requests per check, closest station pairs first
+    },
+    
+    // Train types chosen in searches; code is the type the API takes in blTrainTypes and
+    // returns in train.type (the codes the TCDD site itself uses, see train_filters.js)
+    TRAIN_TYPES: {
+        YHT: { code: 'YHT', name: 'YHT' },
+        ANAHAT: { code: 'AH', name: 'Anahat' },
+        BOLGESEL: { code: 'BOLGESEL', name: 'Bölgesel' },
+        TURISTIK_TREN: { code: 'TURISTIK_TREN', name: 'Turistik' }
+    },
+    DEFAULT_EXCLUDED_TRAIN_TYPES: ['TURISTIK_TREN'], // Left out of searches that do not choose train types
+
+    // Flexible date search
+    MAX_SEARCH_DATES: 31, // Maximum number of dates a single watch can cycle through
+    DEFAULT_FLEX_DAYS: 14, // Default look-ahead for weekday mode (days)
     
     // Default Values
     DEFAULT_DEPARTURE_STATION: 'KONYA',
     DEFAULT_ARRIVAL_STATION: 'ANKARA GAR',
     
+    // Station picker
+    STATION_PICKER_LIMIT: 30, // Maximum number of suggestions shown
+    MAX_RECENT_STATIONS: 5,
+
+    // Activity log (see logger.js)
+    LOG: {
+        BUFFER_SIZE: 1000, // Entries kept in memory and exported; the oldest are dropped beyond this
+        MAX_SHOWN: 200 // Entries listed in a log panel
+    },
+
+    // Calendar export (see trip_share.js)
+    CALENDAR_REMINDER_MINUTES: 60, // Reminder before the departure of an exported train (minutes)
+    
     // Audio Configuration
     MUSIC_VOLUME: 0.8,
     MUSIC_PATH: './assets/success.mp3',
     
+    // Service worker used for background notifications (must be at the site root)
+    SERVICE_WORKER_PATH: './sw.js',
+    
     // Cabin class definitions from TCDD API
     CABIN_CLASSES: {
         ECONOMY: {
@@ -66,6 +159,32 @@ export const CONFIG = {
         }
     },
     
+    // Passenger types from TCDD API (passengerTypeId / passengerTypeCounts[].id)
+    PASSENGER_TYPES: {
+        ADULT: { id: 0, name: 'Yetişkin' },
+        CHILD: { id: 1, name: 'Çocuk' },
+        STUDENT: { id: 2, name: 'Öğrenci' },
+        SENIOR: { id: 3, name: '65 Yaş Üstü' }
+    },
+    GENDERS: {
+        M: 'Erkek',
+        F: 'Kadın'
+    },
+    
     // Paths
-    STATIONS_DATA_PATH: './data/stations.json'
+    STATIONS_DATA_PATH: './data/stations.json',
+    CONFIG_OVERRIDES_PATH: './config.overrides.json', // Optional site-wide API overrides (e.g. a rotated token)
+    
+    // Persistence (localStorage)
+    STORAGE_PREFIX: 'trenBiletBulucu.',
+    STORAGE_KEYS: {
+        FORM: 'form',
+        WATCHES: 'watches',
+        ALLOCATION: 'allocation',
+        RECENT_STATIONS: 'recentStations',
+        FAVORITE_STATIONS: 'favoriteStations',
+        NOTIFICATIONS: 'notifications',
+        WEBHOOK: 'webhook',
+        API_SETTINGS: 'apiSettings'
+    }
 };
@@ -0,0 +1,73 @@
+/**
+ * Event log view module
+ * Keeps log entries in their own list, newest first, so re-rendering the results
+ * never wipes them
+ */
+
+import { CONFIG } from './config.js';
+import { formatLogTime, LOG_CATEGORY_LABELS } from './logger.js';
+
+export class EventLogView {
+    /**
+     * @param {HTMLElement} list - List element (ol/ul) the entries are added to
+     * @param {Object} [options={}] - Display options
+     * @param {boolean} [options.showDetails=false] - Show the category, source and details of entries
+     */
+    constructor(list, { showDetails = false } = {}) {
+        this.list = list;
+        this.showDetails = showDetails;
+    }
+
+    /**
+     * Adds an entry at the top, dropping the oldest ones beyond LOG.MAX_SHOWN
+     * @param {Object} entry - Log entry (see Logger.log)
+     */
+    add(entry) {
+        this.list.prepend(this.createEntryElement(entry));
+
+        while (this.list.children.length > CONFIG.LOG.MAX_SHOWN) {
+            this.list.lastElementChild.remove();
+        }
+    }
+
+    /**
+     * Replaces the list with the given entries
+     * @param {Array<Object>} entries - Log entries, oldest first
+     */
+    render(entries) {
+        this.list.innerHTML = '';
+        entries.slice(-CONFIG.LOG.MAX_SHOWN).forEach(entry => this.list.prepend(this.createEntryElement(entry)));
+    }
+
+    /**
+     * Builds the list item of an entry
+     * @param {Object} entry - Log entry
+     * @returns {HTMLElement} List item
+     */
+    createEntryElement(entry) {
+        const item = document.createElement('li');
+        item.className = `log-entry log-${entry.level}`;
+
+        const time = document.createElement('time');
+        time.textContent = formatLogTime(entry.timestamp);
+        item.appendChild(time);
+
+        if (this.showDetails) {
+            const tag = document.createElement('span');
+            tag.className = 'log-category';
+            tag.textContent = [LOG_CATEGORY_LABELS[entry.category] || entry.category, entry.source].filter(Boolean).join(' · ');
+            item.appendChild(tag);
+        }
+
+        item.appendChild(document.createTextNode(` ${entry.message}`));
+
+        if (this.showDetails && entry.details && !entry.message.includes(entry.details)) {
+            const details = document.createElement('small');
+            details.className = 'log-details';
+            details.textContent = entry.details;
+            item.appendChild(details);
+        }
+
+        return item;
+    }
+}
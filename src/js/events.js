@@ -0,0 +1,62 @@
+/**
+ * Event emitter module
+ * Minimal emitter shared by the browser and Node so core modules can report
+ * progress without knowing who displays it (watch cards, terminal, ...)
+ */
+
+// Reports a listener that threw; logger.js replaces it so these reach the activity log
+let listenerErrorHandler = (event, error) => console.error(`"${event}" dinleyicisi hata verdi:`, error);
+
+/**
+ * Sets how failing listeners are reported
+ * The logger is an emitter itself, so it plugs in here instead of being imported
+ * @param {Function} handler - Called with the event name, the error and the emitter
+ */
+export function setListenerErrorHandler(handler) {
+    listenerErrorHandler = handler;
+}
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map(); // event name -> Set of listeners
+    }
+
+    /**
+     * Subscribes to an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Unsubscribes from an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(event, listener) {
+        this.listeners.get(event)?.delete(listener);
+    }
+
+    /**
+     * Calls every listener of an event
+     * A failing listener is logged and does not stop the others
+     * @param {string} event - Event name
+     * @param {*} [payload] - Event payload
+     */
+    emit(event, payload) {
+        this.listeners.get(event)?.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                listenerErrorHandler(event, error, this);
+            }
+        });
+    }
+}
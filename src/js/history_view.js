@@ -0,0 +1,329 @@
+/**
+ * History view module
+ * Charts the recorded seat counts of a route over time and shows how long seats
+ * stayed available, at which hours they usually freed up and how prices changed
+ */
+
+import { CONFIG } from './config.js';
+import {
+    availabilityHistory, groupSeries, findAvailabilityWindows, getFreeUpHours, findPriceChanges
+} from './availability_history.js';
+import { logger, LOG_CATEGORIES } from './logger.js';
+
+const SERIES_COLORS = ['#667eea', '#e74c3c', '#27ae60', '#f39c12', '#8e44ad', '#16a085', '#d35400', '#2c3e50'];
+const CHART = { width: 600, height: 180, left: 30, right: 10, top: 10, bottom: 20 };
+const MAX_LISTED_WINDOWS = 20; // Most recent availability windows listed in the table
+const MAX_LISTED_PRICE_CHANGES = 20; // Most recent price changes listed in the table
+
+/**
+ * Formats a duration
+ * @param {number} duration - Duration in milliseconds
+ * @returns {string} Duration like "1 sa 5 dk", "12 dk" or "40 sn"
+ */
+function formatDuration(duration) {
+    const minutes = Math.round(duration / 60000);
+    if (minutes === 0) return `${Math.round(duration / 1000)} sn`;
+    if (minutes < 60) return `${minutes} dk`;
+    return `${Math.floor(minutes / 60)} sa${minutes % 60 ? ` ${minutes % 60} dk` : ''}`;
+}
+
+/**
+ * Formats a timestamp as a short date and time in Turkey
+ * @param {number} timestamp - Time (ms)
+ * @returns {string} Time like "14.11 09:05"
+ */
+function formatTimestamp(timestamp) {
+    return new Date(timestamp).toLocaleString('tr-TR', {
+        day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit', timeZone: CONFIG.TIME_ZONE
+    });
+}
+
+/**
+ * Builds the label of a series or window
+ * @param {Object} series - Series or window (see groupSeries)
+ * @returns {string} Label like "18:35 KONYA - ANKARA · Ekonomi Sınıfı"
+ */
+function getSeriesLabel(series) {
+    return `${series.departureTime} ${series.trainName} · ${series.className}`;
+}
+
+export class HistoryView {
+    /**
+     * @param {HTMLElement} container - Element the history is rendered into
+     */
+    constructor(container) {
+        this.container = container;
+        this.series = []; // Series of the shown route
+    }
+
+    /**
+     * Loads the recorded routes and shows the most recently checked one
+     */
+    async load() {
+        try {
+            const routes = await availabilityHistory.getRoutes();
+            if (routes.length === 0) {
+                this.container.innerHTML = '<p class="hint">Henüz kayıt yok. İzlemeler çalıştıkça her kontrolün sonucu burada birikir.</p>';
+                return;
+            }
+
+            this.container.innerHTML = `
+                <div class="history-controls">
+                    <select class="history-route">
+                        ${routes.map(route => `<option value="${route.routeKey}">${route.departureStationName} → ${route.arrivalStationName}</option>`).join('')}
+                    </select>
+                    <select class="history-date"></select>
+                    <button type="button" class="history-clear-btn">Geçmişi Sil</button>
+                </div>
+                <div class="history-content"></div>
+            `;
+
+            const routeSelect = this.container.querySelector('.history-route');
+            routeSelect.addEventListener('change', () => this.showRoute(routeSelect.value));
+            this.container.querySelector('.history-date').addEventListener('change', event => this.showChart(event.target.value));
+            this.container.querySelector('.history-clear-btn').addEventListener('click', () => this.clear());
+
+            await this.showRoute(routes[0].routeKey);
+        } catch (error) {
+            logger.error(LOG_CATEGORIES.SEARCH, 'Yer geçmişi okunamadı', { details: error });
+            this.container.innerHTML = `<p class="hint">⚠️ Yer geçmişi okunamadı: ${error.message}</p>`;
+        }
+    }
+
+    /**
+     * Shows the analysis of a route
+     * @param {string} routeKey - Route key
+     */
+    async showRoute(routeKey) {
+        this.series = groupSeries(await availabilityHistory.getSamples(routeKey));
+        const windows = this.series.flatMap(findAvailabilityWindows);
+
+        const content = this.container.querySelector('.history-content');
+        content.innerHTML = `
+            ${this.renderSummary(windows)}
+            <div class="history-chart"></div>
+            <h4>Yerlerin açıldığı saatler</h4>
+            ${this.renderHours(getFreeUpHours(windows))}
+            <h4>Yer bulunan dönemler</h4>
+            ${this.renderWindows(windows)}
+            <h4>Fiyat geçmişi</h4>
+            ${this.renderPrices()}
+        `;
+
+        // The chart starts at the first travel date that had seats at some point
+        const dates = [...new Set(this.series.map(series => series.date))];
+        const dateSelect = this.container.querySelector('.history-date');
+        dateSelect.innerHTML = dates.map(date => `<option value="${date}">${date}</option>`).join('');
+
+        const firstDateWithSeats = this.series.find(series => series.points.some(point => point.seats > 0))?.date;
+        dateSelect.value = firstDateWithSeats || dates[0];
+        this.showChart(dateSelect.value);
+    }
+
+    /**
+     * Summarizes when seats usually free up and how long they last
+     * @param {Array<Object>} windows - Availability windows of the route
+     * @returns {string} Summary HTML
+     */
+    renderSummary(windows) {
+        const freedUp = windows.filter(window => window.freedUp);
+        if (freedUp.length === 0) {
+            return '<p class="history-summary">Kayıtlı kontrollerde henüz boşalan koltuk görülmedi.</p>';
+        }
+
+        const bestHours = getFreeUpHours(windows)
+            .map((count, hour) => ({ count, hour }))
+            .filter(({ count }) => count > 0)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 3)
+            .map(({ hour }) => `${String(hour).padStart(2, '0')}:00-${String(hour + 1).padStart(2, '0')}:00`);
+        const durations = freedUp.filter(window => !window.isOpen).map(window => window.duration).sort((a, b) => a - b);
+        const median = durations[Math.floor(durations.length / 2)];
+
+        return `
+            <p class="history-summary">
+                Kayıtlı kontrollerde ${freedUp.length} kez koltuk boşaldı; en çok <strong>${bestHours.join(', ')}</strong> saatlerinde.
+                ${median !== undefined ? `Boşalan koltuklar genelde <strong>${formatDuration(median)}</strong> içinde tekrar doldu.` : ''}
+            </p>
+        `;
+    }
+
+    /**
+     * Draws the seat counts of a travel date over time, one line per train and class with seats
+     * @param {string} date - Travel date (DD-MM-YYYY)
+     */
+    showChart(date) {
+        const chart = this.container.querySelector('.history-chart');
+        const seriesList = this.series.filter(series => series.date === date && series.points.some(point => point.seats > 0));
+
+        if (seriesList.length === 0) {
+            chart.innerHTML = `<p class="hint">${date} için kaydedilen kontrollerde hiç boş koltuk yoktu.</p>`;
+            return;
+        }
+
+        // Loops instead of Math.min(...points): long series would exceed the argument limit
+        let start = Infinity;
+        let end = -Infinity;
+        let maxSeats = 0;
+        seriesList.forEach(series => series.points.forEach(point => {
+            start = Math.min(start, point.checkedAt);
+            end = Math.max(end, point.checkedAt);
+            maxSeats = Math.max(maxSeats, point.seats);
+        }));
+        end = Math.max(end, start + 60000);
+
+        const plotWidth = CHART.width - CHART.left - CHART.right;
+        const plotHeight = CHART.height - CHART.top - CHART.bottom;
+        const x = time => (CHART.left + (time - start) / (end - start) * plotWidth).toFixed(1);
+        const y = seats => (CHART.top + plotHeight - seats / maxSeats * plotHeight).toFixed(1);
+
+        // Step lines: a count holds until the next check; long gaps are left blank
+        const paths = seriesList.map((series, index) => {
+            let d = '';
+            series.points.forEach((point, pointIndex) => {
+                const previous = series.points[pointIndex - 1];
+                if (!previous || point.checkedAt - previous.checkedAt > CONFIG.HISTORY.MAX_SAMPLE_GAP) {
+                    d += `M${x(point.checkedAt)},${y(point.seats)}`;
+                } else {
+                    d += `H${x(point.checkedAt)}V${y(point.seats)}`;
+                }
+            });
+            return `<path d="${d}" fill="none" stroke="${SERIES_COLORS[index % SERIES_COLORS.length]}" stroke-width="2"><title>${getSeriesLabel(series)}</title></path>`;
+        });
+
+        chart.innerHTML = `
+            <svg viewBox="0 0 ${CHART.width} ${CHART.height}" role="img" aria-label="${date} boş koltuk sayıları">
+                <line x1="${CHART.left}" y1="${y(0)}" x2="${CHART.width - CHART.right}" y2="${y(0)}" class="history-axis" />
+                <line x1="${CHART.left}" y1="${CHART.top}" x2="${CHART.left}" y2="${y(0)}" class="history-axis" />
+                <text x="${CHART.left - 4}" y="${CHART.top + 8}" text-anchor="end">${maxSeats}</text>
+                <text x="${CHART.left - 4}" y="${y(0)}" text-anchor="end">0</text>
+                <text x="${CHART.left}" y="${CHART.height - 4}">${formatTimestamp(start)}</text>
+                <text x="${CHART.width - CHART.right}" y="${CHART.height - 4}" text-anchor="end">${formatTimestamp(end)}</text>
+                ${paths.join('')}
+            </svg>
+            <div class="history-legend">
+                ${seriesList.map((series, index) => `
+                    <span><span class="history-swatch" style="background: ${SERIES_COLORS[index % SERIES_COLORS.length]}"></span>${getSeriesLabel(series)}</span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Draws how often seats freed up at each hour of the day
+     * @param {Array<number>} hours - Counts per hour (see getFreeUpHours)
+     * @returns {string} Bar chart HTML
+     */
+    renderHours(hours) {
+        const max = Math.max(...hours);
+        if (max === 0) {
+            return '<p class="hint">Boşalan koltuk görülmedi.</p>';
+        }
+
+        return `
+            <div class="history-hours">
+                ${hours.map((count, hour) => `
+                    <div class="history-hour" title="${String(hour).padStart(2, '0')}:00 · ${count} kez">
+                        <span class="history-hour-bar" style="height: ${Math.round(count / max * 100)}%"></span>
+                        <small>${hour}</small>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Lists the most recent availability windows
+     * @param {Array<Object>} windows - Availability windows of the route
+     * @returns {string} Table HTML
+     */
+    renderWindows(windows) {
+        if (windows.length === 0) {
+            return '<p class="hint">Kayıtlı kontrollerde boş koltuk görülmedi.</p>';
+        }
+
+        const rows = [...windows]
+            .sort((a, b) => b.start - a.start)
+            .slice(0, MAX_LISTED_WINDOWS)
+            .map(window => `
+                <tr>
+                    <td>${window.date}</td>
+                    <td>${getSeriesLabel(window)}</td>
+                    <td>${formatTimestamp(window.start)}${window.freedUp ? '' : ' *'}</td>
+                    <td>${window.isOpen ? 'sürüyor' : formatDuration(window.duration)}</td>
+                    <td>${window.maxSeats}</td>
+                </tr>
+            `);
+
+        return `
+            <table class="history-windows">
+                <thead><tr><th>Tarih</th><th>Sefer</th><th>Başlangıç</th><th>Süre</th><th>En çok koltuk</th></tr></thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+            <small class="hint">* İzleme başladığında zaten boştu; koltuğun ne zaman boşaldığı bilinmiyor.</small>
+        `;
+    }
+
+    /**
+     * Lists the latest known price of every series with its lowest and highest price,
+     * followed by the most recent price changes
+     * @returns {string} Tables HTML
+     */
+    renderPrices() {
+        const priced = this.series
+            .map(series => ({ series, prices: series.points.map(point => point.price).filter(price => price != null) }))
+            .filter(({ prices }) => prices.length > 0);
+
+        if (priced.length === 0) {
+            return '<p class="hint">Kayıtlı kontrollerde fiyat bilgisi yok.</p>';
+        }
+
+        const priceRows = priced.map(({ series, prices }) => `
+            <tr>
+                <td>${series.date}</td>
+                <td>${getSeriesLabel(series)}</td>
+                <td>${prices[prices.length - 1]} TL</td>
+                <td>${prices.reduce((min, price) => Math.min(min, price))} TL</td>
+                <td>${prices.reduce((max, price) => Math.max(max, price))} TL</td>
+            </tr>
+        `);
+
+        const changeRows = this.series
+            .flatMap(findPriceChanges)
+            .sort((a, b) => b.checkedAt - a.checkedAt)
+            .slice(0, MAX_LISTED_PRICE_CHANGES)
+            .map(change => `
+                <tr>
+                    <td>${change.date}</td>
+                    <td>${getSeriesLabel(change)}</td>
+                    <td>${formatTimestamp(change.checkedAt)}</td>
+                    <td class="${change.price < change.previousPrice ? 'history-price-down' : 'history-price-up'}">
+                        ${change.price < change.previousPrice ? '↓' : '↑'} ${change.previousPrice} TL → ${change.price} TL
+                    </td>
+                </tr>
+            `);
+
+        return `
+            <table class="history-windows">
+                <thead><tr><th>Tarih</th><th>Sefer</th><th>Son fiyat</th><th>En düşük</th><th>En yüksek</th></tr></thead>
+                <tbody>${priceRows.join('')}</tbody>
+            </table>
+            ${changeRows.length > 0 ? `
+                <table class="history-windows">
+                    <thead><tr><th>Tarih</th><th>Sefer</th><th>Zaman</th><th>Değişim</th></tr></thead>
+                    <tbody>${changeRows.join('')}</tbody>
+                </table>
+            ` : '<p class="hint">Kayıtlı kontrollerde fiyat değişmedi.</p>'}
+        `;
+    }
+
+    /**
+     * Deletes all recorded history after confirmation
+     */
+    async clear() {
+        if (!confirm('Kaydedilen tüm yer geçmişi silinsin mi?')) return;
+
+        await availabilityHistory.clear();
+        await this.load();
+    }
+}
@@ -0,0 +1,227 @@
+/**
+ * HTTP client module
+ * Single request layer for the TCDD API: sends JSON requests, classifies failures
+ * and retries transient ones with jittered exponential backoff, honouring Retry-After
+ */
+
+import { CONFIG } from './config.js';
+import { sleep } from './utils.js';
+import { logger, LOG_CATEGORIES } from './logger.js';
+
+export const HTTP_ERROR_TYPES = {
+    NETWORK: 'network', // No response (offline, DNS, CORS, connection reset)
+    AUTH: 'auth', // 401/403: token rejected
+    RATE_LIMIT: 'rate_limit', // 429
+    CLIENT: 'client', // Other 4xx
+    SERVER: 'server', // 5xx
+    BAD_JSON: 'bad_json' // Response body is not valid JSON
+};
+
+// Failures worth retrying: the same request may succeed a moment later
+const RETRYABLE_TYPES = [
+    HTTP_ERROR_TYPES.NETWORK,
+    HTTP_ERROR_TYPES.RATE_LIMIT,
+    HTTP_ERROR_TYPES.SERVER,
+    HTTP_ERROR_TYPES.BAD_JSON
+];
+
+export class HttpError extends Error {
+    /**
+     * @param {string} type - Error type (see HTTP_ERROR_TYPES)
+     * @param {string} message - Error message
+     * @param {Object} [details={}] - Error details
+     * @param {number} [details.status] - HTTP status
+     * @param {number} [details.retryAfter] - Server requested wait before the next request (ms)
+     * @param {Error} [details.cause] - Underlying error
+     */
+    constructor(type, message, { status = null, retryAfter = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'HttpError';
+        this.type = type;
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+
+    /**
+     * Checks if the request may succeed when repeated
+     * @returns {boolean} True if retryable
+     */
+    get isRetryable() {
+        return RETRYABLE_TYPES.includes(this.type);
+    }
+}
+
+/**
+ * Error for 401/403 responses: the auth token was rejected (usually rotated or expired)
+ */
+export class ApiAuthError extends HttpError {
+    /**
+     * @param {number} status - HTTP status (401 or 403)
+     */
+    constructor(status) {
+        super(HTTP_ERROR_TYPES.AUTH, `HTTP ${status}: Token geçersiz veya süresi dolmuş`, { status });
+        this.name = 'ApiAuthError';
+    }
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {number|null} Wait in milliseconds or null if missing/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+
+    if (/^\d+(\.\d+)?$/.test(value.trim())) {
+        return Math.round(parseFloat(value) * 1000);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+export class HttpClient {
+    /**
+     * @param {Object} [options] - Client options
+     * @param {Function} [options.fetchImpl=fetch] - fetch implementation (injectable for tests)
+     * @param {Function} [options.sleepImpl=sleep] - Wait implementation (injectable for tests)
+     * @param {Function} [options.random=Math.random] - Random source for jitter
+     */
+    constructor({ fetchImpl = (...args) => fetch(...args), sleepImpl = sleep, random = Math.random } = {}) {
+        this.fetchImpl = fetchImpl;
+        this.sleepImpl = sleepImpl;
+        this.random = random;
+    }
+
+    /**
+     * POSTs a JSON body and returns the parsed JSON response, retrying transient failures
+     * @param {string} url - Request URL
+     * @param {Object} body - Request body
+     * @param {Object} [options] - Request options
+     * @param {Object} [options.headers={}] - Request headers
+     * @param {boolean} [options.idempotent=true] - False for requests that must not run twice
+     *   (only rate-limited attempts, which the server refused outright, are retried)
+     * @param {boolean} [options.parseJson=true] - False to ignore the response body
+     * @param {number} [options.maxRetries=CONFIG.HTTP_MAX_RETRIES] - Retries after the first attempt
+     * @returns {Promise<Object|null>} Response data (null if not parsed)
+     * @throws {HttpError} When the request fails and retrying does not help
+     */
+    async postJson(url, body, { headers = {}, idempotent = true, parseJson = true, maxRetries = CONFIG.HTTP_MAX_RETRIES } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(url, body, headers, parseJson);
+            } catch (error) {
+                const delay = this.getRetryDelay(error, attempt, maxRetries, idempotent);
+                if (delay === null) throw error;
+
+                logger.warning(LOG_CATEGORIES.API, `↻ ${error.message}; ${Math.round(delay / 1000)} sn sonra tekrar denenecek (${attempt + 1}/${maxRetries})`);
+                await this.sleepImpl(delay);
+            }
+        }
+    }
+
+    /**
+     * Sends a single request and classifies its failure
+     * @param {string} url - Request URL
+     * @param {Object} body - Request body
+     * @param {Object} headers - Request headers
+     * @param {boolean} parseJson - Whether to parse the response body
+     * @returns {Promise<Object|null>} Response data
+     * @throws {HttpError} If the request fails
+     */
+    async send(url, body, headers, parseJson) {
+        let response;
+        try {
+            response = await this.fetchImpl(url, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            throw new HttpError(HTTP_ERROR_TYPES.NETWORK, `Ağ hatası: ${error.message}`, { cause: error });
+        }
+
+        if (!response.ok) {
+            throw await this.createResponseError(response);
+        }
+
+        if (!parseJson) return null;
+
+        const text = await response.text();
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new HttpError(HTTP_ERROR_TYPES.BAD_JSON, `Geçersiz JSON yanıtı (HTTP ${response.status})`, {
+                status: response.status,
+                cause: error
+            });
+        }
+    }
+
+    /**
+     * Builds the error of a non-2xx response
+     * @param {Response} response - Fetch response
+     * @returns {Promise<HttpError>} Classified error
+     */
+    async createResponseError(response) {
+        const { status } = response;
+
+        if (status === 401 || status === 403) {
+            return new ApiAuthError(status);
+        }
+
+        // Error bodies help debugging but are not always JSON
+        const errorText = await response.text().catch(() => '');
+        if (errorText) {
+            logger.error(LOG_CATEGORIES.API, `API HTTP ${status} yanıtı`, { details: errorText.slice(0, 500) });
+        }
+
+        if (status === 429) {
+            return new HttpError(HTTP_ERROR_TYPES.RATE_LIMIT, 'HTTP 429: Çok fazla istek', {
+                status,
+                retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+            });
+        }
+        if (status >= 500) {
+            return new HttpError(HTTP_ERROR_TYPES.SERVER, `HTTP ${status}: Sunucu hatası`, {
+                status,
+                retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+            });
+        }
+        return new HttpError(HTTP_ERROR_TYPES.CLIENT, `HTTP ${status}: İstek reddedildi`, { status });
+    }
+
+    /**
+     * Decides whether and when to retry a failed attempt
+     * @param {Error} error - Failure of the attempt
+     * @param {number} attempt - Attempt index (0 = first attempt)
+     * @param {number} maxRetries - Retries allowed
+     * @param {boolean} idempotent - Whether the request may safely run twice
+     * @returns {number|null} Wait before retrying (ms) or null to give up
+     */
+    getRetryDelay(error, attempt, maxRetries, idempotent) {
+        if (!(error instanceof HttpError) || !error.isRetryable || attempt >= maxRetries) return null;
+        if (!idempotent && error.type !== HTTP_ERROR_TYPES.RATE_LIMIT) return null;
+
+        // A long Retry-After is left to the caller (e.g. the search loop slows down)
+        if (error.retryAfter !== null) {
+            return error.retryAfter <= CONFIG.HTTP_MAX_RETRY_DELAY ? error.retryAfter : null;
+        }
+
+        return this.getBackoffDelay(attempt);
+    }
+
+    /**
+     * Gets a jittered exponential backoff delay ("equal jitter": half fixed, half random)
+     * @param {number} attempt - Attempt index (0 = first retry)
+     * @returns {number} Delay in milliseconds
+     */
+    getBackoffDelay(attempt) {
+        const delay = Math.min(CONFIG.HTTP_MAX_RETRY_DELAY, CONFIG.HTTP_RETRY_BASE_DELAY * 2 ** attempt);
+        return Math.round(delay / 2 + this.random() * delay / 2);
+    }
+}
+
+// Export singleton instance
+export const httpClient = new HttpClient();
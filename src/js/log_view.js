@@ -0,0 +1,114 @@
+/**
+ * Log view module
+ * Lists the entries of the shared logger with level, category and text filters,
+ * and downloads the listed entries as JSON or CSV
+ */
+
+import {
+    logger, filterEntries, toJSON, toCSV, LOG_LEVELS, LOG_LEVEL_LABELS, LOG_CATEGORY_LABELS
+} from './logger.js';
+import { EventLogView } from './event_log_view.js';
+import { downloadFile } from './share_actions.js';
+
+/**
+ * Builds the file name of an export
+ * @param {string} extension - File extension
+ * @returns {string} File name like "tren-bul-gunluk-2026-01-18-0905.json"
+ */
+function getExportFileName(extension) {
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    const stamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`;
+    return `tren-bul-gunluk-${stamp}.${extension}`;
+}
+
+export class LogView {
+    /**
+     * @param {HTMLElement} container - Element the log panel is rendered into
+     */
+    constructor(container) {
+        this.container = container;
+        this.container.innerHTML = `
+            <div class="log-controls">
+                <div class="log-levels">
+                    ${Object.values(LOG_LEVELS).map(level => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" value="${level}" checked>
+                            <span class="log-${level}">${LOG_LEVEL_LABELS[level]}</span>
+                        </label>
+                    `).join('')}
+                </div>
+                <select class="log-category">
+                    <option value="">Tüm kategoriler</option>
+                    ${Object.entries(LOG_CATEGORY_LABELS).map(([category, label]) => `<option value="${category}">${label}</option>`).join('')}
+                </select>
+                <input type="search" class="log-search" placeholder="Günlükte ara...">
+            </div>
+            <div class="log-actions">
+                <button type="button" class="log-export-json-btn">JSON indir</button>
+                <button type="button" class="log-export-csv-btn">CSV indir</button>
+                <button type="button" class="log-clear-btn">Temizle</button>
+            </div>
+            <ol class="log-entries"></ol>
+        `;
+
+        this.entries = new EventLogView(this.container.querySelector('.log-entries'), { showDetails: true });
+
+        this.container.querySelector('.log-controls').addEventListener('input', () => this.render());
+        this.container.querySelector('.log-export-json-btn').addEventListener('click', () => {
+            this.download(toJSON(this.getEntries()), 'json', 'application/json');
+        });
+        this.container.querySelector('.log-export-csv-btn').addEventListener('click', () => {
+            // The BOM makes spreadsheet programs read the Turkish characters as UTF-8
+            this.download(`﻿${toCSV(this.getEntries())}`, 'csv', 'text/csv');
+        });
+        this.container.querySelector('.log-clear-btn').addEventListener('click', () => logger.clear());
+
+        logger.on('entry', entry => {
+            if (filterEntries([entry], this.getFilter()).length > 0) {
+                this.entries.add(entry);
+            }
+        });
+        logger.on('clear', () => this.render());
+
+        this.render();
+    }
+
+    /**
+     * Reads the filter from the controls
+     * @returns {Object} Filter (see filterEntries)
+     */
+    getFilter() {
+        const category = this.container.querySelector('.log-category').value;
+        return {
+            levels: [...this.container.querySelectorAll('.log-levels input:checked')].map(input => input.value),
+            categories: category ? [category] : undefined,
+            query: this.container.querySelector('.log-search').value
+        };
+    }
+
+    /**
+     * Gets the kept entries that match the filter
+     * @returns {Array<Object>} Entries, oldest first
+     */
+    getEntries() {
+        return logger.getEntries(this.getFilter());
+    }
+
+    /**
+     * Lists the entries that match the filter
+     */
+    render() {
+        this.entries.render(this.getEntries());
+    }
+
+    /**
+     * Downloads the listed entries
+     * @param {string} text - File content
+     * @param {string} extension - File extension
+     * @param {string} type - MIME type
+     */
+    download(text, extension, type) {
+        downloadFile(text, getExportFileName(extension), type);
+    }
+}
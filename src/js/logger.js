@@ -0,0 +1,261 @@
+/**
+ * Logger module
+ * Collects timestamped log entries with a level and a category in a capped ring buffer,
+ * so the web log panel and the CLI show the same activity and it can be exported
+ * (JSON/CSV) when something goes wrong, e.g. with a seat hold
+ */
+
+import { CONFIG } from './config.js';
+import { EventEmitter, setListenerErrorHandler } from './events.js';
+
+export const LOG_LEVELS = {
+    INFO: 'info',
+    WARNING: 'warning',
+    ERROR: 'error',
+    SUCCESS: 'success'
+};
+
+export const LOG_LEVEL_LABELS = {
+    [LOG_LEVELS.INFO]: 'Bilgi',
+    [LOG_LEVELS.WARNING]: 'Uyarı',
+    [LOG_LEVELS.ERROR]: 'Hata',
+    [LOG_LEVELS.SUCCESS]: 'Başarılı'
+};
+
+export const LOG_CATEGORIES = {
+    SEARCH: 'search',
+    API: 'api',
+    ALLOCATION: 'allocation',
+    AUDIO: 'audio',
+    NOTIFICATION: 'notification',
+    APP: 'app' // Start-up, stations and saved data
+};
+
+export const LOG_CATEGORY_LABELS = {
+    [LOG_CATEGORIES.SEARCH]: 'Arama',
+    [LOG_CATEGORIES.API]: 'API',
+    [LOG_CATEGORIES.ALLOCATION]: 'Koltuk tutma',
+    [LOG_CATEGORIES.AUDIO]: 'Ses',
+    [LOG_CATEGORIES.NOTIFICATION]: 'Bildirim',
+    [LOG_CATEGORIES.APP]: 'Uygulama'
+};
+
+const CONSOLE_METHODS = {
+    [LOG_LEVELS.INFO]: 'log',
+    [LOG_LEVELS.WARNING]: 'warn',
+    [LOG_LEVELS.ERROR]: 'error',
+    [LOG_LEVELS.SUCCESS]: 'log'
+};
+
+const CSV_COLUMNS = ['time', 'level', 'category', 'source', 'message', 'details'];
+
+/**
+ * Turns the details of an entry (usually an error) into text that survives export
+ * @param {*} details - Error, object or text
+ * @returns {string|null} Details text
+ */
+function describeDetails(details) {
+    if (details == null) return null;
+    if (details instanceof Error) return details.message;
+    if (typeof details === 'string') return details;
+
+    try {
+        return JSON.stringify(details);
+    } catch {
+        return String(details);
+    }
+}
+
+/**
+ * Formats the time of an entry
+ * @param {number} timestamp - Time (ms)
+ * @returns {string} Time in HH:MM:SS format
+ */
+export function formatLogTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString('tr-TR');
+}
+
+/**
+ * Picks the entries that match a filter
+ * @param {Array<Object>} entries - Entries (see Logger.log)
+ * @param {Object} [filter={}] - Filter; left out fields match everything
+ * @param {Array<string>} [filter.levels] - Levels to keep
+ * @param {Array<string>} [filter.categories] - Categories to keep
+ * @param {string} [filter.source] - Source (e.g. watch name) to keep
+ * @param {string} [filter.query] - Text the message, details or source must contain (case-insensitive)
+ * @returns {Array<Object>} Matching entries, in the given order
+ */
+export function filterEntries(entries, { levels, categories, source, query } = {}) {
+    const text = query?.trim().toLocaleLowerCase('tr-TR');
+
+    return entries.filter(entry =>
+        (!levels || levels.includes(entry.level)) &&
+        (!categories || categories.includes(entry.category)) &&
+        (!source || entry.source === source) &&
+        (!text || [entry.message, entry.details, entry.source]
+            .some(value => value?.toLocaleLowerCase('tr-TR').includes(text)))
+    );
+}
+
+/**
+ * Serializes entries as JSON
+ * @param {Array<Object>} entries - Entries
+ * @returns {string} JSON array with ISO times
+ */
+export function toJSON(entries) {
+    return JSON.stringify(entries.map(({ timestamp, level, category, source, message, details }) => ({
+        time: new Date(timestamp).toISOString(),
+        level,
+        category,
+        source,
+        message,
+        details
+    })), null, 2);
+}
+
+/**
+ * Serializes entries as CSV (RFC 4180, with a header row)
+ * @param {Array<Object>} entries - Entries
+ * @returns {string} CSV text
+ */
+export function toCSV(entries) {
+    const quote = value => {
+        const text = value == null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map(entry => [
+        new Date(entry.timestamp).toISOString(), entry.level, entry.category, entry.source, entry.message, entry.details
+    ]);
+    return [CSV_COLUMNS, ...rows].map(row => row.map(quote).join(',')).join('\r\n');
+}
+
+/**
+ * Events:
+ * - entry (entry): an entry was added
+ * - clear: all entries were removed
+ */
+export class Logger extends EventEmitter {
+    /**
+     * @param {number} [capacity=CONFIG.LOG.BUFFER_SIZE] - Entries kept; the oldest are overwritten
+     */
+    constructor(capacity = CONFIG.LOG.BUFFER_SIZE) {
+        super();
+        this.capacity = capacity;
+        this.buffer = [];
+        this.start = 0; // Index of the oldest entry once the buffer is full
+        this.nextId = 1;
+        this.consoleOutput = true; // Also write entries to the console (turned off by the CLI, which prints them itself)
+    }
+
+    /**
+     * Adds an entry
+     * @param {string} level - Level (see LOG_LEVELS)
+     * @param {string} category - Category (see LOG_CATEGORIES)
+     * @param {string} message - Message
+     * @param {Object} [options={}] - Extras
+     * @param {string} [options.source] - What the entry is about, e.g. the name of a watch
+     * @param {*} [options.details] - Error or data behind the entry
+     * @returns {Object} Entry ({ id, timestamp, level, category, source, message, details })
+     */
+    log(level, category, message, { source = null, details = null } = {}) {
+        const entry = {
+            id: this.nextId++,
+            timestamp: Date.now(),
+            level,
+            category,
+            source,
+            message,
+            details: describeDetails(details)
+        };
+
+        if (this.buffer.length < this.capacity) {
+            this.buffer.push(entry);
+        } else {
+            this.buffer[this.start] = entry;
+            this.start = (this.start + 1) % this.capacity;
+        }
+
+        if (this.consoleOutput) {
+            console[CONSOLE_METHODS[level]](message, ...(details != null ? [details] : []));
+        }
+
+        this.emit('entry', entry);
+        return entry;
+    }
+
+    /**
+     * Adds an info entry
+     * @param {string} category - Category (see LOG_CATEGORIES)
+     * @param {string} message - Message
+     * @param {Object} [options] - Extras (see log)
+     * @returns {Object} Entry
+     */
+    info(category, message, options) {
+        return this.log(LOG_LEVELS.INFO, category, message, options);
+    }
+
+    /**
+     * Adds a warning entry
+     * @param {string} category - Category (see LOG_CATEGORIES)
+     * @param {string} message - Message
+     * @param {Object} [options] - Extras (see log)
+     * @returns {Object} Entry
+     */
+    warning(category, message, options) {
+        return this.log(LOG_LEVELS.WARNING, category, message, options);
+    }
+
+    /**
+     * Adds an error entry
+     * @param {string} category - Category (see LOG_CATEGORIES)
+     * @param {string} message - Message
+     * @param {Object} [options] - Extras (see log)
+     * @returns {Object} Entry
+     */
+    error(category, message, options) {
+        return this.log(LOG_LEVELS.ERROR, category, message, options);
+    }
+
+    /**
+     * Adds a success entry
+     * @param {string} category - Category (see LOG_CATEGORIES)
+     * @param {string} message - Message
+     * @param {Object} [options] - Extras (see log)
+     * @returns {Object} Entry
+     */
+    success(category, message, options) {
+        return this.log(LOG_LEVELS.SUCCESS, category, message, options);
+    }
+
+    /**
+     * Gets the kept entries that match a filter
+     * @param {Object} [filter] - Filter (see filterEntries)
+     * @returns {Array<Object>} Entries, oldest first
+     */
+    getEntries(filter) {
+        const entries = [...this.buffer.slice(this.start), ...this.buffer.slice(0, this.start)];
+        return filterEntries(entries, filter);
+    }
+
+    /**
+     * Removes all entries
+     */
+    clear() {
+        this.buffer = [];
+        this.start = 0;
+        this.emit('clear');
+    }
+}
+
+// Export singleton instance
+export const logger = new Logger();
+
+// Failing listeners end up in the log, except those of the log itself, which could fail again on every entry
+setListenerErrorHandler((event, error, emitter) => {
+    if (emitter === logger) {
+        console.error(`"${event}" dinleyicisi hata verdi:`, error);
+    } else {
+        logger.error(LOG_CATEGORIES.APP, `"${event}" dinleyicisi hata verdi`, { details: error });
+    }
+});
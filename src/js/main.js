@@ -4,36 +4,172 @@
  */
 
 import { uiManager } from './ui.js';
-import { searchManager } from './search.js';
+import { watchManager } from './watches.js';
+import { seatAllocationManager } from './seat_allocation.js';
+import { notificationManager } from './notifications.js';
+import { apiSettings } from './api_settings.js';
+import { SeatMapView } from './seat_map_view.js';
+import { formatSeatPrice } from './seat_map.js';
+import { logger, LOG_CATEGORIES } from './logger.js';
 
 /**
  * Initializes the application
  */
 async function init() {
     try {
-        console.log('🚄 Tren Bileti Bulucu başlatılıyor...');
-        
+        // Apply API overrides (site-wide file, then the user's own settings)
+        await apiSettings.loadOverridesFile();
+        apiSettings.loadSaved();
+
         // Initialize UI and load stations
         await uiManager.init();
-        
-        console.log('✅ Uygulama hazır!');
+
+        bindSeatRenewals();
+        restoreSession();
     } catch (error) {
-        console.error('❌ Uygulama başlatılamadı:', error);
+        logger.error(LOG_CATEGORIES.APP, '❌ Uygulama başlatılamadı', { details: error });
+    }
+}
+
+/**
+ * Shows the renewed holds of "keep holding" mode (the seat allocation manager logs the renewals)
+ */
+function bindSeatRenewals() {
+    seatAllocationManager.on('renewed', () => {
+        uiManager.showAllocatedSeats(seatAllocationManager.getAllocatedSeats());
+    });
+
+    seatAllocationManager.on('renewalFailed', ({ message }) => {
+        if (seatAllocationManager.hasAllocatedSeat()) {
+            uiManager.showAllocatedSeats(seatAllocationManager.getAllocatedSeats());
+        } else {
+            uiManager.hideAllocatedSeat();
+            uiManager.updateStatus(message, 'error');
+        }
+    });
+}
+
+/**
+ * Restores watches and held seats saved by the previous session
+ */
+function restoreSession() {
+    const watches = watchManager.restoreWatches();
+    watches.forEach(watch => {
+        mountWatch(watch);
+        if (watch.wasSearching) {
+            watchManager.startWatch(watch.id);
+        }
+        if (watch.wasPaused) {
+            watchManager.togglePause(watch.id);
+        }
+    });
+
+    const seats = seatAllocationManager.restoreAllocation();
+    if (seats.length > 0) {
+        // The hold is still live on the server; show its countdown so it can be released
+        uiManager.showAllocatedSeats(seats);
+        uiManager.updateStatus('🎫 Önceki oturumda tutulan koltuk hâlâ sizin için ayrılmış. İsterseniz serbest bırakabilirsiniz.', 'found');
+    } else if (watches.length > 0) {
+        uiManager.updateStatus(`${watches.length} izleme geri yüklendi.`, 'searching');
     }
 }
 
 /**
- * Starts the search
+ * Creates the view of a watch, wires its controls and reacts to its search events
+ * @param {Object} watch - Watch to display
  */
-function startSearch() {
-    searchManager.startSearch();
+function mountWatch(watch) {
+    const view = uiManager.createWatchView(watch, {
+        onStart: () => watchManager.startWatch(watch.id),
+        onStop: () => watchManager.stopWatch(watch.id),
+        onPauseToggle: () => watchManager.togglePause(watch.id),
+        onRemove: () => {
+            watchManager.removeWatch(watch.id);
+            view.remove();
+        },
+        onShowSeatMap: options => showSeatMap(watch, options)
+    });
+    view.bindSearch(watch.search);
+
+    watch.search.on('searchingChange', isSearching => {
+        if (isSearching) {
+            uiManager.prepareSuccessAudio();
+        } else {
+            uiManager.stopMusic();
+        }
+    });
+
+    // Play alert and show a desktop notification (works even if the tab is muted)
+    watch.search.on('found', ({ trainLines }) => {
+        uiManager.playAlert();
+        notificationManager.notifyTicketsFound(watch, trainLines);
+    });
+
+    watch.search.on('priceDrop', ({ date, train, cabin, previousPrice }) => {
+        uiManager.playPriceDropAlert();
+        notificationManager.notifyPriceDrop(
+            watch,
+            `${date} ${train.name} ${train.departureTime} · ${cabin.className}: ${previousPrice} TL → ${cabin.price} TL`
+        );
+    });
+
+    watch.search.on('seatsHeld', seats => uiManager.showAllocatedSeats(seats));
+    watch.search.on('authError', error => uiManager.showTokenExpired(error.status));
+}
+
+/**
+ * Shows the seat map of a train in the results of a watch and holds seats picked on it
+ * @param {Object} watch - Watch the train was found by
+ * @param {Object} options - Train to show ({ train, date, legIndex, container })
+ */
+function showSeatMap(watch, { train, date, legIndex, container }) {
+    // A train of a connection is boarded and left at its own stations
+    const legParams = watch.search.getLegParams(date, legIndex);
+    const params = train.departureStationId ? watch.search.getConnectionLegParams(train, legParams) : legParams;
+
+    const seatMapView = new SeatMapView(container, {
+        onPick: async seat => {
+            const price = formatSeatPrice(seat.price);
+            if (!confirm(`Vagon ${seat.wagonNumber} Koltuk ${seat.seatNumber} (${seat.cabinClassName}${price ? `, ${price}` : ''}) tutulsun mu?`)) {
+                return;
+            }
+
+            const result = await seatAllocationManager.holdSelectedSeat(train, params, seat);
+            if (result.success) {
+                uiManager.showAllocatedSeats(seatAllocationManager.getAllocatedSeats());
+                uiManager.updateStatus(`🎫 ${result.message}: Vagon ${seat.wagonNumber} Koltuk ${seat.seatNumber}`, 'found');
+            } else {
+                alert(`Koltuk tutulamadı: ${result.message}`);
+            }
+
+            // Reload so the held seat (or the one someone else took) shows as taken
+            await seatMapView.load(train, params);
+        }
+    });
+
+    seatMapView.load(train, params);
+}
+
+/**
+ * Creates a watch from the form values and starts it
+ */
+function addWatch() {
+    const params = uiManager.getSearchParams();
+    if (!params) return;
+
+    const watch = watchManager.addWatch(uiManager.getWatchName(params), params);
+    mountWatch(watch);
+
+    uiManager.updateStatus(`"${watch.name}" izlemeye eklendi.`, 'searching');
+    watchManager.startWatch(watch.id);
 }
 
 /**
- * Stops the search
+ * Stops all running watches
  */
-function stopSearch() {
-    searchManager.stopSearch();
+function stopAllWatches() {
+    watchManager.stopAll();
+    uiManager.updateStatus('Tüm aramalar durduruldu.', 'waiting');
 }
 
 /**
@@ -44,8 +180,8 @@ function stopMusic() {
 }
 
 // Make functions globally available for HTML onclick handlers
-window.startSearch = startSearch;
-window.stopSearch = stopSearch;
+window.addWatch = addWatch;
+window.stopAllWatches = stopAllWatches;
 window.stopMusic = stopMusic;
 
 // Initialize application when DOM is ready
@@ -0,0 +1,103 @@
+/**
+ * Nearby stops module
+ * Finds other boarding and alighting stations on the route of a sold out train:
+ * a longer (or shorter) segment of the same train may still have seats
+ */
+
+import { stationManager } from './stations.js';
+import { formatMinutes } from './utils.js';
+
+/**
+ * Gets the stations a train stops at along its whole route, in travel order
+ * trainSegments covers the whole route; segments (only the searched part) tells
+ * with stops: false where the train passes a station without stopping
+ * @param {Object} train - Train object from API
+ * @returns {Array<number>} Station IDs
+ */
+export function getRouteStops(train) {
+    const trainSegments = train.trainSegments || [];
+    if (trainSegments.length === 0) {
+        return [];
+    }
+
+    const passedStations = new Set((train.segments || [])
+        .filter(segment => segment.stops === false)
+        .map(segment => segment.segment?.arrivalStation?.id));
+
+    return [...trainSegments.map(segment => segment.departureStationId), trainSegments[trainSegments.length - 1].arrivalStationId]
+        .filter(stationId => !passedStations.has(stationId));
+}
+
+/**
+ * Lists station pairs near the searched ones on the routes of the given trains
+ * Only stations in the station list (where tickets are sold) are used. Pairs are sorted
+ * by how far they move from the searched stations; at equal distance longer segments
+ * (boarding earlier, alighting later) come first since they still cover the whole trip.
+ * @param {Array<Object>} trains - Train objects from API
+ * @param {number} departureStationId - Searched departure station ID
+ * @param {number} arrivalStationId - Searched arrival station ID
+ * @param {number} maxStops - Most stops a station may be moved
+ * @returns {Array<Object>} Pairs ({ boardingStationId, alightingStationId, boardingShift, alightingShift, trainIds });
+ *   a shift is the number of stops moved, negative = earlier on the route
+ */
+export function getNearbyStopPairs(trains, departureStationId, arrivalStationId, maxStops) {
+    const pairs = new Map();
+
+    trains.forEach(train => {
+        const stops = getRouteStops(train);
+        const from = stops.indexOf(departureStationId);
+        const to = stops.indexOf(arrivalStationId);
+        if (from === -1 || to === -1 || from >= to) return;
+
+        for (let boarding = Math.max(0, from - maxStops); boarding <= from + maxStops; boarding++) {
+            for (let alighting = to - maxStops; alighting <= Math.min(stops.length - 1, to + maxStops); alighting++) {
+                if (boarding >= alighting || (boarding === from && alighting === to)) continue;
+                if (!stationManager.getStationById(stops[boarding]) || !stationManager.getStationById(stops[alighting])) continue;
+
+                const key = `${stops[boarding]}-${stops[alighting]}`;
+                if (!pairs.has(key)) {
+                    pairs.set(key, {
+                        boardingStationId: stops[boarding],
+                        alightingStationId: stops[alighting],
+                        boardingShift: boarding - from,
+                        alightingShift: alighting - to,
+                        trainIds: []
+                    });
+                }
+                pairs.get(key).trainIds.push(train.id);
+            }
+        }
+    });
+
+    const distance = pair => Math.abs(pair.boardingShift) + Math.abs(pair.alightingShift);
+    return [...pairs.values()].sort((a, b) =>
+        distance(a) - distance(b) || (a.boardingShift - a.alightingShift) - (b.boardingShift - b.alightingShift)
+    );
+}
+
+/**
+ * Describes how an alternative moves the boarding and alighting stations
+ * @param {Object} alternative - Alternative ({ boardingShift, alightingShift, departureStationName, arrivalStationName })
+ * @returns {string} Description like "1 durak önce bin (KARAMAN)" or "1 durak önce bin (ÇUMRA), 1 durak sonra in (...)"
+ */
+export function describeStopShift(alternative) {
+    const parts = [];
+    const { boardingShift, alightingShift } = alternative;
+
+    if (boardingShift !== 0) {
+        parts.push(`${Math.abs(boardingShift)} durak ${boardingShift < 0 ? 'önce' : 'sonra'} bin (${alternative.departureStationName})`);
+    }
+    if (alightingShift !== 0) {
+        parts.push(`${Math.abs(alightingShift)} durak ${alightingShift < 0 ? 'önce' : 'sonra'} in (${alternative.arrivalStationName})`);
+    }
+    return parts.join(', ');
+}
+
+/**
+ * Formats the travel time an alternative adds to (or saves from) the searched trip
+ * @param {number} minutes - Extra travel time in minutes
+ * @returns {string} Text like "+25 dk yolculuk" or "-10 dk yolculuk"
+ */
+export function formatExtraTime(minutes) {
+    return `${minutes < 0 ? '-' : '+'}${formatMinutes(Math.abs(minutes))} yolculuk`;
+}
@@ -0,0 +1,179 @@
+/**
+ * Notifications module
+ * Shows desktop notifications (Notification API) when seats are found,
+ * optionally through a service worker. The worker only displays them: searching
+ * stays in the page, so a background tab is still throttled by the browser
+ */
+
+import { CONFIG } from './config.js';
+import { storage } from './storage.js';
+import { logger, LOG_CATEGORIES } from './logger.js';
+
+export class NotificationManager {
+    constructor() {
+        this.settings = {
+            enabled: false,
+            useServiceWorker: false
+        };
+        this.registration = null; // Service worker registration (service worker mode only)
+    }
+
+    /**
+     * Checks if the browser supports desktop notifications
+     * @returns {boolean} True if supported
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && 'Notification' in window;
+    }
+
+    /**
+     * Checks if service worker notifications are supported
+     * @returns {boolean} True if supported
+     */
+    isServiceWorkerSupported() {
+        return this.isSupported() && 'serviceWorker' in navigator;
+    }
+
+    /**
+     * Loads saved settings and registers the service worker if that mode is on
+     */
+    async init() {
+        this.settings = { ...this.settings, ...storage.get(CONFIG.STORAGE_KEYS.NOTIFICATIONS, {}) };
+
+        // Permission may have been revoked since the last session
+        if (!this.isSupported() || Notification.permission !== 'granted') {
+            this.settings.enabled = false;
+        }
+
+        if (this.settings.enabled && this.settings.useServiceWorker) {
+            await this.registerServiceWorker();
+        }
+    }
+
+    /**
+     * Gets current notification settings
+     * @returns {Object} Settings ({ enabled, useServiceWorker })
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Turns notifications on or off, asking for permission when turning on
+     * @param {boolean} enabled - Whether notifications should be shown
+     * @returns {Promise<boolean>} Resulting enabled state (false if permission was denied)
+     */
+    async setEnabled(enabled) {
+        if (enabled) {
+            if (!this.isSupported()) return false;
+
+            const permission = await Notification.requestPermission();
+            enabled = permission === 'granted';
+        }
+
+        this.settings.enabled = enabled;
+        if (enabled && this.settings.useServiceWorker) {
+            await this.registerServiceWorker();
+        }
+
+        this.saveSettings();
+        return enabled;
+    }
+
+    /**
+     * Turns service worker mode on or off
+     * @param {boolean} useServiceWorker - Whether to show notifications through the service worker
+     * @returns {Promise<boolean>} Resulting state (false if registration failed)
+     */
+    async setUseServiceWorker(useServiceWorker) {
+        this.settings.useServiceWorker = useServiceWorker && this.isServiceWorkerSupported();
+
+        if (this.settings.useServiceWorker && this.settings.enabled) {
+            this.settings.useServiceWorker = await this.registerServiceWorker();
+        }
+
+        this.saveSettings();
+        return this.settings.useServiceWorker;
+    }
+
+    /**
+     * Saves settings to storage
+     */
+    saveSettings() {
+        storage.set(CONFIG.STORAGE_KEYS.NOTIFICATIONS, this.settings);
+    }
+
+    /**
+     * Registers the service worker that displays notifications and focuses the tab on click
+     * @returns {Promise<boolean>} True if registered
+     */
+    async registerServiceWorker() {
+        if (!this.isServiceWorkerSupported()) return false;
+        if (this.registration) return true;
+
+        try {
+            await navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_PATH);
+            this.registration = await navigator.serviceWorker.ready;
+            logger.success(LOG_CATEGORIES.NOTIFICATION, '✅ Bildirim service worker kaydedildi');
+            return true;
+        } catch (error) {
+            logger.error(LOG_CATEGORIES.NOTIFICATION, 'Service worker kaydedilemedi', { details: error });
+            return false;
+        }
+    }
+
+    /**
+     * Shows a notification for found seats
+     * @param {Object} watch - Watch that found the seats ({ id, name })
+     * @param {Array<string>} lines - One line per train/class with seats (see SearchManager.describeTrains)
+     */
+    async notifyTicketsFound(watch, lines) {
+        await this.show(`🎉 Bilet bulundu: ${watch.name}`, {
+            body: lines.join('\n'),
+            tag: `watch-${watch.id}`,
+            requireInteraction: true
+        });
+    }
+
+    /**
+     * Shows a notification for a watched class that got cheaper
+     * @param {Object} watch - Watch that saw the price drop ({ id, name })
+     * @param {string} line - Train, class and old and new price
+     */
+    async notifyPriceDrop(watch, line) {
+        await this.show(`📉 Fiyat düştü: ${watch.name}`, {
+            body: line,
+            tag: `price-${watch.id}`
+        });
+    }
+
+    /**
+     * Shows a notification if enabled and permitted
+     * @param {string} title - Notification title
+     * @param {Object} options - Notification options (body, tag, ...)
+     */
+    async show(title, options) {
+        if (!this.settings.enabled || !this.isSupported() || Notification.permission !== 'granted') {
+            return;
+        }
+
+        try {
+            if (this.settings.useServiceWorker && this.registration) {
+                // Stays on screen and focuses the app on click even after the tab is closed
+                await this.registration.showNotification(title, options);
+                return;
+            }
+
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+        } catch (error) {
+            logger.error(LOG_CATEGORIES.NOTIFICATION, 'Bildirim gösterilemedi', { details: error });
+        }
+    }
+}
+
+// Export singleton instance
+export const notificationManager = new NotificationManager();
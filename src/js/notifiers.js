@@ -0,0 +1,161 @@
+/**
+ * Notifier plugin module
+ * Delivers structured events (seats found, price drop, seat held, hold expiring, hold released)
+ * to pluggable notifiers such as a JSON webhook
+ */
+
+import { logger, LOG_CATEGORIES } from './logger.js';
+
+export const NOTIFIER_EVENTS = {
+    SEATS_FOUND: 'seats_found',
+    PRICE_DROP: 'price_drop',
+    SEAT_HELD: 'seat_held',
+    HOLD_EXPIRING: 'hold_expiring',
+    HOLD_RELEASED: 'hold_released',
+    TEST: 'test'
+};
+
+/**
+ * Creates a structured notifier event
+ * @param {string} type - Event type (see NOTIFIER_EVENTS)
+ * @param {string} message - Human readable summary
+ * @param {Object} [data={}] - Event specific data (watch, trains, seat, reason...)
+ * @returns {Object} Event object
+ */
+export function createEvent(type, message, data = {}) {
+    return {
+        type,
+        message,
+        timestamp: new Date().toISOString(),
+        ...data
+    };
+}
+
+/**
+ * Fills {{path}} placeholders of a template with event values
+ * Values are JSON-escaped so the template can be a JSON document,
+ * e.g. {"chat_id": "123", "text": "{{message}}"}
+ * @param {string} template - Template text
+ * @param {Object} event - Event object
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, event) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+        const value = path.split('.').reduce((current, key) => current?.[key], event);
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'object') return JSON.stringify(value).replace(/"/g, '\\"');
+        return JSON.stringify(String(value)).slice(1, -1);
+    });
+}
+
+export class WebhookNotifier {
+    /**
+     * @param {Object} options - Webhook options
+     * @param {string} options.url - Target URL (POST)
+     * @param {Object} [options.headers={}] - Extra request headers (e.g. Authorization)
+     * @param {string} [options.template] - Body template with {{path}} placeholders; the raw event JSON is sent if empty
+     * @param {Array<string>} [options.events] - Event types to deliver (all if empty)
+     * @param {Function} [options.fetchImpl=fetch] - fetch implementation (injectable for tests)
+     */
+    constructor({ url, headers = {}, template = '', events = [], fetchImpl = (...args) => fetch(...args) }) {
+        this.name = 'webhook';
+        this.url = url;
+        this.headers = headers;
+        this.template = template;
+        this.events = events;
+        this.fetchImpl = fetchImpl;
+    }
+
+    /**
+     * Checks if this notifier delivers the given event type
+     * @param {string} type - Event type
+     * @returns {boolean} True if delivered
+     */
+    accepts(type) {
+        return this.events.length === 0 || this.events.includes(type) || type === NOTIFIER_EVENTS.TEST;
+    }
+
+    /**
+     * Posts an event to the webhook
+     * @param {Object} event - Event object
+     * @returns {Promise<void>}
+     * @throws {Error} If the request fails
+     */
+    async send(event) {
+        if (!this.accepts(event.type)) return;
+
+        const body = this.template ? renderTemplate(this.template, event) : JSON.stringify(event);
+
+        const response = await this.fetchImpl(this.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.headers
+            },
+            body: body
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: Webhook request failed`);
+        }
+    }
+}
+
+export class NotifierRegistry {
+    constructor() {
+        this.notifiers = new Map(); // name -> notifier
+        this.pending = new Set(); // Deliveries still in flight
+    }
+
+    /**
+     * Registers a notifier, replacing any notifier with the same name
+     * A notifier is any object with a name and an async send(event) method
+     * @param {Object} notifier - Notifier instance
+     */
+    register(notifier) {
+        this.notifiers.set(notifier.name, notifier);
+    }
+
+    /**
+     * Removes a notifier
+     * @param {string} name - Notifier name
+     */
+    unregister(name) {
+        this.notifiers.delete(name);
+    }
+
+    /**
+     * Sends an event to all registered notifiers
+     * Failures are logged and never interrupt the search or allocation flow
+     * @param {Object} event - Event object (see createEvent)
+     * @returns {Promise<Array>} Settled results, one per notifier
+     */
+    async notify(event) {
+        const delivery = Promise.allSettled(
+            [...this.notifiers.values()].map(notifier => notifier.send(event))
+        );
+        this.pending.add(delivery);
+        const results = await delivery;
+        this.pending.delete(delivery);
+
+        results.forEach(result => {
+            if (result.status === 'rejected') {
+                logger.error(LOG_CATEGORIES.NOTIFICATION, `Bildirim gönderilemedi (${event.type})`, { details: result.reason });
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * Waits until every delivery in flight has finished
+     * Lets a process (e.g. the CLI) exit without cutting off webhook requests
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await Promise.allSettled([...this.pending]);
+    }
+}
+
+// Export singleton instance
+export const notifierRegistry = new NotifierRegistry();
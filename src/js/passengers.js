@@ -0,0 +1,57 @@
+/**
+ * Passenger module
+ * The travellers of a search (gender and passenger type of each), as sent to the
+ * availability request and to every select-seat request of a group hold
+ */
+
+import { CONFIG } from './config.js';
+
+// Searches saved before passenger lists existed were for a single adult
+export const DEFAULT_PASSENGERS = [{ gender: 'M', type: 'ADULT' }];
+
+/**
+ * Gets the passengers of a search
+ * @param {Object} params - Search parameters
+ * @returns {Array<{ gender: string, type: string }>} Passengers (gender: M or F, type: key of CONFIG.PASSENGER_TYPES)
+ */
+export function getPassengers(params) {
+    return params.passengers?.length > 0 ? params.passengers : DEFAULT_PASSENGERS;
+}
+
+/**
+ * Counts passengers per type for the availability request
+ * @param {Array} passengers - Passengers
+ * @returns {Array<{ id: number, count: number }>} Passenger type counts, in order of first appearance
+ */
+export function getPassengerTypeCounts(passengers) {
+    const counts = new Map();
+    passengers.forEach(({ type }) => {
+        const id = CONFIG.PASSENGER_TYPES[type].id;
+        counts.set(id, (counts.get(id) || 0) + 1);
+    });
+
+    return [...counts].map(([id, count]) => ({ id, count }));
+}
+
+/**
+ * Describes a passenger
+ * @param {Object} passenger - Passenger
+ * @returns {string} Description like "Kadın, Öğrenci"
+ */
+export function describePassenger(passenger) {
+    return `${CONFIG.GENDERS[passenger.gender]}, ${CONFIG.PASSENGER_TYPES[passenger.type].name}`;
+}
+
+/**
+ * Describes a passenger list
+ * @param {Array} passengers - Passengers
+ * @returns {string} Summary like "3 yolcu (2 Yetişkin, 1 Öğrenci)"
+ */
+export function describePassengers(passengers) {
+    const typeCounts = Object.entries(CONFIG.PASSENGER_TYPES)
+        .map(([key, type]) => [type.name, passengers.filter(passenger => passenger.type === key).length])
+        .filter(([, count]) => count > 0)
+        .map(([name, count]) => `${count} ${name}`);
+
+    return `${passengers.length} yolcu (${typeCounts.join(', ')})`;
+}
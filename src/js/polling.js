@@ -0,0 +1,93 @@
+/**
+ * Polling policy module
+ * Decides how long a search waits before its next check, instead of a fixed interval:
+ * faster close to departure and in the hours TCDD releases held seats, slower for
+ * far-away trips, at night and while requests keep failing
+ */
+
+import { CONFIG } from './config.js';
+import { getMinutesOfDay, getRandomDelay, toMinutes } from './utils.js';
+
+export class PollingPolicy {
+    /**
+     * Calculates the wait before the next check
+     * @param {Object} state - Search state
+     * @param {Date|null} state.departure - Nearest departure the search is looking for
+     * @param {Array<boolean>} [state.outcomes=[]] - Recent check outcomes, true = failed (oldest first)
+     * @param {number} [state.consecutiveFailures=0] - Failed checks in a row
+     * @param {number|null} [state.retryAfter=null] - Wait requested by the server (ms)
+     * @param {Date} [now=new Date()] - Current time
+     * @returns {{ delay: number, factors: Array<{ reason: string, factor: number }> }}
+     *   Wait in milliseconds and the factors (other than 1) applied to CHECK_INTERVAL
+     */
+    getDelay({ departure, outcomes = [], consecutiveFailures = 0, retryAfter = null }, now = new Date()) {
+        const factors = [
+            this.getProximityFactor(departure, now),
+            this.getTimeOfDayFactor(now),
+            this.getErrorFactor(outcomes, consecutiveFailures)
+        ].filter(entry => entry && entry.factor !== 1);
+
+        const interval = Math.min(
+            CONFIG.MAX_CHECK_INTERVAL,
+            factors.reduce((delay, { factor }) => delay * factor, CONFIG.CHECK_INTERVAL)
+        );
+
+        // Anti-bot protection: checks never land on a fixed beat
+        const jitter = getRandomDelay(CONFIG.MIN_ANTI_BOT_DELAY, CONFIG.MAX_ANTI_BOT_DELAY);
+        const delay = Math.max(Math.round(interval) + jitter, retryAfter || 0);
+
+        return { delay, factors };
+    }
+
+    /**
+     * Gets the factor for how close the departure is
+     * @param {Date|null} departure - Nearest departure
+     * @param {Date} now - Current time
+     * @returns {Object|null} Factor entry or null if the departure is unknown
+     */
+    getProximityFactor(departure, now) {
+        if (!departure) return null;
+
+        const hoursLeft = (departure - now) / (60 * 60 * 1000);
+        const tier = CONFIG.POLLING.PROXIMITY_TIERS.find(entry => hoursLeft <= entry.withinHours);
+
+        return tier && { reason: tier.label, factor: tier.factor };
+    }
+
+    /**
+     * Gets the factor for the time of day in Turkey (first matching window wins)
+     * @param {Date} now - Current time
+     * @returns {Object|null} Factor entry or null outside all windows
+     */
+    getTimeOfDayFactor(now) {
+        const minutes = getMinutesOfDay(now);
+        const hourWindow = CONFIG.POLLING.HOUR_WINDOWS.find(entry =>
+            minutes >= toMinutes(entry.start) && minutes < toMinutes(entry.end)
+        );
+
+        return hourWindow && { reason: hourWindow.label, factor: hourWindow.factor };
+    }
+
+    /**
+     * Gets the factor for recent failures: doubles with every failure in a row
+     * and grows with the share of failed checks in the recent window
+     * @param {Array<boolean>} outcomes - Recent check outcomes, true = failed
+     * @param {number} consecutiveFailures - Failed checks in a row
+     * @returns {Object|null} Factor entry or null without failures
+     */
+    getErrorFactor(outcomes, consecutiveFailures) {
+        const failures = outcomes.filter(Boolean).length;
+        if (failures === 0 && consecutiveFailures === 0) return null;
+
+        const errorRate = outcomes.length > 0 ? failures / outcomes.length : 1;
+        const factor = Math.max(
+            consecutiveFailures > 0 ? 2 ** (consecutiveFailures - 1) : 1,
+            1 + errorRate * CONFIG.POLLING.ERROR_RATE_FACTOR
+        );
+
+        return { reason: `hata oranı %${Math.round(errorRate * 100)}`, factor };
+    }
+}
+
+// Export singleton instance
+export const pollingPolicy = new PollingPolicy();
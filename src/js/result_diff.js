@@ -0,0 +1,90 @@
+/**
+ * Result diff module
+ * Compares the seats of a train with those seen at the previous check of its date,
+ * so the results can point out what changed instead of only showing the latest counts
+ */
+
+/**
+ * Builds the key that identifies a train across checks
+ * @param {Object} train - Train, connection (with legs) or nearby stop alternative
+ * @returns {string} Train key, e.g. "124195", "124083+124127" or "124083@770-98"
+ */
+export function getTrainKey(train) {
+    const key = train.legs ? train.legs.map(leg => leg.trainId).join('+') : String(train.trainId);
+
+    // The same train can be suggested from several nearby station pairs
+    return train.extraMinutes !== undefined
+        ? `${key}@${train.departureStationId}-${train.arrivalStationId}`
+        : key;
+}
+
+/**
+ * Gets the seat counts of the selected cabin classes of a train
+ * @param {Object} train - Train
+ * @returns {Map<string, number>} Class key -> free seats
+ */
+export function getSeatCounts(train) {
+    return new Map((train.cabinClasses || [])
+        .filter(cabin => cabin.isSelected)
+        .map(cabin => [cabin.classKey, cabin.availability]));
+}
+
+/**
+ * Copies a train with no seats left in any cabin class
+ * @param {Object} train - Train
+ * @returns {Object} Sold out copy of the train
+ */
+export function toSoldOut(train) {
+    return {
+        ...train,
+        cabinClasses: (train.cabinClasses || []).map(cabin => ({ ...cabin, availability: 0 }))
+    };
+}
+
+/**
+ * Finds the cabin classes whose seats changed since the previous check
+ * @param {Map<string, number>|null} previous - Seat counts at the previous check (see getSeatCounts),
+ *   an empty map for a train that was not listed then, null if there was no previous check
+ * @param {Object} train - Train at this check
+ * @returns {Map<string, Object>} Class key -> change ({ type, previous, seats }); type is 'new' (seats
+ *   appeared), 'up', 'down' or 'sold-out'. Classes that did not change are left out.
+ */
+export function getSeatChanges(previous, train) {
+    const changes = new Map();
+    if (!previous) return changes;
+
+    getSeatCounts(train).forEach((seats, classKey) => {
+        const before = previous.get(classKey) ?? 0;
+        if (seats === before) return;
+
+        let type;
+        if (before === 0) {
+            type = 'new';
+        } else if (seats === 0) {
+            type = 'sold-out';
+        } else {
+            type = seats > before ? 'up' : 'down';
+        }
+        changes.set(classKey, { type, previous: before, seats });
+    });
+
+    return changes;
+}
+
+/**
+ * Builds the badge text of a seat change
+ * @param {Object} change - Change (see getSeatChanges)
+ * @returns {string} Badge text, e.g. "⬆️ +2"
+ */
+export function describeSeatChange(change) {
+    const difference = change.seats - change.previous;
+
+    switch (change.type) {
+        case 'new':
+            return '🆕 yeni';
+        case 'sold-out':
+            return '⛔ tükendi';
+        default:
+            return `${difference > 0 ? '⬆️ +' : '⬇️ '}${difference}`;
+    }
+}
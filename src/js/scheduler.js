@@ -0,0 +1,68 @@
+/**
+ * Request scheduler module
+ * Serializes API calls coming from multiple watches so they share trainAPI
+ * without tripping over its isLoading guard
+ */
+
+export class RequestScheduler {
+    constructor() {
+        this.queue = []; // Pending tasks: { key, task, resolve, reject }
+        this.isRunning = false;
+    }
+
+    /**
+     * Checks if a task with the given key is waiting in the queue
+     * @param {string|number} key - Task owner key (e.g. watch ID)
+     * @returns {boolean} True if a task is queued for this key
+     */
+    isPending(key) {
+        return this.queue.some(entry => entry.key === key);
+    }
+
+    /**
+     * Queues a task and runs it once all previously queued tasks are done
+     * @param {string|number} key - Task owner key (e.g. watch ID)
+     * @param {Function} task - Async function to run
+     * @returns {Promise<*>} Task result, or null if the task was cancelled
+     */
+    schedule(key, task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ key, task, resolve, reject });
+            this.runNext();
+        });
+    }
+
+    /**
+     * Removes queued (not yet running) tasks of the given key
+     * Cancelled tasks resolve with null, like a skipped request
+     * @param {string|number} key - Task owner key
+     */
+    cancel(key) {
+        const cancelled = this.queue.filter(entry => entry.key === key);
+        this.queue = this.queue.filter(entry => entry.key !== key);
+        cancelled.forEach(entry => entry.resolve(null));
+    }
+
+    /**
+     * Runs queued tasks one at a time
+     */
+    async runNext() {
+        if (this.isRunning) return;
+
+        const entry = this.queue.shift();
+        if (!entry) return;
+
+        this.isRunning = true;
+        try {
+            entry.resolve(await entry.task());
+        } catch (error) {
+            entry.reject(error);
+        } finally {
+            this.isRunning = false;
+            this.runNext();
+        }
+    }
+}
+
+// Export singleton instance
+export const requestScheduler = new RequestScheduler();
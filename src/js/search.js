@@ -1,14 +1,164 @@
-import { trainAPI } from './api.js';
-import { uiManager } from './ui.js';
+import { trainAPI, ApiAuthError } from './api.js';
 import { CONFIG } from './config.js';
+import { EventEmitter } from './events.js';
+import { logger, LOG_LEVELS, LOG_CATEGORIES } from './logger.js';
 import { seatAllocationManager } from './seat_allocation.js';
-import { formatTime, isInTimeRange, getCurrentTime } from './utils.js';
+import { seatPreferenceEngine } from './seat_preferences.js';
+import { getPassengers } from './passengers.js';
+import { requestScheduler } from './scheduler.js';
+import { pollingPolicy } from './polling.js';
+import { notifierRegistry, createEvent, NOTIFIER_EVENTS } from './notifiers.js';
+import { availabilityHistory } from './availability_history.js';
+import { getNearbyStopPairs, describeStopShift, formatExtraTime } from './nearby_stops.js';
+import { getTripMinutes, matchesTrainFilters } from './train_filters.js';
+import {
+    formatTime, formatMinutes, formatTravelDate, getTravelDateTime, shiftTravelDate, isInTimeRange, isTimeInWindow,
+    isOvernightWindow, getCurrentTime
+} from './utils.js';
 
-export class SearchManager {
-    constructor() {
-        this.searchInterval = null;
+/**
+ * Gets the price of a cabin class of a train
+ * cabinClassAvailabilities usually comes without prices; the fare families in
+ * availableFareInfo carry them, so the cheapest fare of the class is used then
+ * @param {Object} train - Train object from API
+ * @param {Object} classAvail - Entry of train.cabinClassAvailabilities
+ * @returns {number|null} Price in TL or null if unknown
+ */
+function getCabinPrice(train, classAvail) {
+    if (classAvail.minPrice?.parsedValue) {
+        return classAvail.minPrice.parsedValue;
+    }
+    if (typeof classAvail.minPrice === 'number') {
+        return classAvail.minPrice;
+    }
+    if (classAvail.bookingClassAvailabilities?.[0]?.price?.parsedValue) {
+        return classAvail.bookingClassAvailabilities[0].price.parsedValue;
+    }
+
+    const fares = (train.availableFareInfo || [])
+        .flatMap(fareInfo => fareInfo.cabinClasses || [])
+        .filter(fare => fare.cabinClass?.id === classAvail.cabinClass.id)
+        .flatMap(fare => fare.minPrice?.parsedValue
+            ? [fare.minPrice.parsedValue]
+            : (fare.bookingClassAvailabilities || []).map(booking => booking.price?.parsedValue))
+        .filter(price => price > 0);
+
+    return fares.length > 0 ? Math.min(...fares) : null;
+}
+
+/**
+ * Gets where a train of a connection is boarded and left
+ * @param {Object} train - Train object from API
+ * @returns {Object} Stops ({ departureStationId, departureStationName, arrivalStationId, arrivalStationName,
+ *   departureAt, arrivalAt }), times in ms
+ */
+function getTrainStops(train) {
+    const firstSegment = train.segments[0];
+    const lastSegment = train.segments[train.segments.length - 1];
+
+    return {
+        departureStationId: firstSegment.segment?.departureStation?.id ?? train.departureStationId,
+        departureStationName: firstSegment.segment?.departureStation?.name || '',
+        arrivalStationId: lastSegment.segment?.arrivalStation?.id ?? train.arrivalStationId,
+        arrivalStationName: lastSegment.segment?.arrivalStation?.name || '',
+        departureAt: firstSegment.departureTime,
+        arrivalAt: lastSegment.arrivalTime
+    };
+}
+
+/**
+ * Gets the departure time of the first train of a trainAvailabilities entry
+ * @param {Object} trainAvailabilities - Entry of trainAvailabilities
+ * @returns {string} Time (HH:MM) or '' if the entry has no segments
+ */
+function getEntryDepartureTime(trainAvailabilities) {
+    const departureTime = trainAvailabilities?.trains?.[0]?.segments?.[0]?.departureTime;
+    return departureTime ? formatTime(departureTime) : '';
+}
+
+/**
+ * Checks a cabin class price against the price limit of a search
+ * A class without a known price does not meet a limit
+ * @param {number|null} price - Price in TL
+ * @param {number|null} [maxPrice] - Highest acceptable price in TL (none if not set)
+ * @returns {boolean} True if the price is acceptable
+ */
+function isWithinPriceLimit(price, maxPrice) {
+    if (maxPrice == null) return true;
+    return price != null && price <= maxPrice;
+}
+
+/**
+ * Checks if a cabin class of a processed train is one the search is looking for:
+ * a selected class within the price limit
+ * @param {Object} cabin - Cabin class (see SearchManager.processTrainAvailability)
+ * @returns {boolean} True if the class counts for the search
+ */
+function isWantedCabin(cabin) {
+    return cabin.isSelected && cabin.isWithinPrice;
+}
+
+/**
+ * Counts the free seats of a processed train in the classes the search is looking for
+ * @param {Object} trainInfo - Train info (see SearchManager.processTrainAvailability)
+ * @returns {number} Seats
+ */
+function countWantedSeats(trainInfo) {
+    return trainInfo.cabinClasses
+        .filter(isWantedCabin)
+        .reduce((sum, cabin) => sum + cabin.availability, 0);
+}
+
+/**
+ * Searches availability for a single watch
+ * UI-agnostic: progress is reported through events, so the same search runs
+ * behind a watch card in the browser or in the terminal (see bin/tren-bul.js)
+ *
+ * Events:
+ * - status ({ message, type }): status line changed (type: waiting, searching, found, error)
+ * - log (entry): something worth keeping in the log happened (see Logger.log; also added to the shared logger)
+ * - results (dateResults): latest results per date, earliest date first
+ * - searchingChange (isSearching): search started or stopped
+ * - pausedChange (isPaused): search paused or resumed
+ * - schedule ({ nextCheckAt, delay, factors } | null): next check scheduled (null: none pending)
+ * - found ({ date, totalSeats, trainLines, result }): seats found in the selected classes
+ * - priceDrop ({ date, legIndex, train, cabin, previousPrice }): the price of a watched train's class
+ *   went down (only with params.alertPriceDrop)
+ * - seatsHeld (seats): seats were held automatically
+ * - authError (error): the API rejected the auth token; the search stops
+ */
+export class SearchManager extends EventEmitter {
+    /**
+     * @param {Object} watch - Watch this search belongs to ({ id, name, params })
+     */
+    constructor(watch) {
+        super();
+        this.watch = watch;
+        this.checkTimer = null;
         this.isSearching = false;
-        this.isFirstRequest = true;
+        this.isPaused = false;
+        this.isChecking = false;
+        this.nextCheckAt = null; // Time of the next scheduled check (ms)
+        this.recentOutcomes = []; // Last CONFIG.POLLING.ERROR_WINDOW checks, true = failed
+        this.consecutiveFailures = 0; // Failed checks in a row
+        this.retryAfter = null; // Wait the server asked for with the last failure (ms)
+        this.dateIndex = 0; // Position in the date cycle
+        this.resultsByDate = new Map(); // date (DD-MM-YYYY) -> latest result of that date
+        this.lastPrices = new Map(); // date|leg|train|class -> last seen price, for price drop alerts
+        this.reportedAlternatives = new Set(); // Nearby stop alternatives already logged
+    }
+
+    /**
+     * Adds an entry about this watch to the shared log and reports it with a log event
+     * @param {string} level - Level (see LOG_LEVELS)
+     * @param {string} message - Message
+     * @param {Object} [options={}] - Extras
+     * @param {string} [options.category=LOG_CATEGORIES.SEARCH] - Category (see LOG_CATEGORIES)
+     * @param {*} [options.details] - Error or data behind the entry
+     */
+    log(level, message, { category = LOG_CATEGORIES.SEARCH, details } = {}) {
+        const entry = logger.log(level, category, message, { source: this.watch.name, details });
+        this.emit('log', entry);
     }
 
     /**
@@ -18,22 +168,19 @@ export class SearchManager {
         if (this.isSearching) return;
         
         this.isSearching = true;
-        this.isFirstRequest = true; // Reset for new search session
-        uiManager.setSearchingState(true);
-        uiManager.prepareSuccessAudio();
-        // Clear any previous allocation info from UI
-        uiManager.hideAllocatedSeat();
-        seatAllocationManager.clearAllocation();
-        
-        uiManager.updateStatus('Arama başlatıldı...', 'searching');
+        this.isPaused = false;
+        this.recentOutcomes = [];
+        this.consecutiveFailures = 0;
+        this.retryAfter = null;
+        this.dateIndex = 0;
+        this.resultsByDate.clear();
+        this.lastPrices.clear();
+        this.reportedAlternatives.clear();
+        this.emit('searchingChange', true);
+        this.emit('status', { message: 'Arama başlatıldı...', type: 'searching' });
         
-        // Perform first check immediately (without delay)
+        // Perform first check immediately; each check schedules the next one
         this.performCheck();
-        
-        // Schedule periodic checks
-        this.searchInterval = setInterval(() => {
-            this.performCheck();
-        }, CONFIG.CHECK_INTERVAL);
     }
 
     /**
@@ -43,113 +190,533 @@ export class SearchManager {
         if (!this.isSearching) return;
         
         this.isSearching = false;
-        uiManager.setSearchingState(false);
+        this.isPaused = false;
+        this.cancelNextCheck();
+        requestScheduler.cancel(this.watch.id);
         
-        if (this.searchInterval) {
-            clearInterval(this.searchInterval);
-            this.searchInterval = null;
+        this.emit('searchingChange', false);
+        this.emit('status', { message: 'Arama durduruldu.', type: 'waiting' });
+    }
+
+    /**
+     * Pauses a running search; results and the date cycle are kept
+     */
+    pauseSearch() {
+        if (!this.isSearching || this.isPaused) return;
+
+        this.isPaused = true;
+        this.cancelNextCheck();
+        requestScheduler.cancel(this.watch.id);
+
+        this.emit('pausedChange', true);
+        this.emit('status', { message: 'Arama duraklatıldı.', type: 'waiting' });
+    }
+
+    /**
+     * Resumes a paused search with an immediate check
+     */
+    resumeSearch() {
+        if (!this.isSearching || !this.isPaused) return;
+
+        this.isPaused = false;
+        this.emit('pausedChange', false);
+        this.emit('status', { message: 'Arama sürdürülüyor...', type: 'searching' });
+
+        // A check still running from before the pause schedules the next one itself
+        this.performCheck();
+    }
+
+    /**
+     * Schedules the next check according to the polling policy
+     */
+    scheduleNextCheck() {
+        this.cancelNextCheck();
+
+        const { delay, factors } = pollingPolicy.getDelay({
+            departure: this.getNextDeparture(),
+            outcomes: this.recentOutcomes,
+            consecutiveFailures: this.consecutiveFailures,
+            retryAfter: this.retryAfter
+        });
+
+        this.nextCheckAt = Date.now() + delay;
+        this.checkTimer = setTimeout(() => this.performCheck(), delay);
+        this.emit('schedule', { nextCheckAt: this.nextCheckAt, delay, factors });
+    }
+
+    /**
+     * Cancels the scheduled check, if any
+     */
+    cancelNextCheck() {
+        clearTimeout(this.checkTimer);
+        this.checkTimer = null;
+
+        if (this.nextCheckAt !== null) {
+            this.nextCheckAt = null;
+            this.emit('schedule', null);
         }
-        
-        uiManager.stopMusic();
-        uiManager.updateStatus('Arama durduruldu.', 'waiting');
     }
 
     /**
      * Performs a single availability check
      */
     async performCheck() {
-        // Skip if API is busy
-        if (trainAPI.isRequestInProgress()) {
+        // Skip if this watch still has a check queued or running
+        if (this.isChecking) {
             return;
         }
 
         try {
-            // Get search parameters from UI
-            const params = uiManager.getSearchParams();
-            if (!params) {
-                this.stopSearch();
-                return;
-            }
+            this.isChecking = true;
+            this.cancelNextCheck();
+            const params = this.watch.params;
+            const date = this.getNextDate();
 
-            uiManager.updateStatus('Kontrol ediliyor...', 'searching');
-            // Log only periodically or if status changes to avoid spam, but for now we keep as is
-            // uiManager.addLog(`🔍 Kontrol ediliyor... (${getCurrentTime()})`);
+            this.emit('status', {
+                message: this.isMultiDate() ? `Kontrol ediliyor... (${date})` : 'Kontrol ediliyor...',
+                type: 'searching'
+            });
 
-            // Call API (skip delay on first request for better UX)
-            const skipDelay = this.isFirstRequest;
-            this.isFirstRequest = false; // Subsequent requests will have delay
-            
-            const data = await trainAPI.checkAvailability(params, skipDelay);
+            // Requests of all watches go through the shared scheduler, one at a time
+            const data = await requestScheduler.schedule(
+                this.watch.id,
+                () => trainAPI.checkAvailability({ ...params, departureDate: date })
+            );
             
-            if (!data) {
-                // Request was skipped (another request in progress)
+            if (!data || !this.isSearching || this.isPaused) {
+                // Request was cancelled or the watch was stopped meanwhile
                 return;
             }
 
-            // Process results
-            const result = this.processTrainData(data, params.timeStart, params.timeEnd, params.selectedCabinClasses);
+            // Windows past midnight also need the trains of the next day
+            const windowData = await this.addNextDayTrains(data, date);
+            if (!windowData || !this.isSearching || this.isPaused) {
+                return;
+            }
+
+            // Process results and keep them as the latest snapshot of this date
+            const result = this.processTrainData(windowData, params.timeStart, params.timeEnd, params.selectedCabinClasses);
+
+            // Sold out: look for seats on the same trains from nearby stations
+            if (params.nearbyStops && !result.found) {
+                result.alternatives = await this.findNearbyAlternatives(windowData, date);
+                if (!this.isSearching || this.isPaused) return;
+            }
+
+            // Round trip: the return leg must have seats too
+            if (params.returnDate) {
+                result.returnLeg = this.processTrainData(
+                    windowData, params.returnTimeStart, params.returnTimeEnd, params.selectedCabinClasses, 1
+                );
+                result.outboundFound = result.found;
+                result.found = result.found && result.returnLeg.found;
+            }
+
+            this.recordOutcome(null);
+            this.recordAvailability(data, date);
+            if (params.alertPriceDrop) {
+                this.checkPriceDrops(windowData, date);
+            }
+            this.resultsByDate.set(date, { ...result, date, checkedAt: getCurrentTime() });
+
+            const dateResults = this.getDateResults();
             
-            if (result.found) {
+            if (dateResults.some(dateResult => dateResult.found)) {
                 // Determine if we should really stop. 
                 // Only if we found tickets in SELECTED classes (which processTrainData ensures)
-                this.handleTicketsFound(result, params);
+                this.handleTicketsFound(dateResults, params);
             } else {
-                uiManager.updateStatus('Belirtilen saat aralığında boş koltuk bulunamadı. Arama devam ediyor...', 'searching');
-                uiManager.displayResults([]);
+                this.emit('status', { message: this.getNotFoundMessage(result), type: 'searching' });
+                this.emit('results', dateResults);
             }
 
         } catch (error) {
-            const errorMessage = `❌ Hata: ${error.message}`;
-            uiManager.updateStatus(errorMessage, 'error');
-            uiManager.addLog(`⚠️ Hata: ${error.message} (${getCurrentTime()})`);
-            console.error('Hata detayı:', error);
+            if (error instanceof ApiAuthError) {
+                this.handleAuthError(error);
+                return;
+            }
+
+            this.recordOutcome(error);
+            this.emit('status', { message: `❌ Hata: ${error.message}`, type: 'error' });
+            this.log(LOG_LEVELS.ERROR, `⚠️ Hata: ${error.message}`, { details: error });
+        } finally {
+            this.isChecking = false;
+
+            if (this.isSearching && !this.isPaused && !this.checkTimer) {
+                this.scheduleNextCheck();
+            }
+        }
+    }
+
+    /**
+     * Completes the trains of a date for departure windows that run past midnight
+     * A window like 22:00-02:00 on a date ends at 02:00 on the next day, whose trains come
+     * from the next date's query. The returned data keeps, per leg with such a window, the
+     * trains leaving from the window start on and the next day's trains leaving until its end
+     * (trains before the start belong to the previous night); other legs are left as they are.
+     * @param {Object} data - API response data of the checked date
+     * @param {string} date - Checked date (DD-MM-YYYY)
+     * @returns {Promise<Object|null>} Response data of the windows, data itself if no window runs
+     *   past midnight, or null if the request was cancelled
+     */
+    async addNextDayTrains(data, date) {
+        const params = this.watch.params;
+        const windows = [[params.timeStart, params.timeEnd]];
+        if (params.returnDate) {
+            windows.push([params.returnTimeStart, params.returnTimeEnd]);
+        }
+
+        if (!windows.some(([timeStart, timeEnd]) => isOvernightWindow(timeStart, timeEnd))) {
+            return data;
+        }
+
+        const nextData = await requestScheduler.schedule(this.watch.id, () => trainAPI.checkAvailability({
+            ...params,
+            departureDate: shiftTravelDate(date, 1),
+            ...(params.returnDate ? { returnDate: shiftTravelDate(params.returnDate, 1) } : {})
+        }));
+        if (!nextData) {
+            return null;
+        }
+
+        return {
+            ...data,
+            trainLegs: (data.trainLegs || []).map((leg, legIndex) => {
+                const [timeStart, timeEnd] = windows[legIndex] || [];
+                if (!isOvernightWindow(timeStart, timeEnd)) {
+                    return leg;
+                }
+
+                const nextDayEntries = nextData.trainLegs?.[legIndex]?.trainAvailabilities || [];
+                return {
+                    ...leg,
+                    trainAvailabilities: [
+                        ...(leg?.trainAvailabilities || []).filter(entry => getEntryDepartureTime(entry) >= timeStart),
+                        ...nextDayEntries.filter(entry => {
+                            const departureTime = getEntryDepartureTime(entry);
+                            return departureTime !== '' && departureTime <= timeEnd;
+                        })
+                    ]
+                };
+            })
+        };
+    }
+
+    /**
+     * Records the outcome of a check for the error rate of the polling policy
+     * @param {Error|null} error - Failure of the check, null if it succeeded
+     */
+    recordOutcome(error) {
+        this.recentOutcomes = [...this.recentOutcomes, Boolean(error)].slice(-CONFIG.POLLING.ERROR_WINDOW);
+        this.consecutiveFailures = error ? this.consecutiveFailures + 1 : 0;
+        this.retryAfter = error?.retryAfter || null;
+    }
+
+    /**
+     * Adds every train of a check to the availability history, not only those with seats,
+     * so the history shows when seats appear and disappear
+     * @param {Object} data - API response data
+     * @param {string} date - Checked date (DD-MM-YYYY)
+     */
+    recordAvailability(data, date) {
+        const params = this.watch.params;
+        const outbound = {
+            departureStationId: params.departureStationId,
+            departureStationName: params.departureStationName,
+            arrivalStationId: params.arrivalStationId,
+            arrivalStationName: params.arrivalStationName
+        };
+        const legs = [{ route: outbound, date, legIndex: 0 }];
+
+        if (params.returnDate) {
+            const returnRoute = {
+                departureStationId: params.arrivalStationId,
+                departureStationName: params.arrivalStationName,
+                arrivalStationId: params.departureStationId,
+                arrivalStationName: params.departureStationName
+            };
+            legs.push({ route: returnRoute, date: params.returnDate, legIndex: 1 });
+        }
+
+        const checkedAt = Date.now();
+        legs.forEach(({ route, date: legDate, legIndex }) => {
+            // Connection legs run on other routes, so only direct trains belong to this route's history
+            const trains = this.getLegTrains(data, legIndex, '00:00', '23:59', []).filter(train => !train.legs);
+            availabilityHistory.record({ route, date: legDate, trains, checkedAt });
+        });
+    }
+
+    /**
+     * Compares the prices of the watched trains and classes with the previous check and
+     * reports every class that got cheaper
+     * Only classes with free seats count: the price of a sold out class cannot be paid
+     * @param {Object} data - API response data
+     * @param {string} date - Checked date (DD-MM-YYYY)
+     */
+    checkPriceDrops(data, date) {
+        const params = this.watch.params;
+        const legs = [{ date, legIndex: 0, timeStart: params.timeStart, timeEnd: params.timeEnd }];
+        if (params.returnDate) {
+            legs.push({ date: params.returnDate, legIndex: 1, timeStart: params.returnTimeStart, timeEnd: params.returnTimeEnd });
+        }
+
+        legs.forEach(({ date: legDate, legIndex, timeStart, timeEnd }) => {
+            this.getLegTrains(data, legIndex, timeStart, timeEnd, params.selectedCabinClasses)
+                .filter(train => this.isWantedTrain(train, legIndex))
+                .forEach(train => {
+                    train.cabinClasses
+                        .filter(cabin => cabin.isSelected && cabin.availability > 0 && cabin.price != null)
+                        .forEach(cabin => {
+                            const trainKey = train.legs ? train.legs.map(leg => leg.trainId).join('+') : train.trainId;
+                            const key = `${legDate}|${legIndex}|${trainKey}|${cabin.classKey}`;
+                            const previousPrice = this.lastPrices.get(key);
+                            this.lastPrices.set(key, cabin.price);
+
+                            if (previousPrice !== undefined && cabin.price < previousPrice) {
+                                this.reportPriceDrop({ date: legDate, legIndex, train, cabin, previousPrice });
+                            }
+                        });
+                });
+        });
+    }
+
+    /**
+     * Reports a cheaper class to the front end and external notifiers
+     * @param {Object} drop - Price drop ({ date, legIndex, train, cabin, previousPrice })
+     */
+    reportPriceDrop(drop) {
+        const { date, legIndex, train, cabin, previousPrice } = drop;
+        const legText = legIndex === 1 ? 'Dönüş ' : '';
+        const line = `${legText}${date} ${train.name} ${train.departureTime} · ${cabin.className}: ` +
+            `${previousPrice} TL → ${cabin.price} TL`;
+
+        this.log(LOG_LEVELS.INFO, `📉 Fiyat düştü: ${line}`);
+        this.emit('priceDrop', drop);
+        notifierRegistry.notify(createEvent(
+            NOTIFIER_EVENTS.PRICE_DROP,
+            `📉 ${this.watch.name}: fiyat düştü\n${line}`,
+            {
+                watch: { id: this.watch.id, name: this.watch.name, params: this.watch.params },
+                date,
+                legIndex,
+                train,
+                cabin,
+                previousPrice,
+                price: cabin.price
+            }
+        ));
+    }
+
+    /**
+     * Queries nearby boarding and alighting stations of the sold out trains in the time window
+     * and keeps the trains that have seats for every passenger there
+     * At most NEARBY_STOPS.MAX_QUERIES station pairs are tried per check, closest first.
+     * A failed query is skipped, only an auth error ends the check.
+     * @param {Object} data - API response data of the searched stations
+     * @param {string} date - Checked date (DD-MM-YYYY)
+     * @returns {Promise<Array<Object>>} Alternatives ({ ...train info, departureStationId, departureStationName,
+     *   arrivalStationId, arrivalStationName, boardingShift, alightingShift, extraMinutes })
+     */
+    async findNearbyAlternatives(data, date) {
+        const params = this.watch.params;
+        const seatsNeeded = getPassengers(params).length;
+
+        const soldOutTrains = (data.trainLegs?.[0]?.trainAvailabilities || [])
+            .filter(trainAvailabilities => !trainAvailabilities?.connection)
+            .flatMap(trainAvailabilities => trainAvailabilities?.trains || [])
+            .filter(train => {
+                const trainInfo = this.processTrainAvailability(train, params.timeStart, params.timeEnd, params.selectedCabinClasses);
+                return trainInfo && this.isWantedTrain(trainInfo) && countWantedSeats(trainInfo) < seatsNeeded;
+            });
+
+        const maxStops = Math.min(params.nearbyStops, CONFIG.NEARBY_STOPS.MAX_STOPS);
+        const pairs = getNearbyStopPairs(soldOutTrains, params.departureStationId, params.arrivalStationId, maxStops)
+            .slice(0, CONFIG.NEARBY_STOPS.MAX_QUERIES);
+
+        const alternatives = [];
+        for (const pair of pairs) {
+            let pairData;
+            try {
+                pairData = await requestScheduler.schedule(this.watch.id, () => trainAPI.checkAvailability({
+                    ...params,
+                    departureStationId: pair.boardingStationId,
+                    arrivalStationId: pair.alightingStationId,
+                    departureDate: date
+                }));
+            } catch (error) {
+                if (error instanceof ApiAuthError) throw error;
+                this.log(LOG_LEVELS.WARNING, 'Yakın durak sorgusu başarısız', { details: error });
+                continue;
+            }
+
+            if (!pairData || !this.isSearching || this.isPaused) break;
+
+            const pairTrains = (pairData.trainLegs?.[0]?.trainAvailabilities || [])
+                .flatMap(trainAvailabilities => trainAvailabilities?.trains || []);
+
+            soldOutTrains
+                .filter(train => pair.trainIds.includes(train.id))
+                .forEach(train => {
+                    const pairTrain = pairTrains.find(candidate => candidate.id === train.id);
+                    const trainInfo = pairTrain && this.processTrainAvailability(pairTrain, '00:00', '23:59', params.selectedCabinClasses);
+                    if (!trainInfo || countWantedSeats(trainInfo) < seatsNeeded) return;
+
+                    const searched = getTrainStops(train);
+                    const stops = getTrainStops(pairTrain);
+                    alternatives.push({
+                        ...trainInfo,
+                        ...stops,
+                        boardingShift: pair.boardingShift,
+                        alightingShift: pair.alightingShift,
+                        extraMinutes: Math.round(
+                            ((stops.arrivalAt - stops.departureAt) - (searched.arrivalAt - searched.departureAt)) / 60000
+                        )
+                    });
+                });
+        }
+
+        this.reportAlternatives(alternatives, date);
+        return alternatives;
+    }
+
+    /**
+     * Logs nearby stop alternatives that were not logged before
+     * @param {Array<Object>} alternatives - Alternatives (see findNearbyAlternatives)
+     * @param {string} date - Checked date (DD-MM-YYYY)
+     */
+    reportAlternatives(alternatives, date) {
+        alternatives.forEach(alternative => {
+            const key = `${date}|${alternative.trainId}|${alternative.departureStationId}|${alternative.arrivalStationId}`;
+            if (this.reportedAlternatives.has(key)) return;
+            this.reportedAlternatives.add(key);
+
+            this.log(LOG_LEVELS.INFO, `💡 Yakın durakta yer var (${date}): ${alternative.name} ${alternative.departureTime} · ` +
+                `${describeStopShift(alternative)}: ${countWantedSeats(alternative)} koltuk, ` +
+                formatExtraTime(alternative.extraMinutes));
+        });
+    }
+
+    /**
+     * Gets the earliest departure this search can still find: the start of the
+     * time window on the first searched date whose window has not passed yet
+     * (a window past midnight ends on the next day)
+     * @param {Date} [now=new Date()] - Current time
+     * @returns {Date|null} Departure time or null if all dates are past
+     */
+    getNextDeparture(now = new Date()) {
+        const { dates, timeStart, timeEnd } = this.watch.params;
+
+        for (const date of dates) {
+            const endDate = isOvernightWindow(timeStart, timeEnd) ? shiftTravelDate(date, 1) : date;
+            if (getTravelDateTime(endDate, timeEnd) < now) continue;
+
+            return getTravelDateTime(date, timeStart);
+        }
+        return null;
+    }
+
+    /**
+     * Stops the search when the token is rejected: retrying cannot succeed until it is replaced
+     * @param {ApiAuthError} error - Auth error of the request
+     */
+    handleAuthError(error) {
+        this.stopSearch();
+        this.emit('status', {
+            message: `🔑 Token geçersiz veya süresi dolmuş (HTTP ${error.status}). API ayarlarından yeni token girip aramayı yeniden başlatın.`,
+            type: 'error'
+        });
+        this.log(LOG_LEVELS.ERROR, `🔑 Yetkilendirme hatası: HTTP ${error.status}`, { category: LOG_CATEGORIES.API });
+        this.emit('authError', error);
+    }
+
+    /**
+     * Checks if this search cycles through more than one date
+     * @returns {boolean} True if multiple dates are searched
+     */
+    isMultiDate() {
+        return this.watch.params.dates.length > 1;
+    }
+
+    /**
+     * Gets the date to check next, cycling through the search dates
+     * @returns {string} Date in DD-MM-YYYY format
+     */
+    getNextDate() {
+        const { dates } = this.watch.params;
+        const date = dates[this.dateIndex % dates.length];
+        this.dateIndex++;
+        return date;
+    }
+
+    /**
+     * Gets the latest result of every checked date, in search date order (earliest first)
+     * @returns {Array} Array of date results ({ date, checkedAt, found, trains, totalSeats })
+     */
+    getDateResults() {
+        return this.watch.params.dates
+            .filter(date => this.resultsByDate.has(date))
+            .map(date => this.resultsByDate.get(date));
+    }
+
+    /**
+     * Builds the status message of a check without usable seats
+     * @param {Object} result - Processed result of the checked date
+     * @returns {string} Status message
+     */
+    getNotFoundMessage(result) {
+        if (result.alternatives?.length > 0) {
+            return `Belirtilen duraklarda yer yok, yakın duraklarda ${result.alternatives.length} seçenek var. Arama devam ediyor...`;
         }
+
+        if (result.returnLeg) {
+            if (result.outboundFound) {
+                return 'Gidişte yer var, dönüşte yok. Arama devam ediyor...';
+            }
+            if (result.returnLeg.found) {
+                return 'Dönüşte yer var, gidişte yok. Arama devam ediyor...';
+            }
+        }
+
+        const passengerCount = getPassengers(this.watch.params).length;
+        if (passengerCount > 1) {
+            return `Belirtilen saat aralığında ${passengerCount} yolcu için boş koltuk bulunamadı. Arama devam ediyor...`;
+        }
+
+        return 'Belirtilen saat aralığında boş koltuk bulunamadı. Arama devam ediyor...';
     }
 
     /**
      * Processes train data from API response
+     * Only trains with a seat for every passenger of the watch in the selected classes count;
+     * with a price limit (params.maxPrice) only classes at or below it. Trains left out by the
+     * train filters or the arrival window of the watch are skipped (see isWantedTrain)
      * @param {Object} data - API response data
      * @param {string} timeStart - Start time filter
      * @param {string} timeEnd - End time filter
      * @param {Array} selectedCabinClasses - Array of selected cabin class keys (e.g., ['ECONOMY', 'BUSINESS'])
+     * @param {number} [legIndex=0] - Index in trainLegs (0 = outbound, 1 = return)
      * @returns {Object} Processed result with found flag and train list
      */
-    processTrainData(data, timeStart, timeEnd, selectedCabinClasses) {
+    processTrainData(data, timeStart, timeEnd, selectedCabinClasses, legIndex = 0) {
         const availableTrains = [];
+        const seatsNeeded = getPassengers(this.watch.params).length;
         let foundAvailable = false;
         let totalSeats = 0;
 
-        // Navigate API response structure
-        if (data.trainLegs?.[0]?.trainAvailabilities) {
-            const allTrainAvailabilities = data.trainLegs[0].trainAvailabilities;
-            
-            for (const trainAvailabilities of allTrainAvailabilities) {
-                if (trainAvailabilities?.trains) {
-                    trainAvailabilities.trains.forEach(train => {
-                        // Process each train
-                        const trainInfo = this.processTrainAvailability(train, timeStart, timeEnd, selectedCabinClasses);
-                        if (trainInfo) {
-                            // Check if ANY selected cabin class has availability > 0
-                            const hasAvailableSeatsInSelectedClasses = trainInfo.cabinClasses.some(
-                                cabin => cabin.availability > 0 && cabin.isSelected
-                            );
-                            
-                            // ONLY ADD TRAIN IF IT HAS AVAILABLE SEATS IN SELECTED CLASSES
-                            if (hasAvailableSeatsInSelectedClasses) {
-                                foundAvailable = true;
-                                const selectedSeats = trainInfo.cabinClasses
-                                    .filter(cabin => cabin.isSelected)
-                                    .reduce((sum, cabin) => sum + cabin.availability, 0);
-                                totalSeats += selectedSeats;
-                                
-                                // Add train to results
-                                availableTrains.push(trainInfo);
-                            }
-                        }
-                    });
+        this.getLegTrains(data, legIndex, timeStart, timeEnd, selectedCabinClasses)
+            .filter(trainInfo => this.isWantedTrain(trainInfo, legIndex))
+            .forEach(trainInfo => {
+                const selectedSeats = countWantedSeats(trainInfo);
+
+                // ONLY ADD TRAIN IF IT HAS ENOUGH AVAILABLE SEATS IN SELECTED CLASSES (WITHIN THE PRICE LIMIT)
+                if (selectedSeats >= seatsNeeded) {
+                    foundAvailable = true;
+                    totalSeats += selectedSeats;
+
+                    // Add train to results
+                    availableTrains.push(trainInfo);
                 }
-            }
-        }
+            });
 
         return {
             found: foundAvailable,
@@ -158,11 +725,136 @@ export class SearchManager {
         };
     }
 
+    /**
+     * Checks a processed train against the filters of the watch besides the departure window
+     * and cabin classes: the train filters (see train_filters.js) and the arrival window of its leg
+     * @param {Object} train - Processed train or connection (see processTrainAvailability)
+     * @param {number} [legIndex=0] - Index in trainLegs (0 = outbound, 1 = return)
+     * @returns {boolean} True if the train is wanted
+     */
+    isWantedTrain(train, legIndex = 0) {
+        const params = this.watch.params;
+        const [arrivalStart, arrivalEnd] = legIndex === 0
+            ? [params.arrivalTimeStart, params.arrivalTimeEnd]
+            : [params.returnArrivalTimeStart, params.returnArrivalTimeEnd];
+
+        if (arrivalStart && arrivalEnd && !isTimeInWindow(train.arrivalTime, arrivalStart, arrivalEnd)) {
+            return false;
+        }
+        return matchesTrainFilters(train, params);
+    }
+
+    /**
+     * Processes all trains of a leg in a time range
+     * @param {Object} data - API response data
+     * @param {number} legIndex - Index in trainLegs (0 = outbound, 1 = return)
+     * @param {string} timeStart - Start time filter
+     * @param {string} timeEnd - End time filter
+     * @param {Array} selectedCabinClasses - Array of selected cabin class keys
+     * @returns {Array<Object>} Train infos (see processTrainAvailability)
+     */
+    getLegTrains(data, legIndex, timeStart, timeEnd, selectedCabinClasses) {
+        return (data.trainLegs?.[legIndex]?.trainAvailabilities || []).flatMap(trainAvailabilities => {
+            const trains = trainAvailabilities?.trains || [];
+
+            // A connection lists the trains of its legs in travel order
+            if (trainAvailabilities?.connection && trains.length > 1) {
+                const connection = this.processConnection(trainAvailabilities, timeStart, timeEnd, selectedCabinClasses);
+                return connection ? [connection] : [];
+            }
+
+            // The API flags trains arriving on a later day too
+            return trains
+                .map(train => this.processTrainAvailability(train, timeStart, timeEnd, selectedCabinClasses))
+                .filter(Boolean)
+                .map(trainInfo => (trainAvailabilities?.dayChanged ? { ...trainInfo, dayChanged: true } : trainInfo));
+        });
+    }
+
+    /**
+     * Processes an itinerary with transfers into a single result entry
+     * The entry looks like a train whose cabin classes are those offered on every leg:
+     * seats are the fewest free seats on any leg (a seat is needed on each of them)
+     * and the price is the sum of the leg prices
+     * @param {Object} trainAvailabilities - Entry of trainAvailabilities with connection: true
+     * @param {string} timeStart - Start time filter (departure of the first leg)
+     * @param {string} timeEnd - End time filter
+     * @param {Array} selectedCabinClasses - Array of selected cabin class keys
+     * @returns {Object|null} Connection ({ ...train info, legs, transfers, departureDate, dayChanged }) or null if excluded;
+     *   its duration includes the layovers
+     */
+    processConnection(trainAvailabilities, timeStart, timeEnd, selectedCabinClasses) {
+        const { excludeConnections, minLayover, maxLayover, maxPrice } = this.watch.params;
+        if (excludeConnections) {
+            return null;
+        }
+
+        const legs = [];
+        for (const train of trainAvailabilities.trains) {
+            const trainInfo = this.processTrainAvailability(train, '00:00', '23:59', selectedCabinClasses);
+            if (!trainInfo) return null;
+            legs.push({ ...trainInfo, ...getTrainStops(train) });
+        }
+
+        if (!isInTimeRange(legs[0].departureAt, timeStart, timeEnd)) {
+            return null;
+        }
+
+        // Layover in minutes at each transfer station
+        const transfers = legs.slice(1).map((leg, index) => ({
+            stationId: leg.departureStationId,
+            stationName: leg.departureStationName,
+            layover: Math.round((leg.departureAt - legs[index].arrivalAt) / 60000)
+        }));
+
+        if (transfers.some(({ layover }) => (minLayover != null && layover < minLayover) ||
+            (maxLayover != null && layover > maxLayover))) {
+            return null;
+        }
+
+        const cabinClasses = legs[0].cabinClasses
+            .filter(cabin => legs.every(leg => leg.cabinClasses.some(legCabin => legCabin.classKey === cabin.classKey)))
+            .map(cabin => {
+                const legCabins = legs.map(leg => leg.cabinClasses.find(legCabin => legCabin.classKey === cabin.classKey));
+                const price = legCabins.every(legCabin => legCabin.price != null)
+                    ? Math.round(legCabins.reduce((sum, legCabin) => sum + legCabin.price, 0) * 100) / 100
+                    : null;
+
+                return {
+                    className: cabin.className,
+                    classKey: cabin.classKey,
+                    availability: Math.min(...legCabins.map(legCabin => legCabin.availability)),
+                    price,
+                    isSelected: cabin.isSelected,
+                    isWithinPrice: isWithinPriceLimit(price, maxPrice)
+                };
+            });
+
+        return {
+            trainId: legs[0].trainId,
+            name: legs.map(leg => leg.name).join(' + '),
+            departureTime: legs[0].departureTime,
+            arrivalTime: legs[legs.length - 1].arrivalTime,
+            departureDate: legs[0].departureDate,
+            duration: trainAvailabilities.totalTripTime
+                ? Math.round(trainAvailabilities.totalTripTime / 60000)
+                : Math.round((legs[legs.length - 1].arrivalAt - legs[0].departureAt) / 60000),
+            dayChanged: Boolean(trainAvailabilities.dayChanged) ||
+                formatTravelDate(legs[0].departureAt) !== formatTravelDate(legs[legs.length - 1].arrivalAt),
+            cabinClasses,
+            legs,
+            transfers
+        };
+    }
+
     /**
      * Processes a single train's availability
+     * Times are Turkish local times (CONFIG.TIME_ZONE); dayChanged is set if the train arrives
+     * on a later day than it leaves. departureDate is the day it leaves, which is the day after
+     * the checked date for trains of a window past midnight (see addNextDayTrains).
      * @param {Object} train - Train object from API
      * @param {string} timeStart - Start time filter
-     * @param {string} timeEnd - End time filter
+     * @param {string} timeEnd - End time filter (before the start for windows past midnight)
      * @param {Array} selectedCabinClasses - Array of selected cabin class keys
      * @returns {Object|null} Train info or null if not available
      */
@@ -204,22 +896,15 @@ export class SearchManager {
                 key => CONFIG.CABIN_CLASSES[key].id === classAvail.cabinClass.id
             );
             
-            // Get price from minPrice or bookingClassAvailabilities
-            let price = null;
-            if (classAvail.minPrice?.parsedValue) {
-                price = classAvail.minPrice.parsedValue;
-            } else if (classAvail.minPrice) {
-                price = classAvail.minPrice;
-            } else if (classAvail.bookingClassAvailabilities?.[0]?.price?.parsedValue) {
-                price = classAvail.bookingClassAvailabilities[0].price.parsedValue;
-            }
-            
+            const price = getCabinPrice(train, classAvail);
+
             cabinClasses.push({
                 className: cabinConfig.displayName,
                 classKey: cabinKey,
                 availability: classAvail.availabilityCount || 0,
                 price: price,
-                isSelected: selectedCabinClasses.includes(cabinKey)
+                isSelected: selectedCabinClasses.includes(cabinKey),
+                isWithinPrice: isWithinPriceLimit(price, this.watch.params.maxPrice)
             });
         }
 
@@ -231,24 +916,32 @@ export class SearchManager {
         return {
             trainId: train.id, // VITAL: Added trainId for seat allocation
             name: train.commercialName || train.name,
+            trainNumber: train.number,
+            trainType: train.type,
             departureTime: formatTime(firstSegment.departureTime),
             arrivalTime: formatTime(lastSegment.arrivalTime),
+            departureDate: formatTravelDate(firstSegment.departureTime),
+            dayChanged: formatTravelDate(firstSegment.departureTime) !== formatTravelDate(lastSegment.arrivalTime),
+            duration: getTripMinutes(train) ?? Math.round((lastSegment.arrivalTime - firstSegment.departureTime) / 60000),
             cabinClasses: cabinClasses
         };
     }
 
     /**
      * Handles the case when tickets are found
-     * @param {Object} result - Search result
+     * @param {Array} dateResults - Latest results per date, earliest date first
      * @param {Object} params - Search parameters (needed for allocation)
      */
-    async handleTicketsFound(result, params) {
+    async handleTicketsFound(dateResults, params) {
+        // The earliest date with seats is the one we act on
+        const result = dateResults.find(dateResult => dateResult.found);
+
         // Count only available seats in selected cabin classes
         let actualAvailableSeats = 0;
         result.trains.forEach(train => {
             if (train.cabinClasses) {
                 train.cabinClasses.forEach(cabin => {
-                    if (cabin.isSelected && cabin.availability > 0) {
+                    if (isWantedCabin(cabin) && cabin.availability > 0) {
                         actualAvailableSeats += cabin.availability;
                     }
                 });
@@ -257,46 +950,206 @@ export class SearchManager {
         
         if (actualAvailableSeats > 0) {
             // We found AVAILABLE tickets in selected cabin classes!
-            const message = `✅ YER BULUNDU! ${actualAvailableSeats} yer mevcut`;
-            uiManager.updateStatus(message, 'found');
-            uiManager.addLog(`🎉 KOLTUK BULUNDU: ${actualAvailableSeats} yer (${getCurrentTime()})`);
+            const dateText = this.isMultiDate() ? ` (${result.date})` : '';
+            const message = `✅ YER BULUNDU${dateText}! ${actualAvailableSeats} yer mevcut`;
+            this.emit('status', { message, type: 'found' });
+            this.log(LOG_LEVELS.SUCCESS, `🎉 KOLTUK BULUNDU${dateText}: ${actualAvailableSeats} yer`);
             
             // Stop search FIRST
             this.stopSearch();
             
-            // Play alert
-            uiManager.playAlert();
+            // Let the front end alert the user and send the event to external notifiers (webhook)
+            const trainLines = this.describeTrains(result.trains);
+            this.emit('found', { date: result.date, totalSeats: actualAvailableSeats, trainLines, result });
+            notifierRegistry.notify(createEvent(
+                NOTIFIER_EVENTS.SEATS_FOUND,
+                `🎉 ${this.watch.name}: ${actualAvailableSeats} yer bulundu (${result.date})\n${trainLines.join('\n')}`,
+                {
+                    watch: { id: this.watch.id, name: this.watch.name, params: this.watch.params },
+                    date: result.date,
+                    totalSeats: actualAvailableSeats,
+                    trains: result.trains
+                }
+            ));
             
-            // Attempt to allocate seat
-            if (!seatAllocationManager.hasAllocatedSeat()) {
-                // Find first valid train with seats
-                const targetTrain = result.trains[0]; // Logic could be improved to find 'best' train
+            // Attempt to allocate seat (watches with holdSeat: false only report seats)
+            if (params.holdSeat === false) {
+                this.log(LOG_LEVELS.INFO, 'ℹ️ Otomatik koltuk tutma kapalı.', { category: LOG_CATEGORIES.ALLOCATION });
+            } else if (!seatAllocationManager.hasAllocatedSeat()) {
+                // Take the train leaving closest to the preferred time (the earliest one without a preference)
+                const targetTrain = seatPreferenceEngine.rankTrains(result.trains, params.seatPreferences?.preferredTime, {
+                    date: result.date, timeStart: params.timeStart, timeEnd: params.timeEnd
+                })[0];
                 if (targetTrain) {
-                    uiManager.addLog(`🎫 Otomatik koltuk tutuluyor... (${targetTrain.name})`);
+                    this.log(LOG_LEVELS.INFO, `🎫 Otomatik koltuk tutuluyor... (${targetTrain.name})`, { category: LOG_CATEGORIES.ALLOCATION });
                     
-                    const allocResult = await seatAllocationManager.checkAndAllocateFirstSeat(targetTrain, params);
+                    // A train of a window past midnight may leave the day after the checked date
+                    const allocResult = await this.allocateTrain(
+                        targetTrain, this.getLegParams(targetTrain.departureDate || result.date)
+                    );
                     
                     if (allocResult.success) {
-                        uiManager.addLog(`✅ BAŞARILI: ${allocResult.message}`);
-                        uiManager.showAllocatedSeat(allocResult.seatInfo);
+                        this.log(LOG_LEVELS.SUCCESS, `✅ BAŞARILI: ${allocResult.message}`, { category: LOG_CATEGORIES.ALLOCATION });
+
+                        if (result.returnLeg && params.holdBothLegs) {
+                            // The return train is picked by the preferred time like the outbound one
+                            const returnTrain = seatPreferenceEngine.rankTrains(
+                                result.returnLeg.trains, params.seatPreferences?.preferredTime, {
+                                    date: params.returnDate, timeStart: params.returnTimeStart, timeEnd: params.returnTimeEnd
+                                }
+                            )[0];
+                            await this.allocateReturnSeat(returnTrain, params);
+                        }
+
+                        this.emit('seatsHeld', seatAllocationManager.getAllocatedSeats());
                     } else {
-                        uiManager.addLog(`⚠️ Koltuk tutulamadı: ${allocResult.message}`);
+                        this.log(LOG_LEVELS.WARNING, `⚠️ Koltuk tutulamadı: ${allocResult.message}`, { category: LOG_CATEGORIES.ALLOCATION });
                     }
                 }
             } else {
-               uiManager.addLog(`ℹ️ Zaten tutulmuş bir koltuk var.`); 
+               this.log(LOG_LEVELS.INFO, 'ℹ️ Zaten tutulmuş bir koltuk var.', { category: LOG_CATEGORIES.ALLOCATION });
             }
 
         } else {
             // All trains are sold out in selected cabin classes
-            uiManager.updateStatus(`${result.trains.length} sefer bulundu ancak seçtiğiniz sınıflarda koltuk TÜKENDI. Arama devam ediyor...`, 'searching');
-            uiManager.addLog(`⚠️ ${result.trains.length} sefer var ama seçili sınıflarda tükendi (${getCurrentTime()})`);
+            this.emit('status', {
+                message: `${result.trains.length} sefer bulundu ancak seçtiğiniz sınıflarda koltuk TÜKENDI. Arama devam ediyor...`,
+                type: 'searching'
+            });
+            this.log(LOG_LEVELS.WARNING, `⚠️ ${result.trains.length} sefer var ama seçili sınıflarda tükendi`);
         }
         
-        // Display results (available or sold-out)
-        uiManager.displayResults(result.trains);
+        // Display results (available or sold-out), grouped by date
+        this.emit('results', dateResults);
+    }
+
+    /**
+     * Describes trains with seats in selected classes, one line per class
+     * @param {Array} trains - Processed trains
+     * @returns {Array<string>} Lines like "KONYA - ANKARA 08:43-10:29 · Ekonomi Sınıfı: 2 koltuk (430 TL)"
+     */
+    describeTrains(trains) {
+        return trains.flatMap(train => train.cabinClasses
+            .filter(cabin => isWantedCabin(cabin) && cabin.availability > 0)
+            .map(cabin => `${train.name} ${train.departureTime}-${train.arrivalTime} · ${cabin.className}: ${cabin.availability} koltuk` +
+                (cabin.price != null ? ` (${cabin.price} TL)` : '') +
+                (train.transfers ? ` · aktarma: ${train.transfers.map(({ stationName, layover }) => `${stationName} ${formatMinutes(layover)}`).join(', ')}` : ''))
+        );
     }
-}
 
-// Export singleton instance
-export const searchManager = new SearchManager();
+    /**
+     * Gets the parameters for seat map and seat hold requests of a train in the results
+     * @param {string} date - Departure date of the train (DD-MM-YYYY)
+     * @param {number} [legIndex=0] - Leg of the train (1 = return leg)
+     * @returns {Object} Search parameters of that leg
+     */
+    getLegParams(date, legIndex = 0) {
+        const params = this.watch.params;
+        if (legIndex === 0) {
+            return { ...params, departureDate: date, legIndex: 0 };
+        }
+
+        // The return leg runs the route backwards
+        return {
+            ...params,
+            departureStationId: params.arrivalStationId,
+            departureStationName: params.arrivalStationName,
+            arrivalStationId: params.departureStationId,
+            arrivalStationName: params.departureStationName,
+            departureDate: date,
+            legIndex: 1
+        };
+    }
+
+    /**
+     * Narrows the leg parameters of a seat hold to the classes of the train within the price limit,
+     * so no seat of a class that is too expensive gets held
+     * @param {Object} train - Train to hold seats on (see processTrainAvailability)
+     * @param {Object} legParams - Search parameters of the train's leg (see getLegParams)
+     * @returns {Object} Parameters for SeatAllocationManager.checkAndAllocateSeat
+     */
+    getHoldParams(train, legParams) {
+        if (legParams.maxPrice == null) {
+            return legParams;
+        }
+
+        return {
+            ...legParams,
+            selectedCabinClasses: train.cabinClasses.filter(isWantedCabin).map(cabin => cabin.classKey)
+        };
+    }
+
+    /**
+     * Gets the parameters of one train of a connection: its own boarding and leaving stations
+     * @param {Object} leg - Leg of a connection (see processConnection)
+     * @param {Object} legParams - Search parameters of the connection's leg (see getLegParams)
+     * @returns {Object} Search parameters of the train
+     */
+    getConnectionLegParams(leg, legParams) {
+        return {
+            ...legParams,
+            departureStationId: leg.departureStationId,
+            departureStationName: leg.departureStationName,
+            arrivalStationId: leg.arrivalStationId,
+            arrivalStationName: leg.arrivalStationName
+        };
+    }
+
+    /**
+     * Holds seats for every passenger on a train, or on every train of a connection
+     * A connection is all or nothing: if a later train has no seat, the earlier ones are released
+     * @param {Object} train - Train or connection with available seats (see getLegTrains)
+     * @param {Object} legParams - Search parameters of its leg (see getLegParams)
+     * @returns {Promise<Object>} Result object with success flag and message
+     */
+    async allocateTrain(train, legParams) {
+        const holdParams = this.getHoldParams(train, legParams);
+        if (!train.legs) {
+            return seatAllocationManager.checkAndAllocateSeat(train, holdParams);
+        }
+
+        const heldSeats = [];
+        for (const leg of train.legs) {
+            const allocResult = await seatAllocationManager.checkAndAllocateSeat(leg, this.getConnectionLegParams(leg, holdParams));
+            if (!allocResult.success) {
+                try {
+                    await seatAllocationManager.releaseSeats(heldSeats);
+                } catch (error) {
+                    this.log(LOG_LEVELS.ERROR, 'Aktarmalı yolculuğun tutulan koltukları bırakılamadı', {
+                        category: LOG_CATEGORIES.ALLOCATION,
+                        details: error
+                    });
+                }
+                return {
+                    success: false,
+                    message: `${leg.departureStationName} → ${leg.arrivalStationName} (${leg.name}): ${allocResult.message}`
+                };
+            }
+            heldSeats.push(...allocResult.seats);
+        }
+
+        return {
+            success: true,
+            message: `Aktarmalı yolculuğun ${train.legs.length} treninde de koltuk tutuldu`
+        };
+    }
+
+    /**
+     * Holds a seat on the return leg of a round trip
+     * @param {Object} returnTrain - Return train with available seats
+     * @param {Object} params - Search parameters of the watch
+     */
+    async allocateReturnSeat(returnTrain, params) {
+        if (!returnTrain) return;
+
+        this.log(LOG_LEVELS.INFO, `🎫 Dönüş için koltuk tutuluyor... (${returnTrain.name})`, { category: LOG_CATEGORIES.ALLOCATION });
+
+        const allocResult = await this.allocateTrain(returnTrain, this.getLegParams(returnTrain.departureDate || params.returnDate, 1));
+
+        if (allocResult.success) {
+            this.log(LOG_LEVELS.SUCCESS, `✅ DÖNÜŞ: ${allocResult.message}`, { category: LOG_CATEGORIES.ALLOCATION });
+        } else {
+            this.log(LOG_LEVELS.WARNING, `⚠️ Dönüş koltuğu tutulamadı: ${allocResult.message}`, { category: LOG_CATEGORIES.ALLOCATION });
+        }
+    }
+}
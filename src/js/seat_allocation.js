@@ -1,14 +1,49 @@
 /**
  * Seat Allocation module for managing train seat reservations
- * Handles seat checking, allocation, and deallocation
+ * Handles seat checking, allocation, and deallocation, and renews holds of
+ * searches in "keep holding" mode before their lock runs out
  */
 
 import { trainAPI } from './api.js';
 import { CONFIG } from './config.js';
+import { storage } from './storage.js';
+import { notifierRegistry, createEvent, NOTIFIER_EVENTS } from './notifiers.js';
+import { seatPreferenceEngine } from './seat_preferences.js';
+import { getPassengers } from './passengers.js';
+import { EventEmitter } from './events.js';
+import { logger, LOG_CATEGORIES } from './logger.js';
 
-export class SeatAllocationManager {
+/**
+ * Picks the search parameters a held seat keeps, so its hold can be renewed later
+ * @param {Object} searchParams - Search parameters of the seat's leg
+ * @returns {Object} Hold parameters
+ */
+function getHoldParams(searchParams) {
+    return {
+        departureStationId: searchParams.departureStationId,
+        departureStationName: searchParams.departureStationName,
+        arrivalStationId: searchParams.arrivalStationId,
+        arrivalStationName: searchParams.arrivalStationName,
+        departureDate: searchParams.departureDate,
+        legIndex: searchParams.legIndex || 0,
+        selectedCabinClasses: searchParams.selectedCabinClasses,
+        seatPreferences: searchParams.seatPreferences,
+        passengers: getPassengers(searchParams),
+        holdRenewal: searchParams.holdRenewal || null
+    };
+}
+
+/**
+ * Events:
+ * - renewed: { previous, seat, message } - a hold was renewed (seat may differ from previous)
+ * - renewalFailed: { seat, message } - a hold could not be renewed
+ */
+export class SeatAllocationManager extends EventEmitter {
     constructor() {
-        this.allocatedSeat = null; // Stores current allocated seat info
+        super();
+        this.allocatedSeats = []; // Stores info of every currently held seat (e.g. both legs of a round trip)
+        this.expiryWarningTimers = new Map(); // allocationId -> "hold expiring" timer
+        this.renewalTimers = new Map(); // allocationId -> "keep holding" renewal timer
     }
 
     /**
@@ -16,32 +51,288 @@ export class SeatAllocationManager {
      * @returns {boolean} True if a seat is allocated
      */
     hasAllocatedSeat() {
-        return this.allocatedSeat !== null;
+        return this.allocatedSeats.length > 0;
     }
 
     /**
      * Gets current allocated seat information
-     * @returns {Object|null} Allocated seat info or null
+     * @returns {Object|null} First allocated seat info or null
      */
     getAllocatedSeatInfo() {
-        return this.allocatedSeat;
+        return this.allocatedSeats[0] || null;
+    }
+
+    /**
+     * Gets all currently allocated seats
+     * @returns {Array} Array of allocated seat info objects
+     */
+    getAllocatedSeats() {
+        return this.allocatedSeats;
+    }
+
+    /**
+     * Saves the held seats (with their expiry timestamps) so they survive a page reload
+     */
+    saveAllocation() {
+        if (this.allocatedSeats.length > 0) {
+            storage.set(CONFIG.STORAGE_KEYS.ALLOCATION, this.allocatedSeats);
+        } else {
+            storage.remove(CONFIG.STORAGE_KEYS.ALLOCATION);
+        }
+    }
+
+    /**
+     * Restores held seats saved by a previous session, dropping expired holds
+     * @returns {Array} Restored seats that are still held
+     */
+    restoreAllocation() {
+        const savedSeats = storage.get(CONFIG.STORAGE_KEYS.ALLOCATION, []);
+        this.allocatedSeats = savedSeats.filter(seat => seat.expiresAt > Date.now());
+        this.allocatedSeats.forEach(seat => this.scheduleHoldTimers(seat));
+        this.saveAllocation();
+        return this.allocatedSeats;
+    }
+
+    /**
+     * Builds a short human readable description of a held seat
+     * @param {Object} seat - Allocated seat info
+     * @returns {string} Seat description
+     */
+    describeSeat(seat) {
+        return `${seat.trainName} ${seat.departureDate || ''} ${seat.departureTime}-${seat.arrivalTime}, ` +
+            `Vagon ${seat.wagonNumber} Koltuk ${seat.seatNumber}`;
+    }
+
+    /**
+     * Schedules the renewal of a hold in "keep holding" mode, otherwise its expiry warning
+     * @param {Object} seat - Allocated seat info
+     */
+    scheduleHoldTimers(seat) {
+        if (!this.canRenew(seat)) {
+            this.scheduleExpiryWarning(seat);
+            return;
+        }
+
+        // A restored hold may be due already
+        const delay = Math.max(0, seat.expiresAt - CONFIG.HOLD_RENEWAL_LEAD - Date.now());
+        const timer = setTimeout(() => {
+            this.renewalTimers.delete(seat.allocationId);
+            this.renewSeat(seat);
+        }, delay);
+
+        this.renewalTimers.set(seat.allocationId, timer);
+    }
+
+    /**
+     * Cancels the renewal and the expiry warning of a hold
+     * @param {Object} seat - Allocated seat info
+     */
+    cancelHoldTimers(seat) {
+        clearTimeout(this.renewalTimers.get(seat.allocationId));
+        this.renewalTimers.delete(seat.allocationId);
+        this.cancelExpiryWarning(seat);
+    }
+
+    /**
+     * Gets the time after which a hold in "keep holding" mode is no longer renewed
+     * @param {Object} seat - Allocated seat info
+     * @returns {number|null} Timestamp, or null if the hold is not renewed
+     */
+    getHoldDeadline(seat) {
+        const holdRenewal = seat.holdParams?.holdRenewal;
+        if (!holdRenewal || !seat.heldSince) return null;
+        return seat.heldSince + holdRenewal.maxHoldMinutes * 60 * 1000;
+    }
+
+    /**
+     * Checks whether a hold is renewed shortly before its lock runs out
+     * Renewal stops once another lock period would keep the seat past the maximum hold time
+     * @param {Object} seat - Allocated seat info
+     * @returns {boolean} True if the hold will be renewed
+     */
+    canRenew(seat) {
+        const deadline = this.getHoldDeadline(seat);
+        if (deadline === null) return false;
+
+        const renewAt = Math.max(Date.now(), seat.expiresAt - CONFIG.HOLD_RENEWAL_LEAD);
+        return renewAt + seat.lockFor * 60 * 1000 <= deadline;
+    }
+
+    /**
+     * Renews a hold: releases the seat and holds it again, or the best other seat if
+     * someone took it meanwhile
+     * The renewed hold keeps the original hold time, so the maximum hold time counts from the first hold
+     * @param {Object} seat - Allocated seat info
+     * @returns {Promise<Object|null>} Renewed seat info or null if the hold could not be renewed
+     */
+    async renewSeat(seat) {
+        const trainInfo = {
+            trainId: seat.trainId,
+            name: seat.trainName,
+            departureTime: seat.departureTime,
+            arrivalTime: seat.arrivalTime,
+            dayChanged: seat.dayChanged
+        };
+        const passenger = seat.passenger || getPassengers(seat.holdParams)[0];
+
+        logger.info(LOG_CATEGORIES.ALLOCATION, `🔁 Koltuk yenileniyor: ${this.describeSeat(seat)}`);
+        this.cancelHoldTimers(seat);
+
+        try {
+            await trainAPI.deallocateSeat({
+                trainCarId: seat.trainCarId,
+                allocationId: seat.allocationId,
+                seatNumber: seat.seatNumber
+            });
+        } catch (error) {
+            // The old lock may still be live; keep it and let it run out
+            const message = `⚠️ Koltuk yenilenemedi, süresi dolana kadar tutuluyor: ${this.describeSeat(seat)}`;
+            logger.warning(LOG_CATEGORIES.ALLOCATION, message, { details: error });
+            this.scheduleExpiryWarning(seat);
+            this.emit('renewalFailed', { seat, message });
+            return null;
+        }
+
+        let heldSeats = null;
+        try {
+            heldSeats = await this.holdSeats(trainInfo, seat.holdParams, [seat], [passenger]);
+        } catch (error) {
+            logger.warning(LOG_CATEGORIES.ALLOCATION, `Koltuk ${seat.seatNumber} yeniden tutulamadı`, { details: error });
+        }
+
+        try {
+            heldSeats = heldSeats || await this.holdAlternativeSeat(trainInfo, seat.holdParams, passenger);
+        } catch (error) {
+            logger.warning(LOG_CATEGORIES.ALLOCATION, 'Yerine başka koltuk tutulamadı', { details: error });
+        }
+
+        const index = this.allocatedSeats.indexOf(seat);
+        if (index === -1) {
+            // Released or expired while renewing
+            await this.rollBackSeats(heldSeats || []);
+            return null;
+        }
+
+        if (!heldSeats) {
+            this.allocatedSeats.splice(index, 1);
+            this.saveAllocation();
+            this.notifyReleased(seat, 'renewal_failed');
+            const message = `❌ Koltuk yenilenemedi ve bırakıldı: ${this.describeSeat(seat)}`;
+            logger.error(LOG_CATEGORIES.ALLOCATION, message);
+            this.emit('renewalFailed', { seat, message });
+            return null;
+        }
+
+        const renewed = { ...heldSeats[0], heldSince: seat.heldSince, renewalCount: (seat.renewalCount || 0) + 1 };
+        this.allocatedSeats[index] = renewed;
+        this.saveAllocation();
+        this.scheduleHoldTimers(renewed);
+
+        const isSameSeat = renewed.trainCarId === seat.trainCarId && renewed.seatNumber === seat.seatNumber;
+        const message = isSameSeat
+            ? `🔁 Koltuk yeniden tutuldu (${renewed.renewalCount}. yenileme): ${this.describeSeat(renewed)}`
+            : `🔁 Koltuk ${seat.wagonNumber}/${seat.seatNumber} yeniden tutulamadı, yerine tutuldu: ${this.describeSeat(renewed)}`;
+        logger.success(LOG_CATEGORIES.ALLOCATION, message);
+        this.emit('renewed', { previous: seat, seat: renewed, message });
+
+        return renewed;
+    }
+
+    /**
+     * Holds the best free seat of a train for a single passenger
+     * @param {Object} trainInfo - Train information
+     * @param {Object} searchParams - Search (or hold) parameters of the train's leg
+     * @param {Object} passenger - Passenger to seat
+     * @returns {Promise<Array|null>} Held seat info (one) or null if no seat could be held
+     * @throws {HttpError} If a request fails
+     */
+    async holdAlternativeSeat(trainInfo, searchParams, passenger) {
+        const seatMapData = await trainAPI.checkSeatMap(
+            trainInfo.trainId,
+            searchParams.departureStationId,
+            searchParams.arrivalStationId,
+            searchParams.legIndex || 0
+        );
+        if (!seatMapData?.seatMaps) return null;
+
+        const picked = this.findBestSeats(
+            seatMapData.seatMaps,
+            searchParams.selectedCabinClasses,
+            searchParams.seatPreferences,
+            [passenger],
+            seatMapData.genderCheckEnabled
+        );
+        if (!picked) return null;
+
+        return this.holdSeats(trainInfo, searchParams, picked.seats, [passenger]);
+    }
+
+    /**
+     * Schedules a "hold expiring" notifier event shortly before the lock runs out
+     * @param {Object} seat - Allocated seat info
+     */
+    scheduleExpiryWarning(seat) {
+        const delay = seat.expiresAt - CONFIG.HOLD_EXPIRY_WARNING - Date.now();
+        if (delay < 0) return;
+
+        const timer = setTimeout(() => {
+            this.expiryWarningTimers.delete(seat.allocationId);
+            const minutesLeft = Math.round((seat.expiresAt - Date.now()) / 60000);
+            notifierRegistry.notify(createEvent(
+                NOTIFIER_EVENTS.HOLD_EXPIRING,
+                `⏳ Koltuk tutma süresi ${minutesLeft} dk içinde doluyor: ${this.describeSeat(seat)}`,
+                { seat, expiresAt: new Date(seat.expiresAt).toISOString() }
+            ));
+        }, delay);
+
+        this.expiryWarningTimers.set(seat.allocationId, timer);
+    }
+
+    /**
+     * Cancels the "hold expiring" event of a seat
+     * @param {Object} seat - Allocated seat info
+     */
+    cancelExpiryWarning(seat) {
+        clearTimeout(this.expiryWarningTimers.get(seat.allocationId));
+        this.expiryWarningTimers.delete(seat.allocationId);
+    }
+
+    /**
+     * Sends a "hold released" notifier event for a seat
+     * @param {Object} seat - Allocated seat info
+     * @param {string} reason - Why the hold ended ('released', 'expired' or 'renewal_failed')
+     */
+    notifyReleased(seat, reason) {
+        const reasonText = { expired: 'süresi doldu', renewal_failed: 'yenilenemedi' }[reason] || 'serbest bırakıldı';
+        notifierRegistry.notify(createEvent(
+            NOTIFIER_EVENTS.HOLD_RELEASED,
+            `🔓 Koltuk ${reasonText}: ${this.describeSeat(seat)}`,
+            { seat, reason }
+        ));
     }
 
     /**
-     * Checks seat availability and allocates first available seat
+     * Checks seat availability and holds the best seats for the passengers of the search
+     * A group gets adjacent seats where possible; if one of its seats cannot be held,
+     * the seats already held for it are released again
      * @param {Object} trainInfo - Train information from search results
      * @param {Object} searchParams - Original search parameters
+     * @param {number} [searchParams.legIndex=0] - Leg of the train in the search (1 = return leg)
+     * @param {Object} [searchParams.seatPreferences] - Seat preferences (see SeatPreferenceEngine.scoreSeat)
+     * @param {Array} [searchParams.passengers] - Passengers (see passengers.js), one adult by default
+     * @param {Object} [searchParams.holdRenewal] - "Keep holding" mode ({ maxHoldMinutes }); holds expire without it
      * @returns {Promise<Object>} Result object with success flag and message
      */
-    async checkAndAllocateFirstSeat(trainInfo, searchParams) {
+    async checkAndAllocateSeat(trainInfo, searchParams) {
         try {
-            console.log('🔍 Checking seat availability for train:', trainInfo.trainId);
+            logger.info(LOG_CATEGORIES.ALLOCATION, `🔍 Koltuk haritası kontrol ediliyor: ${trainInfo.name} (${trainInfo.trainId})`);
 
             // Step 1: Get seat map
             const seatMapData = await trainAPI.checkSeatMap(
                 trainInfo.trainId,
                 searchParams.departureStationId,
-                searchParams.arrivalStationId
+                searchParams.arrivalStationId,
+                searchParams.legIndex || 0
             );
 
             if (!seatMapData || !seatMapData.seatMaps) {
@@ -51,34 +342,31 @@ export class SeatAllocationManager {
                 };
             }
 
-            // Step 2: Find first available seat in selected cabin classes
-            const seatToAllocate = this.findFirstAvailableSeat(
+            // Step 2: Find the best free seats in selected cabin classes, across all cars
+            const passengers = getPassengers(searchParams);
+            const picked = this.findBestSeats(
                 seatMapData.seatMaps,
-                searchParams.selectedCabinClasses
+                searchParams.selectedCabinClasses,
+                searchParams.seatPreferences,
+                passengers,
+                seatMapData.genderCheckEnabled
             );
 
-            if (!seatToAllocate) {
+            if (!picked) {
                 return {
                     success: false,
-                    message: 'Seçilen kategorilerde boş koltuk bulunamadı'
+                    message: passengers.length > 1
+                        ? `Seçilen kategorilerde ${passengers.length} yolcu için boş koltuk bulunamadı`
+                        : 'Seçilen kategorilerde boş koltuk bulunamadı'
                 };
             }
 
-            console.log('🎯 Found available seat:', seatToAllocate);
-
-            // Step 3: Allocate the seat
-            const allocationResult = await trainAPI.allocateSeat({
-                trainCarId: seatToAllocate.trainCarId,
-                fromStationId: searchParams.departureStationId,
-                toStationId: searchParams.arrivalStationId,
-                gender: 'M', // Default to male, could be parameterized
-                seatNumber: seatToAllocate.seatNumber,
-                passengerTypeId: 0,
-                totalPassengerCount: 1,
-                fareFamilyId: 0
-            });
+            logger.info(LOG_CATEGORIES.ALLOCATION, `🎯 Boş koltuk bulundu: ${picked.seats.map(seat => seat.seatNumber).join(', ')}`);
+
+            // Step 3: Hold the seats
+            const heldSeats = await this.holdSeats(trainInfo, searchParams, picked.seats, passengers);
 
-            if (!allocationResult || !allocationResult.allocationId) {
+            if (!heldSeats) {
                 return {
                     success: false,
                     message: 'Koltuk tutma işlemi başarısız oldu'
@@ -86,30 +374,70 @@ export class SeatAllocationManager {
             }
 
             // Step 4: Store allocation info
-            this.allocatedSeat = {
-                trainName: trainInfo.name,
-                trainId: trainInfo.trainId,
-                departureTime: trainInfo.departureTime,
-                arrivalTime: trainInfo.arrivalTime,
-                seatNumber: seatToAllocate.seatNumber,
-                trainCarId: seatToAllocate.trainCarId,
-                carName: seatToAllocate.carName,
-                wagonNumber: seatToAllocate.wagonNumber,
-                cabinClassName: seatToAllocate.cabinClassName,
-                allocationId: allocationResult.allocationId,
-                lockFor: allocationResult.lockFor || 10
+            this.storeHeldSeats(heldSeats);
+
+            return {
+                success: true,
+                message: heldSeats.length > 1
+                    ? `${heldSeats.length} koltuk başarıyla tutuldu${picked.together ? ' (yan yana)' : ' (ayrı ayrı)'}`
+                    : 'Koltuk başarıyla tutuldu',
+                seatInfo: heldSeats[0],
+                seats: heldSeats
+            };
+
+        } catch (error) {
+            logger.error(LOG_CATEGORIES.ALLOCATION, '❌ Koltuk tutulamadı', { details: error });
+            return {
+                success: false,
+                message: `Hata: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Holds a seat picked by hand on the seat map
+     * The seat goes to the first passenger of the search without a seat on this train yet
+     * @param {Object} trainInfo - Train information from search results
+     * @param {Object} searchParams - Search parameters of the train's leg (see SearchManager.getLegParams)
+     * @param {Object} seat - Free seat of the seat map (see buildWagonLayout)
+     * @returns {Promise<Object>} Result object with success flag and message
+     */
+    async holdSelectedSeat(trainInfo, searchParams, seat) {
+        const passengers = getPassengers(searchParams);
+        const legIndex = searchParams.legIndex || 0;
+        const seatedCount = this.allocatedSeats.filter(
+            held => held.trainId === trainInfo.trainId && held.legIndex === legIndex
+        ).length;
+
+        if (seatedCount >= passengers.length) {
+            return {
+                success: false,
+                message: 'Bu seferde tüm yolcular için koltuk zaten tutuldu'
             };
+        }
 
-            console.log('✅ Seat allocated successfully:', this.allocatedSeat);
+        try {
+            logger.info(LOG_CATEGORIES.ALLOCATION, `👆 Seçilen koltuk tutuluyor: ${seat.seatNumber}`);
+            const heldSeats = await this.holdSeats(trainInfo, searchParams, [seat], [passengers[seatedCount]]);
+
+            if (!heldSeats) {
+                return {
+                    success: false,
+                    message: 'Koltuk tutma işlemi başarısız oldu'
+                };
+            }
+
+            this.storeHeldSeats(heldSeats);
 
             return {
                 success: true,
                 message: 'Koltuk başarıyla tutuldu',
-                seatInfo: this.allocatedSeat
+                seatInfo: heldSeats[0],
+                seats: heldSeats
             };
 
         } catch (error) {
-            console.error('❌ Error in seat allocation:', error);
+            logger.error(LOG_CATEGORIES.ALLOCATION, '❌ Seçilen koltuk tutulamadı', { details: error });
             return {
                 success: false,
                 message: `Hata: ${error.message}`
@@ -118,89 +446,144 @@ export class SeatAllocationManager {
     }
 
     /**
-     * Finds the first available seat in selected cabin classes
-     * @param {Array} seatMaps - Array of seat map data from API
-     * @param {Array} selectedCabinClasses - Array of selected cabin class keys
-     * @returns {Object|null} Seat info or null if not found
+     * Keeps newly held seats, schedules their expiry warnings and reports them to notifiers
+     * @param {Array<Object>} heldSeats - Held seat infos
+     */
+    storeHeldSeats(heldSeats) {
+        this.allocatedSeats.push(...heldSeats);
+        this.saveAllocation();
+        heldSeats.forEach(seatInfo => this.scheduleHoldTimers(seatInfo));
+
+        const seatText = heldSeats.length > 1 ? `${heldSeats.length} koltuk` : 'Koltuk';
+        notifierRegistry.notify(createEvent(
+            NOTIFIER_EVENTS.SEAT_HELD,
+            `🎫 ${seatText} tutuldu (${heldSeats[0].lockFor} dk): ${heldSeats.map(seat => this.describeSeat(seat)).join('; ')}`,
+            { seat: heldSeats[0], seats: heldSeats }
+        ));
+
+        logger.success(LOG_CATEGORIES.ALLOCATION, `✅ ${seatText} tutuldu: ${heldSeats.map(seat => this.describeSeat(seat)).join('; ')}`);
+    }
+
+    /**
+     * Holds seats one by one, one per passenger; all or nothing
+     * @param {Object} trainInfo - Train information from search results
+     * @param {Object} searchParams - Original search parameters (or the hold parameters of a renewed seat)
+     * @param {Array<Object>} seats - Seats to hold (seats[i] for passenger i)
+     * @param {Array<Object>} passengers - Passengers to seat (all of the search's, or the one a picked seat is for)
+     * @returns {Promise<Array|null>} Held seat infos, or null if the API refused a seat
+     * @throws {HttpError} If a request fails (after the seats held so far were released)
      */
-    findFirstAvailableSeat(seatMaps, selectedCabinClasses) {
-        // Convert cabin class keys to IDs for matching
-        const selectedCabinClassIds = selectedCabinClasses.map(key => 
-            CONFIG.CABIN_CLASSES[key]?.id
-        ).filter(id => id !== undefined);
-
-        // Iterate through seat maps
-        for (const seatMap of seatMaps) {
-            const template = seatMap.seatMapTemplate;
-            
-            // Check if this car matches our selected cabin classes
-            const carCabinClassId = template?.car?.id;
-            
-            // Get cabin class from car name or template description
-            // We need to match against the actual seat items in seatMaps array
-            if (!template?.seatMaps) continue;
-
-            // Create a set of occupied seat numbers for this car
-            const occupiedSeats = new Set();
-            if (seatMap.allocationSeats && Array.isArray(seatMap.allocationSeats)) {
-                seatMap.allocationSeats.forEach(alloc => {
-                    if (alloc.seatNumber) {
-                        occupiedSeats.add(alloc.seatNumber);
-                    }
+    async holdSeats(trainInfo, searchParams, seats, passengers) {
+        const heldSeats = [];
+
+        try {
+            for (const [index, seat] of seats.entries()) {
+                const passenger = passengers[index];
+                const allocationResult = await trainAPI.allocateSeat({
+                    trainCarId: seat.trainCarId,
+                    fromStationId: searchParams.departureStationId,
+                    toStationId: searchParams.arrivalStationId,
+                    gender: passenger.gender,
+                    seatNumber: seat.seatNumber,
+                    passengerTypeId: CONFIG.PASSENGER_TYPES[passenger.type].id,
+                    totalPassengerCount: getPassengers(searchParams).length,
+                    fareFamilyId: 0
                 });
-            }
 
-            // Iterate through seat items
-            for (const seatItem of template.seatMaps) {
-                const item = seatItem.item;
-                
-                // Check if this is a saleable seat (actual seat, not WC, table, etc.)
-                if (!item?.saleable) continue;
-
-                // Check if seat's cabin class matches our selection
-                if (!selectedCabinClassIds.includes(item.cabinClassId)) continue;
-
-                // Check if seat has a number (available seats have numbers)
-                if (!seatItem.seatNumber) continue;
-
-                // Check if seat is occupied
-                if (occupiedSeats.has(seatItem.seatNumber)) continue;
-
-                // Get cabin class info
-                const cabinConfig = Object.values(CONFIG.CABIN_CLASSES).find(
-                    config => config.id === item.cabinClassId
-                );
-
-                // Extract wagon number from description or name
-                // Examples: "YHT CAF 1. VAGON BUSINESS", "CAF 2.VAGON ENGELLİ"
-                let wagonNumber = '?';
-                const wagonText = template.description || template.name || '';
-                const wagonMatch = wagonText.match(/(\d+)\s*[\.\s]*VAGON/i);
-                if (wagonMatch && wagonMatch[1]) {
-                    wagonNumber = wagonMatch[1];
+                if (!allocationResult || !allocationResult.allocationId) {
+                    await this.rollBackSeats(heldSeats);
+                    return null;
                 }
 
-                // This is an available seat in selected cabin class!
-                return {
-                    trainCarId: seatMap.trainCarId,
-                    seatNumber: seatItem.seatNumber,
-                    carName: template.car?.name || template.name,
-                    wagonNumber: wagonNumber,
-                    cabinClassName: cabinConfig?.displayName || 'Bilinmeyen',
-                    itemId: item.id
-                };
+                const lockFor = allocationResult.lockFor || 10;
+                heldSeats.push({
+                    trainName: trainInfo.name,
+                    trainId: trainInfo.trainId,
+                    departureDate: searchParams.departureDate,
+                    departureTime: trainInfo.departureTime,
+                    arrivalTime: trainInfo.arrivalTime,
+                    dayChanged: Boolean(trainInfo.dayChanged),
+                    departureStationName: searchParams.departureStationName,
+                    arrivalStationName: searchParams.arrivalStationName,
+                    seatNumber: seat.seatNumber,
+                    trainCarId: seat.trainCarId,
+                    carName: seat.carName,
+                    wagonNumber: seat.wagonNumber,
+                    cabinClassName: seat.cabinClassName,
+                    passenger: passenger,
+                    allocationId: allocationResult.allocationId,
+                    legIndex: searchParams.legIndex || 0,
+                    lockFor: lockFor,
+                    expiresAt: Date.now() + lockFor * 60 * 1000, // lockFor is in minutes
+                    heldSince: Date.now(),
+                    holdParams: getHoldParams(searchParams)
+                });
             }
+        } catch (error) {
+            await this.rollBackSeats(heldSeats);
+            throw error;
         }
 
-        return null; // No available seat found
+        return heldSeats;
+    }
+
+    /**
+     * Releases the seats of a group hold that could not be completed
+     * A failed release is only logged: the server frees the seat when its lock runs out
+     * @param {Array<Object>} seats - Seat infos held so far
+     */
+    async rollBackSeats(seats) {
+        for (const seat of seats) {
+            try {
+                await trainAPI.deallocateSeat({
+                    trainCarId: seat.trainCarId,
+                    allocationId: seat.allocationId,
+                    seatNumber: seat.seatNumber
+                });
+                logger.info(LOG_CATEGORIES.ALLOCATION, `↩️ Koltuk geri bırakıldı: ${seat.seatNumber}`);
+            } catch (error) {
+                logger.error(LOG_CATEGORIES.ALLOCATION, `❌ Koltuk ${seat.seatNumber} geri bırakılamadı`, { details: error });
+            }
+        }
+    }
+
+    /**
+     * Finds the free seat that best matches the seat preferences
+     * Without preferences this is the first free seat in seat map order
+     * @param {Array} seatMaps - Array of seat map data from API
+     * @param {Array} selectedCabinClasses - Array of selected cabin class keys
+     * @param {Object} [preferences={}] - Seat preferences
+     * @returns {Object|null} Seat info or null if not found
+     */
+    findBestSeat(seatMaps, selectedCabinClasses, preferences = {}) {
+        return seatPreferenceEngine.findSeats(seatMaps, selectedCabinClasses, preferences)?.seats[0] || null;
+    }
+
+    /**
+     * Finds the free seats that best match the seat preferences, one per passenger
+     * @param {Array} seatMaps - Array of seat map data from API
+     * @param {Array} selectedCabinClasses - Array of selected cabin class keys
+     * @param {Object} [preferences] - Seat preferences
+     * @param {Array<Object>} passengers - Passengers
+     * @param {boolean} [genderCheckEnabled=false] - Whether the seat map enforces the gender rule
+     * @returns {{ seats: Array<Object>, together: boolean }|null} Seats (seats[i] for passenger i) or null if too few are free
+     */
+    findBestSeats(seatMaps, selectedCabinClasses, preferences, passengers, genderCheckEnabled = false) {
+        return seatPreferenceEngine.findSeats(
+            seatMaps,
+            selectedCabinClasses,
+            preferences,
+            passengers.length,
+            genderCheckEnabled ? passengers.map(passenger => passenger.gender) : null
+        );
     }
 
     /**
-     * Releases the currently allocated seat
+     * Releases all currently allocated seats
      * @returns {Promise<Object>} Result object with success flag and message
      */
     async releaseSeat() {
-        if (!this.allocatedSeat) {
+        if (!this.hasAllocatedSeat()) {
             return {
                 success: false,
                 message: 'Tutulmuş koltuk bulunamadı'
@@ -208,19 +591,9 @@ export class SeatAllocationManager {
         }
 
         try {
-            console.log('🔓 Releasing seat:', this.allocatedSeat.seatNumber);
-
-            // Call deallocate API
-            await trainAPI.deallocateSeat({
-                trainCarId: this.allocatedSeat.trainCarId,
-                allocationId: this.allocatedSeat.allocationId,
-                seatNumber: this.allocatedSeat.seatNumber
-            });
+            await this.releaseSeats([...this.allocatedSeats]);
 
-            console.log('✅ Seat released successfully');
-
-            // Clear allocated seat info
-            this.allocatedSeat = null;
+            logger.success(LOG_CATEGORIES.ALLOCATION, '✅ Koltuklar serbest bırakıldı');
 
             return {
                 success: true,
@@ -228,7 +601,7 @@ export class SeatAllocationManager {
             };
 
         } catch (error) {
-            console.error('❌ Error releasing seat:', error);
+            logger.error(LOG_CATEGORIES.ALLOCATION, '❌ Koltuk bırakılamadı', { details: error });
             return {
                 success: false,
                 message: `Hata: ${error.message}`
@@ -236,12 +609,55 @@ export class SeatAllocationManager {
         }
     }
 
+    /**
+     * Releases some of the allocated seats, one by one so a failure keeps the remaining seats tracked
+     * @param {Array<Object>} seats - Allocated seat infos to release
+     * @throws {Error} If the server refuses a release
+     */
+    async releaseSeats(seats) {
+        for (const seat of seats) {
+            logger.info(LOG_CATEGORIES.ALLOCATION, `🔓 Koltuk bırakılıyor: ${this.describeSeat(seat)}`);
+
+            // Call deallocate API
+            await trainAPI.deallocateSeat({
+                trainCarId: seat.trainCarId,
+                allocationId: seat.allocationId,
+                seatNumber: seat.seatNumber
+            });
+
+            this.allocatedSeats = this.allocatedSeats.filter(held => held !== seat);
+            this.saveAllocation();
+            this.cancelHoldTimers(seat);
+            this.notifyReleased(seat, 'released');
+        }
+    }
+
     /**
      * Clears allocated seat info without calling API
      * Useful for cleanup when allocation fails or expires
      */
     clearAllocation() {
-        this.allocatedSeat = null;
+        this.allocatedSeats.forEach(seat => this.cancelHoldTimers(seat));
+        this.allocatedSeats = [];
+        this.saveAllocation();
+    }
+
+    /**
+     * Clears held seats whose lock time ran out (the server releases them on its own);
+     * seats held later keep their own lock time
+     * @param {number} [now=Date.now()] - Current time (ms)
+     * @returns {Array<Object>} Seats still held
+     */
+    expireAllocation(now = Date.now()) {
+        const expiredSeats = this.allocatedSeats.filter(seat => seat.expiresAt <= now);
+        expiredSeats.forEach(seat => {
+            this.cancelHoldTimers(seat);
+            this.notifyReleased(seat, 'expired');
+        });
+
+        this.allocatedSeats = this.allocatedSeats.filter(seat => !expiredSeats.includes(seat));
+        this.saveAllocation();
+        return this.getAllocatedSeats();
     }
 }
 
@@ -0,0 +1,110 @@
+/**
+ * Seat map module
+ * Turns a seat map response into wagon grids for display: every template item at its
+ * position and size, seats with their cabin class, price and whether they are taken
+ *
+ * Grid columns are positionX (along the car), rows positionY (across it).
+ */
+
+import { CONFIG } from './config.js';
+import { getWagonNumber } from './seat_preferences.js';
+
+// Short labels of non-seat items, matched against the item name (first match wins)
+const ITEM_LABELS = [
+    { pattern: /\bWC\b/i, label: 'WC' },
+    { pattern: /MASA/i, label: 'Masa' },
+    { pattern: /KAPI/i, label: 'Kapı' },
+    { pattern: /BAGAJ/i, label: 'Bagaj' },
+    { pattern: /KAFETERYA|BÜFE/i, label: 'Kafe' }
+];
+
+/**
+ * Gets the short label of a non-seat item
+ * @param {string} name - Item name, e.g. "YHT ÇİFTLİ MASA"
+ * @returns {string} Label or '' for items without one (signs, warnings)
+ */
+export function getItemLabel(name) {
+    return ITEM_LABELS.find(({ pattern }) => pattern.test(name))?.label || '';
+}
+
+/**
+ * Formats a seat price
+ * @param {Object|null} price - Price ({ amount, currency })
+ * @returns {string} Price like "430 TL" or '' if unknown
+ */
+export function formatSeatPrice(price) {
+    if (!price) return '';
+    return `${price.amount.toLocaleString('tr-TR')} ${price.currency === 'TRY' ? 'TL' : price.currency}`;
+}
+
+/**
+ * Builds the grid of a single wagon
+ * @param {Object} seatMap - Seat map of one car from the API
+ * @returns {Object|null} Wagon ({ trainCarId, wagonNumber, carName, colSize, rowSize, onSale,
+ *   availableSeatCount, cells }) or null if the car has no template
+ */
+export function buildWagonLayout(seatMap) {
+    const template = seatMap.seatMapTemplate;
+    if (!template?.seatMaps) return null;
+
+    const wagonNumber = getWagonNumber(template);
+    const carName = template.car?.name || template.name;
+    const occupiedSeats = new Map((seatMap.allocationSeats || []).map(alloc => [alloc.seatNumber, alloc.genders || []]));
+    const seatPrices = new Map((seatMap.seatPrices || []).map(seatPrice => [seatPrice.seatNumber, seatPrice.price]));
+
+    const cells = template.seatMaps.map(seatItem => {
+        const cell = {
+            x: seatItem.positionX,
+            y: seatItem.positionY,
+            colSpan: seatItem.item?.colSize || 1,
+            rowSpan: seatItem.item?.rowSize || 1,
+            name: seatItem.item?.name || ''
+        };
+
+        if (!seatItem.item?.saleable || !seatItem.seatNumber) {
+            return { ...cell, isSeat: false, label: getItemLabel(cell.name) };
+        }
+
+        const cabinClassKey = Object.keys(CONFIG.CABIN_CLASSES).find(
+            key => CONFIG.CABIN_CLASSES[key].id === seatItem.item.cabinClassId
+        );
+        const price = seatPrices.get(seatItem.seatNumber);
+
+        return {
+            ...cell,
+            isSeat: true,
+            trainCarId: seatMap.trainCarId,
+            seatNumber: seatItem.seatNumber,
+            carName: carName,
+            wagonNumber: wagonNumber,
+            cabinClassKey: cabinClassKey || null,
+            cabinClassName: CONFIG.CABIN_CLASSES[cabinClassKey]?.displayName || 'Bilinmeyen',
+            price: price ? { amount: price.priceAmount, currency: price.priceCurrency } : null,
+            isOccupied: occupiedSeats.has(seatItem.seatNumber),
+            genders: occupiedSeats.get(seatItem.seatNumber) || []
+        };
+    });
+
+    return {
+        trainCarId: seatMap.trainCarId,
+        wagonNumber: wagonNumber,
+        carName: carName,
+        colSize: template.colSize,
+        rowSize: template.rowSize,
+        onSale: seatMap.trainCarOnSale !== false,
+        availableSeatCount: seatMap.availableSeatCount ?? cells.filter(cell => cell.isSeat && !cell.isOccupied).length,
+        cells: cells
+    };
+}
+
+/**
+ * Builds the grids of all wagons of a train, in train order
+ * @param {Object} seatMapData - Seat map response (load-by-train-id)
+ * @returns {Array<Object>} Wagons (see buildWagonLayout)
+ */
+export function buildWagonLayouts(seatMapData) {
+    return [...(seatMapData?.seatMaps || [])]
+        .sort((a, b) => (a.trainCarIndex ?? 0) - (b.trainCarIndex ?? 0))
+        .map(buildWagonLayout)
+        .filter(Boolean);
+}
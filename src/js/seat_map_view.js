@@ -0,0 +1,148 @@
+/**
+ * Seat map view module
+ * Renders the wagons of a train as seat grids; a free seat of the selected classes
+ * can be clicked to hold it by hand instead of waiting for the automatic pick
+ */
+
+import { trainAPI } from './api.js';
+import { buildWagonLayouts, formatSeatPrice } from './seat_map.js';
+import { logger, LOG_CATEGORIES } from './logger.js';
+
+export class SeatMapView {
+    /**
+     * @param {HTMLElement} container - Element the seat map is rendered into
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onPick - Called with the seat (see buildWagonLayout) when a free seat is clicked
+     */
+    constructor(container, handlers) {
+        this.container = container;
+        this.handlers = handlers;
+    }
+
+    /**
+     * Fetches and shows the seat map of a train
+     * @param {Object} train - Train from the results ({ trainId })
+     * @param {Object} params - Search parameters of the train's leg (see SearchManager.getLegParams)
+     */
+    async load(train, params) {
+        this.showMessage('Koltuk haritası yükleniyor...');
+
+        try {
+            const seatMapData = await trainAPI.checkSeatMap(
+                train.trainId,
+                params.departureStationId,
+                params.arrivalStationId,
+                params.legIndex || 0
+            );
+            this.render(buildWagonLayouts(seatMapData), params.selectedCabinClasses);
+        } catch (error) {
+            logger.error(LOG_CATEGORIES.ALLOCATION, `Koltuk haritası alınamadı: ${train.name || train.trainId}`, { details: error });
+            this.showMessage(`⚠️ Koltuk haritası alınamadı: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replaces the seat map with a message
+     * @param {string} message - Message to show
+     */
+    showMessage(message) {
+        this.container.innerHTML = '';
+        const p = document.createElement('p');
+        p.className = 'seat-map-message';
+        p.textContent = message;
+        this.container.appendChild(p);
+    }
+
+    /**
+     * Renders all wagons with a legend
+     * @param {Array<Object>} wagons - Wagons (see buildWagonLayouts)
+     * @param {Array<string>} selectedCabinClasses - Cabin classes whose free seats can be picked
+     */
+    render(wagons, selectedCabinClasses) {
+        if (wagons.length === 0) {
+            this.showMessage('Bu sefer için koltuk haritası yok.');
+            return;
+        }
+
+        this.container.innerHTML = `
+            <p class="seat-map-legend">
+                <span class="seat-swatch seat-free"></span> Boş
+                <span class="seat-swatch seat-occupied"></span> Dolu (erkek)
+                <span class="seat-swatch seat-occupied seat-female"></span> Dolu (kadın)
+                <span class="seat-swatch seat-free seat-other-class"></span> Seçilmeyen sınıf
+                · Tutmak için boş koltuğa tıklayın
+            </p>
+        `;
+
+        wagons.forEach(wagon => {
+            this.container.appendChild(this.createWagonElement(wagon, selectedCabinClasses));
+        });
+    }
+
+    /**
+     * Builds the grid of a wagon
+     * @param {Object} wagon - Wagon (see buildWagonLayout)
+     * @param {Array<string>} selectedCabinClasses - Cabin classes whose free seats can be picked
+     * @returns {HTMLElement} Wagon element
+     */
+    createWagonElement(wagon, selectedCabinClasses) {
+        const element = document.createElement('div');
+        element.className = 'seat-map-wagon';
+
+        const title = document.createElement('h5');
+        title.textContent = `Vagon ${wagon.wagonNumber} · ${wagon.carName} · ${wagon.availableSeatCount} boş koltuk` +
+            (wagon.onSale ? '' : ' (satışta değil)');
+        element.appendChild(title);
+
+        const grid = document.createElement('div');
+        grid.className = 'seat-grid';
+        grid.style.gridTemplateColumns = `repeat(${wagon.colSize}, var(--seat-size))`;
+        grid.style.gridTemplateRows = `repeat(${wagon.rowSize}, var(--seat-size))`;
+
+        wagon.cells.forEach(cell => {
+            const isPickable = cell.isSeat && wagon.onSale && selectedCabinClasses.includes(cell.cabinClassKey);
+            grid.appendChild(this.createCellElement(cell, isPickable));
+        });
+
+        element.appendChild(grid);
+        return element;
+    }
+
+    /**
+     * Builds a single seat or item of the grid
+     * @param {Object} cell - Grid cell (see buildWagonLayout)
+     * @param {boolean} isPickable - Whether the seat is in a selected class of a car on sale
+     * @returns {HTMLElement} Cell element
+     */
+    createCellElement(cell, isPickable) {
+        const isFree = cell.isSeat && !cell.isOccupied;
+        const element = document.createElement(isFree && isPickable ? 'button' : 'div');
+        element.style.gridColumn = `${cell.x + 1} / span ${cell.colSpan}`;
+        element.style.gridRow = `${cell.y + 1} / span ${cell.rowSpan}`;
+
+        if (!cell.isSeat) {
+            element.className = 'seat-map-item';
+            element.textContent = cell.label;
+            element.title = cell.name;
+            return element;
+        }
+
+        const price = formatSeatPrice(cell.price);
+        element.className = [
+            'seat',
+            isFree ? 'seat-free' : 'seat-occupied',
+            cell.genders.includes('F') && !cell.genders.includes('M') ? 'seat-female' : '',
+            isPickable ? '' : 'seat-other-class'
+        ].filter(Boolean).join(' ');
+        element.title = `Koltuk ${cell.seatNumber} · ${cell.cabinClassName}` +
+            (price ? ` · ${price}` : '') + (isFree ? '' : ' · dolu');
+        element.innerHTML = `<span>${cell.seatNumber}</span>${cell.price ? `<small>${Math.round(cell.price.amount)}</small>` : ''}`;
+
+        if (isFree && isPickable) {
+            element.type = 'button';
+            element.addEventListener('click', () => this.handlers.onPick(cell));
+        }
+
+        return element;
+    }
+}
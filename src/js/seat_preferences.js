@@ -0,0 +1,335 @@
+/**
+ * Seat preference module
+ * Ranks the free seats of all cars in a seat map (and the trains of a result) by the
+ * user's preferences, so automatic holding takes the best seat instead of the first one
+ *
+ * Geometry comes from seatMapTemplate.seatMaps: positionX runs along the car,
+ * positionY across it; rows without any seat are aisles. Preferences are soft:
+ * when no seat matches all of them, the best partial match wins. The gender rule
+ * is not: with genderCheckEnabled, TCDD refuses a seat right next to a stranger
+ * of the other gender (passengers of the same booking may sit together).
+ */
+
+import { CONFIG } from './config.js';
+import { getTravelDateTime, shiftTravelDate, isOvernightWindow } from './utils.js';
+
+export const SEAT_POSITIONS = {
+    WINDOW: 'window',
+    AISLE: 'aisle',
+    MIDDLE: 'middle'
+};
+
+export const SEAT_FACING = {
+    FORWARD: 'forward', // rotation 0 on TCDD's seat map
+    BACKWARD: 'backward' // rotation 180
+};
+
+/**
+ * Extracts the wagon number from a seat map template
+ * Examples: "YHT CAF 1. VAGON BUSINESS", "CAF 2.VAGON ENGELLİ", "CAF 5 VAGON"
+ * @param {Object} template - Seat map template
+ * @returns {string} Wagon number or '?' if unknown
+ */
+export function getWagonNumber(template) {
+    const wagonText = template.description || template.name || '';
+    const wagonMatch = wagonText.match(/(\d+)\s*[\.\s]*VAGON/i);
+    return wagonMatch ? wagonMatch[1] : '?';
+}
+
+export class SeatPreferenceEngine {
+    /**
+     * Lists the free saleable seats of the selected cabin classes in all cars, with their geometry
+     * @param {Array} seatMaps - Seat maps from the API (one per car)
+     * @param {Array<string>} selectedCabinClasses - Selected cabin class keys
+     * @returns {Array<Object>} Free seats in seat map order
+     */
+    listFreeSeats(seatMaps, selectedCabinClasses) {
+        const selectedCabinClassIds = selectedCabinClasses
+            .map(key => CONFIG.CABIN_CLASSES[key]?.id)
+            .filter(id => id !== undefined);
+
+        return seatMaps.flatMap(seatMap => {
+            const template = seatMap.seatMapTemplate;
+            if (!template?.seatMaps) return [];
+
+            const occupiedSeats = new Map((seatMap.allocationSeats || []).map(alloc => [alloc.seatNumber, alloc.genders || []]));
+            const items = template.seatMaps;
+            const seatItems = items.filter(seatItem => seatItem.item?.saleable && seatItem.seatNumber);
+
+            // Rows with seats; the ones in between without seats are aisles
+            const seatRows = new Set(seatItems.map(seatItem => seatItem.positionY));
+            const wcColumns = items
+                .filter(seatItem => /\bWC\b/i.test(seatItem.item?.name || ''))
+                .map(seatItem => seatItem.positionX);
+            const wagonNumber = getWagonNumber(template);
+
+            return seatItems
+                .filter(seatItem => selectedCabinClassIds.includes(seatItem.item.cabinClassId))
+                .filter(seatItem => !occupiedSeats.has(seatItem.seatNumber))
+                .map(seatItem => {
+                    const cabinConfig = Object.values(CONFIG.CABIN_CLASSES).find(
+                        config => config.id === seatItem.item.cabinClassId
+                    );
+
+                    return {
+                        trainCarId: seatMap.trainCarId,
+                        seatNumber: seatItem.seatNumber,
+                        carName: template.car?.name || template.name,
+                        wagonNumber: wagonNumber,
+                        cabinClassName: cabinConfig?.displayName || 'Bilinmeyen',
+                        itemId: seatItem.item.id,
+                        x: seatItem.positionX,
+                        y: seatItem.positionY,
+                        position: this.getPosition(seatItem.positionY, seatRows),
+                        facing: seatItem.rotation === 180 ? SEAT_FACING.BACKWARD : SEAT_FACING.FORWARD,
+                        wcDistance: wcColumns.length > 0
+                            ? Math.min(...wcColumns.map(column => Math.abs(column - seatItem.positionX)))
+                            : Infinity,
+                        neighbourGenders: this.getNeighbourGenders(seatItem, seatItems, occupiedSeats)
+                    };
+                });
+        });
+    }
+
+    /**
+     * Gets the genders of the passengers sitting right next to a seat (same column, next row)
+     * @param {Object} seatItem - Seat item of the template
+     * @param {Array} seatItems - All seat items of the car
+     * @param {Map<string, Array<string>>} occupiedSeats - Seat number -> genders of its passenger
+     * @returns {Array<string>} Distinct genders (M, F), empty if no neighbour seat is taken
+     */
+    getNeighbourGenders(seatItem, seatItems, occupiedSeats) {
+        const genders = seatItems
+            .filter(other => other.positionX === seatItem.positionX && Math.abs(other.positionY - seatItem.positionY) === 1)
+            .flatMap(other => occupiedSeats.get(other.seatNumber) || []);
+
+        return [...new Set(genders)];
+    }
+
+    /**
+     * Gets whether a seat is at the window, at the aisle or in between
+     * @param {number} row - positionY of the seat
+     * @param {Set<number>} seatRows - positionY values that have seats in the car
+     * @returns {string} Seat position (see SEAT_POSITIONS)
+     */
+    getPosition(row, seatRows) {
+        const rows = [...seatRows];
+        if (row === Math.min(...rows) || row === Math.max(...rows)) {
+            return SEAT_POSITIONS.WINDOW;
+        }
+        if (!seatRows.has(row - 1) || !seatRows.has(row + 1)) {
+            return SEAT_POSITIONS.AISLE;
+        }
+        return SEAT_POSITIONS.MIDDLE;
+    }
+
+    /**
+     * Scores a seat against the preferences (higher is better, 0 = no preference met)
+     * @param {Object} seat - Free seat (see listFreeSeats)
+     * @param {Object} [preferences={}] - Seat preferences
+     * @param {string} [preferences.position] - Preferred position (window or aisle)
+     * @param {number} [preferences.wagonMin] - Lowest preferred wagon number
+     * @param {number} [preferences.wagonMax] - Highest preferred wagon number
+     * @param {string} [preferences.facing] - Preferred facing direction (forward or backward)
+     * @param {boolean} [preferences.avoidWc] - Avoid seats near the WC
+     * @returns {number} Score
+     */
+    scoreSeat(seat, preferences = {}) {
+        const weights = CONFIG.SEAT_PREFERENCE_WEIGHTS;
+        let score = 0;
+
+        if (preferences.position && seat.position === preferences.position) {
+            score += weights.POSITION;
+        }
+        if ((preferences.wagonMin || preferences.wagonMax) && this.isInWagonRange(seat, preferences)) {
+            score += weights.WAGON;
+        }
+        if (preferences.facing && seat.facing === preferences.facing) {
+            score += weights.FACING;
+        }
+        if (preferences.avoidWc && seat.wcDistance > CONFIG.WC_NEAR_DISTANCE) {
+            score += weights.AVOID_WC;
+        }
+
+        return score;
+    }
+
+    /**
+     * Checks if a seat is in the preferred wagon range
+     * @param {Object} seat - Free seat
+     * @param {Object} preferences - Seat preferences ({ wagonMin, wagonMax })
+     * @returns {boolean} True if in range (seats of unknown wagons never are)
+     */
+    isInWagonRange(seat, { wagonMin, wagonMax }) {
+        const wagon = parseInt(seat.wagonNumber);
+        if (isNaN(wagon)) return false;
+
+        return (!wagonMin || wagon >= wagonMin) && (!wagonMax || wagon <= wagonMax);
+    }
+
+    /**
+     * Ranks the free seats of all cars, best first; equal seats keep seat map order
+     * @param {Array} seatMaps - Seat maps from the API
+     * @param {Array<string>} selectedCabinClasses - Selected cabin class keys
+     * @param {Object} [preferences={}] - Seat preferences (see scoreSeat)
+     * @returns {Array<Object>} Free seats with their score
+     */
+    rankSeats(seatMaps, selectedCabinClasses, preferences = {}) {
+        return this.listFreeSeats(seatMaps, selectedCabinClasses)
+            .map(seat => ({ ...seat, score: this.scoreSeat(seat, preferences) }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Picks seats for a number of passengers
+     * Groups get adjacent seats (side by side or one behind the other, same car,
+     * same side of the aisle) when possible, otherwise the best seats anywhere
+     * @param {Array} seatMaps - Seat maps from the API
+     * @param {Array<string>} selectedCabinClasses - Selected cabin class keys
+     * @param {Object} [preferences={}] - Seat preferences (see scoreSeat)
+     * @param {number} [count=1] - Number of seats
+     * @param {Array<string>|null} [genders=null] - Gender of each passenger when the gender rule applies
+     * @returns {{ seats: Array<Object>, together: boolean }|null} Picked seats (seats[i] for passenger i
+     *   when genders are given) or null if too few are free
+     */
+    findSeats(seatMaps, selectedCabinClasses, preferences = {}, count = 1, genders = null) {
+        const rankedSeats = this.rankSeats(seatMaps, selectedCabinClasses, preferences)
+            .filter(seat => !genders || genders.some(gender => this.allowsGender(seat, gender)));
+        if (rankedSeats.length < count) return null;
+
+        if (count > 1 && preferences.together !== false) {
+            const block = this.findAdjacentBlock(rankedSeats, count, genders);
+            if (block) return { seats: this.assignSeats(block, genders), together: true };
+        }
+
+        // Best seats anywhere, skipping seats no passenger left could take
+        const seats = [];
+        for (const seat of rankedSeats) {
+            if (seats.length === count) break;
+            if (this.assignSeats([...seats, seat], genders)) {
+                seats.push(seat);
+            }
+        }
+        if (seats.length < count) return null;
+
+        return { seats: this.assignSeats(seats, genders), together: count === 1 };
+    }
+
+    /**
+     * Checks if a passenger may take a seat under the gender rule
+     * @param {Object} seat - Free seat (see listFreeSeats)
+     * @param {string} gender - Passenger gender (M or F)
+     * @returns {boolean} True if nobody of the other gender sits right next to it
+     */
+    allowsGender(seat, gender) {
+        return seat.neighbourGenders.every(neighbourGender => neighbourGender === gender);
+    }
+
+    /**
+     * Matches seats to passengers under the gender rule
+     * Seats next to a stranger are handed out first, as only one gender may take them
+     * @param {Array<Object>} seats - Free seats, at most one per passenger
+     * @param {Array<string>|null} genders - Gender of each passenger (null: any seat suits anyone)
+     * @returns {Array<Object>|null} Seats indexed by passenger (null for passengers without a seat yet),
+     *   or null if some seat suits no remaining passenger
+     */
+    assignSeats(seats, genders) {
+        if (!genders) return seats;
+
+        const assigned = new Array(genders.length).fill(null);
+        const restrictedFirst = [...seats].sort((a, b) => b.neighbourGenders.length - a.neighbourGenders.length);
+
+        for (const seat of restrictedFirst) {
+            const index = genders.findIndex((gender, i) => !assigned[i] && this.allowsGender(seat, gender));
+            if (index === -1) return null;
+            assigned[index] = seat;
+        }
+        return assigned;
+    }
+
+    /**
+     * Finds the best block of adjacent free seats
+     * Every ranked seat is tried as the anchor of a block grown from its nearest neighbours
+     * @param {Array<Object>} rankedSeats - Free seats, best first
+     * @param {number} count - Block size
+     * @param {Array<string>|null} [genders=null] - Gender of each passenger when the gender rule applies
+     * @returns {Array<Object>|null} Seats of the best block or null if no block fits
+     */
+    findAdjacentBlock(rankedSeats, count, genders = null) {
+        let best = null;
+
+        rankedSeats.forEach(anchor => {
+            const block = [anchor];
+
+            // Grow the block one adjacent seat at a time, preferring higher scores
+            while (block.length < count) {
+                const next = rankedSeats.find(seat =>
+                    !block.includes(seat) &&
+                    block.some(member => this.areAdjacent(member, seat)) &&
+                    this.assignSeats([...block, seat], genders)
+                );
+                if (!next) return;
+                block.push(next);
+            }
+
+            const score = this.getBlockScore(block);
+            if (!best || score > best.score) {
+                best = { seats: block, score };
+            }
+        });
+
+        return best?.seats || null;
+    }
+
+    /**
+     * Scores a block of seats: the preference scores of its seats, with side-by-side
+     * pairs breaking ties over seats one behind the other
+     * @param {Array<Object>} block - Adjacent free seats
+     * @returns {number} Score
+     */
+    getBlockScore(block) {
+        const sideBySidePairs = block.flatMap((a, index) => block.slice(index + 1)
+            .filter(b => a.x === b.x && this.areAdjacent(a, b)));
+
+        return block.reduce((sum, seat) => sum + seat.score, 0) + sideBySidePairs.length * 0.5;
+    }
+
+    /**
+     * Checks if two seats are next to each other without an aisle or table in between
+     * @param {Object} a - Free seat
+     * @param {Object} b - Free seat
+     * @returns {boolean} True if adjacent
+     */
+    areAdjacent(a, b) {
+        if (a.trainCarId !== b.trainCarId) return false;
+
+        const dx = Math.abs(a.x - b.x);
+        const dy = Math.abs(a.y - b.y);
+        return (dx === 0 && dy === 1) || (dx === 1 && dy === 0 && a.facing === b.facing);
+    }
+
+    /**
+     * Orders trains by how close they leave to the preferred time; equal trains keep their order
+     * Trains are compared by the moment they leave, so a train of the next day (windows past
+     * midnight) counts as a day later than its time of day
+     * @param {Array} trains - Processed trains ({ departureTime, departureDate })
+     * @param {string} [preferredTime] - Preferred departure time in HH:MM format
+     * @param {Object} [window] - Searched window
+     * @param {string} window.date - Checked date (DD-MM-YYYY), also used for trains without a departureDate
+     * @param {string} [window.timeStart] - Window start (HH:MM)
+     * @param {string} [window.timeEnd] - Window end (HH:MM)
+     * @returns {Array} Ordered copy of the trains
+     */
+    rankTrains(trains, preferredTime, { date, timeStart, timeEnd } = {}) {
+        if (!preferredTime) return [...trains];
+
+        // In a window past midnight (e.g. 22:00-02:00) a preferred time before its start is on the next day
+        const preferredDate = isOvernightWindow(timeStart, timeEnd) && preferredTime < timeStart ? shiftTravelDate(date, 1) : date;
+        const preferred = getTravelDateTime(preferredDate, preferredTime).getTime();
+        const distance = train => Math.abs(getTravelDateTime(train.departureDate || date, train.departureTime).getTime() - preferred);
+        return [...trains].sort((a, b) => distance(a) - distance(b));
+    }
+}
+
+// Export singleton instance
+export const seatPreferenceEngine = new SeatPreferenceEngine();
@@ -0,0 +1,93 @@
+/**
+ * Share actions module
+ * Browser helpers that hand text over to the user, as a downloaded file or on the clipboard,
+ * and the calendar/summary buttons of trains and held seats
+ */
+
+import { toCalendar, formatTripSummary, getCalendarFileName } from './trip_share.js';
+
+/**
+ * Downloads text as a file
+ * @param {string} text - File content
+ * @param {string} fileName - File name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(text, fileName, type) {
+    const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Copies text to the clipboard; where the clipboard is not available (e.g. over plain HTTP)
+ * the text is shown in a prompt to copy by hand
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} True if the text was copied
+ */
+export async function copyText(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch {
+        window.prompt('Kopyalamak için metni seçin:', text);
+        return false;
+    }
+}
+
+/**
+ * Gets the URL of this page without its query, to build links to it
+ * @returns {string} Page URL
+ */
+export function getPageUrl() {
+    return `${location.origin}${location.pathname}`;
+}
+
+/**
+ * Shows the outcome of a button's action on it for a moment
+ * @param {HTMLButtonElement} button - Button
+ * @param {string} text - Outcome text
+ */
+function flashButton(button, text) {
+    const label = button.textContent;
+    button.textContent = text;
+    button.disabled = true;
+    setTimeout(() => {
+        button.textContent = label;
+        button.disabled = false;
+    }, 2000);
+}
+
+/**
+ * Builds the buttons that add trips to a calendar (.ics download) and copy their summary
+ * The trips are built when a button is clicked, so they are never stale.
+ * @param {Function} getTrips - Returns the trips (see getTrainTrip)
+ * @param {Function} getLink - Returns the link that reopens the search (see buildSearchLink)
+ * @returns {HTMLElement} Buttons
+ */
+export function createShareActions(getTrips, getLink) {
+    const actions = document.createElement('div');
+    actions.className = 'share-actions';
+    actions.innerHTML = `
+        <button type="button" class="calendar-btn">📅 Takvime ekle (.ics)</button>
+        <button type="button" class="copy-summary-btn">📋 Özeti kopyala</button>
+    `;
+
+    actions.querySelector('.calendar-btn').addEventListener('click', () => {
+        const trips = getTrips();
+        downloadFile(toCalendar(trips, { link: getLink() }), getCalendarFileName(trips[0]), 'text/calendar');
+    });
+
+    const copyBtn = actions.querySelector('.copy-summary-btn');
+    copyBtn.addEventListener('click', async () => {
+        if (await copyText(formatTripSummary(getTrips(), getLink()))) {
+            flashButton(copyBtn, '✅ Kopyalandı');
+        }
+    });
+
+    return actions;
+}
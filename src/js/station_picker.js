@@ -0,0 +1,210 @@
+/**
+ * Station picker module
+ * Searchable, keyboard-navigable combobox built on top of a station <select>
+ * The select stays in the DOM (hidden) and keeps holding the selected value,
+ * so form reading and persistence work unchanged
+ */
+
+import { stationManager } from './stations.js';
+
+let pickerCount = 0;
+
+export class StationPicker {
+    /**
+     * @param {HTMLSelectElement} selectElement - Station select populated by UIManager.populateStations
+     */
+    constructor(selectElement) {
+        this.select = selectElement;
+        this.id = `stationPicker${++pickerCount}`;
+        this.results = []; // Stations currently listed
+        this.activeIndex = -1; // Highlighted option for keyboard navigation
+
+        this.createElements();
+        this.bindEvents();
+        this.sync();
+    }
+
+    /**
+     * Builds the combobox input and option list next to the select
+     */
+    createElements() {
+        this.container = document.createElement('div');
+        this.container.className = 'station-picker';
+
+        this.input = document.createElement('input');
+        this.input.type = 'text';
+        this.input.autocomplete = 'off';
+        this.input.placeholder = 'İstasyon adı veya kodu yazın...';
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('aria-controls', `${this.id}-list`);
+
+        this.list = document.createElement('ul');
+        this.list.id = `${this.id}-list`;
+        this.list.className = 'station-options';
+        this.list.setAttribute('role', 'listbox');
+        this.list.hidden = true;
+
+        this.container.append(this.input, this.list);
+        this.select.before(this.container);
+        this.select.style.display = 'none';
+    }
+
+    /**
+     * Wires input, keyboard and mouse events
+     */
+    bindEvents() {
+        this.input.addEventListener('focus', () => {
+            this.input.select();
+            this.open('');
+        });
+        this.input.addEventListener('input', () => this.open(this.input.value));
+        this.input.addEventListener('keydown', event => this.handleKeyDown(event));
+        this.input.addEventListener('blur', () => this.close());
+
+        // mousedown instead of click so the choice happens before the input blurs
+        this.list.addEventListener('mousedown', event => {
+            event.preventDefault();
+
+            const favoriteBtn = event.target.closest('.station-favorite');
+            const option = event.target.closest('[role="option"]');
+            if (!option) return;
+
+            const station = this.results[parseInt(option.dataset.index)];
+            if (favoriteBtn) {
+                stationManager.toggleFavoriteStation(station.id);
+                this.open(this.input.value);
+            } else {
+                this.choose(station);
+            }
+        });
+    }
+
+    /**
+     * Handles arrow key navigation, Enter and Escape
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeyDown(event) {
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                if (this.list.hidden) this.open(this.input.value);
+                this.setActive(Math.min(this.activeIndex + 1, this.results.length - 1));
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                this.setActive(Math.max(this.activeIndex - 1, 0));
+                break;
+            case 'Enter':
+                if (!this.list.hidden && this.results[this.activeIndex]) {
+                    event.preventDefault();
+                    this.choose(this.results[this.activeIndex]);
+                }
+                break;
+            case 'Escape':
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Searches stations and shows the option list
+     * @param {string} query - Search text
+     */
+    open(query) {
+        this.results = stationManager.searchStations(query);
+        this.activeIndex = this.results.length > 0 ? 0 : -1;
+        this.renderOptions(query);
+
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Hides the option list and restores the selected station's text
+     */
+    close() {
+        this.list.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        this.sync();
+    }
+
+    /**
+     * Renders the option list for the current results
+     * @param {string} query - Search text (empty shows favourite/recent suggestions)
+     */
+    renderOptions(query) {
+        this.list.innerHTML = '';
+
+        if (this.results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'station-empty';
+            empty.textContent = query ? 'Eşleşen istasyon yok' : 'İstasyon adı veya kodu yazın';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.results.forEach((station, index) => {
+            const isFavorite = stationManager.isFavoriteStation(station.id);
+            const option = document.createElement('li');
+            option.id = `${this.id}-option-${index}`;
+            option.dataset.index = index;
+            option.setAttribute('role', 'option');
+
+            option.innerHTML = `
+                <button type="button" class="station-favorite" tabindex="-1" title="Favorilere ekle/çıkar"></button>
+                <span class="station-name"></span>
+                <span class="station-code"></span>
+            `;
+            option.querySelector('.station-favorite').textContent = isFavorite ? '★' : '☆';
+            option.querySelector('.station-name').textContent = station.name;
+            option.querySelector('.station-code').textContent = station.code;
+
+            this.list.appendChild(option);
+        });
+
+        this.setActive(this.activeIndex);
+    }
+
+    /**
+     * Highlights an option
+     * @param {number} index - Index in the current results
+     */
+    setActive(index) {
+        this.activeIndex = index;
+
+        this.list.querySelectorAll('[role="option"]').forEach((option, optionIndex) => {
+            const isActive = optionIndex === index;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', String(isActive));
+            if (isActive) {
+                this.input.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView?.({ block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Selects a station: updates the underlying select and records it as recent
+     * @param {Object} station - Chosen station
+     */
+    choose(station) {
+        this.select.value = String(station.id);
+        this.select.dispatchEvent(new Event('change'));
+        stationManager.addRecentStation(station.id);
+
+        this.close();
+        this.input.blur();
+    }
+
+    /**
+     * Shows the station currently selected in the underlying select
+     * Call after the select value is changed programmatically
+     */
+    sync() {
+        const selectedOption = this.select.options[this.select.selectedIndex];
+        this.input.value = selectedOption?.value ? selectedOption.dataset.name : '';
+    }
+}
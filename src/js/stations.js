@@ -4,11 +4,15 @@
  */
 
 import { CONFIG } from './config.js';
+import { storage } from './storage.js';
+import { normalizeTurkish } from './utils.js';
+import { logger, LOG_CATEGORIES } from './logger.js';
 
 class StationManager {
     constructor() {
         this.stations = [];
         this.stationsMap = {}; // name -> station object mapping
+        this.searchKeys = new Map(); // station id -> normalized name used for searching
     }
 
     /**
@@ -23,20 +27,49 @@ class StationManager {
                 throw new Error(`HTTP ${response.status}: Failed to load stations`);
             }
             
-            this.stations = await response.json();
+            this.setStations(await response.json());
             
-            // Create map for quick lookup
-            this.stations.forEach(station => {
-                this.stationsMap[station.name] = station;
-            });
-            
-            console.log(`✅ ${this.stations.length} istasyon yüklendi`);
+            logger.info(LOG_CATEGORIES.APP, `✅ ${this.stations.length} istasyon yüklendi`);
         } catch (error) {
-            console.error('İstasyonlar yüklenemedi:', error);
+            logger.error(LOG_CATEGORIES.APP, 'İstasyonlar yüklenemedi', { details: error });
             throw error;
         }
     }
 
+    /**
+     * Sets the station list and builds lookup maps
+     * Used directly where stations.json is read from disk (CLI)
+     * @param {Array} stations - Stations in data/stations.json format
+     */
+    setStations(stations) {
+        this.stations = stations;
+        this.stationsMap = {};
+        this.searchKeys.clear();
+
+        // Create maps for quick lookup and searching
+        this.stations.forEach(station => {
+            this.stationsMap[station.name] = station;
+            this.searchKeys.set(station.id, normalizeTurkish(station.name));
+        });
+    }
+
+    /**
+     * Resolves user input (name, code or ID) to a single station
+     * An exact name, code or ID match wins; otherwise the best search match is used
+     * @param {string} query - Station name, code or ID
+     * @returns {Object|null} Station object or null if nothing matches
+     */
+    resolveStation(query) {
+        const normalizedQuery = normalizeTurkish(query);
+        const exactMatch = this.stations.find(station =>
+            this.searchKeys.get(station.id) === normalizedQuery ||
+            normalizeTurkish(station.code || '') === normalizedQuery ||
+            String(station.id) === query.trim()
+        );
+
+        return exactMatch || this.searchStations(query, 1)[0] || null;
+    }
+
     /**
      * Gets all stations sorted alphabetically
      * @returns {Array} Sorted array of stations
@@ -62,6 +95,126 @@ class StationManager {
     getStationById(id) {
         return this.stations.find(station => station.id === id) || null;
     }
+
+    /**
+     * Searches stations by name or code
+     * Matching is Turkish-aware (İ/I/ı, Ş/S, Ç/C, Ğ/G, Ö/O, Ü/U are equal) and
+     * falls back to fuzzy matching; favourite and recent stations are ranked first
+     * @param {string} query - Search text (name or station code)
+     * @param {number} [limit=CONFIG.STATION_PICKER_LIMIT] - Maximum number of results
+     * @returns {Array} Matching stations, best match first
+     */
+    searchStations(query, limit = CONFIG.STATION_PICKER_LIMIT) {
+        const normalizedQuery = normalizeTurkish(query);
+
+        // Without a query, suggest favourites and recently used stations
+        if (!normalizedQuery) {
+            const suggestions = [...this.getFavoriteStations(), ...this.getRecentStations()];
+            return suggestions
+                .filter((station, index) => suggestions.indexOf(station) === index)
+                .slice(0, limit);
+        }
+
+        const favoriteIds = storage.get(CONFIG.STORAGE_KEYS.FAVORITE_STATIONS, []);
+        const recentIds = storage.get(CONFIG.STORAGE_KEYS.RECENT_STATIONS, []);
+
+        return this.stations
+            .map(station => {
+                let score = this.getMatchScore(station, normalizedQuery);
+                if (score > 0 && favoriteIds.includes(station.id)) score += 5;
+                if (score > 0 && recentIds.includes(station.id)) score += 3;
+                return { station, score };
+            })
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score || a.station.name.localeCompare(b.station.name, 'tr'))
+            .slice(0, limit)
+            .map(match => match.station);
+    }
+
+    /**
+     * Scores how well a station matches a normalized query
+     * @param {Object} station - Station object
+     * @param {string} query - Normalized search text
+     * @returns {number} Match score (0 = no match, higher is better)
+     */
+    getMatchScore(station, query) {
+        const name = this.searchKeys.get(station.id) || normalizeTurkish(station.name);
+        const code = String(station.code || '');
+
+        if (code === query) return 100;
+        if (name === query) return 95;
+        if (name.startsWith(query)) return 90;
+        if (code.startsWith(query)) return 85;
+        if (name.split(/[\s().\-/]+/).some(word => word.startsWith(query))) return 80;
+        if (name.includes(query)) return 70;
+
+        // Fuzzy: every query character appears in order; fewer gaps score higher
+        let position = -1;
+        let gaps = 0;
+        for (const char of query.replace(/ /g, '')) {
+            const next = name.indexOf(char, position + 1);
+            if (next === -1) return 0;
+            if (position !== -1) gaps += next - position - 1;
+            position = next;
+        }
+        return Math.max(1, 50 - gaps);
+    }
+
+    /**
+     * Gets recently selected stations, most recent first
+     * @returns {Array} Station objects
+     */
+    getRecentStations() {
+        return storage.get(CONFIG.STORAGE_KEYS.RECENT_STATIONS, [])
+            .map(id => this.getStationById(id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Records a station as recently selected
+     * @param {number} id - Station ID
+     */
+    addRecentStation(id) {
+        const recentIds = storage.get(CONFIG.STORAGE_KEYS.RECENT_STATIONS, [])
+            .filter(recentId => recentId !== id);
+        recentIds.unshift(id);
+        storage.set(CONFIG.STORAGE_KEYS.RECENT_STATIONS, recentIds.slice(0, CONFIG.MAX_RECENT_STATIONS));
+    }
+
+    /**
+     * Gets favourite stations
+     * @returns {Array} Station objects
+     */
+    getFavoriteStations() {
+        return storage.get(CONFIG.STORAGE_KEYS.FAVORITE_STATIONS, [])
+            .map(id => this.getStationById(id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Checks if a station is marked as favourite
+     * @param {number} id - Station ID
+     * @returns {boolean} True if favourite
+     */
+    isFavoriteStation(id) {
+        return storage.get(CONFIG.STORAGE_KEYS.FAVORITE_STATIONS, []).includes(id);
+    }
+
+    /**
+     * Adds or removes a station from favourites
+     * @param {number} id - Station ID
+     * @returns {boolean} True if the station is now a favourite
+     */
+    toggleFavoriteStation(id) {
+        const favoriteIds = storage.get(CONFIG.STORAGE_KEYS.FAVORITE_STATIONS, []);
+        const isFavorite = favoriteIds.includes(id);
+        const updated = isFavorite
+            ? favoriteIds.filter(favoriteId => favoriteId !== id)
+            : [...favoriteIds, id];
+
+        storage.set(CONFIG.STORAGE_KEYS.FAVORITE_STATIONS, updated);
+        return !isFavorite;
+    }
 }
 
 // Export singleton instance
@@ -0,0 +1,71 @@
+/**
+ * Storage module
+ * Persists application state in localStorage as JSON
+ */
+
+import { CONFIG } from './config.js';
+import { logger, LOG_CATEGORIES } from './logger.js';
+
+class StorageManager {
+    /**
+     * Checks if localStorage can be used (not available outside browsers or in some private modes)
+     * @returns {boolean} True if localStorage is usable
+     */
+    isAvailable() {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Reads a stored value
+     * @param {string} key - Storage key (without prefix)
+     * @param {*} [fallback=null] - Value returned when nothing is stored or it cannot be read
+     * @returns {*} Stored value or fallback
+     */
+    get(key, fallback = null) {
+        if (!this.isAvailable()) return fallback;
+
+        try {
+            const raw = localStorage.getItem(CONFIG.STORAGE_PREFIX + key);
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (error) {
+            logger.error(LOG_CATEGORIES.APP, `Kayıtlı veri okunamadı (${key})`, { details: error });
+            return fallback;
+        }
+    }
+
+    /**
+     * Stores a value
+     * @param {string} key - Storage key (without prefix)
+     * @param {*} value - JSON serializable value
+     */
+    set(key, value) {
+        if (!this.isAvailable()) return;
+
+        try {
+            localStorage.setItem(CONFIG.STORAGE_PREFIX + key, JSON.stringify(value));
+        } catch (error) {
+            logger.error(LOG_CATEGORIES.APP, `Veri kaydedilemedi (${key})`, { details: error });
+        }
+    }
+
+    /**
+     * Removes a stored value
+     * @param {string} key - Storage key (without prefix)
+     */
+    remove(key) {
+        if (!this.isAvailable()) return;
+
+        try {
+            localStorage.removeItem(CONFIG.STORAGE_PREFIX + key);
+        } catch (error) {
+            logger.error(LOG_CATEGORIES.APP, `Veri silinemedi (${key})`, { details: error });
+        }
+    }
+}
+
+// Export singleton instance
+export const storage = new StorageManager();
@@ -0,0 +1,124 @@
+/**
+ * Train filters module
+ * Narrows the trains of a search down by train type, train number or name and trip duration
+ */
+
+import { CONFIG } from './config.js';
+import { formatMinutes, normalizeTurkish } from './utils.js';
+
+/**
+ * Gets the train types a search leaves out
+ * @param {Object} params - Search parameters
+ * @returns {Array<string>} Train type keys (see CONFIG.TRAIN_TYPES)
+ */
+export function getExcludedTrainTypes(params) {
+    return params.excludedTrainTypes ?? CONFIG.DEFAULT_EXCLUDED_TRAIN_TYPES;
+}
+
+/**
+ * Turns train type keys into the train type codes of the API
+ * @param {Array<string>} types - Train type keys (see CONFIG.TRAIN_TYPES)
+ * @returns {Array<string>} Codes as sent in blTrainTypes and returned in train.type
+ */
+export function getTrainTypeCodes(types) {
+    return types.map(type => CONFIG.TRAIN_TYPES[type]?.code).filter(Boolean);
+}
+
+/**
+ * Gets the travel time of a train between the searched stations
+ * The segments carry their running time and the stop before them; the stop at the
+ * boarding station is not part of the trip
+ * @param {Object} train - Train object from API
+ * @returns {number|null} Minutes or null if the segments carry no durations
+ */
+export function getTripMinutes(train) {
+    const segments = train.segments || [];
+    if (segments.length === 0 || segments.some(segment => typeof segment.duration !== 'number')) {
+        return null;
+    }
+
+    return segments.reduce((sum, segment, index) =>
+        sum + segment.duration + (index > 0 ? Math.max(segment.stopDuration || 0, 0) : 0), 0);
+}
+
+/**
+ * Splits a list of train numbers or names typed by the user
+ * @param {string} text - Comma or newline separated list
+ * @returns {Array<string>} Entries without empty ones
+ */
+export function parseTrainList(text) {
+    return String(text || '')
+        .split(/[,\n]/)
+        .map(entry => entry.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Checks if a train matches an entry of a train list: the exact train number
+ * or a part of its name (Turkish characters are not needed)
+ * @param {Object} train - Processed train ({ trainNumber, name })
+ * @param {string} entry - Train number or name
+ * @returns {boolean} True if the train matches
+ */
+function matchesTrainEntry(train, entry) {
+    return train.trainNumber === entry.trim() || normalizeTurkish(train.name).includes(normalizeTurkish(entry));
+}
+
+/**
+ * Checks a processed train against the train filters of a search
+ * A connection is checked leg by leg: every train must be of an allowed type and none
+ * may be excluded, while one included train is enough
+ * @param {Object} train - Processed train or connection (see SearchManager.processTrainAvailability)
+ * @param {Object} params - Search parameters
+ * @param {Array<string>} [params.excludedTrainTypes] - Train types to leave out
+ * @param {Array<string>} [params.includeTrains] - Only trains with these numbers or names
+ * @param {Array<string>} [params.excludeTrains] - Trains with these numbers or names are left out
+ * @param {number} [params.maxDuration] - Longest trip in minutes
+ * @returns {boolean} True if the train is wanted
+ */
+export function matchesTrainFilters(train, params) {
+    const trains = train.legs || [train];
+    const excludedCodes = getTrainTypeCodes(getExcludedTrainTypes(params));
+
+    if (trains.some(leg => excludedCodes.includes(leg.trainType))) {
+        return false;
+    }
+    if (params.includeTrains?.length > 0 &&
+        !trains.some(leg => params.includeTrains.some(entry => matchesTrainEntry(leg, entry)))) {
+        return false;
+    }
+    if (params.excludeTrains?.some(entry => trains.some(leg => matchesTrainEntry(leg, entry)))) {
+        return false;
+    }
+    if (params.maxDuration != null && train.duration != null && train.duration > params.maxDuration) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Describes the train filters of a search for watch summaries
+ * @param {Object} params - Search parameters
+ * @returns {Array<string>} Parts like "Tren: 81208" or "En çok 2 sa yolculuk"; empty without filters
+ */
+export function describeTrainFilters(params) {
+    const parts = [];
+    const excludedTypes = getExcludedTrainTypes(params);
+    const typeKeys = Object.keys(CONFIG.TRAIN_TYPES);
+    const isDefault = excludedTypes.length === CONFIG.DEFAULT_EXCLUDED_TRAIN_TYPES.length &&
+        excludedTypes.every(type => CONFIG.DEFAULT_EXCLUDED_TRAIN_TYPES.includes(type));
+
+    if (!isDefault) {
+        parts.push(`Tren tipi: ${typeKeys.filter(type => !excludedTypes.includes(type)).map(type => CONFIG.TRAIN_TYPES[type].name).join(', ')}`);
+    }
+    if (params.includeTrains?.length > 0) {
+        parts.push(`Tren: ${params.includeTrains.join(', ')}`);
+    }
+    if (params.excludeTrains?.length > 0) {
+        parts.push(`Hariç: ${params.excludeTrains.join(', ')}`);
+    }
+    if (params.maxDuration != null) {
+        parts.push(`En çok ${formatMinutes(params.maxDuration)} yolculuk`);
+    }
+    return parts;
+}
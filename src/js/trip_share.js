@@ -0,0 +1,461 @@
+/**
+ * Trip share module
+ * Turns trains of the results and held seats into calendar events (.ics) and a short text
+ * summary, with a link that reopens the same search, so they need not be copied by hand
+ */
+
+import { CONFIG } from './config.js';
+import { getTravelDateTime, shiftTravelDate, convertDateFromAPI } from './utils.js';
+import { describePassenger } from './passengers.js';
+import { getTrainKey } from './result_diff.js';
+
+// Form checkbox of each cabin class (keys of UIManager.elements)
+const CABIN_FIELDS = {
+    ECONOMY: 'cabinEconomy',
+    BUSINESS: 'cabinBusiness',
+    SLEEPER: 'cabinSleeper',
+    COUCHETTE: 'cabinCouchette',
+    LOCA: 'cabinLoca',
+    DISABLED: 'cabinDisabled'
+};
+
+// Form checkbox of each train type (CONFIG.TRAIN_TYPES keys)
+const TRAIN_TYPE_FIELDS = {
+    YHT: 'trainTypeYht',
+    ANAHAT: 'trainTypeAnahat',
+    BOLGESEL: 'trainTypeBolgesel',
+    TURISTIK_TREN: 'trainTypeTuristik'
+};
+
+// Form field of each value in a search link, with the pattern a valid value matches
+const NUMBER_PATTERN = /^\d+(\.\d+)?$/;
+const LINK_VALUE_FIELDS = {
+    include: ['includeTrains', /\S/],
+    exclude: ['excludeTrains', /\S/],
+    maxDuration: ['maxDuration', NUMBER_PATTERN],
+    minLayover: ['minLayover', NUMBER_PATTERN],
+    maxLayover: ['maxLayover', NUMBER_PATTERN],
+    nearby: ['nearbyStops', NUMBER_PATTERN],
+    maxPrice: ['maxPrice', NUMBER_PATTERN],
+    seat: ['seatPosition', /^\w+$/],
+    facing: ['seatFacing', /^\w+$/],
+    wagonMin: ['wagonMin', NUMBER_PATTERN],
+    wagonMax: ['wagonMax', NUMBER_PATTERN],
+    preferredTime: ['preferredTime', /^\d{2}:\d{2}$/],
+    keepHolding: ['maxHoldMinutes', NUMBER_PATTERN]
+};
+
+// Form checkbox of each flag ("1") in a search link
+const LINK_FLAG_FIELDS = {
+    direct: 'excludeConnections',
+    priceDrop: 'alertPriceDrop',
+    holdBoth: 'holdBothLegs',
+    avoidWc: 'avoidWc'
+};
+
+// Form values of the options a search leaves unset (the hold limit keeps its value for later)
+const CLEARED_OPTIONS = {
+    arrivalTimeStart: '',
+    arrivalTimeEnd: '',
+    returnArrivalTimeStart: '',
+    returnArrivalTimeEnd: '',
+    ...Object.fromEntries(Object.values(LINK_VALUE_FIELDS)
+        .filter(([field]) => field !== 'maxHoldMinutes')
+        .map(([field]) => [field, ''])),
+    ...Object.fromEntries(Object.values(LINK_FLAG_FIELDS).map(field => [field, false])),
+    keepHolding: false
+};
+
+const ICS_LINE_LIMIT = 75; // Octets per line before it is folded (RFC 5545)
+
+/**
+ * Builds a trip of a train in the results
+ * @param {Object} train - Train, connection or nearby stop alternative
+ * @param {string} date - Checked date of the train (DD-MM-YYYY), used when the train has no departureDate
+ * @param {Object} route - Stations of the train's leg ({ departureStationName, arrivalStationName }),
+ *   used when the train does not name its own (connections and alternatives do)
+ * @returns {Object} Trip ({ uid, title, date, departureTime, arrivalTime, dayChanged,
+ *   departureStationName, arrivalStationName, details })
+ */
+export function getTrainTrip(train, date, route) {
+    const departureDate = train.departureDate || date;
+    const departureStationName = train.departureStationName || train.legs?.[0].departureStationName || route.departureStationName;
+    const arrivalStationName = train.arrivalStationName || train.legs?.at(-1).arrivalStationName || route.arrivalStationName;
+
+    const details = [
+        ...(train.legs || []).map((leg, index) =>
+            `${index + 1}. ${leg.name}: ${leg.departureStationName} ${leg.departureTime} → ${leg.arrivalStationName} ${leg.arrivalTime}`),
+        ...(train.cabinClasses || [])
+            .filter(cabin => cabin.isSelected && cabin.availability > 0)
+            .map(cabin => `💺 ${cabin.className}: ${cabin.availability} koltuk${cabin.price ? ` - ${cabin.price} TL` : ''}`)
+    ];
+
+    return {
+        uid: `train-${getTrainKey(train)}-${departureDate}`,
+        title: `${train.name}: ${departureStationName} → ${arrivalStationName}`,
+        date: departureDate,
+        departureTime: train.departureTime,
+        arrivalTime: train.arrivalTime,
+        dayChanged: Boolean(train.dayChanged),
+        departureStationName,
+        arrivalStationName,
+        details
+    };
+}
+
+/**
+ * Builds the trips of held seats, one per train, listing the seats of every passenger on it
+ * @param {Array<Object>} seats - Held seat infos (see SeatAllocationManager.holdSeats)
+ * @returns {Array<Object>} Trips (see getTrainTrip), in the order of the seats
+ */
+export function getSeatTrips(seats) {
+    const trips = new Map();
+
+    seats.forEach(seat => {
+        const key = `${seat.trainId}-${seat.departureDate}-${seat.legIndex || 0}`;
+        if (!trips.has(key)) {
+            const departureStationName = seat.departureStationName || seat.holdParams?.departureStationName || '';
+            const arrivalStationName = seat.arrivalStationName || seat.holdParams?.arrivalStationName || '';
+            trips.set(key, {
+                uid: `seat-${seat.allocationId}`,
+                title: [seat.trainName, [departureStationName, arrivalStationName].filter(Boolean).join(' → ')]
+                    .filter(Boolean).join(': '),
+                date: seat.departureDate,
+                departureTime: seat.departureTime,
+                arrivalTime: seat.arrivalTime,
+                dayChanged: Boolean(seat.dayChanged),
+                departureStationName,
+                arrivalStationName,
+                details: []
+            });
+        }
+
+        trips.get(key).details.push(
+            `💺 Vagon ${seat.wagonNumber} (${seat.cabinClassName}) · Koltuk ${seat.seatNumber}` +
+            (seat.passenger ? ` · ${describePassenger(seat.passenger)}` : '')
+        );
+    });
+
+    return [...trips.values()];
+}
+
+/**
+ * Gets the departure and arrival moments of a trip
+ * @param {Object} trip - Trip (see getTrainTrip)
+ * @returns {{ start: Date, end: Date }} Departure and arrival
+ */
+export function getTripTimes(trip) {
+    const arrivalDate = trip.dayChanged ? shiftTravelDate(trip.date, 1) : trip.date;
+    return {
+        start: getTravelDateTime(trip.date, trip.departureTime),
+        end: getTravelDateTime(arrivalDate, trip.arrivalTime)
+    };
+}
+
+/**
+ * Describes the times of a trip
+ * @param {Object} trip - Trip (see getTrainTrip)
+ * @returns {string} Description like "18-01-2026 · Ankara Gar 09:05 → Konya 10:50"
+ */
+function describeTripTimes(trip) {
+    const departure = [trip.departureStationName, trip.departureTime].filter(Boolean).join(' ');
+    const arrival = [trip.arrivalStationName, trip.arrivalTime].filter(Boolean).join(' ');
+    return `${trip.date} · ${departure} → ${arrival}${trip.dayChanged ? ' (+1 gün)' : ''}`;
+}
+
+/**
+ * Builds the text summary of trips, e.g. to paste into a chat
+ * @param {Array<Object>} trips - Trips (see getTrainTrip)
+ * @param {string} [link] - Link that reopens the search (see buildSearchLink)
+ * @returns {string} Summary text
+ */
+export function formatTripSummary(trips, link) {
+    const blocks = trips.map(trip => [
+        `🚆 ${trip.title}`,
+        `📅 ${describeTripTimes(trip)}`,
+        ...trip.details
+    ].join('\n'));
+
+    return [...blocks, ...(link ? [`🔗 ${link}`] : [])].join('\n\n');
+}
+
+/**
+ * Escapes a text value of a calendar property
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeCalendarText(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/[;,]/g, match => `\\${match}`)
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a calendar line into lines of at most 75 octets, without splitting a character
+ * @param {string} line - Content line
+ * @returns {string} Folded line (continuation lines start with a space)
+ */
+function foldCalendarLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+        const charSize = encoder.encode(char).length;
+        // Continuation lines lose an octet to their leading space
+        const limit = parts.length === 0 ? ICS_LINE_LIMIT : ICS_LINE_LIMIT - 1;
+        if (size + charSize > limit) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Formats a moment as a UTC calendar date-time
+ * @param {Date} date - Moment
+ * @returns {string} Date-time like "20260118T060500Z"
+ */
+function formatCalendarTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Builds an iCalendar file with an event and a reminder for each trip
+ * @param {Array<Object>} trips - Trips (see getTrainTrip)
+ * @param {Object} [options={}] - Calendar options
+ * @param {string} [options.link] - Link that reopens the search, added to every event
+ * @param {number} [options.reminderMinutes=CONFIG.CALENDAR_REMINDER_MINUTES] - Reminder before departure
+ * @param {number} [options.now=Date.now()] - Time the file is made (ms)
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+export function toCalendar(trips, { link, reminderMinutes = CONFIG.CALENDAR_REMINDER_MINUTES, now = Date.now() } = {}) {
+    const events = trips.flatMap(trip => {
+        const { start, end } = getTripTimes(trip);
+        const description = [describeTripTimes(trip), ...trip.details, ...(link ? [link] : [])].join('\n');
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:${trip.uid}@tren-bileti-bulucu`,
+            `DTSTAMP:${formatCalendarTime(new Date(now))}`,
+            `DTSTART:${formatCalendarTime(start)}`,
+            `DTEND:${formatCalendarTime(end)}`,
+            `SUMMARY:${escapeCalendarText(`🚆 ${trip.title}`)}`,
+            ...(trip.departureStationName ? [`LOCATION:${escapeCalendarText(trip.departureStationName)}`] : []),
+            `DESCRIPTION:${escapeCalendarText(description)}`,
+            ...(link ? [`URL:${link}`] : []),
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeCalendarText(`🚆 ${trip.title}`)}`,
+            `TRIGGER:-PT${reminderMinutes}M`,
+            'END:VALARM',
+            'END:VEVENT'
+        ];
+    });
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Tren Bileti Bulucu//TR',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        ...events,
+        'END:VCALENDAR'
+    ].map(foldCalendarLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Builds a link that opens the page with the search form filled in
+ * Carries every option of the search form: route, dates (or the weekday rule), time windows,
+ * train and connection filters, price watch, cabin classes, passengers, seat preferences and
+ * the "keep holding" limit
+ * @param {string} pageUrl - URL of the page (without a query)
+ * @param {Object} params - Search parameters (see UIManager.getSearchParams); hold parameters
+ *   of a seat work too and link the search of its leg
+ * @returns {string} Link
+ */
+export function buildSearchLink(pageUrl, params) {
+    const dates = params.dates?.length > 0 ? params.dates : [params.departureDate];
+    const query = new URLSearchParams({
+        from: params.departureStationId,
+        to: params.arrivalStationId,
+        date: convertDateFromAPI(dates[0])
+    });
+
+    if (dates.length > 1) {
+        query.set('end', convertDateFromAPI(dates[dates.length - 1]));
+    }
+    if (params.dateMode === 'weekdays' && params.weekdays?.length > 0) {
+        query.set('days', params.weekdays.join(','));
+        query.set('flex', params.flexDays || CONFIG.DEFAULT_FLEX_DAYS);
+    }
+    if (params.timeStart) {
+        query.set('time', `${params.timeStart}-${params.timeEnd}`);
+    }
+    if (params.arrivalTimeStart) {
+        query.set('arrival', `${params.arrivalTimeStart}-${params.arrivalTimeEnd}`);
+    }
+    if (params.returnDate) {
+        query.set('return', convertDateFromAPI(params.returnDate));
+        query.set('returnTime', `${params.returnTimeStart}-${params.returnTimeEnd}`);
+        if (params.returnArrivalTimeStart) {
+            query.set('returnArrival', `${params.returnArrivalTimeStart}-${params.returnArrivalTimeEnd}`);
+        }
+    }
+    if (params.excludedTrainTypes) {
+        query.set('types', Object.keys(TRAIN_TYPE_FIELDS).filter(key => !params.excludedTrainTypes.includes(key)).join(','));
+    }
+    if (params.selectedCabinClasses?.length > 0) {
+        query.set('classes', params.selectedCabinClasses.join(','));
+    }
+    if (params.passengers?.length > 0) {
+        query.set('passengers', params.passengers.map(({ gender, type }) => `${gender}-${type}`).join(','));
+    }
+
+    const seatPreferences = params.seatPreferences || {};
+    const values = {
+        include: params.includeTrains?.join(', '),
+        exclude: params.excludeTrains?.join(', '),
+        maxDuration: params.maxDuration,
+        minLayover: params.minLayover,
+        maxLayover: params.maxLayover,
+        nearby: params.nearbyStops,
+        maxPrice: params.maxPrice,
+        seat: seatPreferences.position,
+        facing: seatPreferences.facing,
+        wagonMin: seatPreferences.wagonMin,
+        wagonMax: seatPreferences.wagonMax,
+        preferredTime: seatPreferences.preferredTime,
+        keepHolding: params.holdRenewal?.maxHoldMinutes
+    };
+    const flags = {
+        direct: params.excludeConnections,
+        priceDrop: params.alertPriceDrop,
+        holdBoth: params.returnDate && params.holdBothLegs,
+        avoidWc: seatPreferences.avoidWc
+    };
+    Object.entries(values).forEach(([key, value]) => {
+        if (value != null && value !== '') query.set(key, value);
+    });
+    Object.entries(flags).forEach(([key, value]) => {
+        if (value) query.set(key, '1');
+    });
+
+    return `${pageUrl}?${query}`;
+}
+
+/**
+ * Reads the search form values of a link made by buildSearchLink
+ * Links of a whole search (those carrying train types) also clear the options they leave out,
+ * so the form shows the same search; links of a held seat only fill in what they carry
+ * @param {string} search - Query of the link (e.g. location.search)
+ * @returns {Object|null} Form state (see UIManager.restoreFormState) or null if the query is not a search link
+ */
+export function parseSearchLink(search) {
+    const query = new URLSearchParams(search);
+    const from = query.get('from');
+    const to = query.get('to');
+    const date = query.get('date');
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+    const isWindow = value => /^\d{2}:\d{2}-\d{2}:\d{2}$/.test(value || '');
+
+    if (!/^\d+$/.test(from || '') || !/^\d+$/.test(to || '') || !isDate(date)) {
+        return null;
+    }
+
+    const end = query.get('end');
+    const state = {
+        ...(query.has('types') ? CLEARED_OPTIONS : {}),
+        departureStation: from,
+        arrivalStation: to,
+        dateMode: isDate(end) ? 'range' : 'single',
+        departureDate: date,
+        ...(isDate(end) ? { departureDateEnd: end } : {})
+    };
+
+    const weekdays = query.get('days')?.split(',').filter(day => /^[0-6]$/.test(day));
+    if (weekdays?.length > 0) {
+        state.dateMode = 'weekdays';
+        state.weekdays = weekdays;
+        if (/^\d+$/.test(query.get('flex') || '')) {
+            state.flexDays = query.get('flex');
+        }
+    }
+
+    const windows = [
+        ['time', 'timeStart', 'timeEnd'],
+        ['arrival', 'arrivalTimeStart', 'arrivalTimeEnd'],
+        ['returnTime', 'returnTimeStart', 'returnTimeEnd'],
+        ['returnArrival', 'returnArrivalTimeStart', 'returnArrivalTimeEnd']
+    ];
+    windows.forEach(([key, startField, endField]) => {
+        const value = query.get(key);
+        if (isWindow(value)) {
+            [state[startField], state[endField]] = value.split('-');
+        }
+    });
+
+    const returnDate = query.get('return');
+    state.roundTrip = isDate(returnDate);
+    if (state.roundTrip) {
+        state.returnDate = returnDate;
+    }
+
+    const types = query.get('types')?.split(',').filter(key => TRAIN_TYPE_FIELDS[key]);
+    if (types?.length > 0) {
+        Object.entries(TRAIN_TYPE_FIELDS).forEach(([key, field]) => {
+            state[field] = types.includes(key);
+        });
+    }
+
+    const classes = query.get('classes')?.split(',').filter(key => CABIN_FIELDS[key]);
+    if (classes?.length > 0) {
+        Object.entries(CABIN_FIELDS).forEach(([key, field]) => {
+            state[field] = classes.includes(key);
+        });
+    }
+
+    const passengers = (query.get('passengers')?.split(',') || [])
+        .map(value => {
+            const [gender, type] = value.split('-');
+            return { gender, type };
+        })
+        .filter(({ gender, type }) => CONFIG.GENDERS[gender] && CONFIG.PASSENGER_TYPES[type]);
+    if (passengers.length > 0) {
+        state.passengers = passengers;
+    }
+
+    Object.entries(LINK_VALUE_FIELDS).forEach(([key, [field, pattern]]) => {
+        const value = query.get(key);
+        if (pattern.test(value || '')) {
+            state[field] = value;
+        }
+    });
+    Object.entries(LINK_FLAG_FIELDS).forEach(([key, field]) => {
+        if (query.get(key) === '1') {
+            state[field] = true;
+        }
+    });
+    if ('maxHoldMinutes' in state) {
+        state.keepHolding = true;
+    }
+
+    return state;
+}
+
+/**
+ * Builds the file name of a calendar export
+ * @param {Object} trip - First trip of the file (see getTrainTrip)
+ * @returns {string} File name like "tren-18-01-2026-0905.ics"
+ */
+export function getCalendarFileName(trip) {
+    return `tren-${trip.date}-${trip.departureTime.replace(':', '')}.ics`;
+}
@@ -5,33 +5,118 @@
 
 import { stationManager } from './stations.js';
 import { CONFIG } from './config.js';
-import { formatTime, convertDateToAPI } from './utils.js';
+import { formatTime, convertDateToAPI, getDateRange, getUpcomingWeekdays } from './utils.js';
 import { seatAllocationManager } from './seat_allocation.js';
+import { WatchView } from './watch_view.js';
+import { LogView } from './log_view.js';
+import { logger, LOG_CATEGORIES } from './logger.js';
+import { HistoryView } from './history_view.js';
+import { availabilityHistory } from './availability_history.js';
+import { StationPicker } from './station_picker.js';
+import { notificationManager } from './notifications.js';
+import { notifierRegistry, WebhookNotifier, createEvent, NOTIFIER_EVENTS } from './notifiers.js';
+import { storage } from './storage.js';
+import { apiSettings } from './api_settings.js';
+import { DEFAULT_PASSENGERS, describePassenger } from './passengers.js';
+import { parseTrainList } from './train_filters.js';
+import { getSeatTrips, buildSearchLink, parseSearchLink } from './trip_share.js';
+import { createShareActions, getPageUrl } from './share_actions.js';
+
+// Form fields whose values are saved across page reloads (keys of UIManager.elements)
+const PERSISTED_FORM_FIELDS = [
+    'departureStation', 'arrivalStation', 'dateMode', 'departureDate', 'departureDateEnd', 'flexDays',
+    'timeStart', 'timeEnd', 'arrivalTimeStart', 'arrivalTimeEnd', 'trainTypeYht', 'trainTypeAnahat', 'trainTypeBolgesel', 'trainTypeTuristik',
+    'includeTrains', 'excludeTrains', 'maxDuration', 'excludeConnections', 'minLayover', 'maxLayover', 'nearbyStops',
+    'roundTrip', 'returnDate', 'returnTimeStart', 'returnTimeEnd', 'returnArrivalTimeStart', 'returnArrivalTimeEnd', 'holdBothLegs',
+    'cabinEconomy', 'cabinBusiness', 'cabinSleeper', 'cabinCouchette', 'cabinLoca', 'cabinDisabled',
+    'maxPrice', 'alertPriceDrop',
+    'seatPosition', 'seatFacing', 'wagonMin', 'wagonMax', 'preferredTime', 'avoidWc', 'keepHolding', 'maxHoldMinutes'
+];
 
 export class UIManager {
     constructor() {
         this.elements = {
             departureStation: document.getElementById('departureStation'),
             arrivalStation: document.getElementById('arrivalStation'),
+            dateMode: document.getElementById('dateMode'),
+            departureDateGroup: document.getElementById('departureDateGroup'),
             departureDate: document.getElementById('departureDate'),
+            departureDateEnd: document.getElementById('departureDateEnd'),
+            departureDateEndSeparator: document.getElementById('departureDateEndSeparator'),
+            weekdayGroup: document.getElementById('weekdayGroup'),
+            flexDays: document.getElementById('flexDays'),
             timeStart: document.getElementById('timeStart'),
             timeEnd: document.getElementById('timeEnd'),
+            arrivalTimeStart: document.getElementById('arrivalTimeStart'),
+            arrivalTimeEnd: document.getElementById('arrivalTimeEnd'),
+            trainTypeYht: document.getElementById('trainTypeYht'),
+            trainTypeAnahat: document.getElementById('trainTypeAnahat'),
+            trainTypeBolgesel: document.getElementById('trainTypeBolgesel'),
+            trainTypeTuristik: document.getElementById('trainTypeTuristik'),
+            includeTrains: document.getElementById('includeTrains'),
+            excludeTrains: document.getElementById('excludeTrains'),
+            maxDuration: document.getElementById('maxDuration'),
+            excludeConnections: document.getElementById('excludeConnections'),
+            minLayover: document.getElementById('minLayover'),
+            maxLayover: document.getElementById('maxLayover'),
+            layoverRange: document.getElementById('layoverRange'),
+            nearbyStops: document.getElementById('nearbyStops'),
+            roundTrip: document.getElementById('roundTrip'),
+            returnTripGroup: document.getElementById('returnTripGroup'),
+            returnDate: document.getElementById('returnDate'),
+            returnTimeStart: document.getElementById('returnTimeStart'),
+            returnTimeEnd: document.getElementById('returnTimeEnd'),
+            returnArrivalTimeStart: document.getElementById('returnArrivalTimeStart'),
+            returnArrivalTimeEnd: document.getElementById('returnArrivalTimeEnd'),
+            holdBothLegs: document.getElementById('holdBothLegs'),
             cabinEconomy: document.getElementById('cabinEconomy'),
             cabinBusiness: document.getElementById('cabinBusiness'),
             cabinSleeper: document.getElementById('cabinSleeper'),
             cabinCouchette: document.getElementById('cabinCouchette'),
             cabinLoca: document.getElementById('cabinLoca'),
             cabinDisabled: document.getElementById('cabinDisabled'),
-            startBtn: document.getElementById('startBtn'),
-            stopBtn: document.getElementById('stopBtn'),
+            maxPrice: document.getElementById('maxPrice'),
+            alertPriceDrop: document.getElementById('alertPriceDrop'),
+            seatPosition: document.getElementById('seatPosition'),
+            seatFacing: document.getElementById('seatFacing'),
+            wagonMin: document.getElementById('wagonMin'),
+            wagonMax: document.getElementById('wagonMax'),
+            preferredTime: document.getElementById('preferredTime'),
+            avoidWc: document.getElementById('avoidWc'),
+            keepHolding: document.getElementById('keepHolding'),
+            maxHoldMinutes: document.getElementById('maxHoldMinutes'),
+            passengerList: document.getElementById('passengerList'),
+            addPassengerBtn: document.getElementById('addPassengerBtn'),
+            watchName: document.getElementById('watchName'),
+            watchList: document.getElementById('watchList'),
             stopMusicBtn: document.getElementById('stopMusicBtn'),
+            notifyDesktop: document.getElementById('notifyDesktop'),
+            notifyServiceWorker: document.getElementById('notifyServiceWorker'),
+            webhookEnabled: document.getElementById('webhookEnabled'),
+            webhookUrl: document.getElementById('webhookUrl'),
+            webhookHeaders: document.getElementById('webhookHeaders'),
+            webhookTemplate: document.getElementById('webhookTemplate'),
+            webhookSaveBtn: document.getElementById('webhookSaveBtn'),
+            webhookTestBtn: document.getElementById('webhookTestBtn'),
+            apiSettingsPanel: document.getElementById('apiSettingsPanel'),
+            apiTokenState: document.getElementById('apiTokenState'),
+            apiBaseUrl: document.getElementById('apiBaseUrl'),
+            apiQuery: document.getElementById('apiQuery'),
+            apiUnitId: document.getElementById('apiUnitId'),
+            apiToken: document.getElementById('apiToken'),
+            apiSettingsSaveBtn: document.getElementById('apiSettingsSaveBtn'),
+            apiSettingsResetBtn: document.getElementById('apiSettingsResetBtn'),
             status: document.getElementById('status'),
-            results: document.getElementById('results'),
+            logView: document.getElementById('logView'),
             allocatedSeatInfo: document.getElementById('allocatedSeatInfo'),
             allocatedSeatDetails: document.getElementById('allocatedSeatDetails'),
-            releaseSeatBtn: document.getElementById('releaseSeatBtn')
+            releaseSeatBtn: document.getElementById('releaseSeatBtn'),
+            historyPanel: document.getElementById('historyPanel'),
+            historyView: document.getElementById('historyView')
         };
 
+        this.stationPickers = [];
+        this.passengers = DEFAULT_PASSENGERS.map(passenger => ({ ...passenger })); // Passenger rows of the form
         this.alertSound = document.getElementById('alertSound');
         this.successAudio = null;
     }
@@ -43,11 +128,46 @@ export class UIManager {
         try {
             await stationManager.loadStations();
             this.populateStations();
+            this.stationPickers = [
+                new StationPicker(this.elements.departureStation),
+                new StationPicker(this.elements.arrivalStation)
+            ];
         } catch (error) {
             this.updateStatus('⚠️ İstasyonlar yüklenemedi. Lütfen sayfayı yenileyin.', 'error');
             throw error;
         }
 
+        // Show the date inputs that belong to the selected date mode
+        this.elements.flexDays.value = CONFIG.DEFAULT_FLEX_DAYS;
+        this.elements.maxHoldMinutes.value = CONFIG.DEFAULT_MAX_HOLD_MINUTES;
+        this.elements.dateMode.addEventListener('change', () => this.updateDateModeVisibility());
+
+        // Show return leg inputs only for round trips
+        this.elements.roundTrip.addEventListener('change', () => this.updateReturnTripVisibility());
+
+        // Layover limits only matter while connections are searched
+        this.elements.excludeConnections.addEventListener('change', () => this.updateLayoverVisibility());
+
+        // Restore form values of the previous session and keep saving them
+        this.restoreFormState();
+        this.applySearchLink();
+        this.stationPickers.forEach(picker => picker.sync());
+        this.getPersistedFormInputs().forEach(input => {
+            input.addEventListener('change', () => this.saveFormState());
+        });
+        this.updateDateModeVisibility();
+        this.updateReturnTripVisibility();
+        this.updateLayoverVisibility();
+
+        this.renderPassengers();
+        this.elements.addPassengerBtn.addEventListener('click', () => this.addPassenger());
+
+        await this.initNotificationSettings();
+        this.initWebhookSettings();
+        this.initApiSettings();
+        this.initHistoryPanel();
+        this.logView = new LogView(this.elements.logView);
+
         // Add event listener for release seat button
         if (this.elements.releaseSeatBtn) {
             this.elements.releaseSeatBtn.addEventListener('click', async () => {
@@ -55,7 +175,6 @@ export class UIManager {
                     const result = await seatAllocationManager.releaseSeat();
                     if (result.success) {
                         this.hideAllocatedSeat();
-                        this.addLog('✅ Koltuk serbest bırakıldı.');
                     } else {
                         alert(`Hata: ${result.message}`);
                     }
@@ -64,6 +183,211 @@ export class UIManager {
         }
     }
 
+    /**
+     * Shows saved notification settings and wires their checkboxes
+     */
+    async initNotificationSettings() {
+        const { notifyDesktop, notifyServiceWorker } = this.elements;
+
+        await notificationManager.init();
+        const settings = notificationManager.getSettings();
+        notifyDesktop.checked = settings.enabled;
+        notifyServiceWorker.checked = settings.useServiceWorker;
+
+        notifyDesktop.disabled = !notificationManager.isSupported();
+        notifyServiceWorker.disabled = !notificationManager.isServiceWorkerSupported();
+
+        notifyDesktop.addEventListener('change', async () => {
+            notifyDesktop.checked = await notificationManager.setEnabled(notifyDesktop.checked);
+            if (!notifyDesktop.checked) {
+                this.updateStatus('🔕 Masaüstü bildirimleri kapalı (izin verilmediyse tarayıcı ayarlarından açabilirsiniz).', 'waiting');
+            }
+        });
+
+        notifyServiceWorker.addEventListener('change', async () => {
+            notifyServiceWorker.checked = await notificationManager.setUseServiceWorker(notifyServiceWorker.checked);
+        });
+    }
+
+    /**
+     * Wires the availability history panel (hidden where IndexedDB is not available)
+     */
+    initHistoryPanel() {
+        const { historyPanel } = this.elements;
+        if (!availabilityHistory.isAvailable()) {
+            historyPanel.hidden = true;
+            return;
+        }
+
+        // Reloaded on every opening, so it includes the checks made meanwhile
+        const historyView = new HistoryView(this.elements.historyView);
+        historyPanel.addEventListener('toggle', () => {
+            if (historyPanel.open) {
+                historyView.load();
+            }
+        });
+    }
+
+    /**
+     * Shows saved webhook settings, registers the webhook notifier and wires the settings panel
+     */
+    initWebhookSettings() {
+        const { webhookEnabled, webhookUrl, webhookHeaders, webhookTemplate } = this.elements;
+        const settings = storage.get(CONFIG.STORAGE_KEYS.WEBHOOK);
+
+        if (settings) {
+            webhookEnabled.checked = settings.enabled;
+            webhookUrl.value = settings.url || '';
+            webhookHeaders.value = Object.keys(settings.headers || {}).length > 0
+                ? JSON.stringify(settings.headers)
+                : '';
+            webhookTemplate.value = settings.template || '';
+            document.querySelectorAll('input[name="webhookEvent"]').forEach(input => {
+                input.checked = (settings.events || []).includes(input.value);
+            });
+            this.applyWebhookSettings(settings);
+        }
+
+        this.elements.webhookSaveBtn.addEventListener('click', () => {
+            const newSettings = this.getWebhookSettings();
+            if (!newSettings) return;
+
+            storage.set(CONFIG.STORAGE_KEYS.WEBHOOK, newSettings);
+            this.applyWebhookSettings(newSettings);
+            this.updateStatus(newSettings.enabled ? '🔗 Webhook kaydedildi ve etkin.' : '🔗 Webhook kaydedildi (kapalı).', 'waiting');
+        });
+
+        this.elements.webhookTestBtn.addEventListener('click', async () => {
+            const testSettings = this.getWebhookSettings();
+            if (!testSettings) return;
+
+            try {
+                await new WebhookNotifier(testSettings).send(
+                    createEvent(NOTIFIER_EVENTS.TEST, '🚄 Tren Bileti Bulucu test bildirimi')
+                );
+                this.updateStatus('✅ Test bildirimi gönderildi.', 'found');
+            } catch (error) {
+                this.updateStatus(`❌ Test bildirimi gönderilemedi: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    /**
+     * Shows the API settings in effect and wires the API settings panel
+     */
+    initApiSettings() {
+        this.showApiSettings();
+
+        this.elements.apiSettingsSaveBtn.addEventListener('click', () => {
+            try {
+                apiSettings.save({
+                    API_BASE_URL: this.elements.apiBaseUrl.value,
+                    API_QUERY: this.elements.apiQuery.value,
+                    UNIT_ID: this.elements.apiUnitId.value,
+                    AUTH_TOKEN: this.elements.apiToken.value
+                });
+            } catch (error) {
+                this.updateStatus(`⚠️ ${error.message}`, 'error');
+                return;
+            }
+
+            this.showApiSettings();
+            this.hideTokenExpired();
+            this.updateStatus('⚙️ API ayarları kaydedildi. Durmuş izlemeleri yeniden başlatabilirsiniz.', 'waiting');
+        });
+
+        this.elements.apiSettingsResetBtn.addEventListener('click', () => {
+            apiSettings.reset();
+            this.showApiSettings();
+            this.updateStatus('⚙️ API ayarları varsayılana döndü.', 'waiting');
+        });
+    }
+
+    /**
+     * Fills the API settings panel; defaults are shown as placeholders
+     */
+    showApiSettings() {
+        const settings = apiSettings.getSettings();
+        const defaults = apiSettings.getDefaults();
+        const fields = [
+            [this.elements.apiBaseUrl, 'API_BASE_URL'],
+            [this.elements.apiQuery, 'API_QUERY'],
+            [this.elements.apiUnitId, 'UNIT_ID'],
+            [this.elements.apiToken, 'AUTH_TOKEN']
+        ];
+
+        fields.forEach(([input, key]) => {
+            input.placeholder = defaults[key];
+            input.value = settings[key] === defaults[key] ? '' : settings[key];
+        });
+    }
+
+    /**
+     * Shows the "token expired" state and opens the API settings panel
+     * @param {number} status - HTTP status of the rejected request (401 or 403)
+     */
+    showTokenExpired(status) {
+        const { apiTokenState, apiSettingsPanel } = this.elements;
+        apiTokenState.textContent = `🔑 TCDD token'ı reddetti (HTTP ${status}). Token'ın süresi dolmuş ya da değişmiş olabilir; ` +
+            'yeni token girip kaydedin, ardından durmuş izlemeleri yeniden başlatın.';
+        apiTokenState.hidden = false;
+        apiSettingsPanel.open = true;
+
+        this.updateStatus(`🔑 Token geçersiz veya süresi dolmuş (HTTP ${status}). Aramalar durduruldu.`, 'error');
+    }
+
+    /**
+     * Hides the "token expired" state
+     */
+    hideTokenExpired() {
+        this.elements.apiTokenState.hidden = true;
+    }
+
+    /**
+     * Reads and validates webhook settings from the settings panel
+     * @returns {Object|null} Webhook settings or null if invalid
+     */
+    getWebhookSettings() {
+        const url = this.elements.webhookUrl.value.trim();
+        const enabled = this.elements.webhookEnabled.checked;
+
+        if (enabled && !url) {
+            this.updateStatus('⚠️ Webhook için bir URL girin', 'error');
+            return null;
+        }
+
+        let headers = {};
+        const headersText = this.elements.webhookHeaders.value.trim();
+        if (headersText) {
+            try {
+                headers = JSON.parse(headersText);
+            } catch (error) {
+                this.updateStatus('⚠️ Ek başlıklar geçerli bir JSON nesnesi olmalı', 'error');
+                return null;
+            }
+        }
+
+        return {
+            enabled,
+            url,
+            headers,
+            template: this.elements.webhookTemplate.value.trim(),
+            events: [...document.querySelectorAll('input[name="webhookEvent"]:checked')].map(input => input.value)
+        };
+    }
+
+    /**
+     * Registers or removes the webhook notifier according to settings
+     * @param {Object} settings - Webhook settings
+     */
+    applyWebhookSettings(settings) {
+        if (settings.enabled && settings.url) {
+            notifierRegistry.register(new WebhookNotifier(settings));
+        } else {
+            notifierRegistry.unregister('webhook');
+        }
+    }
+
     /**
      * Populates station dropdown menus
      */
@@ -150,20 +474,9 @@ export class UIManager {
             return null;
         }
 
-        // Get and validate date
-        const dateValue = this.elements.departureDate.value;
-        if (!dateValue) {
-            this.updateStatus('⚠️ Lütfen bir tarih seçin', 'error');
-            return null;
-        }
-
-        // Check if date is not in the past
-        const selectedDate = new Date(dateValue);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        if (selectedDate < today) {
-            this.updateStatus('⚠️ Geçmiş bir tarih seçemezsiniz', 'error');
+        // Get and validate dates of the selected date mode
+        const dates = this.getSearchDates();
+        if (!dates) {
             return null;
         }
 
@@ -176,9 +489,15 @@ export class UIManager {
             return null;
         }
 
-        // Validation: Check time range logic
-        if (timeStart > timeEnd) {
-            this.updateStatus('⚠️ Başlangıç saati, bitiş saatinden önce olmalıdır', 'error');
+        // A start after the end is a window past midnight (e.g. 22:00-02:00)
+        const arrivalWindow = this.getArrivalWindow(this.elements.arrivalTimeStart, this.elements.arrivalTimeEnd);
+        if (!arrivalWindow) {
+            return null;
+        }
+
+        // Get and validate return leg (round trip only)
+        const returnTrip = this.getReturnTrip(dates);
+        if (returnTrip === null) {
             return null;
         }
 
@@ -197,93 +516,523 @@ export class UIManager {
             return null;
         }
 
-        // Convert date from YYYY-MM-DD (HTML5 format) to DD-MM-YYYY (API format)
-        const departureDateAPI = convertDateToAPI(dateValue);
+        const trainFilters = this.getTrainFilters();
+        if (trainFilters === null) {
+            return null;
+        }
+
+        const connectionOptions = this.getConnectionOptions();
+        if (connectionOptions === null) {
+            return null;
+        }
+
+        const priceWatch = this.getPriceWatch();
+        if (priceWatch === null) {
+            return null;
+        }
+
+        const seatPreferences = this.getSeatPreferences();
+        if (!seatPreferences) {
+            return null;
+        }
+
+        const holdRenewal = this.getHoldRenewal();
+        if (holdRenewal === null) {
+            return null;
+        }
+
+        // Convert dates from YYYY-MM-DD (HTML5 format) to DD-MM-YYYY (API format)
+        const datesAPI = dates.map(convertDateToAPI);
 
         return {
             departureStationId: departureStation.id,
             departureStationName: departureStation.name,
             arrivalStationId: arrivalStation.id,
             arrivalStationName: arrivalStation.name,
-            departureDate: departureDateAPI,
+            departureDate: datesAPI[0],
+            dateMode: this.elements.dateMode.value,
+            dates: datesAPI,
+            // Weekday watches keep their rule, so their dates can be worked out again later
+            ...(this.elements.dateMode.value === 'weekdays' ? this.getWeekdayRule() : {}),
             timeStart: timeStart,
             timeEnd: timeEnd,
-            selectedCabinClasses: selectedCabinClasses
+            ...(arrivalWindow.length > 0 ? { arrivalTimeStart: arrivalWindow[0], arrivalTimeEnd: arrivalWindow[1] } : {}),
+            selectedCabinClasses: selectedCabinClasses,
+            passengers: this.passengers.map(passenger => ({ ...passenger })),
+            seatPreferences: seatPreferences,
+            ...trainFilters,
+            ...connectionOptions,
+            ...(this.elements.nearbyStops.value ? { nearbyStops: parseInt(this.elements.nearbyStops.value) } : {}),
+            ...priceWatch,
+            ...holdRenewal,
+            ...returnTrip
         };
     }
 
     /**
-     * Updates the status message and styling
-     * @param {string} message - Status message to display
-     * @param {string} type - Status type (waiting, searching, found, error)
+     * Gets the train type, train number/name and trip duration filters of the search
+     * @returns {Object|null} { excludedTrainTypes, includeTrains, excludeTrains, maxDuration } (lists only
+     *   when not empty, maxDuration only when set) or null if invalid
      */
-    updateStatus(message, type) {
-        this.elements.status.textContent = message;
-        this.elements.status.className = `status ${type}`;
+    getTrainFilters() {
+        const typeInputs = [
+            this.elements.trainTypeYht, this.elements.trainTypeAnahat,
+            this.elements.trainTypeBolgesel, this.elements.trainTypeTuristik
+        ];
+        if (typeInputs.every(input => !input.checked)) {
+            this.updateStatus('⚠️ En az bir tren tipi seçmelisiniz', 'error');
+            return null;
+        }
+
+        const filters = {
+            excludedTrainTypes: typeInputs.filter(input => !input.checked).map(input => input.value)
+        };
+
+        const includeTrains = parseTrainList(this.elements.includeTrains.value);
+        const excludeTrains = parseTrainList(this.elements.excludeTrains.value);
+        if (includeTrains.length > 0) filters.includeTrains = includeTrains;
+        if (excludeTrains.length > 0) filters.excludeTrains = excludeTrains;
+
+        if (this.elements.maxDuration.value !== '') {
+            const maxDuration = parseInt(this.elements.maxDuration.value);
+            if (!(maxDuration > 0)) {
+                this.updateStatus('⚠️ Lütfen geçerli bir en uzun yolculuk süresi girin', 'error');
+                return null;
+            }
+            filters.maxDuration = maxDuration;
+        }
+
+        return filters;
     }
 
     /**
-     * Adds a log message to the results area
-     * @param {string} message - Log message
+     * Gets how itineraries with transfers are handled
+     * @returns {Object|null} { excludeConnections } or { minLayover, maxLayover } (only the set ones) or null if invalid
      */
-    addLog(message) {
-        const p = document.createElement('p');
-        p.textContent = message;
-        this.elements.results.prepend(p);
+    getConnectionOptions() {
+        if (this.elements.excludeConnections.checked) {
+            return { excludeConnections: true };
+        }
+
+        const options = {};
+        const minLayover = this.elements.minLayover.value === '' ? null : parseInt(this.elements.minLayover.value);
+        const maxLayover = this.elements.maxLayover.value === '' ? null : parseInt(this.elements.maxLayover.value);
+
+        if ((minLayover !== null && !(minLayover >= 0)) || (maxLayover !== null && !(maxLayover >= 0)) ||
+            (minLayover !== null && maxLayover !== null && minLayover > maxLayover)) {
+            this.updateStatus('⚠️ Lütfen geçerli bir aktarma bekleme süresi aralığı girin', 'error');
+            return null;
+        }
+
+        if (minLayover !== null) options.minLayover = minLayover;
+        if (maxLayover !== null) options.maxLayover = maxLayover;
+        return options;
     }
 
     /**
-     * Displays train results
-     * @param {Array} trains - Array of train objects to display
+     * Gets the price limit and price drop alert of the search
+     * @returns {Object|null} { maxPrice, alertPriceDrop } (only the set ones) or null if invalid
      */
-    displayResults(trains) {
-        this.elements.results.innerHTML = '';
+    getPriceWatch() {
+        const priceWatch = {};
 
-        if (trains.length === 0) {
-            this.elements.results.innerHTML = '<p style="text-align: center; color: #666;">Belirtilen saat aralığında sefer bulunamadı.</p>';
-            return;
+        if (this.elements.maxPrice.value !== '') {
+            const maxPrice = parseFloat(this.elements.maxPrice.value);
+            if (!(maxPrice > 0)) {
+                this.updateStatus('⚠️ Lütfen geçerli bir en yüksek fiyat girin', 'error');
+                return null;
+            }
+            priceWatch.maxPrice = maxPrice;
         }
 
-        trains.forEach(train => {
-            const div = document.createElement('div');
-            div.className = 'train-item';
-            
-            // Build cabin classes HTML - ONLY SHOW SELECTED CLASSES
-            let cabinClassesHTML = '';
-            if (train.cabinClasses && train.cabinClasses.length > 0) {
-                // Filter to show only selected cabin classes
-                const selectedCabins = train.cabinClasses.filter(cabin => cabin.isSelected);
-                
-                selectedCabins.forEach(cabin => {
-                    const isSoldOut = cabin.availability === 0;
-                    const availabilityClass = isSoldOut ? 'availability sold-out' : 'availability';
-                    const availabilityText = isSoldOut ? 'TÜKENDİ' : `${cabin.availability} koltuk`;
-                    
-                    cabinClassesHTML += `
-                        <p><strong>${cabin.className}:</strong> 
-                            <span class="${availabilityClass}">${availabilityText}</span>
-                            ${cabin.price ? ` - ${cabin.price} TL` : ''}
-                        </p>
-                    `;
-                });
+        if (this.elements.alertPriceDrop.checked) {
+            priceWatch.alertPriceDrop = true;
+        }
+
+        return priceWatch;
+    }
+
+    /**
+     * Gets the seat preferences used when a seat is held automatically
+     * @returns {Object|null} Seat preferences (see SeatPreferenceEngine.scoreSeat) or null if invalid
+     */
+    getSeatPreferences() {
+        const wagonMin = parseInt(this.elements.wagonMin.value) || null;
+        const wagonMax = parseInt(this.elements.wagonMax.value) || null;
+
+        if (wagonMin && wagonMax && wagonMin > wagonMax) {
+            this.updateStatus('⚠️ İlk vagon numarası, son vagon numarasından büyük olamaz', 'error');
+            return null;
+        }
+
+        return {
+            position: this.elements.seatPosition.value || null,
+            facing: this.elements.seatFacing.value || null,
+            wagonMin: wagonMin,
+            wagonMax: wagonMax,
+            preferredTime: this.elements.preferredTime.value || null,
+            avoidWc: this.elements.avoidWc.checked
+        };
+    }
+
+    /**
+     * Gets the "keep holding" mode, in which held seats are renewed before their lock runs out
+     * @returns {Object|null} { holdRenewal: { maxHoldMinutes } } ({} if off) or null if invalid
+     */
+    getHoldRenewal() {
+        if (!this.elements.keepHolding.checked) {
+            return {};
+        }
+
+        const maxHoldMinutes = parseInt(this.elements.maxHoldMinutes.value);
+        if (!(maxHoldMinutes > 0)) {
+            this.updateStatus('⚠️ Lütfen geçerli bir en uzun tutma süresi girin', 'error');
+            return null;
+        }
+
+        return { holdRenewal: { maxHoldMinutes } };
+    }
+
+    /**
+     * Gets the return leg parameters of a round trip
+     * @param {Array<string>} dates - Outbound dates in YYYY-MM-DD format
+     * @returns {Object|null} Return leg params ({} for one-way trips) or null if invalid
+     */
+    getReturnTrip(dates) {
+        if (!this.elements.roundTrip.checked) {
+            return {};
+        }
+
+        const returnDate = this.elements.returnDate.value;
+        if (!returnDate) {
+            this.updateStatus('⚠️ Lütfen dönüş tarihini seçin', 'error');
+            return null;
+        }
+
+        // Every outbound date must be on or before the return date
+        if (returnDate < dates[dates.length - 1]) {
+            this.updateStatus('⚠️ Dönüş tarihi, gidiş tarihinden önce olamaz', 'error');
+            return null;
+        }
+
+        const returnTimeStart = this.elements.returnTimeStart.value;
+        const returnTimeEnd = this.elements.returnTimeEnd.value;
+
+        if (!returnTimeStart || !returnTimeEnd) {
+            this.updateStatus('⚠️ Lütfen geçerli bir dönüş saat aralığı belirleyin', 'error');
+            return null;
+        }
+
+        const arrivalWindow = this.getArrivalWindow(this.elements.returnArrivalTimeStart, this.elements.returnArrivalTimeEnd);
+        if (!arrivalWindow) {
+            return null;
+        }
+
+        return {
+            returnDate: convertDateToAPI(returnDate),
+            returnTimeStart: returnTimeStart,
+            returnTimeEnd: returnTimeEnd,
+            ...(arrivalWindow.length > 0 ? { returnArrivalTimeStart: arrivalWindow[0], returnArrivalTimeEnd: arrivalWindow[1] } : {}),
+            holdBothLegs: this.elements.holdBothLegs.checked
+        };
+    }
+
+    /**
+     * Gets an optional arrival time window; like departure windows it may run past midnight
+     * @param {HTMLInputElement} startInput - Window start input
+     * @param {HTMLInputElement} endInput - Window end input
+     * @returns {Array<string>|null} [start, end] (HH:MM), [] if both are empty or null if only one is set
+     */
+    getArrivalWindow(startInput, endInput) {
+        if (!startInput.value && !endInput.value) {
+            return [];
+        }
+        if (!startInput.value || !endInput.value) {
+            this.updateStatus('⚠️ Varış saat aralığının iki ucunu da girin ya da ikisini de boş bırakın', 'error');
+            return null;
+        }
+        return [startInput.value, endInput.value];
+    }
+
+    /**
+     * Gets all form inputs whose values are persisted
+     * @returns {Array<HTMLElement>} Input and select elements
+     */
+    getPersistedFormInputs() {
+        return [
+            ...PERSISTED_FORM_FIELDS.map(field => this.elements[field]),
+            ...document.querySelectorAll('input[name="weekday"]')
+        ];
+    }
+
+    /**
+     * Saves current form values to storage
+     */
+    saveFormState() {
+        const state = {};
+        PERSISTED_FORM_FIELDS.forEach(field => {
+            const input = this.elements[field];
+            state[field] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        state.weekdays = [...document.querySelectorAll('input[name="weekday"]:checked')]
+            .map(input => input.value);
+        state.passengers = this.passengers;
+
+        storage.set(CONFIG.STORAGE_KEYS.FORM, state);
+    }
+
+    /**
+     * Restores form values saved by a previous session
+     */
+    restoreFormState() {
+        const state = storage.get(CONFIG.STORAGE_KEYS.FORM);
+        if (!state) return;
+
+        this.applyFormState(state);
+    }
+
+    /**
+     * Fills the form with the search of a shared link (see buildSearchLink), over the restored values
+     * The query is then removed, so reloading the page keeps later edits
+     */
+    applySearchLink() {
+        const state = parseSearchLink(location.search);
+        if (!state) return;
+
+        this.applyFormState(state);
+        this.saveFormState();
+        history.replaceState(null, '', getPageUrl());
+        this.updateStatus('🔗 Paylaşılan arama forma yüklendi. Kontrol edip izlemeye ekleyebilirsiniz.', 'waiting');
+    }
+
+    /**
+     * Sets form values; fields left out of the state keep their values
+     * @param {Object} state - Form state (see saveFormState)
+     */
+    applyFormState(state) {
+        PERSISTED_FORM_FIELDS.forEach(field => {
+            if (!(field in state)) return;
+
+            const input = this.elements[field];
+            if (input.type === 'checkbox') {
+                input.checked = state[field];
+            } else {
+                input.value = state[field];
             }
-            
-            div.innerHTML = `
-                <h3>${train.name}</h3>
-                <p><strong>Kalkış:</strong> ${train.departureTime} | <strong>Varış:</strong> ${train.arrivalTime}</p>
-                ${cabinClassesHTML}
+        });
+
+        if (state.weekdays) {
+            document.querySelectorAll('input[name="weekday"]').forEach(input => {
+                input.checked = state.weekdays.includes(input.value);
+            });
+        }
+
+        const passengers = (state.passengers || []).filter(
+            passenger => CONFIG.GENDERS[passenger.gender] && CONFIG.PASSENGER_TYPES[passenger.type]
+        );
+        if (passengers.length > 0) {
+            this.passengers = passengers.slice(0, CONFIG.MAX_PASSENGERS);
+        }
+    }
+
+    /**
+     * Renders the passenger rows (gender, passenger type and a remove button each)
+     */
+    renderPassengers() {
+        const toOptions = entries => entries.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        const genderOptions = toOptions(Object.entries(CONFIG.GENDERS));
+        const typeOptions = toOptions(Object.entries(CONFIG.PASSENGER_TYPES).map(([key, type]) => [key, type.name]));
+
+        this.elements.passengerList.innerHTML = '';
+        this.passengers.forEach((passenger, index) => {
+            const row = document.createElement('div');
+            row.className = 'passenger-row';
+            row.innerHTML = `
+                <span>${index + 1}.</span>
+                <select class="passenger-gender">${genderOptions}</select>
+                <select class="passenger-type">${typeOptions}</select>
+                <button type="button" title="Yolcuyu çıkar">✕</button>
             `;
-            this.elements.results.appendChild(div);
+
+            const genderSelect = row.querySelector('.passenger-gender');
+            const typeSelect = row.querySelector('.passenger-type');
+            const removeButton = row.querySelector('button');
+            genderSelect.value = passenger.gender;
+            typeSelect.value = passenger.type;
+            removeButton.disabled = this.passengers.length === 1;
+
+            genderSelect.addEventListener('change', () => {
+                passenger.gender = genderSelect.value;
+                this.saveFormState();
+            });
+            typeSelect.addEventListener('change', () => {
+                passenger.type = typeSelect.value;
+                this.saveFormState();
+            });
+            removeButton.addEventListener('click', () => this.removePassenger(index));
+
+            this.elements.passengerList.appendChild(row);
         });
+
+        this.elements.addPassengerBtn.disabled = this.passengers.length >= CONFIG.MAX_PASSENGERS;
+    }
+
+    /**
+     * Adds an adult passenger row
+     */
+    addPassenger() {
+        if (this.passengers.length >= CONFIG.MAX_PASSENGERS) return;
+
+        this.passengers.push({ ...DEFAULT_PASSENGERS[0] });
+        this.renderPassengers();
+        this.saveFormState();
+    }
+
+    /**
+     * Removes a passenger row (the last passenger stays)
+     * @param {number} index - Row index
+     */
+    removePassenger(index) {
+        if (this.passengers.length === 1) return;
+
+        this.passengers.splice(index, 1);
+        this.renderPassengers();
+        this.saveFormState();
+    }
+
+    /**
+     * Shows the return leg inputs only for round trips
+     */
+    updateReturnTripVisibility() {
+        this.elements.returnTripGroup.style.display = this.elements.roundTrip.checked ? 'block' : 'none';
+    }
+
+    /**
+     * Shows the layover limits only while connections are searched
+     */
+    updateLayoverVisibility() {
+        this.elements.layoverRange.style.display = this.elements.excludeConnections.checked ? 'none' : '';
     }
 
     /**
-     * Sets the searching state (enables/disables buttons)
-     * @param {boolean} isSearching - Whether search is active
+     * Shows the date inputs that belong to the selected date mode
      */
-    setSearchingState(isSearching) {
-        this.elements.startBtn.disabled = isSearching;
-        this.elements.stopBtn.disabled = !isSearching;
+    updateDateModeVisibility() {
+        const mode = this.elements.dateMode.value;
+        const isRange = mode === 'range';
+
+        this.elements.departureDateGroup.style.display = mode === 'weekdays' ? 'none' : 'block';
+        this.elements.departureDateEnd.style.display = isRange ? 'block' : 'none';
+        this.elements.departureDateEndSeparator.style.display = isRange ? 'inline' : 'none';
+        this.elements.weekdayGroup.style.display = mode === 'weekdays' ? 'block' : 'none';
+    }
+
+    /**
+     * Gets the weekdays and look-ahead of the weekday date mode
+     * @returns {{ weekdays: Array<number>, flexDays: number }} Weekday numbers (0 = Sunday) and days to look ahead
+     */
+    getWeekdayRule() {
+        return {
+            weekdays: [...document.querySelectorAll('input[name="weekday"]:checked')].map(input => parseInt(input.value)),
+            flexDays: parseInt(this.elements.flexDays.value)
+        };
+    }
+
+    /**
+     * Gets the dates to search from the selected date mode
+     * @returns {Array<string>|null} Dates in YYYY-MM-DD format or null if invalid
+     */
+    getSearchDates() {
+        const mode = this.elements.dateMode.value;
+        let dates;
+
+        if (mode === 'weekdays') {
+            const { weekdays, flexDays: dayCount } = this.getWeekdayRule();
+
+            if (weekdays.length === 0) {
+                this.updateStatus('⚠️ En az bir gün seçmelisiniz', 'error');
+                return null;
+            }
+            if (!dayCount || dayCount < 1) {
+                this.updateStatus('⚠️ Lütfen geçerli bir gün sayısı girin', 'error');
+                return null;
+            }
+
+            dates = getUpcomingWeekdays(weekdays, dayCount);
+            if (dates.length === 0) {
+                this.updateStatus('⚠️ Seçilen günler bu aralıkta bulunmuyor', 'error');
+                return null;
+            }
+        } else {
+            const dateValue = this.elements.departureDate.value;
+            if (!dateValue) {
+                this.updateStatus('⚠️ Lütfen bir tarih seçin', 'error');
+                return null;
+            }
+
+            // Check if date is not in the past
+            const selectedDate = new Date(`${dateValue}T00:00:00`);
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+
+            if (selectedDate < today) {
+                this.updateStatus('⚠️ Geçmiş bir tarih seçemezsiniz', 'error');
+                return null;
+            }
+
+            if (mode === 'range') {
+                const endValue = this.elements.departureDateEnd.value;
+                if (!endValue || endValue < dateValue) {
+                    this.updateStatus('⚠️ Bitiş tarihi, başlangıç tarihinden önce olamaz', 'error');
+                    return null;
+                }
+                dates = getDateRange(dateValue, endValue);
+            } else {
+                dates = [dateValue];
+            }
+        }
+
+        if (dates.length > CONFIG.MAX_SEARCH_DATES) {
+            this.updateStatus(`⚠️ En fazla ${CONFIG.MAX_SEARCH_DATES} gün aranabilir`, 'error');
+            return null;
+        }
+
+        return dates;
+    }
+
+    /**
+     * Updates the status message and styling
+     * @param {string} message - Status message to display
+     * @param {string} type - Status type (waiting, searching, found, error)
+     */
+    updateStatus(message, type) {
+        this.elements.status.textContent = message;
+        this.elements.status.className = `status ${type}`;
+    }
+
+    /**
+     * Gets the watch name from the form, falling back to a route summary
+     * @param {Object} params - Search parameters of the watch
+     * @returns {string} Watch name
+     */
+    getWatchName(params) {
+        const name = this.elements.watchName.value.trim();
+        if (name) return name;
+
+        return `${params.departureStationName} → ${params.arrivalStationName}`;
+    }
+
+    /**
+     * Creates a watch card and adds it to the watch list
+     * @param {Object} watch - Watch to render
+     * @param {Object} handlers - Control callbacks (onStart, onStop, onRemove)
+     * @returns {WatchView} Created watch view
+     */
+    createWatchView(watch, handlers) {
+        const view = new WatchView(watch, handlers);
+        this.elements.watchList.appendChild(view.element);
+        this.elements.watchName.value = '';
+        return view;
     }
 
     /**
@@ -304,7 +1053,7 @@ export class UIManager {
                 await this.successAudio.play();
                 this.elements.stopMusicBtn.disabled = false;
             } catch (err) {
-                console.log('Müzik çalınamadı:', err);
+                logger.warning(LOG_CATEGORIES.AUDIO, 'Müzik çalınamadı', { details: err });
             }
         }
 
@@ -312,7 +1061,7 @@ export class UIManager {
         try {
             await this.alertSound.play();
         } catch (err) {
-            console.log('Ses çalınamadı:', err);
+            logger.warning(LOG_CATEGORIES.AUDIO, 'Ses çalınamadı, sesli okuma deneniyor', { details: err });
             // Fallback: Speech API
             if ('speechSynthesis' in window) {
                 const utterance = new SpeechSynthesisUtterance('Bilet bulundu! Bilet bulundu!');
@@ -323,6 +1072,17 @@ export class UIManager {
         }
     }
 
+    /**
+     * Plays a short beep when a watched class gets cheaper; the search goes on, so no music
+     */
+    async playPriceDropAlert() {
+        try {
+            await this.alertSound.play();
+        } catch (err) {
+            logger.warning(LOG_CATEGORIES.AUDIO, 'Ses çalınamadı', { details: err });
+        }
+    }
+
     /**
      * Stops music playback
      */
@@ -335,37 +1095,66 @@ export class UIManager {
     }
     /**
      * Shows allocated seat information
-     * @param {Object} seatInfo - Allocated seat details
+     * @param {Array} seats - Allocated seat details (one per held seat)
      */
-    showAllocatedSeat(seatInfo) {
-        if (!seatInfo) return;
+    showAllocatedSeats(seats) {
+        if (!seats || seats.length === 0) return;
 
         // Clear any existing timer
         if (this.countdownInterval) {
             clearInterval(this.countdownInterval);
         }
 
+        const isRoundTrip = seats.some(seatInfo => seatInfo.legIndex === 1);
+        const getSeatTitle = seatInfo => [
+            isRoundTrip ? (seatInfo.legIndex === 1 ? '⬅️ Dönüş' : '➡️ Gidiş') : null,
+            seatInfo.passenger ? `👤 ${describePassenger(seatInfo.passenger)}` : null
+        ].filter(Boolean).join(' · ');
+
+        const seatsHtml = seats.map(seatInfo => `
+            <div class="allocated-seat">
+                ${seats.length > 1 ? `<h4>${getSeatTitle(seatInfo)}</h4>` : ''}
+                <p><strong>Tren:</strong> ${seatInfo.trainName}</p>
+                ${seatInfo.departureDate ? `<p><strong>Tarih:</strong> ${seatInfo.departureDate}</p>` : ''}
+                <p><strong>Vagon:</strong> ${seatInfo.wagonNumber} (${seatInfo.cabinClassName})</p>
+                <p><strong>Koltuk:</strong> <span class="seat-number">${seatInfo.seatNumber}</span></p>
+                <p style="font-size: 1.1em; margin-top: 10px;">
+                    <strong>Kalkış:</strong> <span style="font-size: 1.2em; color: #2d3748;">${seatInfo.departureTime}</span> - 
+                    <strong>Varış:</strong> <span style="font-size: 1.2em; color: #2d3748;">${seatInfo.arrivalTime}</span>
+                </p>
+            </div>
+        `).join('');
+
+        // Holds in "keep holding" mode are renewed until the earliest deadline
+        const deadlines = seats.map(seatInfo => seatAllocationManager.getHoldDeadline(seatInfo)).filter(Boolean);
+        const renewalHtml = deadlines.length > 0
+            ? `<br>🔁 Süre dolmadan yeniden tutulacak (en geç ${new Date(Math.min(...deadlines)).toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' })} saatine kadar).`
+            : '';
+
         const detailsHtml = `
-            <p><strong>Tren:</strong> ${seatInfo.trainName}</p>
-            <p><strong>Vagon:</strong> ${seatInfo.wagonNumber} (${seatInfo.cabinClassName})</p>
-            <p><strong>Koltuk:</strong> <span class="seat-number">${seatInfo.seatNumber}</span></p>
-            <p style="font-size: 1.1em; margin-top: 10px;">
-                <strong>Kalkış:</strong> <span style="font-size: 1.2em; color: #2d3748;">${seatInfo.departureTime}</span> - 
-                <strong>Varış:</strong> <span style="font-size: 1.2em; color: #2d3748;">${seatInfo.arrivalTime}</span>
-            </p>
+            ${seatsHtml}
             <div id="seatTimerAlert" class="timer-alert">
-                ⚠️ Bu koltuk <span id="seatTimerCountdown" style="font-weight: bold; color: #d32f2f;">10:00</span> süreyle sizin için ayrılmıştır.
+                ⚠️ ${seats.length > 1 ? 'Bu koltuklar' : 'Bu koltuk'} <span id="seatTimerCountdown" style="font-weight: bold; color: #d32f2f;">10:00</span> süreyle sizin için ayrılmıştır.${renewalHtml}
             </div>
         `;
 
         this.elements.allocatedSeatDetails.innerHTML = detailsHtml;
+        this.elements.allocatedSeatDetails.insertBefore(
+            createShareActions(
+                () => getSeatTrips(seats),
+                // The link reopens the search of the first seat's leg
+                () => (seats[0].holdParams ? buildSearchLink(getPageUrl(), seats[0].holdParams) : undefined)
+            ),
+            this.elements.allocatedSeatDetails.querySelector('#seatTimerAlert')
+        );
         this.elements.allocatedSeatInfo.style.display = 'block';
         
-        // Start countdown
-        // We assume 'lockFor' is in minutes, convert to seconds
-        let secondsLeft = (seatInfo.lockFor || 10) * 60;
+        // Start countdown to the earliest expiring hold
+        const expiresAt = Math.min(...seats.map(seatInfo => seatInfo.expiresAt));
         
         const updateTimer = () => {
+            // Rounded up, so the countdown only ends once the hold has really run out
+            const secondsLeft = Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
             const minutes = Math.floor(secondsLeft / 60);
             const seconds = secondsLeft % 60;
             const formattedTime = `${minutes}:${seconds.toString().padStart(2, '0')}`;
@@ -377,15 +1166,17 @@ export class UIManager {
 
             if (secondsLeft <= 0) {
                 clearInterval(this.countdownInterval);
-                this.addLog('⚠️ Koltuk tutma süresi doldu.');
+                logger.warning(LOG_CATEGORIES.ALLOCATION, '⚠️ Koltuk tutma süresi doldu.');
                 
-                // Automatically release/clear UI locally
-                // Ideally this would also ensure server side release but usually server auto-releases
-                seatAllocationManager.clearAllocation();
-                this.hideAllocatedSeat();
+                // Clear the expired holds locally (the server releases them on its own);
+                // seats held later count down to their own lock time
+                const remainingSeats = seatAllocationManager.expireAllocation();
+                if (remainingSeats.length > 0) {
+                    this.showAllocatedSeats(remainingSeats);
+                } else {
+                    this.hideAllocatedSeat();
+                }
             }
-            
-            secondsLeft--;
         };
 
         // Update immediately then every second
@@ -2,34 +2,153 @@
  * Utility functions for the Train Ticket Finder application
  */
 
+import { CONFIG } from './config.js';
+
+const zonedFormatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone: CONFIG.TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+});
+
+/**
+ * Splits a point in time into its wall clock parts in CONFIG.TIME_ZONE
+ * @param {string|number|Date} timestamp - Unix timestamp, date string or date
+ * @returns {Object} Parts ({ year, month, day, hour, minute, second }) as numbers
+ */
+function getZonedParts(timestamp) {
+    const parts = {};
+    zonedFormatter.formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    return parts;
+}
+
 /**
- * Formats a timestamp to HH:MM format in Turkish locale
+ * Formats a timestamp to HH:MM format in Turkish time
  * @param {string|number} timestamp - Unix timestamp or date string
  * @returns {string} Formatted time string (HH:MM)
  */
 export function formatTime(timestamp) {
     const date = new Date(timestamp);
-    return date.toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' });
+    return date.toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit', timeZone: CONFIG.TIME_ZONE });
+}
+
+/**
+ * Gets the Turkish calendar date of a timestamp
+ * @param {string|number|Date} timestamp - Unix timestamp, date string or date
+ * @returns {string} Date in DD-MM-YYYY format
+ */
+export function formatTravelDate(timestamp) {
+    const { year, month, day } = getZonedParts(timestamp);
+    return `${String(day).padStart(2, '0')}-${String(month).padStart(2, '0')}-${year}`;
+}
+
+/**
+ * Converts a HH:MM time to minutes after midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes after midnight
+ */
+export function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Checks if a time window runs past midnight (e.g. 22:00-02:00)
+ * @param {string} timeStart - Window start (HH:MM)
+ * @param {string} timeEnd - Window end (HH:MM)
+ * @returns {boolean} True if the window ends on the next day
+ */
+export function isOvernightWindow(timeStart, timeEnd) {
+    return Boolean(timeStart && timeEnd) && timeEnd < timeStart;
+}
+
+/**
+ * Gets the minutes since midnight of a timestamp in Turkish time
+ * @param {string|number|Date} timestamp - Unix timestamp, date string or date
+ * @returns {number} Minutes (0-1439)
+ */
+export function getMinutesOfDay(timestamp) {
+    const { hour, minute } = getZonedParts(timestamp);
+    return hour * 60 + minute;
+}
+
+/**
+ * Builds the point in time of a Turkish date and wall clock time
+ * @param {string} date - Date in DD-MM-YYYY format
+ * @param {string} time - Time in HH:MM format
+ * @returns {Date} Date
+ */
+export function getTravelDateTime(date, time) {
+    const [day, month, year] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // The offset of the time zone at that moment, from how its clock reads it
+    const parts = getZonedParts(wallClock);
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - wallClock;
+    return new Date(wallClock - offset);
+}
+
+/**
+ * Moves a date by whole days
+ * @param {string} date - Date in DD-MM-YYYY format
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Date in DD-MM-YYYY format
+ */
+export function shiftTravelDate(date, days) {
+    const [day, month, year] = date.split('-').map(Number);
+    const shifted = new Date(Date.UTC(year, month - 1, day + days));
+    return `${String(shifted.getUTCDate()).padStart(2, '0')}-${String(shifted.getUTCMonth() + 1).padStart(2, '0')}-${shifted.getUTCFullYear()}`;
+}
+
+/**
+ * Checks if a time of day falls in a window; a window whose start is after its
+ * end runs past midnight (e.g. 22:00-02:00)
+ * @param {string} time - Time in HH:MM format
+ * @param {string} startTime - Window start in HH:MM format
+ * @param {string} endTime - Window end in HH:MM format
+ * @returns {boolean} True if within the window (both ends included)
+ */
+export function isTimeInWindow(time, startTime, endTime) {
+    if (startTime <= endTime) {
+        return time >= startTime && time <= endTime;
+    }
+    return time >= startTime || time <= endTime;
 }
 
 /**
  * Checks if a given time is within the specified time range
  * @param {string|number} trainTime - Train departure timestamp
  * @param {string} startTime - Start time in HH:MM format
- * @param {string} endTime - End time in HH:MM format
+ * @param {string} endTime - End time in HH:MM format (before the start for windows past midnight)
  * @returns {boolean} True if within range
  */
 export function isInTimeRange(trainTime, startTime, endTime) {
-    const trainHourMin = formatTime(trainTime);
-    return trainHourMin >= startTime && trainHourMin <= endTime;
+    return isTimeInWindow(formatTime(trainTime), startTime, endTime);
+}
+
+/**
+ * Formats a number of minutes as hours and minutes
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} Duration like "1 sa 5 dk" or "35 dk"
+ */
+export function formatMinutes(minutes) {
+    if (minutes < 60) return `${minutes} dk`;
+    return `${Math.floor(minutes / 60)} sa${minutes % 60 ? ` ${minutes % 60} dk` : ''}`;
 }
 
 /**
- * Gets current time formatted in Turkish locale
+ * Gets current time formatted in Turkish locale and time
  * @returns {string} Current time in HH:MM:SS format
  */
 export function getCurrentTime() {
-    return new Date().toLocaleTimeString('tr-TR');
+    return new Date().toLocaleTimeString('tr-TR', { timeZone: CONFIG.TIME_ZONE });
 }
 
 /**
@@ -74,26 +193,84 @@ export function convertDateFromAPI(dateString) {
 }
 
 /**
- * Gets today's date in YYYY-MM-DD format for HTML5 date input
+ * Gets today's date in Turkish time in YYYY-MM-DD format for HTML5 date input
  * @returns {string} Today's date
  */
 export function getTodayDate() {
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-    const day = String(today.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+    return convertDateFromAPI(formatTravelDate(Date.now()));
 }
 
 /**
- * Gets tomorrow's date in YYYY-MM-DD format for HTML5 date input
+ * Gets tomorrow's date in Turkish time in YYYY-MM-DD format for HTML5 date input
  * @returns {string} Tomorrow's date
  */
 export function getTomorrowDate() {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const year = tomorrow.getFullYear();
-    const month = String(tomorrow.getMonth() + 1).padStart(2, '0');
-    const day = String(tomorrow.getDate()).padStart(2, '0');
+    return convertDateFromAPI(shiftTravelDate(formatTravelDate(Date.now()), 1));
+}
+
+/**
+ * Formats a Date object to YYYY-MM-DD format for HTML5 date input
+ * @param {Date} date - Date to format (local time)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function formatInputDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
     return `${year}-${month}-${day}`;
 }
+
+/**
+ * Lists all dates between two dates (inclusive)
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @returns {Array<string>} Dates in YYYY-MM-DD format
+ */
+export function getDateRange(startDate, endDate) {
+    const dates = [];
+    const current = new Date(`${startDate}T00:00:00`);
+    const end = new Date(`${endDate}T00:00:00`);
+
+    while (current <= end) {
+        dates.push(formatInputDate(current));
+        current.setDate(current.getDate() + 1);
+    }
+
+    return dates;
+}
+
+/**
+ * Lists the dates falling on given weekdays within the next N days (today in Turkish time included)
+ * @param {Array<number>} weekdays - Weekday numbers (0 = Sunday ... 6 = Saturday)
+ * @param {number} dayCount - Number of days to look ahead
+ * @returns {Array<string>} Dates in YYYY-MM-DD format
+ */
+export function getUpcomingWeekdays(weekdays, dayCount) {
+    const today = getTodayDate();
+    const dates = [];
+
+    for (let i = 0; i < dayCount; i++) {
+        const date = convertDateFromAPI(shiftTravelDate(convertDateToAPI(today), i));
+        if (weekdays.includes(new Date(`${date}T00:00:00Z`).getUTCDay())) {
+            dates.push(date);
+        }
+    }
+
+    return dates;
+}
+
+/**
+ * Normalizes text for Turkish-aware searching
+ * Lowercases and folds İ/I/ı, Ş, Ç, Ğ, Ö and Ü to their ASCII counterparts
+ * so that "ESKİŞEHİR", "eskisehir" and "Eskişehir" all compare equal
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeTurkish(text) {
+    const foldMap = { 'ı': 'i', 'ş': 's', 'ç': 'c', 'ğ': 'g', 'ö': 'o', 'ü': 'u', 'â': 'a', 'î': 'i', 'û': 'u' };
+    return String(text || '')
+        .toLocaleLowerCase('tr')
+        .replace(/[ışçğöüâîû]/g, char => foldMap[char])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
@@ -0,0 +1,558 @@
+/**
+ * Watch view module
+ * Renders a single watch card with its own status line, results panel, event log and controls
+ */
+
+import { getPassengers, describePassengers } from './passengers.js';
+import { describeStopShift, formatExtraTime } from './nearby_stops.js';
+import { describeTrainFilters } from './train_filters.js';
+import { getTrainKey, getSeatCounts, getSeatChanges, describeSeatChange, toSoldOut } from './result_diff.js';
+import { EventLogView } from './event_log_view.js';
+import { getTrainTrip, buildSearchLink } from './trip_share.js';
+import { createShareActions, getPageUrl } from './share_actions.js';
+import { formatMinutes } from './utils.js';
+
+/**
+ * Moves an element to a position among the children of a container, unless it is already there
+ * @param {HTMLElement} container - Parent element
+ * @param {HTMLElement} element - Element to place
+ * @param {number} index - Position of the element
+ */
+function placeChild(container, element, index) {
+    const current = container.children[index];
+    if (current !== element) {
+        container.insertBefore(element, current || null);
+    }
+}
+
+export class WatchView {
+    /**
+     * @param {Object} watch - Watch to render ({ id, name, params })
+     * @param {Object} handlers - Control callbacks
+     * @param {Function} handlers.onStart - Called when start is clicked
+     * @param {Function} handlers.onStop - Called when stop is clicked
+     * @param {Function} handlers.onPauseToggle - Called when pause/resume is clicked
+     * @param {Function} handlers.onRemove - Called when remove is clicked
+     * @param {Function} handlers.onShowSeatMap - Called with { train, date, legIndex, container } when
+     *   the seat map of a train is opened
+     */
+    constructor(watch, handlers) {
+        this.watch = watch;
+        this.handlers = handlers;
+        this.element = this.createElement(handlers);
+        this.countdownTimer = null;
+        this.groups = new Map(); // Date -> rendered date group ({ element, result, rows })
+
+        this.elements = {
+            status: this.element.querySelector('.status'),
+            nextCheck: this.element.querySelector('.next-check'),
+            results: this.element.querySelector('.results'),
+            startBtn: this.element.querySelector('.watch-start-btn'),
+            pauseBtn: this.element.querySelector('.watch-pause-btn'),
+            stopBtn: this.element.querySelector('.watch-stop-btn')
+        };
+        this.eventLog = new EventLogView(this.element.querySelector('.log-entries'));
+    }
+
+    /**
+     * Displays the progress of a search on this card
+     * @param {SearchManager} search - Search of the watch
+     */
+    bindSearch(search) {
+        search.on('status', ({ message, type }) => this.updateStatus(message, type));
+        search.on('log', entry => this.addLog(entry));
+        search.on('results', dateResults => this.displayResults(dateResults));
+        search.on('searchingChange', isSearching => this.setSearchingState(isSearching));
+        search.on('pausedChange', isPaused => this.setPausedState(isPaused));
+        search.on('schedule', schedule => this.showNextCheck(schedule));
+    }
+
+    /**
+     * Builds the watch card DOM
+     * @param {Object} handlers - Control callbacks
+     * @returns {HTMLElement} Watch card element
+     */
+    createElement(handlers) {
+        const { params } = this.watch;
+        const passengers = getPassengers(params);
+        const card = document.createElement('div');
+        card.className = 'watch-card';
+
+        card.innerHTML = `
+            <div class="watch-header">
+                <h3></h3>
+                <p class="watch-summary"></p>
+            </div>
+            <div class="status waiting">Hazır.</div>
+            <p class="next-check" style="display: none;"></p>
+            <div class="watch-actions">
+                <button class="watch-start-btn">Başlat</button>
+                <button class="watch-pause-btn" disabled>Duraklat</button>
+                <button class="watch-stop-btn" disabled>Durdur</button>
+                <button class="watch-remove-btn">Sil</button>
+            </div>
+            <div class="results"></div>
+            <details class="event-log" open>
+                <summary>📜 Olay günlüğü</summary>
+                <ol class="log-entries"></ol>
+            </details>
+        `;
+
+        card.querySelector('h3').textContent = this.watch.name;
+        card.querySelector('.watch-summary').textContent =
+            `${params.departureStationName} → ${params.arrivalStationName} | ` +
+            `${this.getDateSummary()} | ${params.timeStart}-${params.timeEnd}` +
+            (params.arrivalTimeStart ? ` (varış ${params.arrivalTimeStart}-${params.arrivalTimeEnd})` : '') +
+            (params.returnDate ? ` | Dönüş: ${params.returnDate} ${params.returnTimeStart}-${params.returnTimeEnd}` : '') +
+            (params.returnArrivalTimeStart ? ` (varış ${params.returnArrivalTimeStart}-${params.returnArrivalTimeEnd})` : '') +
+            (passengers.length > 1 ? ` | ${describePassengers(passengers)}` : '') +
+            (params.maxPrice != null ? ` | En çok ${params.maxPrice} TL` : '') +
+            describeTrainFilters(params).map(part => ` | ${part}`).join('') +
+            (params.excludeConnections ? ' | Aktarmasız' : '') +
+            (params.nearbyStops ? ` | Yakın duraklar: ${params.nearbyStops}` : '');
+
+        card.querySelector('.watch-start-btn').addEventListener('click', handlers.onStart);
+        card.querySelector('.watch-pause-btn').addEventListener('click', handlers.onPauseToggle);
+        card.querySelector('.watch-stop-btn').addEventListener('click', handlers.onStop);
+        card.querySelector('.watch-remove-btn').addEventListener('click', handlers.onRemove);
+
+        return card;
+    }
+
+    /**
+     * Builds a short description of the searched dates
+     * @returns {string} Date summary (e.g. "19-01-2026" or "19-01-2026 - 25-01-2026 (3 gün)")
+     */
+    getDateSummary() {
+        const { dates } = this.watch.params;
+        if (dates.length === 1) return dates[0];
+
+        return `${dates[0]} - ${dates[dates.length - 1]} (${dates.length} gün)`;
+    }
+
+    /**
+     * Updates the status message and styling
+     * @param {string} message - Status message to display
+     * @param {string} type - Status type (waiting, searching, found, error)
+     */
+    updateStatus(message, type) {
+        this.elements.status.textContent = message;
+        this.elements.status.className = `status ${type}`;
+    }
+
+    /**
+     * Shows a countdown to the next scheduled check and why it is that far away
+     * @param {Object|null} schedule - Schedule of the next check ({ nextCheckAt, factors }), null if none
+     */
+    showNextCheck(schedule) {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+
+        if (!schedule) {
+            this.elements.nextCheck.style.display = 'none';
+            return;
+        }
+
+        const reasons = schedule.factors.map(({ reason, factor }) => `${reason} ×${Number(factor.toFixed(1))}`);
+        const update = () => {
+            const seconds = Math.max(0, Math.ceil((schedule.nextCheckAt - Date.now()) / 1000));
+            this.elements.nextCheck.textContent = `⏱️ Sonraki kontrol: ${seconds} sn` +
+                (reasons.length > 0 ? ` (${reasons.join(', ')})` : '');
+        };
+
+        update();
+        this.elements.nextCheck.style.display = 'block';
+        this.countdownTimer = setInterval(update, 1000);
+    }
+
+    /**
+     * Adds a log entry of the search to the event log of the card
+     * @param {Object} entry - Log entry (see Logger.log)
+     */
+    addLog(entry) {
+        this.eventLog.add(entry);
+    }
+
+    /**
+     * Displays train results grouped by date
+     * Rows are kept between checks and only the changed ones are redrawn, so open seat maps
+     * stay open; seats that changed since the previous check of a date get a badge.
+     * @param {Array} dateResults - Latest results per date ({ date, checkedAt, trains })
+     */
+    displayResults(dateResults) {
+        const dates = new Set(dateResults.map(dateResult => dateResult.date));
+        this.groups.forEach((group, date) => {
+            if (!dates.has(date)) {
+                group.element.remove();
+                this.groups.delete(date);
+            }
+        });
+
+        dateResults.forEach((dateResult, index) => {
+            let group = this.groups.get(dateResult.date);
+            if (!group) {
+                group = { element: document.createElement('div'), result: null, rows: new Map() };
+                group.element.className = 'date-group';
+                this.groups.set(dateResult.date, group);
+            }
+
+            // A date that was not checked again keeps its rows and badges
+            if (group.result !== dateResult) {
+                this.updateGroup(group, dateResult);
+            }
+            placeChild(this.elements.results, group.element, index);
+        });
+    }
+
+    /**
+     * Brings the rows of a date group in line with the latest result of its date
+     * @param {Object} group - Date group ({ element, result, rows })
+     * @param {Object} dateResult - Latest result of the date
+     */
+    updateGroup(group, dateResult) {
+        const rows = this.getRows(dateResult);
+        this.addSoldOutRows(group, rows);
+
+        const keys = new Set(rows.map(row => row.key));
+        group.rows.forEach((record, key) => {
+            if (!keys.has(key)) {
+                record.element.remove();
+            }
+        });
+
+        const records = new Map();
+        rows.forEach((row, index) => {
+            let record = group.rows.get(row.key);
+
+            if (row.train) {
+                // Nothing is flagged on the first check; later, a newly listed train is all new
+                const previous = record ? record.seats : (group.result ? new Map() : null);
+                const html = row.render(row.train, getSeatChanges(previous, row.train));
+
+                if (!record) {
+                    record = this.createTrainRow(row);
+                }
+                if (record.html !== html) {
+                    record.info.innerHTML = html;
+                }
+                record.element.className = row.className;
+                Object.assign(record, { row, html, train: row.train, seats: getSeatCounts(row.train), isSoldOut: Boolean(row.isSoldOut) });
+            } else if (!record) {
+                record = { element: document.createElement(row.tag) };
+                record.element.className = row.className;
+                record.element.textContent = row.text;
+            } else if (record.element.textContent !== row.text) {
+                record.element.textContent = row.text;
+            }
+
+            records.set(row.key, record);
+            placeChild(group.element, record.element, index);
+        });
+
+        group.rows = records;
+        group.result = dateResult;
+    }
+
+    /**
+     * Keeps the trains that dropped out of the results since the previous check as sold out rows
+     * Only trains with seats are listed, so a train that sold out would otherwise just vanish;
+     * it is shown sold out, where it was, for one check.
+     * @param {Object} group - Date group ({ rows } in display order)
+     * @param {Array<Object>} rows - Rows of the latest result (see getRows), extended in place
+     */
+    addSoldOutRows(group, rows) {
+        let index = 0;
+        group.rows.forEach((record, key) => {
+            const position = rows.findIndex(row => row.key === key);
+            if (position !== -1) {
+                index = position + 1;
+                return;
+            }
+            if (!record.train || record.isSoldOut) return;
+
+            rows.splice(index++, 0, {
+                ...record.row,
+                train: toSoldOut(record.train),
+                className: `${record.row.className} sold-out`,
+                isSoldOut: true
+            });
+        });
+    }
+
+    /**
+     * Lists the rows of a date result: headings, trains and nearby stop alternatives
+     * @param {Object} dateResult - Result of a date
+     * @returns {Array<Object>} Rows, in display order; headings are ({ key, tag, className, text }),
+     *   trains ({ key, train, date, legIndex, className, render(train, changes) })
+     */
+    getRows(dateResult) {
+        const { params } = this.watch;
+        const rows = [];
+
+        if (params.dates.length > 1) {
+            rows.push({
+                key: 'date',
+                tag: 'h4',
+                className: 'date-group-title',
+                text: `📅 ${dateResult.date} (son kontrol: ${dateResult.checkedAt})`
+            });
+        }
+
+        if (dateResult.returnLeg) {
+            rows.push(this.getLegTitleRow('title-0', '➡️ Gidiş'));
+            rows.push(...this.getTrainRows(dateResult.trains, dateResult.date));
+            rows.push(this.getLegTitleRow('title-1', `⬅️ Dönüş (${params.returnDate})`));
+            rows.push(...this.getTrainRows(dateResult.returnLeg.trains, params.returnDate, 1));
+        } else {
+            rows.push(...this.getTrainRows(dateResult.trains, dateResult.date));
+        }
+
+        if (dateResult.alternatives?.length > 0) {
+            rows.push(this.getLegTitleRow('title-alternatives', '💡 Yakın duraklardan binip inerek'));
+            rows.push(...dateResult.alternatives.map(alternative => ({
+                key: `alternative-${getTrainKey(alternative)}`,
+                train: alternative,
+                date: dateResult.date,
+                legIndex: 0,
+                className: 'train-item nearby-alternative',
+                render: (train, changes) => this.renderAlternative(train, changes)
+            })));
+        }
+
+        return rows;
+    }
+
+    /**
+     * Builds a leg heading (outbound/return) row
+     * @param {string} key - Row key
+     * @param {string} text - Heading text
+     * @returns {Object} Heading row (see getRows)
+     */
+    getLegTitleRow(key, text) {
+        return { key, tag: 'h5', className: 'leg-title', text };
+    }
+
+    /**
+     * Builds the rows of the trains of a single date
+     * @param {Array} trains - Trains to display
+     * @param {string} date - Checked date of the trains (DD-MM-YYYY); a train leaving on another day
+     *   (see SearchManager.addNextDayTrains) keeps its own departureDate
+     * @param {number} [legIndex=0] - Leg of the trains (1 = return leg)
+     * @returns {Array<Object>} Rows (see getRows)
+     */
+    getTrainRows(trains, date, legIndex = 0) {
+        if (trains.length === 0) {
+            return [{
+                key: `empty-${legIndex}`,
+                tag: 'p',
+                className: 'no-trains',
+                text: 'Belirtilen saat aralığında sefer bulunamadı.'
+            }];
+        }
+
+        // Trains of a window past midnight that leave on the next day get a heading of their own
+        const rows = [];
+        let previousDate = date;
+        trains.forEach(train => {
+            const trainDate = train.departureDate || date;
+            if (trainDate !== previousDate) {
+                rows.push(this.getLegTitleRow(`day-${legIndex}-${trainDate}`, `🌙 ${trainDate} (ertesi gün)`));
+                previousDate = trainDate;
+            }
+
+            rows.push({
+                key: `${legIndex}-${getTrainKey(train)}`,
+                train,
+                date: trainDate,
+                legIndex,
+                className: 'train-item',
+                render: (train, changes) => this.renderTrain(train, changes)
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Gets the stations of a leg of the watch
+     * @param {number} legIndex - Leg (1 = return leg, which runs the route backwards)
+     * @returns {Object} Route ({ departureStationName, arrivalStationName })
+     */
+    getRoute(legIndex) {
+        const { params } = this.watch;
+        return legIndex === 1
+            ? { departureStationName: params.arrivalStationName, arrivalStationName: params.departureStationName }
+            : { departureStationName: params.departureStationName, arrivalStationName: params.arrivalStationName };
+    }
+
+    /**
+     * Creates the element of a train row with its seat map, calendar and summary buttons
+     * The buttons always use the train of the latest check (see updateGroup).
+     * @param {Object} row - Train row (see getRows)
+     * @returns {Object} Row record ({ element, info })
+     */
+    createTrainRow(row) {
+        const element = document.createElement('div');
+        element.className = row.className;
+        const info = document.createElement('div');
+        element.appendChild(info);
+
+        const record = { element, info };
+
+        // A connection has a seat map per train
+        if (row.train.legs) {
+            row.train.legs.forEach((leg, index) => {
+                element.appendChild(this.createSeatMapToggle(
+                    () => record.train.legs[index], row.date, row.legIndex, `💺 ${index + 1}. Tren Koltuk Haritası`
+                ));
+            });
+        } else {
+            element.appendChild(this.createSeatMapToggle(() => record.train, row.date, row.legIndex, '💺 Koltuk Haritası'));
+        }
+
+        element.appendChild(createShareActions(
+            () => [getTrainTrip(record.train, row.date, this.getRoute(row.legIndex))],
+            () => buildSearchLink(getPageUrl(), this.watch.params)
+        ));
+
+        return record;
+    }
+
+    /**
+     * Renders the details of a train
+     * @param {Object} train - Train or connection
+     * @param {Map<string, Object>} changes - Seat changes since the previous check (see getSeatChanges)
+     * @returns {string} Train HTML
+     */
+    renderTrain(train, changes) {
+        return `
+            <h3>${train.name}${train.legs ? ` <span class="connection-badge">${train.transfers.length} aktarma</span>` : ''}</h3>
+            <p><strong>Kalkış:</strong> ${train.departureTime} | <strong>Varış:</strong> ${train.arrivalTime}${train.dayChanged ? ' (+1 gün)' : ''}</p>
+            ${train.legs ? this.renderConnectionLegs(train) : ''}
+            ${this.renderCabinClasses(train, changes)}
+        `;
+    }
+
+    /**
+     * Renders the details of a train that has seats from a nearby boarding or alighting station
+     * @param {Object} alternative - Alternative (see SearchManager.findNearbyAlternatives)
+     * @param {Map<string, Object>} changes - Seat changes since the previous check (see getSeatChanges)
+     * @returns {string} Alternative HTML
+     */
+    renderAlternative(alternative, changes) {
+        return `
+            <h3>${alternative.name}</h3>
+            <p class="nearby-shift">💡 ${describeStopShift(alternative)} · ${formatExtraTime(alternative.extraMinutes)}</p>
+            <p><strong>${alternative.departureStationName}:</strong> ${alternative.departureTime} →
+                <strong>${alternative.arrivalStationName}:</strong> ${alternative.arrivalTime}</p>
+            ${this.renderCabinClasses(alternative, changes)}
+        `;
+    }
+
+    /**
+     * Lists the selected cabin classes of a train with their seats, prices and changes
+     * @param {Object} train - Train
+     * @param {Map<string, Object>} changes - Seat changes since the previous check (see getSeatChanges)
+     * @returns {string} Cabin classes HTML
+     */
+    renderCabinClasses(train, changes) {
+        return (train.cabinClasses || [])
+            .filter(cabin => cabin.isSelected)
+            .map(cabin => {
+                const isSoldOut = cabin.availability === 0;
+                const availabilityClass = isSoldOut ? 'availability sold-out' : 'availability';
+                const availabilityText = isSoldOut ? 'TÜKENDİ' : `${cabin.availability} koltuk`;
+                const change = changes.get(cabin.classKey);
+
+                return `
+                    <p><strong>${cabin.className}:</strong>
+                        <span class="${availabilityClass}">${availabilityText}</span>
+                        ${cabin.price ? ` - ${cabin.price} TL` : ''}
+                        ${cabin.isWithinPrice ? '' : '<span class="over-price">(fiyat sınırının üstünde)</span>'}
+                        ${change ? `<span class="change-badge change-${change.type}">${describeSeatChange(change)}</span>` : ''}
+                    </p>
+                `;
+            })
+            .join('');
+    }
+
+    /**
+     * Lists the trains of a connection with the transfer station and layover between them
+     * @param {Object} connection - Connection (see SearchManager.processConnection)
+     * @returns {string} Legs HTML
+     */
+    renderConnectionLegs(connection) {
+        return `
+            <div class="connection-legs">
+                ${connection.legs.map((leg, index) => `
+                    <p class="connection-leg">
+                        <strong>${index + 1}. ${leg.name}:</strong>
+                        ${leg.departureStationName} ${leg.departureTime} → ${leg.arrivalStationName} ${leg.arrivalTime}
+                    </p>
+                    ${connection.transfers[index] ? `
+                        <p class="connection-transfer">
+                            🔄 Aktarma: ${connection.transfers[index].stationName}, ${formatMinutes(connection.transfers[index].layover)} bekleme
+                        </p>
+                    ` : ''}
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Builds the button that opens the seat map of a train, with the map below it
+     * The seat map is fetched every time it is opened, so taken seats are current
+     * @param {Function} getTrain - Returns the train (or train of a connection) to show
+     * @param {string} date - Departure date (DD-MM-YYYY)
+     * @param {number} legIndex - Leg of the train (1 = return leg)
+     * @param {string} label - Button label
+     * @returns {HTMLElement} Button and seat map container
+     */
+    createSeatMapToggle(getTrain, date, legIndex, label) {
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = `
+            <button type="button" class="seat-map-btn">${label}</button>
+            <div class="seat-map" style="display: none;"></div>
+        `;
+
+        const seatMapBtn = wrapper.querySelector('.seat-map-btn');
+        const container = wrapper.querySelector('.seat-map');
+        seatMapBtn.addEventListener('click', () => {
+            const isOpen = container.style.display !== 'none';
+            container.style.display = isOpen ? 'none' : 'block';
+            seatMapBtn.textContent = isOpen ? label : '💺 Haritayı Gizle';
+            if (!isOpen) {
+                this.handlers.onShowSeatMap({ train: getTrain(), date, legIndex, container });
+            }
+        });
+
+        return wrapper;
+    }
+
+    /**
+     * Sets the searching state (enables/disables buttons)
+     * @param {boolean} isSearching - Whether search is active
+     */
+    setSearchingState(isSearching) {
+        this.elements.startBtn.disabled = isSearching;
+        this.elements.pauseBtn.disabled = !isSearching;
+        this.elements.stopBtn.disabled = !isSearching;
+        this.setPausedState(false);
+    }
+
+    /**
+     * Switches the pause button between pause and resume
+     * @param {boolean} isPaused - Whether the search is paused
+     */
+    setPausedState(isPaused) {
+        this.elements.pauseBtn.textContent = isPaused ? 'Sürdür' : 'Duraklat';
+    }
+
+    /**
+     * Removes the watch card from the page
+     */
+    remove() {
+        clearInterval(this.countdownTimer);
+        this.element.remove();
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * Watch management module
+ * Keeps the list of named watches, each running its own search
+ */
+
+import { SearchManager } from './search.js';
+import { CONFIG } from './config.js';
+import { storage } from './storage.js';
+import { convertDateFromAPI, convertDateToAPI, getTodayDate, getUpcomingWeekdays } from './utils.js';
+
+/**
+ * Gets the dates a saved watch should search from today on
+ * Weekday watches look ahead from today again, so they do not run out of dates
+ * @param {Object} params - Saved search parameters
+ * @returns {Array<string>} Dates in DD-MM-YYYY format
+ */
+function getRestoredDates(params) {
+    if (params.dateMode === 'weekdays') {
+        // Outbound dates stay on or before the return date of a round trip
+        const returnDate = params.returnDate ? convertDateFromAPI(params.returnDate) : null;
+        return getUpcomingWeekdays(params.weekdays, params.flexDays || CONFIG.DEFAULT_FLEX_DAYS)
+            .filter(date => !returnDate || date <= returnDate)
+            .slice(0, CONFIG.MAX_SEARCH_DATES)
+            .map(convertDateToAPI);
+    }
+
+    const today = getTodayDate();
+    return (params.dates || []).filter(date => convertDateFromAPI(date) >= today);
+}
+
+export class WatchManager {
+    constructor() {
+        this.watches = new Map(); // id -> watch object
+        this.nextId = 1;
+    }
+
+    /**
+     * Creates a new watch
+     * @param {string} name - Display name of the watch
+     * @param {Object} params - Search parameters (see UIManager.getSearchParams)
+     * @returns {Object} Created watch ({ id, name, params, search })
+     */
+    addWatch(name, params) {
+        const id = this.nextId++;
+        const watch = { id, name, params };
+        watch.search = new SearchManager(watch);
+        watch.search.on('searchingChange', () => this.saveWatches());
+        watch.search.on('pausedChange', () => this.saveWatches());
+
+        this.watches.set(id, watch);
+        this.saveWatches();
+        return watch;
+    }
+
+    /**
+     * Saves watch configurations and their running state
+     */
+    saveWatches() {
+        const savedWatches = this.getWatches().map(watch => ({
+            name: watch.name,
+            params: watch.params,
+            isSearching: watch.search.isSearching,
+            isPaused: watch.search.isPaused
+        }));
+        storage.set(CONFIG.STORAGE_KEYS.WATCHES, savedWatches);
+    }
+
+    /**
+     * Recreates watches saved by a previous session
+     * Past dates are dropped and weekday watches get the dates of the coming days (see getRestoredDates);
+     * watches without any remaining date are discarded
+     * @returns {Array} Restored watches with a wasSearching flag
+     */
+    restoreWatches() {
+        const savedWatches = storage.get(CONFIG.STORAGE_KEYS.WATCHES, []);
+        const restored = [];
+
+        savedWatches.forEach(saved => {
+            if (!saved.params) return;
+
+            const dates = getRestoredDates(saved.params);
+            if (dates.length === 0) return;
+
+            const watch = this.addWatch(saved.name, { ...saved.params, dates, departureDate: dates[0] });
+            watch.wasSearching = saved.isSearching;
+            watch.wasPaused = saved.isSearching && saved.isPaused;
+            restored.push(watch);
+        });
+
+        this.saveWatches();
+        return restored;
+    }
+
+    /**
+     * Stops and removes a watch
+     * @param {number} id - Watch ID
+     */
+    removeWatch(id) {
+        const watch = this.watches.get(id);
+        if (!watch) return;
+
+        watch.search.stopSearch();
+        this.watches.delete(id);
+        this.saveWatches();
+    }
+
+    /**
+     * Gets watch by ID
+     * @param {number} id - Watch ID
+     * @returns {Object|null} Watch or null if not found
+     */
+    getWatch(id) {
+        return this.watches.get(id) || null;
+    }
+
+    /**
+     * Gets all watches in creation order
+     * @returns {Array} Array of watches
+     */
+    getWatches() {
+        return [...this.watches.values()];
+    }
+
+    /**
+     * Starts the search of a watch
+     * @param {number} id - Watch ID
+     */
+    startWatch(id) {
+        this.getWatch(id)?.search.startSearch();
+    }
+
+    /**
+     * Stops the search of a watch
+     * @param {number} id - Watch ID
+     */
+    stopWatch(id) {
+        this.getWatch(id)?.search.stopSearch();
+    }
+
+    /**
+     * Pauses a running watch or resumes a paused one
+     * @param {number} id - Watch ID
+     */
+    togglePause(id) {
+        const search = this.getWatch(id)?.search;
+        if (!search) return;
+
+        if (search.isPaused) {
+            search.resumeSearch();
+        } else {
+            search.pauseSearch();
+        }
+    }
+
+    /**
+     * Stops all running watches
+     */
+    stopAll() {
+        this.watches.forEach(watch => watch.search.stopSearch());
+    }
+}
+
+// Export singleton instance
+export const watchManager = new WatchManager();
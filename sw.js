@@ -0,0 +1,30 @@
+/**
+ * Service worker for seat notifications
+ * Lives at the site root so its scope covers index.html
+ * Shows the notifications the page sends it and focuses (or reopens) the app
+ * when one is clicked. It does not search: polling still runs in the page and
+ * slows down like any timer when the browser throttles a background tab
+ */
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(self.clients.claim());
+});
+
+// Focus an open app tab, or open a new one
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const appWindow = windows.find(client => client.url.startsWith(self.registration.scope));
+
+        if (appWindow) {
+            return appWindow.focus();
+        }
+        return self.clients.openWindow(self.registration.scope);
+    })());
+});
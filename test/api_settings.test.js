@@ -0,0 +1,96 @@
+import { describe, test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { useMockServer, createSearchParams, nextEvent } from './helpers.js';
+import { MockTcddServer } from '../testing_phase/mock_server.mjs';
+import { CONFIG } from '../src/js/config.js';
+import { ApiSettingsManager } from '../src/js/api_settings.js';
+import { trainAPI, getApiUrl, ApiAuthError } from '../src/js/api.js';
+import { SearchManager } from '../src/js/search.js';
+
+describe('API settings overrides', () => {
+    const settings = new ApiSettingsManager();
+
+    afterEach(() => settings.reset());
+
+    test('normalizes overrides and ignores empty values', () => {
+        settings.applyOverrides({
+            API_BASE_URL: ' https://example.test/ ',
+            API_QUERY: '?environment=prod',
+            AUTH_TOKEN: '',
+            UNIT_ID: '42'
+        });
+
+        assert.equal(getApiUrl(CONFIG.API_PATHS.AVAILABILITY), 'https://example.test/tms/train/train-availability?environment=prod');
+        assert.equal(CONFIG.AUTH_TOKEN, settings.defaults.AUTH_TOKEN);
+        assert.equal(CONFIG.UNIT_ID, '42');
+    });
+
+    test('rejects a base URL that is not http(s)', () => {
+        assert.throws(() => settings.applyOverrides({ API_BASE_URL: 'ftp://example.test' }), /Geçersiz API adresi/);
+    });
+
+    test('reads TCDD_* environment variables', () => {
+        settings.loadEnvironment({ TCDD_AUTH_TOKEN: 'env-token', TCDD_UNIT_ID: '7', PATH: '/bin' });
+
+        assert.equal(CONFIG.AUTH_TOKEN, 'env-token');
+        assert.equal(CONFIG.UNIT_ID, '7');
+    });
+
+    test('saving empty fields goes back to the defaults', () => {
+        settings.save({ AUTH_TOKEN: 'panel-token' });
+        assert.equal(CONFIG.AUTH_TOKEN, 'panel-token');
+
+        settings.save({ AUTH_TOKEN: '' });
+        assert.equal(CONFIG.AUTH_TOKEN, settings.defaults.AUTH_TOKEN);
+    });
+});
+
+describe('auth token against the mock server', () => {
+    const mockServer = new MockTcddServer({ token: 'fresh-token' });
+    const settings = new ApiSettingsManager();
+
+    before(async () => {
+        await mockServer.listen();
+        useMockServer(mockServer);
+    });
+
+    after(() => mockServer.close());
+
+    test('sends the overridden token and unit-id', async () => {
+        settings.applyOverrides({ AUTH_TOKEN: 'fresh-token', UNIT_ID: '1234' });
+
+        const data = await trainAPI.checkAvailability(createSearchParams(), true);
+
+        assert.ok(data.trainLegs);
+        assert.equal(mockServer.getLastHeaders().authorization, 'fresh-token');
+        assert.equal(mockServer.getLastHeaders()['unit-id'], '1234');
+    });
+
+    test('reports a rejected token as ApiAuthError', async t => {
+        t.mock.method(console, 'error', () => {});
+        settings.applyOverrides({ AUTH_TOKEN: 'old-token' });
+
+        await assert.rejects(trainAPI.checkAvailability(createSearchParams(), true), error => {
+            assert.ok(error instanceof ApiAuthError);
+            assert.equal(error.status, 401);
+            return true;
+        });
+    });
+
+    test('stops the search with a token expired state', async () => {
+        settings.applyOverrides({ AUTH_TOKEN: 'old-token' });
+        const search = new SearchManager({ id: 1, name: 'Test', params: createSearchParams({ holdSeat: false }) });
+        const statuses = [];
+        search.on('status', status => statuses.push(status));
+
+        const authError = nextEvent(search, 'authError');
+        search.startSearch();
+        const error = await authError;
+
+        assert.equal(error.status, 401);
+        assert.equal(search.isSearching, false);
+        assert.equal(statuses.at(-1).type, 'error');
+        assert.match(statuses.at(-1).message, /Token geçersiz veya süresi dolmuş/);
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    availabilityHistory, createSamples, groupSeries, findAvailabilityWindows, getFreeUpHours, findPriceChanges
+} from '../src/js/availability_history.js';
+
+const ROUTE = { departureStationId: 796, departureStationName: 'KONYA', arrivalStationId: 98, arrivalStationName: 'ANKARA GAR' };
+const TRAIN = { trainId: 124195, name: 'KONYA - ANKARA', departureTime: '21:35' };
+const START = new Date('2026-01-10T08:00:00+03:00').getTime(); // Hours are counted in Turkish local time
+const MINUTE = 60 * 1000;
+
+/**
+ * Builds the samples of one train's economy class at the given minutes after START
+ * @param {Array<[number, number, number?]>} counts - [minute, seats, price] triples (price is optional)
+ * @returns {Array<Object>} Samples
+ */
+function economySamples(counts) {
+    return counts.flatMap(([minute, seats, price]) => createSamples({
+        route: ROUTE,
+        date: '18-01-2026',
+        trains: [{ ...TRAIN, cabinClasses: [{ classKey: 'ECONOMY', className: 'Ekonomi Sınıfı', availability: seats, price }] }],
+        checkedAt: START + minute * MINUTE
+    }));
+}
+
+describe('series', () => {
+    test('stores one sample per train and cabin class', () => {
+        const samples = createSamples({
+            route: ROUTE,
+            date: '18-01-2026',
+            trains: [{
+                ...TRAIN,
+                cabinClasses: [
+                    { classKey: 'ECONOMY', className: 'Ekonomi Sınıfı', availability: 3 },
+                    { classKey: 'BUSINESS', className: 'Business Sınıfı', availability: 0 }
+                ]
+            }],
+            checkedAt: START
+        });
+
+        assert.deepEqual(samples.map(({ routeKey, classKey, seats }) => [routeKey, classKey, seats]), [
+            ['796-98', 'ECONOMY', 3],
+            ['796-98', 'BUSINESS', 0]
+        ]);
+    });
+
+    test('groups samples by date, train and class, oldest first', () => {
+        const later = createSamples({ route: ROUTE, date: '17-01-2026', trains: [{ ...TRAIN, cabinClasses: [{ classKey: 'ECONOMY', availability: 1 }] }], checkedAt: START });
+        const series = groupSeries([...economySamples([[5, 2], [0, 0]]), ...later]);
+
+        assert.deepEqual(series.map(({ date }) => date), ['17-01-2026', '18-01-2026']);
+        assert.deepEqual(series[1].points.map(({ seats }) => seats), [0, 2]);
+    });
+});
+
+describe('findAvailabilityWindows', () => {
+    test('measures how long freed up seats stayed available', () => {
+        const [series] = groupSeries(economySamples([[0, 0], [1, 2], [2, 4], [6, 0], [7, 1]]));
+        const windows = findAvailabilityWindows(series);
+
+        assert.equal(windows.length, 2);
+        assert.deepEqual(
+            { start: windows[0].start, duration: windows[0].duration, maxSeats: windows[0].maxSeats, freedUp: windows[0].freedUp, isOpen: windows[0].isOpen },
+            { start: START + MINUTE, duration: 5 * MINUTE, maxSeats: 4, freedUp: true, isOpen: false }
+        );
+        assert.equal(windows[1].isOpen, true);
+        assert.equal(windows[1].trainName, 'KONYA - ANKARA');
+    });
+
+    test('does not count seats seen on the first check as freed up', () => {
+        const [series] = groupSeries(economySamples([[0, 3], [1, 0]]));
+
+        assert.equal(findAvailabilityWindows(series)[0].freedUp, false);
+    });
+
+    test('ends a window at a gap nobody was watching', () => {
+        const [series] = groupSeries(economySamples([[0, 0], [1, 2], [2, 2], [60, 2], [61, 0]]));
+        const windows = findAvailabilityWindows(series);
+
+        assert.deepEqual(windows.map(({ duration, freedUp }) => [duration, freedUp]), [
+            [MINUTE, true],
+            [MINUTE, false] // Already free when watching resumed
+        ]);
+    });
+});
+
+describe('getFreeUpHours', () => {
+    test('counts freed up seats per local hour', () => {
+        const [series] = groupSeries(economySamples([[0, 0], [1, 2], [2, 0], [70, 0], [71, 1], [72, 0]]));
+        const hours = getFreeUpHours(findAvailabilityWindows(series));
+
+        assert.equal(hours.length, 24);
+        assert.equal(hours[8], 1);
+        assert.equal(hours[9], 1);
+        assert.equal(hours.reduce((sum, count) => sum + count, 0), 2);
+    });
+});
+
+describe('findPriceChanges', () => {
+    test('lists price changes, skipping checks without a price', () => {
+        const [series] = groupSeries(economySamples([[0, 1, 430], [1, 1, 430], [2, 0], [3, 2, 380], [4, 2, 450]]));
+
+        assert.deepEqual(findPriceChanges(series).map(({ checkedAt, previousPrice, price }) => [checkedAt, previousPrice, price]), [
+            [START + 3 * MINUTE, 430, 380],
+            [START + 4 * MINUTE, 380, 450]
+        ]);
+    });
+});
+
+describe('recording', () => {
+    test('stores unchanged seat counts only every sample interval', () => {
+        const [first, unchanged, changed, later] = economySamples([[0, 2], [1, 2], [2, 3], [8, 3]]);
+
+        assert.equal(availabilityHistory.shouldStore(first), true);
+        assert.equal(availabilityHistory.shouldStore(unchanged), false);
+        assert.equal(availabilityHistory.shouldStore(changed), true);
+        assert.equal(availabilityHistory.shouldStore(later), true);
+    });
+
+    test('stores a changed price right away', () => {
+        const [first, cheaper] = economySamples([[100, 1, 430], [101, 1, 380]]);
+
+        assert.equal(availabilityHistory.shouldStore(first), true);
+        assert.equal(availabilityHistory.shouldStore(cheaper), true);
+    });
+
+    test('does nothing without IndexedDB', async () => {
+        assert.equal(availabilityHistory.isAvailable(), false);
+        assert.deepEqual(await availabilityHistory.getRoutes(), []);
+    });
+});
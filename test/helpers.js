@@ -0,0 +1,65 @@
+/**
+ * Shared test helpers
+ * Points the app modules at the mock TCDD server and loads the recorded payloads
+ */
+
+import { readFileSync } from 'node:fs';
+
+import { CONFIG } from '../src/js/config.js';
+
+/**
+ * Reads a recorded payload from testing_phase/
+ * @param {string} path - Path relative to testing_phase/
+ * @returns {Object} Parsed payload
+ */
+export function loadFixture(path) {
+    return JSON.parse(readFileSync(new URL(`../testing_phase/${path}`, import.meta.url), 'utf8'));
+}
+
+/**
+ * Sends all API calls to a running mock server and removes polling delays
+ * @param {MockTcddServer} mockServer - Listening mock server
+ */
+export function useMockServer(mockServer) {
+    CONFIG.API_BASE_URL = mockServer.baseUrl;
+
+    CONFIG.MIN_ANTI_BOT_DELAY = 0;
+    CONFIG.MAX_ANTI_BOT_DELAY = 0;
+    CONFIG.CHECK_INTERVAL = 20;
+    CONFIG.HTTP_RETRY_BASE_DELAY = 10;
+}
+
+/**
+ * Builds search parameters like UIManager.getSearchParams (KONYA → ANKARA GAR, one date)
+ * @param {Object} [overrides={}] - Parameters to override
+ * @returns {Object} Search parameters
+ */
+export function createSearchParams(overrides = {}) {
+    return {
+        departureStationId: 796,
+        departureStationName: 'KONYA',
+        arrivalStationId: 98,
+        arrivalStationName: 'ANKARA GAR',
+        departureDate: '18-01-2026',
+        dates: ['18-01-2026'],
+        timeStart: '00:00',
+        timeEnd: '23:59',
+        selectedCabinClasses: ['ECONOMY'],
+        ...overrides
+    };
+}
+
+/**
+ * Waits for the next emission of an event
+ * @param {EventEmitter} emitter - Emitter (e.g. a SearchManager)
+ * @param {string} event - Event name
+ * @returns {Promise<*>} Event payload
+ */
+export function nextEvent(emitter, event) {
+    return new Promise(resolve => {
+        const unsubscribe = emitter.on(event, payload => {
+            unsubscribe();
+            resolve(payload);
+        });
+    });
+}
@@ -0,0 +1,131 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../src/js/config.js';
+import { HttpClient, HttpError, ApiAuthError, HTTP_ERROR_TYPES, parseRetryAfter } from '../src/js/http_client.js';
+
+/**
+ * Creates a client that answers from a list of scripted responses
+ * @param {Array<Response|Error>} responses - One per attempt; errors are thrown by fetch
+ * @returns {{ client: HttpClient, waits: number[], attempts: () => number }} Client and recorded waits
+ */
+function createClient(responses) {
+    const waits = [];
+    let attempt = 0;
+
+    const client = new HttpClient({
+        fetchImpl: async () => {
+            const response = responses[Math.min(attempt++, responses.length - 1)];
+            if (response instanceof Error) throw response;
+            return response.clone(); // The last response may be served more than once
+        },
+        sleepImpl: async ms => { waits.push(ms); },
+        random: () => 0.5
+    });
+
+    return { client, waits, attempts: () => attempt };
+}
+
+/**
+ * Builds a JSON response
+ * @param {number} status - HTTP status
+ * @param {*} [data={}] - Body
+ * @param {Object} [headers={}] - Headers
+ * @returns {Response} Response
+ */
+function jsonResponse(status, data = {}, headers = {}) {
+    return new Response(JSON.stringify(data), { status, headers });
+}
+
+describe('HttpClient', () => {
+    beforeEach(t => {
+        t.mock.method(console, 'warn', () => {});
+        t.mock.method(console, 'error', () => {});
+        CONFIG.HTTP_MAX_RETRIES = 2;
+        CONFIG.HTTP_RETRY_BASE_DELAY = 1000;
+    });
+
+    test('returns the parsed body', async () => {
+        const { client, attempts } = createClient([jsonResponse(200, { ok: 1 })]);
+
+        assert.deepEqual(await client.postJson('http://api.test', {}), { ok: 1 });
+        assert.equal(attempts(), 1);
+    });
+
+    test('retries server errors with exponential backoff', async () => {
+        const { client, waits } = createClient([jsonResponse(500), jsonResponse(502), jsonResponse(200, { ok: 1 })]);
+
+        assert.deepEqual(await client.postJson('http://api.test', {}), { ok: 1 });
+        // Equal jitter with random() = 0.5: three quarters of 1 s, then of 2 s
+        assert.deepEqual(waits, [750, 1500]);
+    });
+
+    test('gives up after the last retry with a classified error', async () => {
+        const { client, attempts } = createClient([new TypeError('fetch failed')]);
+
+        await assert.rejects(client.postJson('http://api.test', {}), error => {
+            assert.ok(error instanceof HttpError);
+            assert.equal(error.type, HTTP_ERROR_TYPES.NETWORK);
+            assert.equal(error.cause.message, 'fetch failed');
+            return true;
+        });
+        assert.equal(attempts(), 3);
+    });
+
+    test('classifies a body that is not JSON and retries it', async () => {
+        const { client, attempts } = createClient([new Response('<html>', { status: 200 })]);
+
+        await assert.rejects(client.postJson('http://api.test', {}), { type: HTTP_ERROR_TYPES.BAD_JSON });
+        assert.equal(attempts(), 3);
+    });
+
+    test('does not retry client errors or rejected tokens', async () => {
+        for (const [status, type] of [[400, HTTP_ERROR_TYPES.CLIENT], [401, HTTP_ERROR_TYPES.AUTH]]) {
+            const { client, attempts } = createClient([jsonResponse(status)]);
+
+            await assert.rejects(client.postJson('http://api.test', {}), { type, status });
+            assert.equal(attempts(), 1);
+        }
+
+        const { client } = createClient([jsonResponse(403)]);
+        await assert.rejects(client.postJson('http://api.test', {}), ApiAuthError);
+    });
+
+    test('waits as long as Retry-After asks on HTTP 429', async () => {
+        const { client, waits } = createClient([
+            jsonResponse(429, {}, { 'Retry-After': '3' }),
+            jsonResponse(200, { ok: 1 })
+        ]);
+
+        await client.postJson('http://api.test', {});
+        assert.deepEqual(waits, [3000]);
+    });
+
+    test('leaves a long Retry-After to the caller', async () => {
+        const { client, attempts } = createClient([jsonResponse(429, {}, { 'Retry-After': '120' })]);
+
+        await assert.rejects(client.postJson('http://api.test', {}), { type: HTTP_ERROR_TYPES.RATE_LIMIT, retryAfter: 120000 });
+        assert.equal(attempts(), 1);
+    });
+
+    test('retries non-idempotent requests only when rate limited', async () => {
+        const failed = createClient([jsonResponse(500)]);
+        await assert.rejects(failed.client.postJson('http://api.test', {}, { idempotent: false }), { type: HTTP_ERROR_TYPES.SERVER });
+        assert.equal(failed.attempts(), 1);
+
+        const limited = createClient([jsonResponse(429), jsonResponse(200, { ok: 1 })]);
+        assert.deepEqual(await limited.client.postJson('http://api.test', {}, { idempotent: false }), { ok: 1 });
+    });
+});
+
+describe('parseRetryAfter', () => {
+    test('accepts seconds and HTTP dates', () => {
+        const now = Date.parse('2026-01-18T12:00:00Z');
+
+        assert.equal(parseRetryAfter('5', now), 5000);
+        assert.equal(parseRetryAfter('Sun, 18 Jan 2026 12:00:30 GMT', now), 30000);
+        assert.equal(parseRetryAfter('Sun, 18 Jan 2026 11:00:00 GMT', now), 0);
+        assert.equal(parseRetryAfter(null), null);
+        assert.equal(parseRetryAfter('soon'), null);
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventEmitter } from '../src/js/events.js';
+import { Logger, logger as appLogger, filterEntries, toJSON, toCSV, LOG_LEVELS, LOG_CATEGORIES } from '../src/js/logger.js';
+
+/**
+ * Creates a logger that does not write to the console
+ * @param {number} [capacity] - Entries kept
+ * @returns {Logger} Logger
+ */
+function createLogger(capacity) {
+    const logger = new Logger(capacity);
+    logger.consoleOutput = false;
+    return logger;
+}
+
+describe('Logger', () => {
+    test('keeps only the newest entries, oldest first', () => {
+        const logger = createLogger(3);
+        ['a', 'b', 'c', 'd', 'e'].forEach(message => logger.info(LOG_CATEGORIES.SEARCH, message));
+
+        assert.deepEqual(logger.getEntries().map(entry => entry.message), ['c', 'd', 'e']);
+        assert.deepEqual(logger.getEntries().map(entry => entry.id), [3, 4, 5]);
+    });
+
+    test('reports new entries and keeps error details as text', () => {
+        const logger = createLogger();
+        const added = [];
+        logger.on('entry', entry => added.push(entry));
+
+        const entry = logger.error(LOG_CATEGORIES.API, 'API hatası', { source: 'Konya', details: new Error('HTTP 500') });
+
+        assert.deepEqual(added, [entry]);
+        assert.equal(entry.level, LOG_LEVELS.ERROR);
+        assert.equal(entry.source, 'Konya');
+        assert.equal(entry.details, 'HTTP 500');
+    });
+
+    test('clears its entries', () => {
+        const logger = createLogger(2);
+        ['a', 'b', 'c'].forEach(message => logger.info(LOG_CATEGORIES.SEARCH, message));
+        logger.clear();
+        logger.info(LOG_CATEGORIES.SEARCH, 'd');
+
+        assert.deepEqual(logger.getEntries().map(entry => entry.message), ['d']);
+    });
+
+    test('logs listeners that throw and still calls the others', t => {
+        t.mock.method(console, 'error', () => {});
+        appLogger.clear();
+        const emitter = new EventEmitter();
+        const received = [];
+        emitter.on('results', () => { throw new Error('Çizilemedi'); });
+        emitter.on('results', payload => received.push(payload));
+
+        emitter.emit('results', 1);
+
+        assert.deepEqual(received, [1]);
+        assert.deepEqual(appLogger.getEntries().map(({ level, category, message, details }) => [level, category, message, details]),
+            [[LOG_LEVELS.ERROR, LOG_CATEGORIES.APP, '"results" dinleyicisi hata verdi', 'Çizilemedi']]);
+    });
+});
+
+describe('filterEntries', () => {
+    const logger = createLogger();
+    logger.info(LOG_CATEGORIES.SEARCH, 'Kontrol ediliyor', { source: 'Konya' });
+    logger.warning(LOG_CATEGORIES.ALLOCATION, 'Koltuk tutulamadı', { details: 'İŞLEM BAŞARISIZ' });
+    logger.success(LOG_CATEGORIES.ALLOCATION, 'Koltuk tutuldu', { source: 'İzmir' });
+    const entries = logger.getEntries();
+
+    test('filters by level and category', () => {
+        assert.deepEqual(filterEntries(entries, { levels: [LOG_LEVELS.WARNING, LOG_LEVELS.SUCCESS] }).map(entry => entry.message),
+            ['Koltuk tutulamadı', 'Koltuk tutuldu']);
+        assert.deepEqual(filterEntries(entries, { categories: [LOG_CATEGORIES.SEARCH] }).map(entry => entry.message),
+            ['Kontrol ediliyor']);
+    });
+
+    test('searches message, details and source ignoring Turkish case', () => {
+        assert.deepEqual(filterEntries(entries, { query: 'işlem' }).map(entry => entry.message), ['Koltuk tutulamadı']);
+        assert.deepEqual(filterEntries(entries, { query: 'izmir' }).map(entry => entry.message), ['Koltuk tutuldu']);
+        assert.equal(filterEntries(entries, { query: '  ' }).length, 3);
+    });
+});
+
+describe('export', () => {
+    const entries = [
+        { id: 1, timestamp: Date.UTC(2026, 0, 18, 9, 5), level: 'error', category: 'allocation', source: 'Konya, Ankara', message: 'Koltuk "4A" tutulamadı', details: 'satır 1\nsatır 2' }
+    ];
+
+    test('writes JSON with ISO times', () => {
+        assert.deepEqual(JSON.parse(toJSON(entries)), [{
+            time: '2026-01-18T09:05:00.000Z',
+            level: 'error',
+            category: 'allocation',
+            source: 'Konya, Ankara',
+            message: 'Koltuk "4A" tutulamadı',
+            details: 'satır 1\nsatır 2'
+        }]);
+    });
+
+    test('writes CSV with a header and quoted fields', () => {
+        assert.equal(toCSV(entries), [
+            'time,level,category,source,message,details',
+            '2026-01-18T09:05:00.000Z,error,allocation,"Konya, Ankara","Koltuk ""4A"" tutulamadı","satır 1\nsatır 2"'
+        ].join('\r\n'));
+    });
+});
@@ -0,0 +1,62 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { loadFixture } from './helpers.js';
+import { stationManager } from '../src/js/stations.js';
+import { getRouteStops, getNearbyStopPairs, describeStopShift, formatExtraTime } from '../src/js/nearby_stops.js';
+
+const trains = loadFixture('example_response.json').trainLegs[0].trainAvailabilities
+    .flatMap(trainAvailabilities => trainAvailabilities.trains);
+const fromKaraman = trains.find(train => train.id === 124083);
+
+before(() => {
+    stationManager.setStations(JSON.parse(readFileSync(new URL('../data/stations.json', import.meta.url), 'utf8')));
+});
+
+describe('getRouteStops', () => {
+    test('lists the whole route of the train', () => {
+        assert.deepEqual(getRouteStops(fromKaraman), [791, 770, 796, 1336, 244, 1306, 98]);
+    });
+
+    test('leaves out stations the train passes without stopping', () => {
+        const train = structuredClone(fromKaraman);
+        train.segments[1].stops = false; // SELÇUKLU YHT - POLATLI YHT
+
+        assert.deepEqual(getRouteStops(train), [791, 770, 796, 1336, 1306, 98]);
+    });
+});
+
+describe('getNearbyStopPairs', () => {
+    test('moves the stations along the route, nearest and longest first', () => {
+        const pairs = getNearbyStopPairs(trains, 796, 98, 1);
+
+        assert.deepEqual(
+            pairs.map(pair => [pair.boardingStationId, pair.alightingStationId, pair.boardingShift, pair.alightingShift]),
+            [[770, 98, -1, 0], [796, 1306, 0, -1], [1336, 98, 1, 0], [770, 1306, -1, -1], [1336, 1306, 1, -1]]
+        );
+        assert.deepEqual(pairs[0].trainIds, [124083, 124171]);
+        assert.equal(pairs[1].trainIds.length, 5);
+    });
+
+    test('skips trains that do not run the searched way', () => {
+        assert.deepEqual(getNearbyStopPairs(trains, 98, 796, 2), []);
+    });
+});
+
+describe('descriptions', () => {
+    test('describes moved stations', () => {
+        const alternative = { departureStationName: 'ÇUMRA', arrivalStationName: 'ERYAMAN YHT' };
+
+        assert.equal(describeStopShift({ ...alternative, boardingShift: -1, alightingShift: 0 }), '1 durak önce bin (ÇUMRA)');
+        assert.equal(
+            describeStopShift({ ...alternative, boardingShift: -2, alightingShift: -1 }),
+            '2 durak önce bin (ÇUMRA), 1 durak önce in (ERYAMAN YHT)'
+        );
+    });
+
+    test('formats the extra travel time', () => {
+        assert.equal(formatExtraTime(25), '+25 dk yolculuk');
+        assert.equal(formatExtraTime(-70), '-1 sa 10 dk yolculuk');
+    });
+});
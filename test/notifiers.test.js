@@ -0,0 +1,154 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+import {
+    WebhookNotifier, NotifierRegistry, renderTemplate, createEvent, NOTIFIER_EVENTS
+} from '../src/js/notifiers.js';
+import { logger, LOG_CATEGORIES, LOG_LEVELS } from '../src/js/logger.js';
+
+const seatsFound = createEvent(NOTIFIER_EVENTS.SEATS_FOUND, '🎉 Konya - Ankara: 2 yer bulundu', {
+    watch: { id: 1, name: 'Konya - Ankara' },
+    totalSeats: 2
+});
+
+/**
+ * Starts a local HTTP stand-in for a webhook that records the requests it gets
+ * @param {number} [status=200] - Status of every response
+ * @returns {Promise<{ url: string, requests: Array<Object>, close: Function }>} Server URL, received requests and a stop function
+ */
+async function startWebhookServer(status = 200) {
+    const requests = [];
+    const server = createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            requests.push({ method: request.method, headers: request.headers, body });
+            response.writeHead(status).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+describe('renderTemplate', () => {
+    test('fills placeholders with JSON-escaped event values', () => {
+        const body = renderTemplate('{"text": "{{message}}", "seats": {{ totalSeats }}, "watch": "{{watch.name}}", "x": "{{missing}}"}', {
+            ...seatsFound,
+            message: 'Sefer "81208"\nKonya'
+        });
+
+        assert.deepEqual(JSON.parse(body), { text: 'Sefer "81208"\nKonya', seats: 2, watch: 'Konya - Ankara', x: '' });
+    });
+});
+
+describe('WebhookNotifier', () => {
+    test('posts the rendered template to a local webhook', async t => {
+        const webhook = await startWebhookServer();
+        t.after(webhook.close);
+        const notifier = new WebhookNotifier({
+            url: webhook.url,
+            headers: { Authorization: 'Bearer abc' },
+            template: '{"chat_id": "123", "text": "{{message}}"}'
+        });
+
+        await notifier.send(seatsFound);
+
+        assert.equal(webhook.requests.length, 1);
+        const [request] = webhook.requests;
+        assert.equal(request.method, 'POST');
+        assert.equal(request.headers['content-type'], 'application/json');
+        assert.equal(request.headers.authorization, 'Bearer abc');
+        assert.deepEqual(JSON.parse(request.body), { chat_id: '123', text: seatsFound.message });
+    });
+
+    test('sends the raw event without a template', async () => {
+        const bodies = [];
+        const notifier = new WebhookNotifier({
+            url: 'https://example.com/hook',
+            fetchImpl: async (url, { body }) => {
+                bodies.push(body);
+                return new Response(null, { status: 204 });
+            }
+        });
+
+        await notifier.send(seatsFound);
+
+        assert.deepEqual(bodies.map(body => JSON.parse(body)), [seatsFound]);
+    });
+
+    test('delivers only the chosen event types and always the test event', async () => {
+        const types = [];
+        const notifier = new WebhookNotifier({
+            url: 'https://example.com/hook',
+            events: [NOTIFIER_EVENTS.SEAT_HELD],
+            fetchImpl: async (url, { body }) => {
+                types.push(JSON.parse(body).type);
+                return new Response(null, { status: 200 });
+            }
+        });
+
+        assert.equal(notifier.accepts(NOTIFIER_EVENTS.SEATS_FOUND), false);
+        assert.equal(notifier.accepts(NOTIFIER_EVENTS.SEAT_HELD), true);
+        assert.equal(new WebhookNotifier({ url: 'https://example.com/hook' }).accepts(NOTIFIER_EVENTS.PRICE_DROP), true);
+
+        await notifier.send(seatsFound);
+        await notifier.send(createEvent(NOTIFIER_EVENTS.SEAT_HELD, 'Koltuk tutuldu'));
+        await notifier.send(createEvent(NOTIFIER_EVENTS.TEST, 'Deneme'));
+
+        assert.deepEqual(types, [NOTIFIER_EVENTS.SEAT_HELD, NOTIFIER_EVENTS.TEST]);
+    });
+});
+
+describe('NotifierRegistry', () => {
+    test('logs a failed delivery without rejecting', async t => {
+        t.mock.method(console, 'error', () => {});
+        const webhook = await startWebhookServer(500);
+        t.after(webhook.close);
+        const registry = new NotifierRegistry();
+        registry.register(new WebhookNotifier({ url: webhook.url }));
+        logger.clear();
+
+        const [result] = await registry.notify(seatsFound);
+
+        assert.equal(result.status, 'rejected');
+        assert.match(result.reason.message, /HTTP 500/);
+        const [entry] = logger.getEntries({ levels: [LOG_LEVELS.ERROR] });
+        assert.equal(entry.category, LOG_CATEGORIES.NOTIFICATION);
+        assert.equal(entry.message, 'Bildirim gönderilemedi (seats_found)');
+        assert.match(entry.details, /HTTP 500/);
+    });
+
+    test('flush waits for the deliveries in flight', async () => {
+        let finish;
+        const delivered = [];
+        const registry = new NotifierRegistry();
+        registry.register({
+            name: 'slow',
+            send: event => new Promise(resolve => {
+                finish = () => {
+                    delivered.push(event.type);
+                    resolve();
+                };
+            })
+        });
+
+        registry.notify(seatsFound);
+        let flushed = false;
+        const flush = registry.flush().then(() => { flushed = true; });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(flushed, false);
+
+        finish();
+        await flush;
+
+        assert.equal(flushed, true);
+        assert.deepEqual(delivered, [NOTIFIER_EVENTS.SEATS_FOUND]);
+        assert.equal(registry.pending.size, 0);
+    });
+});
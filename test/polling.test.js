@@ -0,0 +1,77 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../src/js/config.js';
+import { PollingPolicy } from '../src/js/polling.js';
+
+const policy = new PollingPolicy();
+
+// A weekday afternoon outside all hour windows (hour windows are Turkish local times)
+const NOW = new Date('2026-01-14T15:00:00+03:00');
+
+/**
+ * Creates a departure some hours after NOW
+ * @param {number} hours - Hours until departure
+ * @returns {Date} Departure time
+ */
+function departureIn(hours) {
+    return new Date(NOW.getTime() + hours * 60 * 60 * 1000);
+}
+
+describe('PollingPolicy', () => {
+    beforeEach(() => {
+        CONFIG.CHECK_INTERVAL = 5000;
+        CONFIG.MIN_ANTI_BOT_DELAY = 0;
+        CONFIG.MAX_ANTI_BOT_DELAY = 0;
+    });
+
+    test('polls faster the closer departure is', () => {
+        const delays = [12, 48, 5 * 24, 30 * 24].map(hours => policy.getDelay({ departure: departureIn(hours) }, NOW).delay);
+
+        assert.deepEqual(delays, [3000, 5000, 10000, 20000]);
+    });
+
+    test('follows the hour windows', () => {
+        const departure = departureIn(48);
+
+        assert.equal(policy.getDelay({ departure }, new Date('2026-01-14T00:10:00+03:00')).delay, 2500);
+        assert.equal(policy.getDelay({ departure }, new Date('2026-01-14T23:50:00+03:00')).delay, 2500);
+        assert.equal(policy.getDelay({ departure }, new Date('2026-01-14T03:00:00+03:00')).delay, 15000);
+        assert.equal(policy.getDelay({ departure }, new Date('2026-01-14T06:00:00+03:00')).delay, 5000);
+    });
+
+    test('slows down with the error rate and failures in a row', () => {
+        const departure = departureIn(48);
+        const someErrors = [false, false, true, false];
+
+        assert.equal(policy.getDelay({ departure, outcomes: someErrors }, NOW).delay, 5000 * 1.75);
+        assert.equal(policy.getDelay({ departure, outcomes: [true], consecutiveFailures: 1 }, NOW).delay, 5000 * 4);
+
+        const failing = policy.getDelay({ departure, outcomes: Array(10).fill(true), consecutiveFailures: 10 }, NOW);
+        assert.equal(failing.delay, CONFIG.MAX_CHECK_INTERVAL);
+        assert.deepEqual(failing.factors.map(({ reason }) => reason), ['hata oranı %100']);
+    });
+
+    test('waits at least as long as the server asked', () => {
+        const { delay } = policy.getDelay({ departure: departureIn(48), retryAfter: 60000 }, NOW);
+
+        assert.equal(delay, 60000);
+    });
+
+    test('reports the factors that changed the interval', () => {
+        const { factors } = policy.getDelay({ departure: new Date('2026-01-14T12:00:00+03:00') }, new Date('2026-01-14T00:10:00+03:00'));
+
+        assert.deepEqual(factors, [
+            { reason: 'kalkışa 1 günden az', factor: 0.6 },
+            { reason: 'rezervasyon iptal saati', factor: 0.5 }
+        ]);
+    });
+
+    test('adds a random anti-bot delay', () => {
+        CONFIG.MIN_ANTI_BOT_DELAY = 3000;
+        CONFIG.MAX_ANTI_BOT_DELAY = 8000;
+        const { delay } = policy.getDelay({ departure: departureIn(48) }, NOW);
+
+        assert.ok(delay >= 8000 && delay < 13000);
+    });
+});
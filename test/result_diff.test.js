@@ -0,0 +1,61 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getTrainKey, getSeatCounts, getSeatChanges, describeSeatChange } from '../src/js/result_diff.js';
+
+/**
+ * Builds a train with the given seats per cabin class
+ * @param {Object<string, number>} seats - Class key -> free seats
+ * @returns {Object} Train
+ */
+function trainWithSeats(seats) {
+    return {
+        trainId: 124195,
+        cabinClasses: [
+            ...Object.entries(seats).map(([classKey, availability]) => ({ classKey, availability, isSelected: true })),
+            { classKey: 'DISABLED', availability: 2, isSelected: false }
+        ]
+    };
+}
+
+describe('getTrainKey', () => {
+    test('identifies trains, connections and nearby stop alternatives', () => {
+        assert.equal(getTrainKey({ trainId: 124195 }), '124195');
+        assert.equal(getTrainKey({ legs: [{ trainId: 124083 }, { trainId: 124127 }] }), '124083+124127');
+        assert.equal(getTrainKey({ trainId: 124083, departureStationId: 770, arrivalStationId: 98, extraMinutes: 25 }), '124083@770-98');
+    });
+});
+
+describe('getSeatChanges', () => {
+    test('flags new, increased, decreased and sold out seats of selected classes', () => {
+        const previous = getSeatCounts(trainWithSeats({ ECONOMY: 0, BUSINESS: 3, LOCA: 2, BED: 1, COUCHETTE: 4 }));
+        const changes = getSeatChanges(previous, trainWithSeats({ ECONOMY: 2, BUSINESS: 5, LOCA: 1, BED: 0, COUCHETTE: 4 }));
+
+        assert.deepEqual([...changes], [
+            ['ECONOMY', { type: 'new', previous: 0, seats: 2 }],
+            ['BUSINESS', { type: 'up', previous: 3, seats: 5 }],
+            ['LOCA', { type: 'down', previous: 2, seats: 1 }],
+            ['BED', { type: 'sold-out', previous: 1, seats: 0 }]
+        ]);
+    });
+
+    test('flags the seats of a newly listed train as new', () => {
+        const changes = getSeatChanges(new Map(), trainWithSeats({ ECONOMY: 1, BUSINESS: 0 }));
+
+        assert.deepEqual([...changes.keys()], ['ECONOMY']);
+        assert.equal(changes.get('ECONOMY').type, 'new');
+    });
+
+    test('flags nothing without a previous check', () => {
+        assert.equal(getSeatChanges(null, trainWithSeats({ ECONOMY: 1 })).size, 0);
+    });
+});
+
+describe('describeSeatChange', () => {
+    test('builds badge texts', () => {
+        assert.equal(describeSeatChange({ type: 'new', previous: 0, seats: 2 }), '🆕 yeni');
+        assert.equal(describeSeatChange({ type: 'up', previous: 1, seats: 3 }), '⬆️ +2');
+        assert.equal(describeSeatChange({ type: 'down', previous: 3, seats: 2 }), '⬇️ -1');
+        assert.equal(describeSeatChange({ type: 'sold-out', previous: 1, seats: 0 }), '⛔ tükendi');
+    });
+});
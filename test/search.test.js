@@ -0,0 +1,530 @@
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { loadFixture, useMockServer, createSearchParams, nextEvent } from './helpers.js';
+import { MockTcddServer, MOCK_PATHS } from '../testing_phase/mock_server.mjs';
+import { CONFIG } from '../src/js/config.js';
+import { SearchManager } from '../src/js/search.js';
+import { isInTimeRange, getTravelDateTime, formatTravelDate } from '../src/js/utils.js';
+import { availabilityHistory } from '../src/js/availability_history.js';
+import { notifierRegistry, NOTIFIER_EVENTS } from '../src/js/notifiers.js';
+import { seatAllocationManager } from '../src/js/seat_allocation.js';
+import { trainAPI } from '../src/js/api.js';
+import { stationManager } from '../src/js/stations.js';
+
+const availability = loadFixture('example_response.json');
+
+/**
+ * Creates a search for a watch with the given parameters
+ * @param {Object} [overrides={}] - Search parameters to override
+ * @returns {SearchManager} Search
+ */
+function createSearch(overrides = {}) {
+    return new SearchManager({ id: 1, name: 'Test', params: createSearchParams(overrides) });
+}
+
+describe('processTrainData', () => {
+    const search = createSearch();
+
+    test('keeps only trains with seats in the selected classes', () => {
+        const result = search.processTrainData(availability, '00:00', '23:59', ['ECONOMY']);
+
+        assert.equal(result.found, true);
+        assert.equal(result.totalSeats, 1);
+        assert.deepEqual(result.trains.map(train => train.trainId), [124195]);
+        assert.equal(result.trains[0].name, 'KONYA - ANKARA');
+        assert.equal(result.trains[0].departureTime, '21:35');
+        assert.equal(result.trains[0].arrivalTime, '23:20');
+    });
+
+    test('sums seats of all selected classes and flags unselected ones', () => {
+        const result = search.processTrainData(availability, '00:00', '23:59', ['ECONOMY', 'LOCA']);
+        const cabins = result.trains[0].cabinClasses;
+
+        assert.equal(result.totalSeats, 4);
+        assert.deepEqual(
+            cabins.map(cabin => [cabin.classKey, cabin.availability, cabin.isSelected]),
+            [['ECONOMY', 1, true], ['LOCA', 3, true], ['DISABLED', 2, false]]
+        );
+    });
+
+    test('reports nothing when the selected classes are sold out or missing', () => {
+        const result = search.processTrainData(availability, '00:00', '23:59', ['BUSINESS']);
+
+        assert.deepEqual(result, { found: false, trains: [], totalSeats: 0 });
+    });
+
+    test('needs a seat for every passenger', () => {
+        const group = createSearch({ passengers: [{ gender: 'F', type: 'ADULT' }, { gender: 'M', type: 'CHILD' }] });
+
+        assert.equal(group.processTrainData(availability, '00:00', '23:59', ['ECONOMY']).found, false);
+        assert.equal(group.processTrainData(availability, '00:00', '23:59', ['ECONOMY', 'LOCA']).totalSeats, 4);
+        assert.match(group.getNotFoundMessage({}), /2 yolcu için/);
+    });
+
+    test('skips trains left out by the train filters', () => {
+        const trainIds = overrides => createSearch(overrides).processTrainData(availability, '00:00', '23:59', ['DISABLED'])
+            .trains.map(train => train.trainId);
+
+        assert.deepEqual(trainIds({ includeTrains: ['KARAMAN'] }), [124083, 124171]);
+        assert.deepEqual(trainIds({ excludeTrains: ['81204'] }), [124083, 122278, 124171, 124195]);
+        assert.deepEqual(trainIds({ maxDuration: 105 }), [124127, 122278, 124195]);
+        assert.deepEqual(trainIds({ excludedTrainTypes: ['YHT'] }), []);
+    });
+
+    test('handles responses without the requested leg', () => {
+        assert.equal(search.processTrainData(availability, '00:00', '23:59', ['ECONOMY'], 1).found, false);
+        assert.equal(search.processTrainData({}, '00:00', '23:59', ['ECONOMY']).found, false);
+    });
+});
+
+describe('prices', () => {
+    /**
+     * Copies the recorded response with a new economy fare on the 21:35 train
+     * @param {number} price - Economy price in TL
+     * @returns {Object} API response data
+     */
+    function withEconomyPrice(price) {
+        const data = structuredClone(availability);
+        const train = data.trainLegs[0].trainAvailabilities
+            .flatMap(trainAvailabilities => trainAvailabilities.trains)
+            .find(candidate => candidate.id === 124195);
+        train.availableFareInfo[0].cabinClasses.find(fare => fare.cabinClass.id === 2).minPrice.parsedValue = price;
+        return data;
+    }
+
+    test('takes class prices from the fare families', () => {
+        const result = createSearch().processTrainData(availability, '00:00', '23:59', ['ECONOMY', 'LOCA']);
+
+        assert.deepEqual(
+            result.trains[0].cabinClasses.map(cabin => [cabin.classKey, cabin.price]),
+            [['ECONOMY', 430], ['LOCA', 900], ['DISABLED', 430]]
+        );
+    });
+
+    test('counts only classes within the price limit', () => {
+        const search = createSearch({ maxPrice: 500 });
+        const result = search.processTrainData(availability, '00:00', '23:59', ['ECONOMY', 'LOCA']);
+
+        assert.equal(result.totalSeats, 1);
+        assert.deepEqual(result.trains[0].cabinClasses.map(cabin => cabin.isWithinPrice), [true, false, true]);
+        assert.deepEqual(search.describeTrains(result.trains), ['KONYA - ANKARA 21:35-23:20 · Ekonomi Sınıfı: 1 koltuk (430 TL)']);
+        assert.deepEqual(search.getHoldParams(result.trains[0], search.getLegParams('18-01-2026')).selectedCabinClasses, ['ECONOMY']);
+
+        assert.equal(createSearch({ maxPrice: 400 }).processTrainData(availability, '00:00', '23:59', ['ECONOMY', 'LOCA']).found, false);
+    });
+
+    test('reports watched classes that got cheaper', t => {
+        t.mock.method(notifierRegistry, 'notify', () => {});
+        const search = createSearch({ alertPriceDrop: true, selectedCabinClasses: ['ECONOMY', 'LOCA'] });
+        const drops = [];
+        search.on('priceDrop', drop => drops.push(drop));
+
+        search.checkPriceDrops(availability, '18-01-2026');
+        search.checkPriceDrops(withEconomyPrice(380), '18-01-2026');
+        search.checkPriceDrops(withEconomyPrice(420), '18-01-2026'); // Rises are not reported
+
+        assert.equal(drops.length, 1);
+        assert.equal(drops[0].train.trainId, 124195);
+        assert.equal(drops[0].cabin.classKey, 'ECONOMY');
+        assert.deepEqual([drops[0].previousPrice, drops[0].cabin.price], [430, 380]);
+        assert.equal(notifierRegistry.notify.mock.calls[0].arguments[0].type, NOTIFIER_EVENTS.PRICE_DROP);
+    });
+});
+
+describe('connections', () => {
+    const ESKISEHIR = { id: 93, name: 'ESKİŞEHİR' };
+
+    /**
+     * Builds a response with one connection: the 11:43 train to ESKİŞEHİR, then the 21:35 train on from there
+     * @param {Function} [edit] - Called with the two trains to change them
+     * @returns {Object} API response data
+     */
+    function withConnection(edit = () => {}) {
+        const data = structuredClone(availability);
+        const trains = data.trainLegs[0].trainAvailabilities.flatMap(trainAvailabilities => trainAvailabilities.trains);
+        const first = structuredClone(trains.find(train => train.id === 124083));
+        const second = structuredClone(trains.find(train => train.id === 124195));
+        first.segments[first.segments.length - 1].segment.arrivalStation = ESKISEHIR;
+        second.segments[0].segment.departureStation = ESKISEHIR;
+        edit(first, second);
+
+        data.trainLegs[0].trainAvailabilities = [{ trains: [first, second], connection: true, dayChanged: false }];
+        return data;
+    }
+
+    test('turns a connection into one itinerary with its legs and transfer', () => {
+        const [connection] = createSearch().processTrainData(withConnection(), '00:00', '23:59', ['DISABLED']).trains;
+
+        assert.equal(connection.name, 'KARAMAN - ANKARA + KONYA - ANKARA');
+        assert.deepEqual([connection.departureTime, connection.arrivalTime], ['11:43', '23:20']);
+        assert.deepEqual(
+            connection.legs.map(leg => [leg.trainId, leg.departureStationName, leg.arrivalStationName]),
+            [[124083, 'KONYA', 'ESKİŞEHİR'], [124195, 'ESKİŞEHİR', 'ANKARA GAR']]
+        );
+        assert.deepEqual(connection.transfers, [{ stationId: 93, stationName: 'ESKİŞEHİR', layover: 486 }]);
+        assert.deepEqual(connection.cabinClasses.map(cabin => [cabin.classKey, cabin.availability, cabin.price]), [['DISABLED', 2, 860]]);
+        assert.match(createSearch().describeTrains([connection])[0], /aktarma: ESKİŞEHİR 8 sa 6 dk$/);
+    });
+
+    test('needs seats in the class on every leg', () => {
+        const soldOutFirstLeg = withConnection(first => {
+            first.cabinClassAvailabilities[0].availabilityCount = 0;
+        });
+
+        assert.equal(createSearch().processTrainData(withConnection(), '00:00', '23:59', ['ECONOMY']).found, false);
+        assert.equal(createSearch().processTrainData(soldOutFirstLeg, '00:00', '23:59', ['DISABLED']).found, false);
+    });
+
+    test('applies the layover limits and can leave connections out', () => {
+        const found = overrides => createSearch(overrides).processTrainData(withConnection(), '00:00', '23:59', ['DISABLED']).found;
+
+        assert.equal(found({ minLayover: 30, maxLayover: 500 }), true);
+        assert.equal(found({ maxLayover: 120 }), false);
+        assert.equal(found({ minLayover: 600 }), false);
+        assert.equal(found({ excludeConnections: true }), false);
+    });
+
+    test('holds seats on every train and rolls back when one has none', async t => {
+        const search = createSearch({ selectedCabinClasses: ['DISABLED'] });
+        const [connection] = search.processTrainData(withConnection(), '00:00', '23:59', ['DISABLED']).trains;
+        const firstSeats = [{ seatNumber: '1A' }];
+        const allocate = t.mock.method(seatAllocationManager, 'checkAndAllocateSeat', async train => (
+            train.trainId === 124083 ? { success: true, seats: firstSeats } : { success: false, message: 'Yer yok' }
+        ));
+        const release = t.mock.method(seatAllocationManager, 'releaseSeats', async () => {});
+
+        const result = await search.allocateTrain(connection, search.getLegParams('18-01-2026'));
+
+        assert.deepEqual(
+            allocate.mock.calls.map(call => [call.arguments[1].departureStationId, call.arguments[1].arrivalStationId]),
+            [[796, 93], [93, 98]]
+        );
+        assert.deepEqual(
+            allocate.mock.calls.map(call => [call.arguments[1].departureStationName, call.arguments[1].arrivalStationName]),
+            [['KONYA', 'ESKİŞEHİR'], ['ESKİŞEHİR', 'ANKARA GAR']]
+        );
+        assert.equal(result.success, false);
+        assert.match(result.message, /^ESKİŞEHİR → ANKARA GAR/);
+        assert.deepEqual(release.mock.calls[0].arguments[0], firstSeats);
+    });
+});
+
+describe('nearby stops', () => {
+    const CUMRA = { id: 770, name: 'ÇUMRA' };
+
+    /**
+     * Builds the response of the ÇUMRA → ANKARA GAR query: the 11:43 train boards
+     * 25 minutes earlier there and has economy seats
+     * @returns {Object} API response data
+     */
+    function fromCumra() {
+        const data = structuredClone(availability);
+        const trains = data.trainLegs[0].trainAvailabilities.flatMap(trainAvailabilities => trainAvailabilities.trains);
+        const train = trains.find(candidate => candidate.id === 124083);
+        const economy = trains.find(candidate => candidate.id === 124195).cabinClassAvailabilities[0];
+        train.segments[0].segment.departureStation = CUMRA;
+        train.segments[0].departureTime -= 25 * 60 * 1000;
+        train.cabinClassAvailabilities.push({ ...economy, availabilityCount: 2 });
+        return data;
+    }
+
+    test('finds seats on sold out trains from a nearby station', async t => {
+        stationManager.setStations(JSON.parse(readFileSync(new URL('../data/stations.json', import.meta.url), 'utf8')));
+        const query = t.mock.method(trainAPI, 'checkAvailability', async params => (
+            params.departureStationId === CUMRA.id ? fromCumra() : availability
+        ));
+        const search = createSearch({ nearbyStops: 1 });
+        search.isSearching = true;
+        const logs = [];
+        search.on('log', entry => logs.push(entry.message));
+
+        const alternatives = await search.findNearbyAlternatives(availability, '18-01-2026');
+
+        assert.equal(query.mock.callCount(), CONFIG.NEARBY_STOPS.MAX_QUERIES);
+        assert.deepEqual(
+            alternatives.map(alternative => [alternative.trainId, alternative.departureStationName, alternative.boardingShift, alternative.extraMinutes]),
+            [[124083, 'ÇUMRA', -1, 25]]
+        );
+        assert.match(logs[0], /1 durak önce bin \(ÇUMRA\): 2 koltuk, \+25 dk yolculuk/);
+    });
+});
+
+describe('recordAvailability', () => {
+    test('records every train of both legs, not only the matching ones', t => {
+        const record = t.mock.method(availabilityHistory, 'record', () => {});
+        const search = createSearch({ returnDate: '20-01-2026', timeStart: '06:00', timeEnd: '07:00' });
+
+        search.recordAvailability(availability, '18-01-2026');
+
+        const [outbound, returnLeg] = record.mock.calls.map(call => call.arguments[0]);
+        assert.equal(outbound.date, '18-01-2026');
+        assert.equal(outbound.route.departureStationId, 796);
+        assert.equal(outbound.trains.length, 5);
+        assert.ok(outbound.trains.some(train => train.departureTime === '21:35')); // Outside the time window
+        assert.ok(outbound.trains.some(train => train.cabinClasses.every(cabin => cabin.classKey !== 'ECONOMY'))); // No seats in the searched class
+        assert.equal(returnLeg.date, '20-01-2026');
+        assert.equal(returnLeg.route.departureStationId, 98);
+        assert.deepEqual(returnLeg.trains, []); // The recorded response has no return leg
+    });
+});
+
+describe('getLegParams', () => {
+    test('runs the return leg backwards, station names included', () => {
+        const search = createSearch({ returnDate: '20-01-2026' });
+        const { params } = search.watch;
+        const returnParams = search.getLegParams('20-01-2026', 1);
+
+        assert.equal(returnParams.departureStationId, params.arrivalStationId);
+        assert.equal(returnParams.departureStationName, params.arrivalStationName);
+        assert.equal(returnParams.arrivalStationName, params.departureStationName);
+        assert.equal(returnParams.legIndex, 1);
+    });
+});
+
+describe('time window filtering', () => {
+    const search = createSearch();
+
+    /**
+     * Gets departure times of disabled-class trains (every fixture train has that class)
+     * @param {string} timeStart - Start time
+     * @param {string} timeEnd - End time
+     * @returns {Array<string>} Departure times
+     */
+    const departuresBetween = (timeStart, timeEnd) => search
+        .processTrainData(availability, timeStart, timeEnd, ['DISABLED'])
+        .trains.map(train => train.departureTime);
+
+    test('keeps trains departing inside the window', () => {
+        assert.deepEqual(departuresBetween('00:00', '23:59'), ['11:43', '15:25', '17:35', '20:53', '21:35']);
+        assert.deepEqual(departuresBetween('12:00', '18:00'), ['15:25', '17:35']);
+    });
+
+    test('includes both window boundaries', () => {
+        assert.deepEqual(departuresBetween('15:25', '17:35'), ['15:25', '17:35']);
+        assert.deepEqual(departuresBetween('11:44', '15:24'), []);
+    });
+
+    test('compares the local departure time', () => {
+        const departure = Date.parse('2026-01-18T08:43:00Z'); // 11:43 in Turkey
+
+        assert.equal(isInTimeRange(departure, '11:43', '11:43'), true);
+        assert.equal(isInTimeRange(departure, '08:00', '09:00'), false);
+        assert.equal(getTravelDateTime('18-01-2026', '21:35').toISOString(), '2026-01-18T18:35:00.000Z');
+        assert.equal(formatTravelDate(Date.parse('2026-01-18T22:30:00Z')), '19-01-2026');
+    });
+
+    test('supports windows past midnight', () => {
+        assert.deepEqual(departuresBetween('21:00', '12:00'), ['11:43', '21:35']);
+    });
+
+    test('filters and flags arrivals on the next day', () => {
+        const data = structuredClone(availability);
+        const late = data.trainLegs[0].trainAvailabilities
+            .flatMap(trainAvailabilities => trainAvailabilities.trains)
+            .find(train => train.id === 124195);
+        late.segments[late.segments.length - 1].arrivalTime += 2 * 60 * 60 * 1000; // 01:20 on the next day
+
+        const arrivals = createSearch({ arrivalTimeStart: '00:00', arrivalTimeEnd: '02:00' })
+            .processTrainData(data, '00:00', '23:59', ['DISABLED']).trains;
+
+        assert.deepEqual(arrivals.map(train => [train.arrivalTime, train.dayChanged]), [['01:20', true]]);
+        assert.equal(search.processTrainData(availability, '00:00', '23:59', ['DISABLED']).trains[4].dayChanged, false);
+    });
+
+    test('takes the trains after midnight from the next date', async t => {
+        const query = t.mock.method(trainAPI, 'checkAvailability', async () => availability);
+        const overnight = createSearch({ timeStart: '21:00', timeEnd: '12:00' });
+
+        const data = await overnight.addNextDayTrains(availability, '18-01-2026');
+
+        assert.deepEqual(query.mock.calls.map(call => call.arguments[0].departureDate), ['19-01-2026']);
+        assert.deepEqual(
+            overnight.processTrainData(data, '21:00', '12:00', ['DISABLED']).trains.map(train => train.trainId),
+            [124195, 124083]
+        );
+        assert.equal(await createSearch().addNextDayTrains(availability, '18-01-2026'), availability);
+    });
+
+    test('holds a train after midnight on the day it leaves', async t => {
+        const HOUR = 60 * 60 * 1000;
+        // The next date's trains, with the 21:35 train moved to 00:30 on 19-01
+        const nextDay = structuredClone(availability);
+        nextDay.trainLegs[0].trainAvailabilities.flatMap(trainAvailabilities => trainAvailabilities.trains).forEach(train => {
+            const shift = train.id === 124195 ? 2 * HOUR + 55 * 60 * 1000 : 24 * HOUR;
+            train.segments.forEach(segment => {
+                segment.departureTime += shift;
+                segment.arrivalTime += shift;
+            });
+        });
+        t.mock.method(trainAPI, 'checkAvailability', async () => nextDay);
+        t.mock.method(notifierRegistry, 'notify', () => {});
+        t.mock.method(seatAllocationManager, 'hasAllocatedSeat', () => false);
+        const allocate = t.mock.method(seatAllocationManager, 'checkAndAllocateSeat', async () => ({ success: false, message: 'Yer yok' }));
+        const overnight = createSearch({ timeStart: '23:00', timeEnd: '02:00' });
+
+        const data = await overnight.addNextDayTrains(availability, '18-01-2026');
+        const result = overnight.processTrainData(data, '23:00', '02:00', ['ECONOMY']);
+        await overnight.handleTicketsFound([{ ...result, date: '18-01-2026' }], overnight.watch.params);
+
+        assert.deepEqual(result.trains.map(train => [train.departureTime, train.departureDate]), [['00:30', '19-01-2026']]);
+        assert.equal(allocate.mock.calls[0].arguments[1].departureDate, '19-01-2026');
+    });
+
+    test('holds the return train closest to the preferred time', async t => {
+        const train = (name, departureTime) => ({
+            name, departureTime, cabinClasses: [{ classKey: 'ECONOMY', availability: 2, isSelected: true, isWithinPrice: true }]
+        });
+        t.mock.method(notifierRegistry, 'notify', () => {});
+        t.mock.method(seatAllocationManager, 'hasAllocatedSeat', () => false);
+        t.mock.method(seatAllocationManager, 'getAllocatedSeats', () => []);
+        const roundTrip = createSearch({
+            returnDate: '20-01-2026', holdBothLegs: true, seatPreferences: { preferredTime: '18:00' }
+        });
+        const allocate = t.mock.method(roundTrip, 'allocateTrain', async () => ({ success: true, message: 'Tutuldu' }));
+
+        await roundTrip.handleTicketsFound([{
+            found: true,
+            date: '18-01-2026',
+            trains: [train('SABAH', '07:00'), train('AKŞAM', '17:30')],
+            returnLeg: { trains: [train('DÖNÜŞ SABAH', '06:00'), train('DÖNÜŞ AKŞAM', '18:30')] }
+        }], roundTrip.watch.params);
+
+        assert.deepEqual(allocate.mock.calls.map(call => call.arguments[0].name), ['AKŞAM', 'DÖNÜŞ AKŞAM']);
+        assert.equal(allocate.mock.calls[1].arguments[1].departureDate, '20-01-2026');
+    });
+
+    test('ends windows past midnight on the next day', () => {
+        const overnight = createSearch({ timeStart: '22:00', timeEnd: '02:00' });
+        const now = new Date('2026-01-19T01:00:00+03:00');
+
+        assert.equal(overnight.getNextDeparture(now).toISOString(), '2026-01-18T19:00:00.000Z');
+        assert.equal(createSearch({ timeStart: '20:00', timeEnd: '23:00' }).getNextDeparture(now), null);
+    });
+});
+
+describe('polling against the mock server', () => {
+    let mockServer;
+
+    /**
+     * Starts the mock server with a scenario
+     * @param {string} scenario - Scenario name (see SCENARIOS)
+     */
+    async function startMockServer(scenario) {
+        mockServer = new MockTcddServer({ scenario });
+        await mockServer.listen();
+        useMockServer(mockServer);
+    }
+
+    afterEach(() => mockServer.close());
+
+    test('keeps polling while sold out and stops when seats appear', async () => {
+        await startMockServer('sold-out-then-seats');
+        const search = createSearch({ holdSeat: false });
+        const statuses = [];
+        search.on('status', ({ type }) => statuses.push(type));
+
+        const found = nextEvent(search, 'found');
+        search.startSearch();
+        const { totalSeats, date } = await found;
+
+        assert.equal(totalSeats, 2);
+        assert.equal(date, '18-01-2026');
+        assert.equal(mockServer.polls, 4);
+        assert.equal(search.isSearching, false);
+        assert.deepEqual(mockServer.getRequests(MOCK_PATHS.SEAT_MAP), []);
+        assert.equal(statuses.includes('error'), false);
+
+        const request = mockServer.getRequests(MOCK_PATHS.AVAILABILITY)[0];
+        assert.equal(request.searchRoutes[0].departureStationId, 796);
+        assert.equal(request.searchRoutes[0].departureDate, '18-01-2026 00:00:00');
+        assert.deepEqual(request.passengerTypeCounts, [{ id: 0, count: 1 }]);
+        assert.deepEqual(request.blTrainTypes, ['TURISTIK_TREN']);
+    });
+
+    for (const [scenario, polls] of [['server-error', 3], ['bad-json', 2]]) {
+        test(`retries ${scenario} responses without failing the check`, async t => {
+            t.mock.method(console, 'error', () => {});
+            t.mock.method(console, 'warn', () => {});
+            await startMockServer(scenario);
+            const search = createSearch({ holdSeat: false });
+            const statuses = [];
+            search.on('status', ({ type }) => statuses.push(type));
+
+            const found = nextEvent(search, 'found');
+            search.startSearch();
+            await found;
+
+            assert.equal(mockServer.polls, polls);
+            assert.equal(statuses.includes('error'), false);
+        });
+    }
+
+    test('waits as long as Retry-After asks on HTTP 429', async t => {
+        t.mock.method(console, 'error', () => {});
+        t.mock.method(console, 'warn', () => {});
+        await startMockServer('rate-limited');
+        const search = createSearch({ holdSeat: false });
+
+        const found = nextEvent(search, 'found');
+        const startedAt = Date.now();
+        search.startSearch();
+        await found;
+
+        assert.equal(mockServer.polls, 3);
+        assert.ok(Date.now() - startedAt >= 2000, 'two 1 s Retry-After waits');
+    });
+
+    test('reports failures after the retries and slows down while they repeat', async t => {
+        t.mock.method(console, 'error', () => {});
+        t.mock.method(console, 'warn', () => {});
+        await startMockServer('server-down');
+        const search = createSearch({ holdSeat: false });
+        const errors = [];
+        const schedules = [];
+        search.on('status', ({ message, type }) => {
+            if (type === 'error') errors.push(message);
+        });
+        search.on('schedule', schedule => schedule && schedules.push(schedule));
+
+        const found = nextEvent(search, 'found');
+        search.startSearch();
+        await found;
+
+        // 3 checks of 3 attempts each fail, the 4th check finds seats
+        assert.equal(mockServer.polls, 10);
+        assert.equal(errors.length, 3);
+        assert.match(errors[0], /HTTP 503/);
+        assert.equal(schedules.length, 3);
+        schedules.forEach(({ factors }) => {
+            assert.ok(factors.some(({ reason, factor }) => reason === 'hata oranı %100' && factor >= 4));
+        });
+        assert.equal(search.consecutiveFailures, 0);
+        assert.equal(search.nextCheckAt, null);
+    });
+
+    test('pauses and resumes polling', async () => {
+        await startMockServer('sold-out');
+        const search = createSearch({ holdSeat: false });
+
+        const scheduled = nextEvent(search, 'schedule');
+        search.startSearch();
+        await scheduled;
+        search.pauseSearch();
+        const pausedPolls = mockServer.polls;
+
+        await new Promise(resolve => setTimeout(resolve, CONFIG.CHECK_INTERVAL * 10));
+        assert.equal(mockServer.polls, pausedPolls);
+        assert.equal(search.nextCheckAt, null);
+        assert.equal(search.isSearching, true);
+
+        const rescheduled = nextEvent(search, 'schedule');
+        search.resumeSearch();
+        assert.ok(await rescheduled);
+        assert.equal(mockServer.polls, pausedPolls + 1);
+
+        search.stopSearch();
+        assert.equal(search.nextCheckAt, null);
+    });
+});
@@ -0,0 +1,280 @@
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadFixture, useMockServer, createSearchParams } from './helpers.js';
+import { MockTcddServer, MOCK_PATHS } from '../testing_phase/mock_server.mjs';
+import { SeatAllocationManager } from '../src/js/seat_allocation.js';
+import { notifierRegistry } from '../src/js/notifiers.js';
+
+const seatMaps = loadFixture('seat_allocation/seat_check_response.json').seatMaps;
+
+const TRAIN = {
+    trainId: 124195,
+    name: 'KONYA - ANKARA',
+    departureTime: '21:35',
+    arrivalTime: '23:20'
+};
+
+describe('findBestSeat', () => {
+    const manager = new SeatAllocationManager();
+
+    test('picks the first free seat of the selected class without preferences', () => {
+        const seat = manager.findBestSeat(seatMaps, ['ECONOMY']);
+
+        assert.deepEqual(
+            { trainCarId: seat.trainCarId, seatNumber: seat.seatNumber, wagonNumber: seat.wagonNumber, cabinClassName: seat.cabinClassName },
+            { trainCarId: 612767, seatNumber: '1C', wagonNumber: '2', cabinClassName: 'Ekonomi Sınıfı' }
+        );
+    });
+
+    test('skips seats that are already allocated', () => {
+        const businessCar = seatMaps.find(seatMap => seatMap.trainCarId === 612766);
+        assert.ok(businessCar.allocationSeats.some(seat => seat.seatNumber === '6A'));
+
+        const seat = manager.findBestSeat(seatMaps, ['BUSINESS']);
+        assert.equal(seat.trainCarId, 612766);
+        assert.equal(seat.seatNumber, '4A');
+        assert.equal(seat.wagonNumber, '1');
+
+        const withTakenSeat = structuredClone(seatMaps);
+        withTakenSeat[1].allocationSeats.push({ seatNumber: '1C', genders: ['M'] });
+        assert.notEqual(manager.findBestSeat(withTakenSeat, ['ECONOMY']).seatNumber, '1C');
+    });
+
+    test('returns null when no car has the selected class', () => {
+        assert.equal(manager.findBestSeat(seatMaps, ['SLEEPER']), null);
+        assert.equal(manager.findBestSeat([], ['ECONOMY']), null);
+    });
+});
+
+describe('keep holding', () => {
+    const manager = new SeatAllocationManager();
+    const heldFor = maxHoldMinutes => ({
+        allocationId: 'a1',
+        lockFor: 10,
+        heldSince: Date.now(),
+        expiresAt: Date.now() + 10 * 60 * 1000,
+        holdParams: { holdRenewal: maxHoldMinutes ? { maxHoldMinutes } : null }
+    });
+
+    test('renews a hold only while another lock period fits in the maximum hold time', () => {
+        assert.equal(manager.canRenew(heldFor(60)), true);
+        assert.equal(manager.canRenew(heldFor(15)), false);
+        assert.equal(manager.canRenew(heldFor(null)), false);
+        assert.equal(manager.canRenew({ ...heldFor(60), holdParams: undefined }), false); // Saved before renewals
+    });
+
+    test('counts the maximum hold time from the first hold', () => {
+        const seat = heldFor(60);
+
+        assert.equal(manager.getHoldDeadline(seat), seat.heldSince + 60 * 60 * 1000);
+        assert.equal(manager.getHoldDeadline(heldFor(null)), null);
+    });
+});
+
+describe('expireAllocation', () => {
+    test('clears only the seats whose lock time ran out', t => {
+        const notify = t.mock.method(notifierRegistry, 'notify', () => {});
+        const manager = new SeatAllocationManager();
+        const now = Date.now();
+        const outbound = { ...TRAIN, seatNumber: '1C', allocationId: 'a1', expiresAt: now - 1000 };
+        const inbound = { ...TRAIN, seatNumber: '2C', allocationId: 'a2', legIndex: 1, expiresAt: now + 5 * 60 * 1000 };
+        manager.allocatedSeats.push(outbound, inbound);
+
+        assert.deepEqual(manager.expireAllocation(now), [inbound]);
+        assert.deepEqual(manager.getAllocatedSeats(), [inbound]);
+        assert.deepEqual(notify.mock.calls.map(({ arguments: [event] }) => [event.seat, event.reason]), [[outbound, 'expired']]);
+
+        assert.deepEqual(manager.expireAllocation(inbound.expiresAt), []);
+        assert.equal(manager.hasAllocatedSeat(), false);
+    });
+});
+
+describe('hold and release against the mock server', () => {
+    const mockServer = new MockTcddServer();
+
+    before(async () => {
+        mock.method(console, 'log', () => {}); // Allocation progress lines
+        await mockServer.listen();
+        useMockServer(mockServer);
+    });
+
+    after(() => {
+        mock.restoreAll();
+        return mockServer.close();
+    });
+
+    test('holds the first free seat and releases it', async () => {
+        const manager = new SeatAllocationManager();
+        const params = createSearchParams();
+
+        const result = await manager.checkAndAllocateSeat(TRAIN, params);
+
+        assert.equal(result.success, true);
+        assert.equal(result.seatInfo.seatNumber, '1C');
+        assert.equal(result.seatInfo.departureDate, '18-01-2026');
+        assert.ok(Math.abs(result.seatInfo.expiresAt - (Date.now() + 10 * 60 * 1000)) < 5000);
+        assert.equal(manager.hasAllocatedSeat(), true);
+
+        assert.deepEqual(mockServer.getRequests(MOCK_PATHS.SEAT_MAP).at(-1), {
+            fromStationId: 796, toStationId: 98, trainId: 124195, legIndex: 0
+        });
+        assert.equal(mockServer.getRequests(MOCK_PATHS.ALLOCATE_SEAT).at(-1).seatNumber, '1C');
+        assert.equal(mockServer.allocations.size, 1);
+
+        const release = await manager.releaseSeat();
+
+        assert.equal(release.success, true);
+        assert.equal(manager.hasAllocatedSeat(), false);
+        assert.equal(mockServer.allocations.size, 0);
+        assert.equal(mockServer.getRequests(MOCK_PATHS.DEALLOCATE_SEAT).at(-1).allocationId, result.seatInfo.allocationId);
+    });
+
+    test('does not hold a seat that someone else holds', async () => {
+        const first = new SeatAllocationManager();
+        const second = new SeatAllocationManager();
+        const params = createSearchParams();
+
+        const firstResult = await first.checkAndAllocateSeat(TRAIN, params);
+        const secondResult = await second.checkAndAllocateSeat(TRAIN, params);
+
+        assert.equal(secondResult.success, true);
+        assert.notEqual(secondResult.seatInfo.seatNumber, firstResult.seatInfo.seatNumber);
+
+        await first.releaseSeat();
+        await second.releaseSeat();
+        assert.equal(mockServer.allocations.size, 0);
+    });
+
+    test('fails without a seat in the selected classes', async () => {
+        const manager = new SeatAllocationManager();
+
+        const result = await manager.checkAndAllocateSeat(TRAIN, createSearchParams({ selectedCabinClasses: ['SLEEPER'] }));
+
+        assert.equal(result.success, false);
+        assert.equal(manager.hasAllocatedSeat(), false);
+    });
+
+    test('holds adjacent seats for every passenger', async () => {
+        const manager = new SeatAllocationManager();
+        const passengers = [{ gender: 'F', type: 'ADULT' }, { gender: 'M', type: 'STUDENT' }];
+
+        const result = await manager.checkAndAllocateSeat(TRAIN, createSearchParams({ passengers }));
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.seats.map(seat => seat.seatNumber), ['6D', '6C']);
+        assert.deepEqual(result.seats.map(seat => seat.passenger), passengers);
+        assert.deepEqual(
+            mockServer.getRequests(MOCK_PATHS.ALLOCATE_SEAT).slice(-2)
+                .map(({ gender, passengerTypeId, totalPassengerCount }) => [gender, passengerTypeId, totalPassengerCount]),
+            [['F', 0, 2], ['M', 2, 2]]
+        );
+
+        await manager.releaseSeat();
+        assert.equal(mockServer.allocations.size, 0);
+    });
+
+    test('releases the seats of a group again when one cannot be held', async () => {
+        const manager = new SeatAllocationManager();
+        mockServer.maxAllocations = 1;
+        const releases = mockServer.getRequests(MOCK_PATHS.DEALLOCATE_SEAT).length;
+
+        const result = await manager.checkAndAllocateSeat(TRAIN, createSearchParams({
+            passengers: [{ gender: 'M', type: 'ADULT' }, { gender: 'M', type: 'ADULT' }]
+        }));
+        mockServer.maxAllocations = Infinity;
+
+        assert.equal(result.success, false);
+        assert.equal(manager.hasAllocatedSeat(), false);
+        assert.equal(mockServer.allocations.size, 0);
+        assert.equal(mockServer.getRequests(MOCK_PATHS.DEALLOCATE_SEAT).length, releases + 1);
+    });
+
+    test('keeps passengers away from strangers of the other gender when the train checks it', async () => {
+        const manager = new SeatAllocationManager();
+        mockServer.genderCheck = true;
+
+        const woman = await manager.checkAndAllocateSeat(TRAIN, createSearchParams({ passengers: [{ gender: 'F', type: 'ADULT' }] }));
+        const man = await manager.checkAndAllocateSeat(TRAIN, createSearchParams());
+        mockServer.genderCheck = false;
+
+        assert.equal(woman.seatInfo.seatNumber, '6C'); // 1C, the first free seat, is next to a man
+        assert.equal(man.seatInfo.seatNumber, '1C');
+
+        await manager.releaseSeat();
+    });
+
+    test('holds a seat picked on the seat map for the next passenger', async () => {
+        const manager = new SeatAllocationManager();
+        const params = createSearchParams({ legIndex: 0 });
+        const seat = { trainCarId: 612768, seatNumber: '6D', wagonNumber: '3', carName: '2+2 EKONOMİ', cabinClassName: 'Ekonomi Sınıfı' };
+
+        const result = await manager.holdSelectedSeat(TRAIN, params, seat);
+        const again = await manager.holdSelectedSeat(TRAIN, params, { ...seat, seatNumber: '6C' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.seatInfo.seatNumber, '6D');
+        assert.equal(mockServer.getRequests(MOCK_PATHS.ALLOCATE_SEAT).at(-1).seatNumber, '6D');
+        assert.equal(again.success, false); // Single passenger already seated
+        assert.match(again.message, /tüm yolcular/);
+
+        await manager.releaseSeat();
+        assert.equal(mockServer.allocations.size, 0);
+    });
+
+    test('renews a hold by releasing and holding the same seat again', async () => {
+        const manager = new SeatAllocationManager();
+        const renewals = [];
+        manager.on('renewed', event => renewals.push(event));
+        const { seatInfo } = await manager.checkAndAllocateSeat(TRAIN, createSearchParams({ holdRenewal: { maxHoldMinutes: 60 } }));
+
+        const renewed = await manager.renewSeat(seatInfo);
+
+        assert.equal(renewed.seatNumber, seatInfo.seatNumber);
+        assert.notEqual(renewed.allocationId, seatInfo.allocationId);
+        assert.equal(renewed.heldSince, seatInfo.heldSince);
+        assert.equal(renewed.renewalCount, 1);
+        assert.deepEqual(manager.getAllocatedSeats(), [renewed]);
+        assert.equal(mockServer.getRequests(MOCK_PATHS.DEALLOCATE_SEAT).at(-1).allocationId, seatInfo.allocationId);
+        assert.equal(mockServer.allocations.size, 1);
+        assert.match(renewals[0].message, /1\. yenileme/);
+
+        await manager.releaseSeat();
+        assert.equal(mockServer.allocations.size, 0);
+    });
+
+    test('holds the best other seat when the seat was taken during renewal', async t => {
+        const manager = new SeatAllocationManager();
+        const other = new SeatAllocationManager();
+        const params = createSearchParams({ holdRenewal: { maxHoldMinutes: 60 } });
+        const { seatInfo } = await manager.checkAndAllocateSeat(TRAIN, params);
+
+        // Someone else takes the seat right after it is released
+        const holdSeats = t.mock.method(manager, 'holdSeats');
+        holdSeats.mock.mockImplementationOnce(async () => {
+            await other.checkAndAllocateSeat(TRAIN, createSearchParams());
+            return null;
+        });
+        const renewed = await manager.renewSeat(seatInfo);
+
+        assert.equal(other.getAllocatedSeatInfo().seatNumber, seatInfo.seatNumber);
+        assert.notEqual(renewed.seatNumber, seatInfo.seatNumber);
+        assert.equal(manager.getAllocatedSeatInfo(), renewed);
+
+        await manager.releaseSeat();
+        await other.releaseSeat();
+        assert.equal(mockServer.allocations.size, 0);
+    });
+
+    test('keeps tracking a seat whose release failed', async t => {
+        t.mock.method(console, 'error', () => {});
+        const manager = new SeatAllocationManager();
+        manager.allocatedSeats.push({ ...TRAIN, trainCarId: 612767, seatNumber: '1C', allocationId: 'unknown' });
+
+        const release = await manager.releaseSeat();
+
+        assert.equal(release.success, false);
+        assert.equal(manager.hasAllocatedSeat(), true);
+        manager.clearAllocation();
+    });
+});
@@ -0,0 +1,52 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadFixture } from './helpers.js';
+import { buildWagonLayouts, formatSeatPrice, getItemLabel } from '../src/js/seat_map.js';
+
+const wagons = buildWagonLayouts(loadFixture('seat_allocation/seat_check_response.json'));
+
+describe('buildWagonLayouts', () => {
+    test('lists wagons in train order with their grid size', () => {
+        assert.deepEqual(wagons.map(wagon => wagon.wagonNumber), ['1', '2', '3', '4', '5', '6']);
+        assert.equal(wagons[1].colSize, 20);
+        assert.equal(wagons[1].rowSize, 5);
+        assert.equal(wagons[1].carName, '2+2 EKONOMİ');
+    });
+
+    test('marks seats with class, price and occupancy', () => {
+        const seat = seatNumber => wagons[1].cells.find(cell => cell.seatNumber === seatNumber);
+
+        assert.equal(seat('1C').isOccupied, false);
+        assert.equal(seat('1C').cabinClassKey, 'ECONOMY');
+        assert.deepEqual(seat('1C').price, { amount: 430, currency: 'TRY' });
+        assert.equal(seat('1D').isOccupied, true);
+        assert.deepEqual(seat('1D').genders, ['M']);
+        assert.equal(wagons[1].availableSeatCount, wagons[1].cells.filter(cell => cell.isSeat && !cell.isOccupied).length);
+    });
+
+    test('keeps non-seat items at their position and size', () => {
+        const cafe = wagons[1].cells.find(cell => cell.name === 'KAFETERYA');
+
+        assert.equal(cafe.isSeat, false);
+        assert.equal(cafe.label, 'Kafe');
+        assert.deepEqual([cafe.x, cafe.y, cafe.colSpan, cafe.rowSpan], [0, 0, 6, 3]);
+    });
+
+    test('handles a missing response', () => {
+        assert.deepEqual(buildWagonLayouts(null), []);
+    });
+});
+
+describe('labels', () => {
+    test('shortens item names', () => {
+        assert.equal(getItemLabel('YHT ENGELLİ WC'), 'WC');
+        assert.equal(getItemLabel('YHT ÇİFTLİ MASA'), 'Masa');
+        assert.equal(getItemLabel('YHT EKONOMİ TABELA'), '');
+    });
+
+    test('formats seat prices', () => {
+        assert.equal(formatSeatPrice({ amount: 1250, currency: 'TRY' }), '1.250 TL');
+        assert.equal(formatSeatPrice(null), '');
+    });
+});
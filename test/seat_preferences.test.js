@@ -0,0 +1,134 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadFixture } from './helpers.js';
+import { seatPreferenceEngine, SEAT_POSITIONS, SEAT_FACING } from '../src/js/seat_preferences.js';
+
+const seatMaps = loadFixture('seat_allocation/seat_check_response.json').seatMaps;
+
+/**
+ * Picks seats and returns them as "wagon/seat" labels
+ * @param {Object} preferences - Seat preferences
+ * @param {Array<string>} [classes=['ECONOMY']] - Cabin classes
+ * @param {number} [count=1] - Number of seats
+ * @returns {Array<string>} Labels like "2/1C"
+ */
+function pick(preferences, classes = ['ECONOMY'], count = 1) {
+    return seatPreferenceEngine.findSeats(seatMaps, classes, preferences, count)
+        .seats.map(seat => `${seat.wagonNumber}/${seat.seatNumber}`);
+}
+
+describe('seat geometry', () => {
+    const seats = seatPreferenceEngine.listFreeSeats(seatMaps, ['BUSINESS']);
+    const seat = seatNumber => seats.find(candidate => candidate.seatNumber === seatNumber);
+
+    test('tells window, aisle, facing and WC distance apart', () => {
+        assert.equal(seat('1A').position, SEAT_POSITIONS.WINDOW);
+        assert.equal(seat('3B').position, SEAT_POSITIONS.AISLE);
+        assert.equal(seat('1A').facing, SEAT_FACING.FORWARD);
+        assert.equal(seat('9A').facing, SEAT_FACING.BACKWARD);
+        assert.equal(seat('9A').wcDistance, 1);
+        assert.equal(seat('1A').wagonNumber, '1');
+    });
+
+    test('lists only free seats of the selected classes across all cars', () => {
+        const economy = seatPreferenceEngine.listFreeSeats(seatMaps, ['ECONOMY']);
+
+        assert.equal(seat('6A'), undefined); // Allocated
+        assert.deepEqual([...new Set(economy.map(({ wagonNumber }) => wagonNumber))], ['2', '3', '4', '5', '6']);
+    });
+});
+
+describe('findSeats', () => {
+    test('keeps seat map order without preferences', () => {
+        assert.deepEqual(pick({}), ['2/1C']);
+    });
+
+    test('ranks seats across all cars by position, wagon and facing', () => {
+        assert.deepEqual(pick({ position: SEAT_POSITIONS.WINDOW }), ['3/6D']);
+        assert.deepEqual(pick({ wagonMin: 5, wagonMax: 6 }), ['5/3B']);
+        assert.deepEqual(pick({ facing: SEAT_FACING.FORWARD }), ['2/6C']);
+        assert.deepEqual(pick({ position: SEAT_POSITIONS.WINDOW, wagonMin: 6 }), ['6/3A']);
+    });
+
+    test('avoids seats next to the WC', () => {
+        const seats = seatPreferenceEngine.rankSeats(seatMaps, ['BUSINESS'], { avoidWc: true, facing: SEAT_FACING.BACKWARD });
+
+        assert.equal(seats[0].seatNumber, '6C');
+        assert.ok(seats.findIndex(seat => seat.seatNumber === '9A') > seats.findIndex(seat => seat.seatNumber === '7A'));
+    });
+
+    test('falls back to the best partial match', () => {
+        assert.deepEqual(pick({ position: SEAT_POSITIONS.WINDOW, wagonMin: 9 }), ['3/6D']);
+    });
+
+    test('seats groups side by side when possible', () => {
+        assert.deepEqual(pick({}, ['ECONOMY'], 2), ['3/6D', '3/6C']);
+        assert.deepEqual(pick({ position: SEAT_POSITIONS.WINDOW, wagonMin: 6 }, ['ECONOMY'], 2), ['6/3A', '6/4A']);
+
+        const { seats, together } = seatPreferenceEngine.findSeats(seatMaps, ['ECONOMY'], {}, 4);
+        assert.equal(together, true);
+        assert.equal(new Set(seats.map(seat => seat.trainCarId)).size, 1);
+    });
+
+    test('returns null when fewer seats are free than needed', () => {
+        assert.equal(seatPreferenceEngine.findSeats(seatMaps, ['SLEEPER']), null);
+        assert.equal(seatPreferenceEngine.findSeats(seatMaps, ['ECONOMY'], {}, 500), null);
+    });
+});
+
+describe('gender rule', () => {
+    const seats = seatPreferenceEngine.listFreeSeats(seatMaps, ['ECONOMY']);
+    const firstSeat = seats[0]; // 2/1C
+
+    test('records who sits right next to a free seat', () => {
+        assert.deepEqual(firstSeat.neighbourGenders, ['M']);
+        assert.deepEqual(seats.find(seat => seat.seatNumber === '6D' && seat.wagonNumber === '3').neighbourGenders, []);
+    });
+
+    test('skips seats next to a stranger of the other gender', () => {
+        const [seat] = seatPreferenceEngine.findSeats(seatMaps, ['ECONOMY'], {}, 1, ['F']).seats;
+
+        assert.equal(`${seat.wagonNumber}/${seat.seatNumber}`, '2/6C');
+        assert.deepEqual(pick({}), ['2/1C']); // Without the rule
+    });
+
+    test('hands each passenger a seat that suits them', () => {
+        const { seats, together } = seatPreferenceEngine.findSeats(seatMaps, ['ECONOMY'], {}, 3, ['F', 'F', 'M']);
+
+        assert.equal(together, true);
+        seats.forEach((seat, index) => {
+            assert.ok(seatPreferenceEngine.allowsGender(seat, ['F', 'F', 'M'][index]));
+        });
+        assert.equal(seatPreferenceEngine.assignSeats([firstSeat], ['F']), null);
+        assert.deepEqual(seatPreferenceEngine.assignSeats([firstSeat], ['F', 'M']), [null, firstSeat]);
+    });
+});
+
+describe('rankTrains', () => {
+    const trains = ['11:43', '15:25', '17:35', '21:35'].map(departureTime => ({ departureTime }));
+
+    test('orders trains by closeness to the preferred time', () => {
+        const ranked = seatPreferenceEngine.rankTrains(trains, '17:00', { date: '18-01-2026' });
+
+        assert.deepEqual(ranked.map(train => train.departureTime), ['17:35', '15:25', '21:35', '11:43']);
+        assert.equal(trains[0].departureTime, '11:43'); // Input is not reordered
+    });
+
+    test('keeps the order without a preferred time', () => {
+        assert.deepEqual(seatPreferenceEngine.rankTrains(trains), trains);
+    });
+
+    test('counts trains of the next day a day later', () => {
+        const night = [
+            { departureTime: '00:30', departureDate: '19-01-2026' },
+            { departureTime: '23:30', departureDate: '18-01-2026' }
+        ];
+        const ranked = seatPreferenceEngine.rankTrains(night, '09:00', { date: '18-01-2026' });
+        assert.deepEqual(ranked.map(train => train.departureTime), ['23:30', '00:30']);
+
+        // 01:00 of a 22:00-02:00 window is the night after the checked date
+        const window = { date: '18-01-2026', timeStart: '22:00', timeEnd: '02:00' };
+        assert.deepEqual(seatPreferenceEngine.rankTrains(night, '01:00', window).map(train => train.departureTime), ['00:30', '23:30']);
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadFixture } from './helpers.js';
+import {
+    getExcludedTrainTypes, getTrainTypeCodes, getTripMinutes, parseTrainList, matchesTrainFilters, describeTrainFilters
+} from '../src/js/train_filters.js';
+
+const trains = loadFixture('example_response.json').trainLegs[0].trainAvailabilities
+    .flatMap(trainAvailabilities => trainAvailabilities.trains);
+
+const KARAMAN_TRAIN = { trainNumber: '81270', name: 'KARAMAN - ANKARA', trainType: 'YHT', duration: 106 };
+
+describe('getTripMinutes', () => {
+    test('adds up running times and stops after boarding', () => {
+        assert.deepEqual(trains.map(getTripMinutes), [106, 105, 105, 106, 105]);
+    });
+
+    test('needs durations on every segment', () => {
+        const train = structuredClone(trains[0]);
+        delete train.segments[2].duration;
+
+        assert.equal(getTripMinutes(train), null);
+    });
+});
+
+describe('matchesTrainFilters', () => {
+    test('leaves out touristic trains unless train types are chosen', () => {
+        const touristic = { ...KARAMAN_TRAIN, trainType: 'TURISTIK_TREN' };
+
+        assert.deepEqual(getExcludedTrainTypes({}), ['TURISTIK_TREN']);
+        assert.equal(matchesTrainFilters(touristic, {}), false);
+        assert.equal(matchesTrainFilters(touristic, { excludedTrainTypes: [] }), true);
+        assert.equal(matchesTrainFilters(KARAMAN_TRAIN, { excludedTrainTypes: ['YHT'] }), false);
+    });
+
+    test('compares train types by their API codes', () => {
+        const mainLine = { ...KARAMAN_TRAIN, trainNumber: '22001', name: 'İZMİR MAVİ', trainType: 'AH' };
+
+        assert.deepEqual(getTrainTypeCodes(['ANAHAT', 'BOLGESEL', 'TURISTIK_TREN']), ['AH', 'BOLGESEL', 'TURISTIK_TREN']);
+        assert.equal(matchesTrainFilters(mainLine, { excludedTrainTypes: ['ANAHAT'] }), false);
+        assert.equal(matchesTrainFilters(mainLine, { excludedTrainTypes: ['YHT', 'BOLGESEL'] }), true);
+        assert.equal(matchesTrainFilters({ ...mainLine, trainType: 'BOLGESEL' }, { excludedTrainTypes: ['BOLGESEL'] }), false);
+    });
+
+    test('matches train numbers exactly and names in part', () => {
+        assert.equal(matchesTrainFilters(KARAMAN_TRAIN, { includeTrains: ['81270'] }), true);
+        assert.equal(matchesTrainFilters(KARAMAN_TRAIN, { includeTrains: ['812'] }), false);
+        assert.equal(matchesTrainFilters(KARAMAN_TRAIN, { includeTrains: ['karaman'] }), true);
+        assert.equal(matchesTrainFilters(KARAMAN_TRAIN, { excludeTrains: ['81208', 'Karaman'] }), false);
+    });
+
+    test('checks every train of a connection', () => {
+        const connection = { duration: 592, legs: [KARAMAN_TRAIN, { ...KARAMAN_TRAIN, trainNumber: '81208', name: 'KONYA - ANKARA' }] };
+
+        assert.equal(matchesTrainFilters(connection, { includeTrains: ['81208'] }), true);
+        assert.equal(matchesTrainFilters(connection, { excludeTrains: ['81208'] }), false);
+        assert.equal(matchesTrainFilters(connection, { maxDuration: 300 }), false);
+    });
+
+    test('limits the trip duration', () => {
+        assert.equal(matchesTrainFilters(KARAMAN_TRAIN, { maxDuration: 106 }), true);
+        assert.equal(matchesTrainFilters(KARAMAN_TRAIN, { maxDuration: 105 }), false);
+    });
+});
+
+describe('descriptions', () => {
+    test('splits typed train lists', () => {
+        assert.deepEqual(parseTrainList(' 81208, KARAMAN - ANKARA,\n,81272 '), ['81208', 'KARAMAN - ANKARA', '81272']);
+    });
+
+    test('describes only the filters that are set', () => {
+        assert.deepEqual(describeTrainFilters({}), []);
+        assert.deepEqual(
+            describeTrainFilters({ excludedTrainTypes: ['BOLGESEL', 'TURISTIK_TREN'], includeTrains: ['81208'], maxDuration: 120 }),
+            ['Tren tipi: YHT, Anahat', 'Tren: 81208', 'En çok 2 sa yolculuk']
+        );
+    });
+});
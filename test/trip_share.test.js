@@ -0,0 +1,251 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    getTrainTrip, getSeatTrips, toCalendar, formatTripSummary, buildSearchLink, parseSearchLink
+} from '../src/js/trip_share.js';
+
+const nightTrain = {
+    trainId: 124195,
+    name: 'DOĞU EKSPRESİ',
+    departureTime: '23:30',
+    arrivalTime: '06:10',
+    dayChanged: true,
+    cabinClasses: [
+        { classKey: 'ECONOMY', className: 'Ekonomi', availability: 4, price: 450, isSelected: true },
+        { classKey: 'BED', className: 'Yataklı', availability: 0, price: 1200, isSelected: true },
+        { classKey: 'LOCA', className: 'Loca', availability: 2, price: 900, isSelected: false }
+    ]
+};
+const route = { departureStationName: 'Ankara Gar', arrivalStationName: 'Kars' };
+
+/**
+ * Builds a held seat
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} Seat info (see SeatAllocationManager.holdSeats)
+ */
+function heldSeat(overrides) {
+    return {
+        trainName: 'YHT 81004',
+        trainId: 124083,
+        departureDate: '18-01-2026',
+        departureTime: '09:05',
+        arrivalTime: '10:50',
+        dayChanged: false,
+        departureStationName: 'Ankara Gar',
+        arrivalStationName: 'Konya',
+        wagonNumber: 3,
+        cabinClassName: 'Ekonomi',
+        seatNumber: '4A',
+        passenger: { gender: 'F', type: 'STUDENT' },
+        allocationId: 'a1',
+        legIndex: 0,
+        ...overrides
+    };
+}
+
+describe('toCalendar', () => {
+    const calendar = toCalendar([getTrainTrip(nightTrain, '18-01-2026', route)], {
+        link: 'https://example.com/?from=98&to=1325',
+        reminderMinutes: 30,
+        now: Date.UTC(2026, 0, 10, 8, 0)
+    });
+    const lines = calendar.split('\r\n');
+
+    test('writes an event in UTC that ends the next day, with a reminder', () => {
+        assert.ok(lines.includes('DTSTART:20260118T203000Z'));
+        assert.ok(lines.includes('DTEND:20260119T031000Z'));
+        assert.ok(lines.includes('DTSTAMP:20260110T080000Z'));
+        assert.ok(lines.includes('TRIGGER:-PT30M'));
+        assert.ok(lines.includes('LOCATION:Ankara Gar'));
+        assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 1);
+    });
+
+    test('escapes and folds the description, listing only classes with seats', () => {
+        assert.ok(lines.every(line => new TextEncoder().encode(line).length <= 75));
+
+        const description = calendar.replace(/\r\n /g, '').split('\r\n').find(line => line.startsWith('DESCRIPTION:'));
+        assert.equal(description,
+            'DESCRIPTION:18-01-2026 · Ankara Gar 23:30 → Kars 06:10 (+1 gün)\\n' +
+            '💺 Ekonomi: 4 koltuk - 450 TL\\nhttps://example.com/?from=98&to=1325');
+    });
+});
+
+describe('getSeatTrips', () => {
+    test('lists the seats of all passengers on a train in one trip', () => {
+        const trips = getSeatTrips([
+            heldSeat(),
+            heldSeat({ seatNumber: '4B', passenger: { gender: 'M', type: 'ADULT' }, allocationId: 'a2' }),
+            heldSeat({ departureDate: '20-01-2026', departureTime: '18:00', arrivalTime: '19:45', legIndex: 1,
+                departureStationName: 'Konya', arrivalStationName: 'Ankara Gar', seatNumber: '7C', allocationId: 'a3' })
+        ]);
+
+        assert.equal(trips.length, 2);
+        assert.equal(formatTripSummary(trips, 'https://example.com/?from=98'), [
+            '🚆 YHT 81004: Ankara Gar → Konya',
+            '📅 18-01-2026 · Ankara Gar 09:05 → Konya 10:50',
+            '💺 Vagon 3 (Ekonomi) · Koltuk 4A · Kadın, Öğrenci',
+            '💺 Vagon 3 (Ekonomi) · Koltuk 4B · Erkek, Yetişkin',
+            '',
+            '🚆 YHT 81004: Konya → Ankara Gar',
+            '📅 20-01-2026 · Konya 18:00 → Ankara Gar 19:45',
+            '💺 Vagon 3 (Ekonomi) · Koltuk 7C · Kadın, Öğrenci',
+            '',
+            '🔗 https://example.com/?from=98'
+        ].join('\n'));
+    });
+});
+
+describe('search links', () => {
+    test('reopen the route, dates, time windows, classes and passengers of a search', () => {
+        const link = buildSearchLink('https://example.com/tren/', {
+            departureStationId: 98,
+            arrivalStationId: 1325,
+            dates: ['18-01-2026', '19-01-2026', '20-01-2026'],
+            timeStart: '22:00',
+            timeEnd: '02:00',
+            returnDate: '25-01-2026',
+            returnTimeStart: '08:00',
+            returnTimeEnd: '12:00',
+            selectedCabinClasses: ['ECONOMY', 'LOCA'],
+            passengers: [{ gender: 'F', type: 'STUDENT' }, { gender: 'M', type: 'ADULT' }]
+        });
+
+        assert.ok(link.startsWith('https://example.com/tren/?from=98&to=1325&date=2026-01-18&end=2026-01-20'));
+        assert.deepEqual(parseSearchLink(new URL(link).search), {
+            departureStation: '98',
+            arrivalStation: '1325',
+            dateMode: 'range',
+            departureDate: '2026-01-18',
+            departureDateEnd: '2026-01-20',
+            timeStart: '22:00',
+            timeEnd: '02:00',
+            returnTimeStart: '08:00',
+            returnTimeEnd: '12:00',
+            roundTrip: true,
+            returnDate: '2026-01-25',
+            cabinEconomy: true,
+            cabinBusiness: false,
+            cabinSleeper: false,
+            cabinCouchette: false,
+            cabinLoca: true,
+            cabinDisabled: false,
+            passengers: [{ gender: 'F', type: 'STUDENT' }, { gender: 'M', type: 'ADULT' }]
+        });
+    });
+
+    test('carry the weekday rule, filters, price watch, seat preferences and hold limit of a search', () => {
+        const link = buildSearchLink('https://example.com/tren/', {
+            departureStationId: 98,
+            arrivalStationId: 1325,
+            dateMode: 'weekdays',
+            dates: ['23-01-2026', '24-01-2026', '30-01-2026'],
+            weekdays: [5, 6],
+            flexDays: 10,
+            timeStart: '08:00',
+            timeEnd: '18:00',
+            arrivalTimeStart: '12:00',
+            arrivalTimeEnd: '22:00',
+            returnDate: '01-02-2026',
+            returnTimeStart: '16:00',
+            returnTimeEnd: '23:00',
+            returnArrivalTimeStart: '18:00',
+            returnArrivalTimeEnd: '23:59',
+            holdBothLegs: true,
+            excludedTrainTypes: ['BOLGESEL', 'TURISTIK_TREN'],
+            includeTrains: ['81208', 'KARAMAN'],
+            excludeTrains: ['DOĞU EKSPRESİ'],
+            maxDuration: 300,
+            minLayover: 20,
+            maxLayover: 90,
+            nearbyStops: 2,
+            maxPrice: 750.5,
+            alertPriceDrop: true,
+            selectedCabinClasses: ['BUSINESS'],
+            passengers: [{ gender: 'M', type: 'SENIOR' }],
+            seatPreferences: {
+                position: 'window', facing: 'forward', wagonMin: 2, wagonMax: 5, preferredTime: '09:30', avoidWc: true
+            },
+            holdRenewal: { maxHoldMinutes: 45 }
+        });
+
+        assert.deepEqual(parseSearchLink(new URL(link).search), {
+            departureStation: '98',
+            arrivalStation: '1325',
+            dateMode: 'weekdays',
+            departureDate: '2026-01-23',
+            departureDateEnd: '2026-01-30',
+            weekdays: ['5', '6'],
+            flexDays: '10',
+            timeStart: '08:00',
+            timeEnd: '18:00',
+            arrivalTimeStart: '12:00',
+            arrivalTimeEnd: '22:00',
+            returnTimeStart: '16:00',
+            returnTimeEnd: '23:00',
+            returnArrivalTimeStart: '18:00',
+            returnArrivalTimeEnd: '23:59',
+            roundTrip: true,
+            returnDate: '2026-02-01',
+            holdBothLegs: true,
+            trainTypeYht: true,
+            trainTypeAnahat: true,
+            trainTypeBolgesel: false,
+            trainTypeTuristik: false,
+            includeTrains: '81208, KARAMAN',
+            excludeTrains: 'DOĞU EKSPRESİ',
+            maxDuration: '300',
+            excludeConnections: false,
+            minLayover: '20',
+            maxLayover: '90',
+            nearbyStops: '2',
+            maxPrice: '750.5',
+            alertPriceDrop: true,
+            cabinEconomy: false,
+            cabinBusiness: true,
+            cabinSleeper: false,
+            cabinCouchette: false,
+            cabinLoca: false,
+            cabinDisabled: false,
+            passengers: [{ gender: 'M', type: 'SENIOR' }],
+            seatPosition: 'window',
+            seatFacing: 'forward',
+            wagonMin: '2',
+            wagonMax: '5',
+            preferredTime: '09:30',
+            avoidWc: true,
+            keepHolding: true,
+            maxHoldMinutes: '45'
+        });
+    });
+
+    test('of a whole search clear the options it leaves unset', () => {
+        const link = buildSearchLink('https://example.com/tren/', {
+            departureStationId: 98,
+            arrivalStationId: 1325,
+            dates: ['18-01-2026'],
+            timeStart: '00:00',
+            timeEnd: '23:59',
+            excludedTrainTypes: [],
+            excludeConnections: true,
+            selectedCabinClasses: ['ECONOMY'],
+            seatPreferences: { position: null, facing: null, wagonMin: null, wagonMax: null, preferredTime: null, avoidWc: false }
+        });
+        const state = parseSearchLink(new URL(link).search);
+
+        assert.equal(state.excludeConnections, true);
+        assert.equal(state.trainTypeTuristik, true);
+        assert.deepEqual(
+            [state.arrivalTimeStart, state.includeTrains, state.maxPrice, state.seatPosition, state.wagonMin, state.nearbyStops],
+            ['', '', '', '', '', '']
+        );
+        assert.deepEqual([state.alertPriceDrop, state.avoidWc, state.keepHolding, state.roundTrip], [false, false, false, false]);
+        assert.equal('maxHoldMinutes' in state, false);
+    });
+
+    test('are ignored unless they name both stations and a date', () => {
+        assert.equal(parseSearchLink(''), null);
+        assert.equal(parseSearchLink('?from=98&date=2026-01-18'), null);
+        assert.equal(parseSearchLink('?from=98&to=1325&date=yarın'), null);
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSearchParams } from './helpers.js';
+import { CONFIG } from '../src/js/config.js';
+import { WatchManager } from '../src/js/watches.js';
+import { storage } from '../src/js/storage.js';
+import { convertDateToAPI, getTodayDate, getUpcomingWeekdays } from '../src/js/utils.js';
+
+/**
+ * Restores the given saved watches into a new manager
+ * @param {Object} t - Test context
+ * @param {Array<Object>} savedWatches - Saved watches ({ name, params, isSearching, isPaused })
+ * @returns {Array<Object>} Restored watches
+ */
+function restore(t, savedWatches) {
+    t.mock.method(storage, 'get', key => (key === CONFIG.STORAGE_KEYS.WATCHES ? savedWatches : null));
+    t.mock.method(storage, 'set', () => {});
+    return new WatchManager().restoreWatches();
+}
+
+describe('restoreWatches', () => {
+    const today = convertDateToAPI(getTodayDate());
+
+    test('drops past dates and watches without a date left', t => {
+        const restored = restore(t, [
+            { name: 'Geçmiş', params: createSearchParams({ dates: ['01-01-2020'] }) },
+            { name: 'Bugün', params: createSearchParams({ dates: ['01-01-2020', today], dateMode: 'range' }) }
+        ]);
+
+        assert.deepEqual(restored.map(watch => [watch.name, watch.params.dates]), [['Bugün', [today]]]);
+        assert.equal(restored[0].params.departureDate, today);
+    });
+
+    test('looks ahead from today again for weekday watches', t => {
+        const todayWeekday = new Date(`${getTodayDate()}T00:00:00Z`).getUTCDay(); // Weekday of today in Turkish time
+        const weekdays = [todayWeekday, (todayWeekday + 3) % 7];
+        const restored = restore(t, [{
+            name: 'Hafta sonu',
+            params: createSearchParams({ dateMode: 'weekdays', weekdays, flexDays: 10, dates: ['02-01-2020', '05-01-2020'] })
+        }]);
+
+        const expected = getUpcomingWeekdays(weekdays, 10).map(convertDateToAPI);
+        assert.equal(expected[0], today);
+        assert.deepEqual(restored[0].params.dates, expected);
+        assert.equal(restored[0].params.departureDate, today);
+    });
+});
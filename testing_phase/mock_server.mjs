@@ -0,0 +1,295 @@
+/**
+ * Mock TCDD backend
+ * Serves the four endpoints used by the app (train-availability, load-by-train-id,
+ * select-seat, release-seat) from the real payloads in this folder, following
+ * scripted scenarios such as "sold out for 3 polls, then 2 seats" or HTTP 429/500.
+ * Held seats show up as occupied (with the passenger's gender) in later seat maps
+ * until they are released.
+ * If a token is given, requests with another Authorization header get HTTP 401.
+ *
+ * Used by the test suite (see test/) and runnable on its own:
+ *   node testing_phase/mock_server.mjs [scenario] [port]
+ */
+
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import { randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+const FIXTURES = {
+    availability: readFixture('./example_response.json'),
+    seatMap: readFixture('./seat_allocation/seat_check_response.json'),
+    allocation: readFixture('./seat_allocation/allocate_seat_response.json')
+};
+
+export const MOCK_PATHS = {
+    AVAILABILITY: '/tms/train/train-availability',
+    SEAT_MAP: '/tms/seat-maps/load-by-train-id',
+    ALLOCATE_SEAT: '/tms/inventory/select-seat',
+    DEALLOCATE_SEAT: '/tms/inventory/release-seat'
+};
+
+const ECONOMY_CABIN_CLASS_ID = 2;
+
+/**
+ * Scripted availability responses, one step per group of polls
+ * - seats: economy seats on every train that has an economy class (all other classes sold out)
+ * - status/retryAfter: answer with an HTTP error (and a Retry-After header in seconds)
+ * - malformed: answer HTTP 200 with a body that is not valid JSON
+ * - polls: how many polls the step lasts (the last step repeats forever)
+ */
+export const SCENARIOS = {
+    'seats': [{ seats: 2 }],
+    'sold-out': [{ seats: 0 }],
+    'sold-out-then-seats': [{ seats: 0, polls: 3 }, { seats: 2 }],
+    'rate-limited': [{ status: 429, retryAfter: 1, polls: 2 }, { seats: 2 }],
+    'server-error': [{ status: 500, polls: 2 }, { seats: 2 }],
+    'bad-json': [{ malformed: true, polls: 1 }, { seats: 2 }],
+    'server-down': [{ status: 503, polls: 9 }, { seats: 2 }],
+    'token-expired': [{ status: 401 }]
+};
+
+/**
+ * Reads a JSON fixture relative to this file
+ * @param {string} path - Fixture path
+ * @returns {Object} Parsed fixture
+ */
+function readFixture(path) {
+    return JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+}
+
+/**
+ * Builds an availability response with the given number of economy seats
+ * @param {number} seats - Economy seats per train
+ * @returns {Object} Availability response
+ */
+export function buildAvailability(seats) {
+    const data = structuredClone(FIXTURES.availability);
+
+    data.trainLegs.forEach(leg => leg.trainAvailabilities.forEach(trainAvailability => {
+        trainAvailability.trains.forEach(train => {
+            train.cabinClassAvailabilities.forEach(cabin => {
+                cabin.availabilityCount = cabin.cabinClass.id === ECONOMY_CABIN_CLASS_ID ? seats : 0;
+            });
+        });
+    }));
+
+    return data;
+}
+
+export class MockTcddServer {
+    /**
+     * @param {Object} [options] - Server options
+     * @param {string|Array} [options.scenario='seats'] - Scenario name (see SCENARIOS) or list of steps
+     * @param {string} [options.token] - Only accept this Authorization header (any if not set)
+     * @param {boolean} [options.genderCheck=false] - Report genderCheckEnabled in seat maps
+     * @param {number} [options.maxAllocations=Infinity] - Refuse to hold more seats than this at once
+     */
+    constructor({ scenario = 'seats', token = null, genderCheck = false, maxAllocations = Infinity } = {}) {
+        this.steps = typeof scenario === 'string' ? SCENARIOS[scenario] : scenario;
+        if (!this.steps) {
+            throw new Error(`Unknown scenario: ${scenario}`);
+        }
+
+        this.token = token;
+        this.genderCheck = genderCheck;
+        this.maxAllocations = maxAllocations;
+        this.polls = 0;
+        this.requests = []; // { path, body, headers } of every request, in order
+        this.allocations = new Map(); // allocationId -> { trainCarId, seatNumber, gender }
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.baseUrl = null;
+    }
+
+    /**
+     * Starts listening
+     * @param {number} [port=0] - Port (0 picks a free port)
+     * @returns {Promise<string>} Base URL, e.g. http://127.0.0.1:8788
+     */
+    listen(port = 0) {
+        return new Promise(resolve => {
+            this.server.listen(port, '127.0.0.1', () => {
+                this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.baseUrl);
+            });
+        });
+    }
+
+    /**
+     * Stops the server
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Gets the recorded requests of an endpoint
+     * @param {string} path - Endpoint path (see MOCK_PATHS)
+     * @returns {Array} Request bodies
+     */
+    getRequests(path) {
+        return this.requests.filter(request => request.path === path).map(request => request.body);
+    }
+
+    /**
+     * Gets the headers of the last request
+     * @returns {Object|null} Lower-cased request headers
+     */
+    getLastHeaders() {
+        return this.requests.at(-1)?.headers || null;
+    }
+
+    /**
+     * Gets the scenario step of the current availability poll
+     * @returns {Object} Scenario step
+     */
+    nextStep() {
+        let poll = this.polls++;
+        for (const step of this.steps) {
+            if (step.polls === undefined || poll < step.polls) return step;
+            poll -= step.polls;
+        }
+        return this.steps[this.steps.length - 1];
+    }
+
+    /**
+     * Routes a request to its endpoint handler
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async handleRequest(req, res) {
+        // The browser app calls the mock cross-origin
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', '*');
+        res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+        if (req.method === 'OPTIONS') {
+            this.send(res, 204);
+            return;
+        }
+
+        let body = '';
+        for await (const chunk of req) {
+            body += chunk;
+        }
+
+        const path = new URL(req.url, 'http://localhost').pathname;
+        const payload = body ? JSON.parse(body) : null;
+        this.requests.push({ path, body: payload, headers: req.headers });
+
+        if (this.token && req.headers.authorization !== this.token) {
+            this.send(res, 401, { message: 'Unauthorized' });
+            return;
+        }
+
+        switch (path) {
+            case MOCK_PATHS.AVAILABILITY:
+                return this.handleAvailability(res);
+            case MOCK_PATHS.SEAT_MAP:
+                return this.send(res, 200, this.buildSeatMap());
+            case MOCK_PATHS.ALLOCATE_SEAT:
+                return this.handleAllocate(res, payload);
+            case MOCK_PATHS.DEALLOCATE_SEAT:
+                return this.handleDeallocate(res, payload);
+            default:
+                return this.send(res, 404, { message: 'Not found' });
+        }
+    }
+
+    /**
+     * Answers an availability poll according to the scenario
+     * @param {http.ServerResponse} res - Response
+     */
+    handleAvailability(res) {
+        const step = this.nextStep();
+
+        if (step.status) {
+            const headers = step.retryAfter ? { 'Retry-After': String(step.retryAfter) } : {};
+            this.send(res, step.status, { message: 'Scripted error' }, headers);
+            return;
+        }
+        if (step.malformed) {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end('<html>Bakım çalışması</html>');
+            return;
+        }
+
+        this.send(res, 200, buildAvailability(step.seats));
+    }
+
+    /**
+     * Builds the seat map with currently held seats marked as occupied
+     * @returns {Object} Seat map response
+     */
+    buildSeatMap() {
+        const data = structuredClone(FIXTURES.seatMap);
+        data.genderCheckEnabled = this.genderCheck;
+
+        this.allocations.forEach(({ trainCarId, seatNumber, gender }) => {
+            const seatMap = data.seatMaps.find(map => map.trainCarId === trainCarId);
+            seatMap?.allocationSeats.push({ seatNumber, genders: [gender] });
+        });
+
+        return data;
+    }
+
+    /**
+     * Holds a seat unless it is already taken
+     * @param {http.ServerResponse} res - Response
+     * @param {Object} payload - select-seat request body
+     */
+    handleAllocate(res, payload) {
+        const seatMap = this.buildSeatMap().seatMaps.find(map => map.trainCarId === payload?.trainCarId);
+        const isTaken = !seatMap || seatMap.allocationSeats.some(seat => seat.seatNumber === payload.seatNumber);
+
+        if (isTaken || this.allocations.size >= this.maxAllocations) {
+            this.send(res, 400, { message: 'Seat is not available' });
+            return;
+        }
+
+        const allocationId = randomUUID();
+        this.allocations.set(allocationId, {
+            trainCarId: payload.trainCarId,
+            seatNumber: payload.seatNumber,
+            gender: payload.gender || 'M'
+        });
+        this.send(res, 200, { ...FIXTURES.allocation, allocationId });
+    }
+
+    /**
+     * Releases a held seat
+     * @param {http.ServerResponse} res - Response
+     * @param {Object} payload - release-seat request body
+     */
+    handleDeallocate(res, payload) {
+        if (!this.allocations.delete(payload?.allocationId)) {
+            this.send(res, 400, { message: 'Unknown allocation' });
+            return;
+        }
+        this.send(res, 200, {});
+    }
+
+    /**
+     * Sends a JSON response
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status
+     * @param {Object} [data] - Response body
+     * @param {Object} [headers={}] - Extra headers
+     */
+    send(res, status, data, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+    }
+}
+
+// Run standalone: node testing_phase/mock_server.mjs [scenario] [port]
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const [scenario = 'sold-out-then-seats', port = '8788'] = process.argv.slice(2);
+    const mockServer = new MockTcddServer({ scenario });
+    const baseUrl = await mockServer.listen(parseInt(port));
+
+    console.log(`🧪 Mock TCDD sunucusu ${baseUrl} adresinde ("${scenario}" senaryosu)`);
+    console.log(`   Senaryolar: ${Object.keys(SCENARIOS).join(', ')}`);
+    console.log('   Uygulamada "API Ayarları > API Adresi" olarak bu adresi girin.');
+    mockServer.server.on('request', req => console.log(`${req.method} ${req.url}`));
+}
@@ -0,0 +1,52 @@
+/**
+ * Local webhook stand-in
+ * Logs every JSON event POSTed by the webhook notifier so it can be tried
+ * without a real Telegram/Slack endpoint. Answers CORS preflight requests
+ * because the app posts from the browser.
+ *
+ * Usage: node testing_phase/webhook_stand_in.mjs [port]
+ */
+
+import http from 'node:http';
+
+const port = parseInt(process.argv[2] || '8787');
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': '*'
+};
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.writeHead(405, CORS_HEADERS);
+        res.end();
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        console.log(`\n[${new Date().toLocaleTimeString('tr-TR')}] ${req.method} ${req.url}`);
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch (error) {
+            console.log('⚠️ Geçersiz JSON:', body);
+        }
+
+        res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🔗 Webhook stand-in http://localhost:${port} adresinde dinliyor`);
+});